@@ -111,7 +111,9 @@ const {
   PermissionFlagsBits,
   ChannelType,
   ChannelSelectMenuBuilder,
-  RoleSelectMenuBuilder
+  RoleSelectMenuBuilder,
+  UserSelectMenuBuilder,
+  OverwriteType
 } = require("discord.js");
 
 const fs = require("fs");
@@ -133,9 +135,9 @@ const token = process.env.STAR_TOKEN;
 // ----------------------
 // Behavior toggles
 // ----------------------
-// User request: do NOT DM users when a ticket is closed.
-// (We keep the rating system code in the file, but disable the DM flow.)
-const DISABLE_CLOSE_DMS = true;
+// Bot-wide kill switch for the close summary / rating DMs.
+// Servers choose per guild via ratingMode ("off" | "dm" | "channel"), see the Ratings section.
+const DISABLE_CLOSE_DMS = false;
 
 // User request: disable any leaderboard / TopTrade feature.
 // We keep code in the file, but we don't register or advertise the leaderboard commands.
@@ -172,6 +174,25 @@ client.on("error", console.error);
 const DATA_DIR = path.resolve(__dirname);
 const REVIEWS_FILE = path.join(DATA_DIR, "reviews.json");
 const RATED_FILE = path.join(DATA_DIR, "ratedTickets.json");
+const GUILD_CFG_FILE = path.join(DATA_DIR, "guildConfigs.json");
+const PREMIUM_FILE = path.join(DATA_DIR, "premiumGuilds.json");
+const PREMIUM_KEYS_FILE = path.join(DATA_DIR, "premiumKeys.json");
+const TICKETS_FILE = path.join(DATA_DIR, "tickets.json");
+const BLACKLIST_FILE = path.join(DATA_DIR, "blacklist.json");
+const SNIPPETS_FILE = path.join(DATA_DIR, "snippets.json");
+
+// Each storage collection maps 1:1 to one of the JSON files above,
+// so switching drivers keeps the exact same data shape.
+const COLLECTION_FILES = {
+  reviews: REVIEWS_FILE,
+  rated: RATED_FILE,
+  guildConfigs: GUILD_CFG_FILE,
+  premiumGuilds: PREMIUM_FILE,
+  premiumKeys: PREMIUM_KEYS_FILE,
+  tickets: TICKETS_FILE,
+  blacklist: BLACKLIST_FILE,
+  snippets: SNIPPETS_FILE
+};
 
 function readJsonSafe(file, def = {}) {
   try {
@@ -218,20 +239,223 @@ async function writeJsonSafeAsync(file, data) {
   }
 }
 
-let REVIEWS = readJsonSafe(REVIEWS_FILE, { trade: {}, service: {} });
-// Backward-compatible migration (older data used a legacy key)
+// ----------------------
+// Storage backend (pluggable)
+// ----------------------
+// STORAGE_DRIVER=json   (default) keeps using the JSON files above. Writes are batched and async.
+// STORAGE_DRIVER=sqlite stores one row per record in an embedded SQLite file (SQLITE_FILE, default data.sqlite),
+//                       so a change only writes that record and is on disk before the call returns.
+//                       On the first sqlite start, the existing JSON files are imported once.
+// Both drivers expose the same API:
+//   STORE.load(collection, def) -> the in-memory object for that collection (read it directly)
+//   STORE.set(collection, key, value) / STORE.remove(collection, key) -> update memory + persist
+const STORAGE_DRIVER = String(process.env.STORAGE_DRIVER || "json").trim().toLowerCase();
+const SQLITE_FILE = path.resolve(process.env.SQLITE_FILE || path.join(DATA_DIR, "data.sqlite"));
+
+function createJsonStorage() {
+  const data = {};
+  const timers = {};
+  const dirty = new Set();
+  const writing = new Set();
+
+  function flush(collection) {
+    timers[collection] = null;
+    if (!dirty.has(collection)) return;
+    if (DISK_FULL) return; // keep in memory until disk has space (retried on next change)
+    if (writing.has(collection)) return scheduleFlush(collection); // one write per file at a time
+    dirty.delete(collection);
+    writing.add(collection);
+    writeJsonSafeAsync(COLLECTION_FILES[collection], data[collection])
+      .catch(() => {})
+      .finally(() => writing.delete(collection));
+  }
+
+  function scheduleFlush(collection) {
+    dirty.add(collection);
+    if (timers[collection]) return;
+    timers[collection] = setTimeout(() => flush(collection), 250);
+  }
+
+  return {
+    driver: "json",
+    load(collection, def = {}) {
+      data[collection] = readJsonSafe(COLLECTION_FILES[collection], def);
+      return data[collection];
+    },
+    set(collection, key, value) {
+      data[collection][key] = value;
+      scheduleFlush(collection);
+    },
+    remove(collection, key) {
+      delete data[collection][key];
+      scheduleFlush(collection);
+    },
+    // Used on shutdown so a pending batch isn't lost
+    flushSync() {
+      for (const collection of dirty) {
+        if (timers[collection]) clearTimeout(timers[collection]);
+        timers[collection] = null;
+        writeJsonSafe(COLLECTION_FILES[collection], data[collection]);
+      }
+      dirty.clear();
+    }
+  };
+}
+
+function openSqliteDatabase(file) {
+  // Prefer better-sqlite3 (optional dependency); Node 22.5+ ships a compatible built-in.
+  try {
+    const Database = require("better-sqlite3");
+    return new Database(file);
+  } catch (e) {
+    if (e && e.code !== "MODULE_NOT_FOUND") throw e;
+  }
+  try {
+    const { DatabaseSync } = require("node:sqlite");
+    return new DatabaseSync(file);
+  } catch {}
+  throw new Error("STORAGE_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3) or Node 22.5+");
+}
+
+function createSqliteStorage(file) {
+  const db = openSqliteDatabase(file);
+  db.exec("PRAGMA journal_mode = WAL");
+  db.exec("CREATE TABLE IF NOT EXISTS records (collection TEXT NOT NULL, key TEXT NOT NULL, value TEXT NOT NULL, PRIMARY KEY (collection, key))");
+  db.exec("CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT)");
+
+  const selectAll = db.prepare("SELECT key, value FROM records WHERE collection = ?");
+  const upsert = db.prepare("INSERT OR REPLACE INTO records (collection, key, value) VALUES (?, ?, ?)");
+  const del = db.prepare("DELETE FROM records WHERE collection = ? AND key = ?");
+  const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?");
+  const setMeta = db.prepare("INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)");
+
+  const data = {};
+
+  function write(collection, key, value) {
+    try {
+      upsert.run(collection, String(key), JSON.stringify(value ?? null));
+      DISK_FULL = false;
+    } catch (e) {
+      if (e && (e.code === "SQLITE_FULL" || e.code === "ENOSPC")) DISK_FULL = true;
+      console.error(`[storage] Failed writing ${collection}/${key}:`, e);
+    }
+  }
+
+  // One-shot import of the legacy JSON file for a collection (tracked in the meta table).
+  function importJsonOnce(collection) {
+    const marker = `imported:${collection}`;
+    if (getMeta.get(marker)) return;
+    const file = COLLECTION_FILES[collection];
+    let count = 0;
+    if (file && fs.existsSync(file)) {
+      let parsed = {};
+      try {
+        parsed = JSON.parse(fs.readFileSync(file, "utf8") || "{}");
+      } catch (e) {
+        console.error(`[storage] Could not parse ${file}, skipping import:`, e);
+        return;
+      }
+      db.exec("BEGIN");
+      try {
+        for (const [key, value] of Object.entries(parsed || {})) {
+          upsert.run(collection, String(key), JSON.stringify(value ?? null));
+          count++;
+        }
+        setMeta.run(marker, new Date().toISOString());
+        db.exec("COMMIT");
+      } catch (e) {
+        db.exec("ROLLBACK");
+        throw e;
+      }
+      console.log(`[storage] Imported ${count} ${collection} record(s) from ${path.basename(file)}`);
+      return;
+    }
+    setMeta.run(marker, new Date().toISOString());
+  }
+
+  return {
+    driver: "sqlite",
+    load(collection, def = {}) {
+      importJsonOnce(collection);
+      const rows = selectAll.all(collection);
+      if (!rows.length) {
+        data[collection] = JSON.parse(JSON.stringify(def));
+        for (const [key, value] of Object.entries(data[collection])) write(collection, key, value);
+        return data[collection];
+      }
+      const obj = {};
+      for (const row of rows) {
+        try {
+          obj[row.key] = JSON.parse(row.value);
+        } catch (e) {
+          console.error(`[storage] Corrupt record ${collection}/${row.key}:`, e);
+        }
+      }
+      data[collection] = obj;
+      return obj;
+    },
+    set(collection, key, value) {
+      data[collection][key] = value;
+      write(collection, key, value);
+    },
+    remove(collection, key) {
+      delete data[collection][key];
+      try {
+        del.run(collection, String(key));
+      } catch (e) {
+        console.error(`[storage] Failed deleting ${collection}/${key}:`, e);
+      }
+    },
+    flushSync() {
+      try { db.close(); } catch {}
+    }
+  };
+}
+
+function createStorage() {
+  if (STORAGE_DRIVER === "sqlite") {
+    console.log(`[storage] Using SQLite: ${SQLITE_FILE}`);
+    return createSqliteStorage(SQLITE_FILE);
+  }
+  if (STORAGE_DRIVER !== "json") {
+    console.error(`[storage] Unknown STORAGE_DRIVER "${STORAGE_DRIVER}", falling back to json`);
+  }
+  return createJsonStorage();
+}
+
+const STORE = createStorage();
+
+// Flush pending JSON batches on normal shutdown (Railway/PM2 send SIGTERM/SIGINT)
+for (const sig of ["SIGINT", "SIGTERM"]) {
+  process.once(sig, () => {
+    try { STORE.flushSync(); } catch {}
+    process.exit(0);
+  });
+}
+
+// Ratings are stored per guild: REVIEWS[guildId] (see the Ratings section).
+let REVIEWS = STORE.load("reviews", {});
+// Older data was one global bucket ({ trade: { staffId: ... }, service: { global: ... } }, even older: a legacy key).
+// It can't be attributed to a server, so it moves to REVIEWS.legacy untouched.
 const legacyKey = "m" + "m";
-if (REVIEWS && !REVIEWS.trade && REVIEWS[legacyKey]) { REVIEWS.trade = REVIEWS[legacyKey]; delete REVIEWS[legacyKey]; }
+if (REVIEWS.trade || REVIEWS.service || REVIEWS[legacyKey]) {
+  const prev = REVIEWS.legacy || {};
+  const legacy = {
+    trade: { ...(REVIEWS[legacyKey] || {}), ...(prev.trade || {}), ...(REVIEWS.trade || {}) },
+    service: { ...(prev.service || {}), ...(REVIEWS.service || {}) }
+  };
+  if (Object.keys(legacy.trade).length || Object.keys(legacy.service).length) STORE.set("reviews", "legacy", legacy);
+  for (const key of ["trade", "service", legacyKey]) if (key in REVIEWS) STORE.remove("reviews", key);
+}
 
-let RATED = readJsonSafe(RATED_FILE, {});
+let RATED = STORE.load("rated", {});
 
 // ----------------------
 // Per-server config (PUBLIC BOT)
 // ----------------------
 // ✅ The bot can join ANY server.
 // Each server can run ?setup (owner-only) to store its own category/roles/log channel.
-const GUILD_CFG_FILE = path.join(DATA_DIR, "guildConfigs.json");
-let GUILD_CONFIGS = readJsonSafe(GUILD_CFG_FILE, {});
+let GUILD_CONFIGS = STORE.load("guildConfigs", {});
 
 
 // ----------------------
@@ -240,13 +464,11 @@ let GUILD_CONFIGS = readJsonSafe(GUILD_CFG_FILE, {});
 // ⚠️ Payments (LTC etc.) are not automatically verifiable inside this bot.
 // Use a manual license key flow: you generate a key, user redeems it with ?premium-redeem <key>.
 // This keeps things simple + avoids fake "payment verification" logic.
-const PREMIUM_FILE = path.join(DATA_DIR, "premiumGuilds.json");
-const PREMIUM_KEYS_FILE = path.join(DATA_DIR, "premiumKeys.json");
 
 // premium state: { [guildId]: { isPremium: true, activatedAt: ISO, branding: { name, iconUrl, accent } } }
-let PREMIUM_GUILDS = readJsonSafe(PREMIUM_FILE, {});
+let PREMIUM_GUILDS = STORE.load("premiumGuilds", {});
 // keys state: { [key]: { createdAt: ISO, used: boolean, usedByGuildId: string|null, usedAt: ISO|null } }
-let PREMIUM_KEYS = readJsonSafe(PREMIUM_KEYS_FILE, {});
+let PREMIUM_KEYS = STORE.load("premiumKeys", {});
 
 // Who can generate premium keys (bot owner(s))
 // Set OWNER_IDS in .env: OWNER_IDS=123,456
@@ -412,8 +634,7 @@ function ensurePremiumActiveOrExpire(guildId){
   const ms = Date.parse(s.expiresAt);
   if (!Number.isFinite(ms)) return;
   if (Date.now() > ms){
-    PREMIUM_GUILDS[guildId] = { ...s, isPremium:false };
-    writeJsonSafe(PREMIUM_FILE, PREMIUM_GUILDS);
+    STORE.set("premiumGuilds", guildId, { ...s, isPremium:false });
   }
 }
 
@@ -469,7 +690,9 @@ function getPremiumState(guildId){
       botNickname: (typeof features.botNickname === "string") ? features.botNickname : null,
       transcripts: !!features.transcripts,
       transcriptChannelId: (typeof features.transcriptChannelId === "string") ? features.transcriptChannelId : null,
-      autoCloseMinutes: Number.isFinite(features.autoCloseMinutes) ? features.autoCloseMinutes : 0,
+      transcriptFormat: TRANSCRIPT_FORMATS.includes(features.transcriptFormat) ? features.transcriptFormat : "txt", // HTML is opt-in
+      autoCloseMinutes: Number.isFinite(features.autoCloseMinutes) ? features.autoCloseMinutes : 0, // hard cap after creation
+      autoCloseInactiveMinutes: Number.isFinite(features.autoCloseInactiveMinutes) ? features.autoCloseInactiveMinutes : 0,
       customCloseReasons: Array.isArray(features.customCloseReasons) ? features.customCloseReasons : [],
       autoTagClaims: !!features.autoTagClaims,
       prioritySupport: !!features.prioritySupport
@@ -486,8 +709,7 @@ function savePremiumState(guildId, patch){
     features: { ...(raw.features || {}), ...((patch && patch.features) || {}) }
   };
   if (typeof nextRaw.isPremium !== "boolean") nextRaw.isPremium = !!raw.isPremium;
-  PREMIUM_GUILDS[guildId] = nextRaw;
-  writeJsonSafe(PREMIUM_FILE, PREMIUM_GUILDS);
+  STORE.set("premiumGuilds", guildId, nextRaw);
   return getPremiumState(guildId);
 }
 
@@ -547,7 +769,15 @@ function uniq(arr){
 }
 
 function renderTicketPingMention(guildId, ticketType){
-  // ticketType: "support" | "trade"
+  // ticketType: "support" | "trade" use the premium ping settings; custom types carry their own ping roles
+  const key = String(ticketType || "").toLowerCase();
+  if (!BUILTIN_TICKET_TYPES.includes(key)) {
+    const custom = getTicketType(guildId, key);
+    if (custom && (custom.pingRoles.length || custom.pingHere)) {
+      return uniq([...(custom.pingHere ? ["@here"] : []), ...custom.pingRoles.map(id => `<@&${id}>`)]).join(" ");
+    }
+  }
+
   const p = getPremiumState(guildId);
   if (!p.isPremium) return "@here";
 
@@ -564,6 +794,220 @@ function renderTicketPingMention(guildId, ticketType){
   return out || "@here";
 }
 
+// ----------------------
+// Transcripts (full history, HTML and/or TXT)
+// ----------------------
+const TRANSCRIPT_FORMATS = ["html", "txt", "both"];
+const TRANSCRIPT_MAX_MESSAGES = 50000; // hard safety cap; the header says so if it is ever hit
+const TRANSCRIPT_MAX_BYTES = 8 * 1024 * 1024; // stay under Discord's upload limit
+
+// Shared by the HTML transcripts and the dashboard
+function escapeHtml(s) {
+  return String(s ?? "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// Last `max` bytes of a UTF-8 buffer, starting on a character boundary
+function tailUtf8(buf, max) {
+  let start = Math.max(0, buf.length - max);
+  while (start < buf.length && (buf[start] & 0xC0) === 0x80) start++;
+  return buf.subarray(start);
+}
+
+// Page backwards through the whole channel (100 per request) and return messages oldest → newest.
+async function fetchAllChannelMessages(channel, max = TRANSCRIPT_MAX_MESSAGES) {
+  const out = [];
+  let before;
+  while (out.length < max) {
+    const batch = await channel.messages.fetch({ limit: 100, ...(before ? { before } : {}) });
+    if (!batch.size) break;
+    out.push(...batch.values());
+    before = batch.last().id;
+    if (batch.size < 100) break;
+  }
+  out.sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+  return { messages: out, truncated: out.length >= max };
+}
+
+function transcriptMeta(channel, closedByTag, reason) {
+  const record = findTicketRecord(channel);
+  const topic = parseTopic(channel.topic);
+  return {
+    guildName: channel.guild.name,
+    channelName: channel.name,
+    channelId: channel.id,
+    ticket: record ? formatTicketNumber(record.id) : null,
+    type: record?.type || null,
+    openerId: record?.openerId || topic.opened || null,
+    claimedBy: record?.claimedBy || topic.claimed || null,
+    createdAt: record?.createdAt || (channel.createdAt ? channel.createdAt.toISOString() : null),
+    closedBy: closedByTag,
+    reason: reason || null,
+    // Transcripts only go to staff channels, so private notes are included
+    notes: Array.isArray(record?.notes) ? record.notes : [],
+    deal: record?.deal || null,
+    fee: record?.fee || null,
+    generatedAt: new Date().toISOString()
+  };
+}
+
+function userLabel(guild, id) {
+  if (!id) return "—";
+  const u = guild.client.users.cache.get(id);
+  return u ? `${u.tag} (${id})` : id;
+}
+
+function renderTranscriptText(channel, messages, meta, truncated) {
+  const lines = [];
+  lines.push(`Transcript for #${meta.channelName} (${meta.channelId})${meta.ticket ? ` — Ticket ${meta.ticket}` : ""}`);
+  if (meta.type) lines.push(`Type: ${meta.type}`);
+  lines.push(`Opened by: ${userLabel(channel.guild, meta.openerId)}${meta.createdAt ? ` at ${meta.createdAt}` : ""}`);
+  lines.push(`Claimed by: ${userLabel(channel.guild, meta.claimedBy)}`);
+  lines.push(`Closed by: ${meta.closedBy}${meta.reason ? " | Reason: " + meta.reason : ""}`);
+  lines.push(`Generated: ${meta.generatedAt} | Messages: ${messages.length}${truncated ? ` (capped at ${TRANSCRIPT_MAX_MESSAGES}, oldest messages missing)` : ""}`);
+  if (meta.notes.length) {
+    lines.push("----");
+    lines.push(`Staff notes (${meta.notes.length}):`);
+    for (const n of meta.notes) lines.push(`[${n.at}] ${userLabel(channel.guild, n.authorId)}: ${n.text.replace(/\n/g, "\n    ")}`);
+  }
+  if (meta.deal) {
+    lines.push("----");
+    lines.push(...renderDealTranscriptLines(meta.deal));
+  }
+  if (meta.fee) lines.push(renderFeeTranscriptLine(meta.fee));
+  lines.push("----");
+  for (const m of messages) {
+    const ts = new Date(m.createdTimestamp).toISOString();
+    const author = m.author ? `${m.author.tag}` : "Unknown";
+    const edited = m.editedTimestamp ? ` (edited ${new Date(m.editedTimestamp).toISOString()})` : "";
+    lines.push(`[${ts}] ${author}${edited}: ${(m.content || "").replace(/\n/g, "\n    ")}`);
+    for (const e of m.embeds || []) {
+      const parts = [e.title, e.description, ...(e.fields || []).map(f => `${f.name}: ${f.value}`)].filter(Boolean);
+      lines.push(`    [embed] ${parts.join(" | ").replace(/\n/g, " ")}`);
+    }
+    for (const a of (m.attachments ? m.attachments.values() : [])) {
+      lines.push(`    [attachment] ${a.name} — ${a.url}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// Turn Discord markup into safe HTML (escape first, then resolve mentions + a little markdown).
+function renderTranscriptContent(guild, message, text) {
+  let html = escapeHtml(text || "");
+  html = html.replace(/&lt;@!?(\d{17,20})&gt;/g, (_, id) => {
+    const u = message.mentions?.users?.get(id) || guild.client.users.cache.get(id);
+    return `<span class="mention">@${escapeHtml(u ? u.username : id)}</span>`;
+  });
+  html = html.replace(/&lt;@&amp;(\d{17,20})&gt;/g, (_, id) => {
+    const r = guild.roles.cache.get(id);
+    return `<span class="mention">@${escapeHtml(r ? r.name : id)}</span>`;
+  });
+  html = html.replace(/&lt;#(\d{17,20})&gt;/g, (_, id) => {
+    const c = guild.channels.cache.get(id);
+    return `<span class="mention">#${escapeHtml(c ? c.name : id)}</span>`;
+  });
+  html = html
+    .replace(/```([\s\S]*?)```/g, "<pre>$1</pre>")
+    .replace(/`([^`\n]+)`/g, "<code>$1</code>")
+    .replace(/\*\*([^*\n]+)\*\*/g, "<b>$1</b>")
+    .replace(/\n/g, "<br>");
+  return html;
+}
+
+function renderTranscriptHtml(channel, messages, meta, truncated) {
+  const guild = channel.guild;
+  const rows = messages.map(m => {
+    const author = m.author;
+    const avatar = author ? author.displayAvatarURL({ extension: "png", size: 64 }) : "";
+    const name = author ? (m.member?.displayName || author.username) : "Unknown";
+    const edited = m.editedTimestamp ? ` <span class="muted" title="${escapeHtml(new Date(m.editedTimestamp).toISOString())}">(edited)</span>` : "";
+    const reply = m.reference?.messageId ? `<div class="muted small">↪ reply to <a href="#m-${escapeHtml(m.reference.messageId)}">message</a></div>` : "";
+
+    const embeds = (m.embeds || []).map(e => {
+      const color = e.hexColor || "#4f545c";
+      const fields = (e.fields || []).map(f =>
+        `<div class="field${f.inline ? " inline" : ""}"><div class="fname">${renderTranscriptContent(guild, m, f.name)}</div><div>${renderTranscriptContent(guild, m, f.value)}</div></div>`
+      ).join("");
+      return `<div class="embed" style="border-color:${escapeHtml(color)}">` +
+        (e.author?.name ? `<div class="small">${escapeHtml(e.author.name)}</div>` : "") +
+        (e.title ? `<div class="etitle">${e.url ? `<a href="${escapeHtml(e.url)}">${escapeHtml(e.title)}</a>` : escapeHtml(e.title)}</div>` : "") +
+        (e.description ? `<div>${renderTranscriptContent(guild, m, e.description)}</div>` : "") +
+        (fields ? `<div class="fields">${fields}</div>` : "") +
+        (e.image?.url ? `<img class="eimg" src="${escapeHtml(e.image.url)}" alt="">` : "") +
+        (e.footer?.text ? `<div class="small muted">${escapeHtml(e.footer.text)}</div>` : "") +
+        `</div>`;
+    }).join("");
+
+    const attachments = Array.from(m.attachments ? m.attachments.values() : []).map(a => {
+      const isImage = String(a.contentType || "").startsWith("image/");
+      return `<div class="att">${isImage ? `<a href="${escapeHtml(a.url)}"><img src="${escapeHtml(a.url)}" alt="${escapeHtml(a.name)}"></a><br>` : ""}` +
+        `📎 <a href="${escapeHtml(a.url)}">${escapeHtml(a.name)}</a> <span class="muted">(${Math.ceil((a.size || 0) / 1024)} KB)</span></div>`;
+    }).join("");
+
+    const stickers = Array.from(m.stickers ? m.stickers.values() : []).map(st => `<div class="muted">[sticker: ${escapeHtml(st.name)}]</div>`).join("");
+
+    return `<div class="msg" id="m-${escapeHtml(m.id)}">` +
+      (avatar ? `<img class="avatar" src="${escapeHtml(avatar)}" alt="">` : `<div class="avatar"></div>`) +
+      `<div class="body">${reply}<div><span class="author">${escapeHtml(name)}</span>${author?.bot ? ` <span class="tag">BOT</span>` : ""} ` +
+      `<span class="muted small" title="${escapeHtml(author ? author.tag : "")}">${escapeHtml(new Date(m.createdTimestamp).toISOString().replace("T", " ").slice(0, 19))} UTC</span>${edited}</div>` +
+      (m.content ? `<div class="content">${renderTranscriptContent(guild, m, m.content)}</div>` : "") +
+      embeds + attachments + stickers +
+      `</div></div>`;
+  }).join("\n");
+
+  const metaRows = [
+    ["Server", meta.guildName],
+    ["Channel", `#${meta.channelName} (${meta.channelId})`],
+    ...(meta.ticket ? [["Ticket", meta.ticket]] : []),
+    ...(meta.type ? [["Type", meta.type]] : []),
+    ["Opened by", userLabel(guild, meta.openerId)],
+    ...(meta.createdAt ? [["Opened at", meta.createdAt]] : []),
+    ["Claimed by", userLabel(guild, meta.claimedBy)],
+    ["Closed by", meta.closedBy],
+    ...(meta.reason ? [["Reason", meta.reason]] : []),
+    ...(meta.fee ? [["Fee", renderFeeTranscriptLine(meta.fee).replace(/^Fee: /, "")]] : []),
+    ["Messages", `${messages.length}${truncated ? ` (capped at ${TRANSCRIPT_MAX_MESSAGES}, oldest messages missing)` : ""}`],
+    ["Generated", meta.generatedAt]
+  ].map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join("");
+
+  const notes = meta.notes.length
+    ? `<h2>🗒️ Staff notes</h2>` + meta.notes.map(n =>
+      `<div class="note"><span class="author">${escapeHtml(userLabel(guild, n.authorId))}</span> ` +
+      `<span class="muted small">${escapeHtml(n.at.replace("T", " ").slice(0, 19))} UTC</span><div>${escapeHtml(n.text).replace(/\n/g, "<br>")}</div></div>`
+    ).join("")
+    : "";
+  const deal = meta.deal ? `<h2>🤝 Deal</h2><pre>${escapeHtml(renderDealTranscriptLines(meta.deal).join("\n"))}</pre>` : "";
+
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>Transcript #${escapeHtml(meta.channelName)}</title>
+<style>
+body{margin:0;background:#313338;color:#dbdee1;font:15px/1.4 "gg sans","Segoe UI",Arial,sans-serif}
+header{padding:16px 20px;background:#2b2d31;border-bottom:1px solid #1e1f22}
+header h1{margin:0 0 8px;font-size:18px}header h2{margin:12px 0 6px;font-size:15px}
+.note{margin-top:6px;padding:6px 10px;background:#3a3324;border-left:4px solid #f0b232;border-radius:4px;max-width:720px}
+table{border-collapse:collapse}th{text-align:left;padding:2px 12px 2px 0;color:#949ba4;font-weight:600}td{padding:2px 0}
+.msg{display:flex;gap:12px;padding:6px 20px}.msg:hover{background:#2e3035}
+.avatar{width:40px;height:40px;border-radius:50%;flex:none;background:#5865f2}
+.body{min-width:0}.author{font-weight:600;color:#f2f3f5}.tag{background:#5865f2;color:#fff;font-size:10px;padding:1px 4px;border-radius:3px}
+.muted{color:#949ba4}.small{font-size:12px}.content{white-space:normal;word-wrap:break-word}
+.mention{background:rgba(88,101,242,.3);color:#c9cdfb;border-radius:3px;padding:0 2px}
+.embed{margin-top:4px;padding:8px 12px;background:#2b2d31;border-left:4px solid;border-radius:4px;max-width:520px}
+.etitle{font-weight:600;margin-bottom:4px}.fields{display:flex;flex-wrap:wrap;gap:8px;margin-top:6px}.field{flex:1 1 100%}.field.inline{flex:1 1 30%}.fname{font-weight:600}
+.eimg,.att img{max-width:400px;max-height:300px;border-radius:4px;margin-top:4px}.att{margin-top:4px}
+pre,code{background:#1e1f22;border-radius:3px;padding:2px 4px}pre{padding:8px;white-space:pre-wrap}
+a{color:#00a8fc}
+</style></head>
+<body><header><h1>📄 Ticket Transcript</h1><table>${metaRows}</table>${notes}${deal}</header>
+<main>
+${rows}
+</main></body></html>`;
+}
+
 async function sendTranscriptIfEnabled(channel, closedByTag, reason){
   try{
     if (!channel?.guild) return;
@@ -578,35 +1022,50 @@ async function sendTranscriptIfEnabled(channel, closedByTag, reason){
     if (!dest) dest = await channel.guild.channels.fetch(destId).catch(() => null);
     if (!dest || dest.type !== ChannelType.GuildText) return;
 
-    const msgs = await channel.messages.fetch({ limit: 100 }).catch(() => null);
-    const lines = [];
-    lines.push(`Transcript for #${channel.name} (${channel.id})`);
-    lines.push(`Closed by: ${closedByTag}${reason ? " | Reason: " + reason : ""}`);
-    lines.push(`Generated: ${new Date().toISOString()}`);
-    lines.push("----");
-    if (msgs) {
-      const arr = Array.from(msgs.values()).reverse();
-      for (const m of arr) {
-        const ts = new Date(m.createdTimestamp).toISOString();
-        const author = m.author ? `${m.author.tag}` : "Unknown";
-        const content = (m.content || "").replace(/\n/g, " ");
-        lines.push(`[${ts}] ${author}: ${content}`);
-      }
+    const meta = transcriptMeta(channel, closedByTag, reason);
+    const fetched = await fetchAllChannelMessages(channel).catch((e) => {
+      console.error("[transcript] fetch failed:", e);
+      return null;
+    });
+
+    const files = [];
+    let note = "";
+    if (!fetched) {
+      files.push({ attachment: Buffer.from(renderTranscriptText(channel, [], meta, false) + "\n(Could not fetch messages)", "utf8"), name: `transcript-${channel.id}.txt` });
     } else {
-      lines.push("(Could not fetch messages)");
+      const format = p.features.transcriptFormat;
+      const txt = Buffer.from(renderTranscriptText(channel, fetched.messages, meta, fetched.truncated), "utf8");
+
+      if (format === "html" || format === "both") {
+        const html = Buffer.from(renderTranscriptHtml(channel, fetched.messages, meta, fetched.truncated), "utf8");
+        if (html.length <= TRANSCRIPT_MAX_BYTES) {
+          files.push({ attachment: html, name: `transcript-${channel.id}.html` });
+        } else {
+          note = "\n⚠️ HTML transcript was too large to upload — sent as .txt instead.";
+        }
+      }
+      if (format === "txt" || format === "both" || note) {
+        files.push({ attachment: txt.length <= TRANSCRIPT_MAX_BYTES ? txt : tailUtf8(txt, TRANSCRIPT_MAX_BYTES), name: `transcript-${channel.id}.txt` });
+        if (txt.length > TRANSCRIPT_MAX_BYTES) note += "\n⚠️ Text transcript exceeded the upload limit; only the newest part is attached.";
+      }
+      if (fetched.truncated) note += `\n⚠️ Channel has more than ${TRANSCRIPT_MAX_MESSAGES} messages; the oldest ones are missing.`;
     }
 
-    const buf = Buffer.from(lines.join("\n"), "utf8");
-    const filename = `transcript-${channel.id}.txt`;
-
     const embed = new EmbedBuilder()
       .setTitle("📄 Ticket Transcript")
-      .setDescription(`Channel: <#${channel.id}>\nClosed by: **${closedByTag}**${reason ? `\nReason: **${reason}**` : ""}`)
+      .setDescription(
+        `Channel: <#${channel.id}>${meta.ticket ? ` • Ticket **${meta.ticket}**` : ""}\n` +
+        `Closed by: **${closedByTag}**${reason ? `\nReason: **${reason}**` : ""}` +
+        (fetched ? `\nMessages: **${fetched.messages.length}**` : "") + note
+      )
       .setTimestamp();
 
     applyBranding(embed, channel.guild.id);
 
-    await dest.send({ embeds: [embed], files: [{ attachment: buf, name: filename }] }).catch(() => {});
+    const sent = await dest.send({ embeds: [embed], files }).catch(() => null);
+    // Linked from /history and the dashboard
+    const record = findTicketRecord(channel);
+    if (sent && record) updateTicketRecord(record.guildId, record.id, { transcriptUrl: sent.url });
   }catch(e){
     console.error("sendTranscriptIfEnabled error:", e);
   }
@@ -631,7 +1090,7 @@ function sanitizeChannelName(name){
 function normalizeMinutes(n){
   const x = Number(n);
   if (!Number.isFinite(x) || x < 0) return 0;
-  return Math.min(1440, Math.floor(x)); // max 24h
+  return Math.min(10080, Math.floor(x)); // max 7 days
 }
 
 function isRoleInGuild(guild, roleId){
@@ -650,8 +1109,8 @@ function getPremiumFeaturesText(guildId){
   if (!p.isPremium) return lines.join("\n");
   lines.push(`Brand name: **${p.branding.name}**`);
   lines.push(`Ping mode: **${f.pingMode}**${f.pingMode==="role" && f.pingRoleId ? ` (<@&${f.pingRoleId}>)` : ""}`);
-  lines.push(`Auto-close: **${f.autoCloseMinutes ? f.autoCloseMinutes + " min" : "OFF"}**`);
-  lines.push(`Transcripts: **${f.transcripts ? "ON" : "OFF"}**${f.transcriptChannelId ? ` → <#${f.transcriptChannelId}>` : ""}`);
+  lines.push(`Auto-close: inactive **${f.autoCloseInactiveMinutes ? f.autoCloseInactiveMinutes + " min" : "OFF"}** • cap **${f.autoCloseMinutes ? f.autoCloseMinutes + " min" : "OFF"}**`);
+  lines.push(`Transcripts: **${f.transcripts ? "ON" : "OFF"}** (${f.transcriptFormat.toUpperCase()})${f.transcriptChannelId ? ` → <#${f.transcriptChannelId}>` : ""}`);
   lines.push(`Welcome msg: **${f.welcomeMessage ? "set" : "not set"}**`);
   lines.push(`Ticket name template: \`${f.ticketNameTemplate}\``);
   return lines.join("\n");
@@ -678,6 +1137,35 @@ function getDefaultConfig() {
     mmRoles: [],
     adminRoles: [],
 
+    // Ticket types (built-in support/trade + custom ones); see normalizeTicketTypeList
+    ticketTypes: [],
+
+    // Closing: "delete" removes the channel, "archive" locks + moves it so staff can /reopen
+    closeMode: "delete",
+    archiveCategoryId: null,
+    archiveRetentionDays: 7, // 0 = keep archived tickets forever
+    closeConfirmSeconds: 0, // >0 = staff get a Confirm/Cancel countdown before the ticket closes
+    slaFirstResponseMinutes: 0, // >0 = log a warning when no staff reply arrives within X minutes
+
+    // Ratings after close: "off", "dm" (summary + stars by DM) or "channel" (stars in the ticket, close waits)
+    ratingMode: "off",
+    ratingTimeoutSeconds: 120, // channel mode: how long the close waits for the opener
+
+    // Middleman fees for /fee, see the Middleman fees section (rule null = no fee schedule)
+    feeSchedule: {
+      currency: "$",
+      rule: null,
+      overrides: {}, // trade type (lowercase) -> rule
+      payer: null // used when neither /fee nor the deal says who pays: "a" | "b" | "split"
+    },
+
+    // Per-user limits (0 = no limit): open tickets overall, open tickets of one type, seconds between openings
+    ticketLimits: {
+      perUser: 0,
+      perType: 0,
+      cooldownSeconds: 0
+    },
+
     // Panel text (premium-only editing; still stored here per guild)
     panelText: {
       supportDescription: null,
@@ -738,7 +1226,10 @@ function getGuildConfig(guildId) {
     panelUI: { ...def.panelUI, ...(saved.panelUI || {}), support: { ...(def.panelUI?.support||{}), ...((saved.panelUI||{}).support||{}) }, trade: { ...(def.panelUI?.trade||{}), ...((saved.panelUI||{}).trade||{}) } },
     supportRoles: normalizeArray(saved.supportRoles ?? def.supportRoles),
     mmRoles: normalizeArray(saved.mmRoles ?? def.mmRoles),
-    adminRoles: normalizeArray(saved.adminRoles ?? def.adminRoles)
+    adminRoles: normalizeArray(saved.adminRoles ?? def.adminRoles),
+    ticketTypes: normalizeTicketTypeList(saved.ticketTypes),
+    ticketLimits: { ...def.ticketLimits, ...(saved.ticketLimits || {}) },
+    feeSchedule: { ...def.feeSchedule, ...(saved.feeSchedule || {}) }
   };
 }
 
@@ -776,6 +1267,14 @@ async function ensureDefaultSetup(guild, needs = { support: false, trade: false,
     if (!v.ok) return { ok: false, reason: v.reason };
   }
 
+  if (needs.type) {
+    const t = getTicketType(guild.id, needs.type);
+    if (!t) return { ok: false, reason: "UNKNOWN_TYPE" };
+    if (!t.enabled) return { ok: false, reason: "TYPE_DISABLED" };
+    const v = await validateCategory(t.categoryId, "TYPE");
+    if (!v.ok) return { ok: false, reason: v.reason };
+  }
+
   if (needs.logs) {
     if (!cfg.logsEnabled) return { ok: true, cfg }; // logs are optional; disabled means "skip"
     const v = await validateTextChannel(cfg.logChannelId, "LOG");
@@ -808,23 +1307,6 @@ function isOwnerOrAdmin(message) {
 
 
 
-// Debounced config save: prevents spam writes (reduces Interaction timeouts)
-let _cfgSaveTimer = null;
-let _cfgDirty = false;
-
-function scheduleConfigSave() {
-  _cfgDirty = true;
-  if (_cfgSaveTimer) clearTimeout(_cfgSaveTimer);
-  _cfgSaveTimer = setTimeout(() => {
-    _cfgSaveTimer = null;
-    if (!_cfgDirty) return;
-    _cfgDirty = false;
-    if (DISK_FULL) return; // keep in memory until disk has space
-    // Async write so ENOSPC / slow disks don't freeze the bot and cause interaction timeouts
-    writeJsonSafeAsync(GUILD_CFG_FILE, GUILD_CONFIGS).catch(() => {});
-  }, 250);
-}
-
 function saveGuildConfig(guildId, patch) {
   const current = getGuildConfig(guildId);
   const next = {
@@ -837,24 +1319,259 @@ function saveGuildConfig(guildId, patch) {
   if ("mmRoles" in patch) next.mmRoles = normalizeArray(patch.mmRoles);
   if ("adminRoles" in patch) next.adminRoles = normalizeArray(patch.adminRoles);
 
-  GUILD_CONFIGS[guildId] = next;
-  scheduleConfigSave();
+  // Persisted through the storage driver (batched async for JSON, per-guild row for SQLite)
+  STORE.set("guildConfigs", guildId, next);
 return next;
 }
 
+// ----------------------
+// Ticket registry (per-guild sequential ticket numbers)
+// ----------------------
+// The channel topic only carries opener/claimer/ticket number. Everything else lives here,
+// so staff can still look a ticket up after its channel was deleted.
+// tickets state: { ["<guildId>:<ticketId>"]: { id, guildId, channelId, openerId, type, status, ... } }
+let TICKETS = STORE.load("tickets", {});
+
+function ticketKey(guildId, ticketId) {
+  return `${guildId}:${ticketId}`;
+}
+
+// channelId -> key of the newest record for that channel, so findTicketRecord never scans every ticket
+const TICKET_CHANNEL_INDEX = new Map();
+
+function indexTicketChannel(record) {
+  if (!record?.channelId) return;
+  const key = TICKET_CHANNEL_INDEX.get(record.channelId);
+  const current = key ? TICKETS[key] : null;
+  if (current && current.channelId === record.channelId && current.id > record.id) return;
+  TICKET_CHANNEL_INDEX.set(record.channelId, ticketKey(record.guildId, record.id));
+}
+
+for (const rec of Object.values(TICKETS)) indexTicketChannel(rec);
+
+function nextTicketId(guildId) {
+  const prefix = `${guildId}:`;
+  let max = 0;
+  for (const key of Object.keys(TICKETS)) {
+    if (!key.startsWith(prefix)) continue;
+    const n = Number(key.slice(prefix.length));
+    if (Number.isFinite(n) && n > max) max = n;
+  }
+  return max + 1;
+}
+
+function formatTicketNumber(ticketId) {
+  return `#${String(ticketId).padStart(4, "0")}`;
+}
+
+function getTicketRecord(guildId, ticketId) {
+  if (!guildId || !ticketId) return null;
+  return TICKETS[ticketKey(guildId, ticketId)] || null;
+}
+
+function createTicketRecord(guildId, data) {
+  const id = nextTicketId(guildId);
+  const record = {
+    id,
+    guildId,
+    channelId: data.channelId || null,
+    channelName: data.channelName || null,
+    openerId: data.openerId || null,
+    type: data.type || "support",
+    categoryId: data.categoryId || null,
+    status: "open",
+    claimedBy: data.claimedBy || null,
+    // [{ action: "claim" | "unclaim" | "transfer", userId, at }] (transfer also stores from/by)
+    claimHistory: [],
+    // [{ userId | roleId, addedBy, at }]
+    participants: [],
+    // Modal answers keyed by question id (player, details, q1, ...) + the labels asked at the time
+    answers: data.answers || {},
+    questions: data.questions || [],
+    // low | normal | high | urgent (premium prioritySupport) + [{ from, to, userId, at }]
+    priority: data.priority || "normal",
+    priorityHistory: [],
+    // SLA timestamps (opened = createdAt, closed = closedAt); null for adopted legacy tickets
+    sla: data.adopted ? null : { firstResponseAt: null, firstResponderId: null, claimedAt: null, breachedAt: null },
+    // Opener ratings: { service?, staff? } (see the Ratings section)
+    ratings: {},
+    // Staff-only notes: [{ id, authorId, text, at }] (see the Staff notes section)
+    notes: [],
+    // The embed with the Claim/Close buttons (trade tickets post more messages after it)
+    openingMessageId: null,
+    // Message link of the transcript upload (premium transcripts)
+    transcriptUrl: null,
+    // Trade tickets: structured deal + audit trail (see the Trade deals section)
+    deal: null,
+    // Trade tickets: { input, userId, status, at } (see the Second party section)
+    secondParty: null,
+    // Last /fee result: { amount, fee, payer, type, currency, by, at }
+    fee: null,
+    createdAt: data.createdAt || new Date().toISOString(),
+    closedAt: null,
+    closedBy: null,
+    closeReason: null
+  };
+  STORE.set("tickets", ticketKey(guildId, id), record);
+  indexTicketChannel(record);
+  return record;
+}
+
+function updateTicketRecord(guildId, ticketId, patch) {
+  const current = getTicketRecord(guildId, ticketId);
+  if (!current) return null;
+  const next = { ...current, ...patch };
+  STORE.set("tickets", ticketKey(guildId, ticketId), next);
+  indexTicketChannel(next);
+  return next;
+}
+
+// Find the registry entry for a ticket channel.
+// Prefers the ticket number stored in the topic, then falls back to the channel id.
+function findTicketRecord(channel) {
+  if (!channel?.guild) return null;
+  const t = parseTopic(channel.topic);
+  const byTopic = getTicketRecord(channel.guild.id, t.ticket);
+  if (byTopic && byTopic.channelId === channel.id) return byTopic;
+
+  const rec = TICKETS[TICKET_CHANNEL_INDEX.get(channel.id)];
+  return rec && rec.guildId === channel.guild.id && rec.channelId === channel.id ? rec : null;
+}
+
+// Tickets opened before the registry existed only have a topic.
+// Register them the first time staff touch them so claims/adds are still recorded.
+// (We don't rewrite the topic here: Discord only allows 2 topic edits per 10 minutes,
+// and the channel-id fallback in findTicketRecord already finds adopted tickets.)
+async function getOrAdoptTicketRecord(channel) {
+  const existing = findTicketRecord(channel);
+  if (existing) return existing;
+  if (!channel?.guild || !isTicketChannel(channel)) return null;
+
+  const t = parseTopic(channel.topic);
+  const record = createTicketRecord(channel.guild.id, {
+    channelId: channel.id,
+    channelName: channel.name,
+    openerId: t.opened,
+    type: getTicketTypeByCategory(channel.guild.id, channel.parentId)?.key || "support",
+    categoryId: channel.parentId || null,
+    claimedBy: t.claimed,
+    createdAt: channel.createdAt ? channel.createdAt.toISOString() : undefined,
+    adopted: true
+  });
+  return record;
+}
+
+// Open tickets of one user (registry first; topic-only legacy tickets are adopted on the way).
+// Records whose channel is gone get closed so they stop counting against the user.
+async function getOpenTicketsForUser(guild, userId) {
+  const open = [];
+  for (const rec of Object.values(TICKETS)) {
+    if (rec.guildId !== guild.id || rec.openerId !== userId || rec.status !== "open") continue;
+    if (!guild.channels.cache.has(rec.channelId)) {
+      updateTicketRecord(guild.id, rec.id, { status: "closed", closedAt: new Date().toISOString(), closeReason: "Channel deleted" });
+      continue;
+    }
+    open.push(rec);
+  }
+
+  for (const ch of guild.channels.cache.values()) {
+    if (ch.type !== ChannelType.GuildText || parseTopic(ch.topic).opened !== userId) continue;
+    if (open.some(r => r.channelId === ch.id)) continue;
+    const rec = await getOrAdoptTicketRecord(ch).catch(() => null);
+    if (rec && rec.status === "open" && rec.openerId === userId) open.push(rec);
+  }
+  return open;
+}
+
+// Only the first claim counts for the SLA numbers
+function firstClaimPatch(record) {
+  if (!record.sla || record.sla.claimedAt) return {};
+  return { sla: { ...record.sla, claimedAt: new Date().toISOString() } };
+}
+
+function recordTicketClaim(record, action, userId) {
+  if (!record) return null;
+  const history = Array.isArray(record.claimHistory) ? record.claimHistory.slice() : [];
+  history.push({ action, userId, at: new Date().toISOString() });
+  return updateTicketRecord(record.guildId, record.id, {
+    claimedBy: action === "claim" ? userId : null,
+    claimHistory: history,
+    ...(action === "claim" ? firstClaimPatch(record) : {})
+  });
+}
+
+// Handoff keeps the ticket claimed the whole time (no unclaim/claim gap)
+function recordTicketTransfer(record, fromId, toId, byId) {
+  if (!record) return null;
+  const history = Array.isArray(record.claimHistory) ? record.claimHistory.slice() : [];
+  history.push({ action: "transfer", userId: toId, from: fromId || null, by: byId, at: new Date().toISOString() });
+  return updateTicketRecord(record.guildId, record.id, {
+    claimedBy: toId,
+    claimHistory: history,
+    ...firstClaimPatch(record)
+  });
+}
+
+function recordTicketParticipant(record, userId, addedBy) {
+  if (!record) return null;
+  const participants = Array.isArray(record.participants) ? record.participants.slice() : [];
+  if (participants.some(p => p.userId === userId)) return record;
+  participants.push({ userId, addedBy, at: new Date().toISOString() });
+  return updateTicketRecord(record.guildId, record.id, { participants });
+}
+
+function recordTicketParticipantRole(record, roleId, addedBy) {
+  if (!record) return null;
+  const participants = Array.isArray(record.participants) ? record.participants.slice() : [];
+  if (participants.some(p => p.roleId === roleId)) return record;
+  participants.push({ roleId, addedBy, at: new Date().toISOString() });
+  return updateTicketRecord(record.guildId, record.id, { participants });
+}
+
+// Drops a user or role entry (id = user or role id)
+function removeTicketParticipant(record, id) {
+  if (!record) return null;
+  const participants = (Array.isArray(record.participants) ? record.participants : []).filter(p => p.userId !== id && p.roleId !== id);
+  return updateTicketRecord(record.guildId, record.id, { participants });
+}
+
 // ----------------------
 // Slash Commands
 // ----------------------
 const commands = [
   new SlashCommandBuilder()
     .setName("add")
-    .setDescription("Add a user to the current ticket")
+    .setDescription("Add a user or role to the current ticket")
     .addUserOption(opt =>
       opt
         .setName("user")
         .setDescription("User to add")
-        .setRequired(true)
+        .setRequired(false)
+    )
+    .addRoleOption(opt =>
+      opt
+        .setName("role")
+        .setDescription("Role to add")
+        .setRequired(false)
+    ),
+  new SlashCommandBuilder()
+    .setName("remove")
+    .setDescription("Remove a user or role from the current ticket")
+    .addUserOption(opt =>
+      opt
+        .setName("user")
+        .setDescription("User to remove")
+        .setRequired(false)
+    )
+    .addRoleOption(opt =>
+      opt
+        .setName("role")
+        .setDescription("Role to remove")
+        .setRequired(false)
     ),
+  new SlashCommandBuilder()
+    .setName("participants")
+    .setDescription("List who has access to the current ticket"),
   ...(ENABLE_LEADERBOARD ? [
   new SlashCommandBuilder()
     .setName("toptrade")
@@ -880,6 +1597,169 @@ const commands = [
   new SlashCommandBuilder()
     .setName("unclaim")
     .setDescription("Unclaim the current ticket (Support/MM staff only)"),
+  new SlashCommandBuilder()
+    .setName("transfer")
+    .setDescription("Hand the current ticket to another staff member")
+    .addUserOption(opt =>
+      opt
+        .setName("staff")
+        .setDescription("Staff member who takes over")
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName("priority")
+    .setDescription("Set the priority of the current ticket (staff only)")
+    .addStringOption(opt =>
+      opt
+        .setName("level")
+        .setDescription("Priority level")
+        .setRequired(true)
+        .addChoices(
+          { name: "🔴 Urgent", value: "urgent" },
+          { name: "🟠 High", value: "high" },
+          { name: "⚪ Normal", value: "normal" },
+          { name: "🔵 Low", value: "low" }
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("stats")
+    .setDescription("Ticket and staff statistics (staff only)")
+    .addStringOption(opt =>
+      opt
+        .setName("type")
+        .setDescription("Only this ticket type")
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addIntegerOption(opt =>
+      opt
+        .setName("days")
+        .setDescription("How many days back (default 30)")
+        .setRequired(false)
+        .setMinValue(1)
+        .setMaxValue(365)
+    )
+    .addUserOption(opt =>
+      opt
+        .setName("staff")
+        .setDescription("Only this staff member")
+        .setRequired(false)
+    ),
+  new SlashCommandBuilder()
+    .setName("ratings")
+    .setDescription("Average ratings and recent feedback for this server (staff only)"),
+  new SlashCommandBuilder()
+    .setName("deal")
+    .setDescription("Post the deal panel of this trade ticket again"),
+  new SlashCommandBuilder()
+    .setName("fee")
+    .setDescription("Calculate the middleman fee from this server's fee schedule (staff only)")
+    .addStringOption(opt =>
+      opt
+        .setName("amount")
+        .setDescription("Trade value, e.g. 250, $1,200, 10k")
+        .setRequired(true)
+        .setMaxLength(40)
+    )
+    .addStringOption(opt =>
+      opt
+        .setName("type")
+        .setDescription("Trade type with its own fees (e.g. crypto)")
+        .setRequired(false)
+        .setAutocomplete(true)
+    )
+    .addStringOption(opt =>
+      opt
+        .setName("payer")
+        .setDescription("Who pays (default: the deal's fee payer)")
+        .setRequired(false)
+        .addChoices(
+          { name: "Side A", value: "a" },
+          { name: "Side B", value: "b" },
+          { name: "Split 50/50", value: "split" }
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("history")
+    .setDescription("List a user's past tickets in this server (staff only)")
+    .addUserOption(opt =>
+      opt
+        .setName("user")
+        .setDescription("User to look up")
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName("note")
+    .setDescription("Private staff notes on tickets")
+    .addSubcommand(sub =>
+      sub
+        .setName("add")
+        .setDescription("Add a note to this ticket (staff only, never shown to the opener)")
+        .addStringOption(opt => opt.setName("text").setDescription("Note").setRequired(true).setMaxLength(1000))
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName("list")
+        .setDescription("Show notes on this ticket and on the opener's other tickets")
+        .addUserOption(opt => opt.setName("user").setDescription("Show all notes about this user instead").setRequired(false))
+    ),
+  new SlashCommandBuilder()
+    .setName("snippet")
+    .setDescription("Canned responses for staff")
+    .addSubcommand(sub =>
+      sub
+        .setName("send")
+        .setDescription("Post a snippet in this channel")
+        .addStringOption(opt => opt.setName("name").setDescription("Snippet").setRequired(true).setAutocomplete(true))
+        .addUserOption(opt => opt.setName("user").setDescription("Who {user} refers to (default: ticket opener)").setRequired(false))
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName("create")
+        .setDescription("Create a snippet")
+        .addStringOption(opt => opt.setName("name").setDescription("Short name, e.g. payment-info").setRequired(true).setMaxLength(32))
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName("edit")
+        .setDescription("Edit a snippet")
+        .addStringOption(opt => opt.setName("name").setDescription("Snippet").setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName("delete")
+        .setDescription("Delete a snippet")
+        .addStringOption(opt => opt.setName("name").setDescription("Snippet").setRequired(true).setAutocomplete(true))
+    )
+    .addSubcommand(sub => sub.setName("list").setDescription("List all snippets")),
+  new SlashCommandBuilder()
+    .setName("blacklist")
+    .setDescription("Stop users or roles from opening tickets (admins only)")
+    .addSubcommand(sub =>
+      sub
+        .setName("add")
+        .setDescription("Blacklist a user or role")
+        .addUserOption(opt => opt.setName("user").setDescription("User to blacklist").setRequired(false))
+        .addRoleOption(opt => opt.setName("role").setDescription("Role to blacklist").setRequired(false))
+        .addStringOption(opt => opt.setName("reason").setDescription("Reason (optional)").setRequired(false).setMaxLength(200))
+        .addStringOption(opt => opt.setName("duration").setDescription("Users only: e.g. 12h, 7d, 2w (empty = permanent)").setRequired(false))
+    )
+    .addSubcommand(sub =>
+      sub
+        .setName("remove")
+        .setDescription("Remove a user or role from the blacklist")
+        .addUserOption(opt => opt.setName("user").setDescription("User to remove").setRequired(false))
+        .addRoleOption(opt => opt.setName("role").setDescription("Role to remove").setRequired(false))
+    )
+    .addSubcommand(sub => sub.setName("list").setDescription("Show the blacklist")),
+  new SlashCommandBuilder()
+    .setName("reopen")
+    .setDescription("Reopen an archived ticket (staff only)"),
+  new SlashCommandBuilder()
+    .setName("autoclose")
+    .setDescription("Control the auto-close timer of this ticket (staff only)")
+    .addSubcommand(sub => sub.setName("pause").setDescription("Stop this ticket from auto-closing"))
+    .addSubcommand(sub => sub.setName("resume").setDescription("Resume auto-close (timer restarts now)")),
 
 ].map(cmd => cmd.toJSON());
 
@@ -907,6 +1787,9 @@ client.once("clientReady", () => registerAllCommands().catch(console.error));
 client.once("ready", () => {
   registerAllCommands().catch(console.error);
   applyAllSavedNicknames().catch(()=>{});
+  startArchivePurgeLoop();
+  startAutoCloseScheduler();
+  startSlaScheduler();
   // Start dashboard AFTER the bot is ready
   startDashboardServer();
 });
@@ -943,16 +1826,18 @@ async function applyAllSavedNicknames(){
 }
 
 
-function makeTopic(openerId, claimerId = null) {
-  return `opened:${openerId};claimed:${claimerId ?? "null"}`;
+function makeTopic(openerId, claimerId = null, ticketId = null) {
+  const base = `opened:${openerId};claimed:${claimerId ?? "null"}`;
+  return ticketId ? `${base};ticket:${ticketId}` : base;
 }
 function parseTopic(topic) {
-  const def = { opened: null, claimed: null };
+  const def = { opened: null, claimed: null, ticket: null };
   if (!topic) return def;
   const parts = topic.split(";").map(p => p.split(":"));
   for (const [k, v] of parts) {
     if (k === "opened") def.opened = v || null;
     if (k === "claimed") def.claimed = v && v !== "null" ? v : null;
+    if (k === "ticket") def.ticket = v && /^\d+$/.test(v) ? Number(v) : null;
   }
   return def;
 }
@@ -963,36 +1848,20 @@ function isAdmin(member) {
   const list = Array.isArray(cfg.adminRoles) ? cfg.adminRoles : [];
   return member.roles.cache.some(r => list.includes(r.id));
 }
-function isSupport(member) {
-  const cfg = getGuildConfig(member.guild.id);
-  const list = Array.isArray(cfg.supportRoles) ? cfg.supportRoles : [];
-  return member.roles.cache.some(r => list.includes(r.id));
-}
-function isTradeStaff(member) {
-  const cfg = getGuildConfig(member.guild.id);
-  const list = Array.isArray(cfg.mmRoles) ? cfg.mmRoles : [];
-  return member.roles.cache.some(r => list.includes(r.id));
-}
 
 // who can manage (claim/close) a given ticket channel
 function canManageTicket(member, channel) {
   if (!channel || channel.type !== ChannelType.GuildText) return false;
   if (isAdmin(member)) return true;
 
-  const cfg = getGuildConfig(channel.guild.id);
   const parentId = channel.parentId;
 
-  // Support category: only support team (admins already handled)
-  if (parentId === cfg.supportCategoryId) {
-    return isSupport(member);
-  }
-
-  // Trade category: support + trade roles (admins already handled)
-  if (parentId === cfg.mmCategoryId) {
-    return isSupport(member) || isTradeStaff(member);
-  }
+  // Registry type first: archived tickets no longer sit in their original category
+  const record = findTicketRecord(channel);
+  const type = (record && getTicketType(channel.guild.id, record.type)) || getTicketTypeByCategory(channel.guild.id, parentId);
 
-  return false;
+  // Each type's staff roles (built-in Trade includes the support team; admins already handled)
+  return type ? memberHasAnyRole(member, type.staffRoles) : false;
 }
 
 
@@ -1008,10 +1877,11 @@ if (!member || !member.guild) return false;
 function isTicketChannel(channel){
   if (!channel || channel.type !== ChannelType.GuildText) return false;
 
+  // 0) Registered in the ticket registry (also covers archived tickets)
+  if (findTicketRecord(channel)) return true;
+
   // 1) Best signal: category IDs set by ?setup
-  const cfg = getGuildConfig(channel.guild.id);
-  if (cfg.supportCategoryId && channel.parentId === cfg.supportCategoryId) return true;
-  if (cfg.mmCategoryId && channel.parentId === cfg.mmCategoryId) return true;
+  if (getTicketTypeByCategory(channel.guild.id, channel.parentId)) return true;
 
   // 2) Topic marker (this bot writes it when opening tickets)
   const t = parseTopic(channel.topic);
@@ -1029,23 +1899,58 @@ function isTicketChannel(channel){
 }
 
 // central close logic (used by button + /close)
-async function closeTicket(channel, closedByMember, reason = null) {
+// opts.confirmation: how a countdown close ended ("confirmed" | "timeout") + who requested it
+// opts.automatic: closed by the bot (auto-close), so nobody waits for a channel rating
+async function closeTicket(channel, closedByMember, reason = null, opts = {}) {
   if (!channel || channel.type !== ChannelType.GuildText) return;
 
-  const { opened, claimed } = parseTopic(channel.topic);
+  const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+  // The topic is rate-limited and may lag behind the registry
+  const topic = parseTopic(channel.topic);
+  const opened = record?.openerId || topic.opened;
+  const claimed = record?.claimedBy || topic.claimed;
+
+  // Closing an already archived ticket removes it for good
+  if (record && record.status === "archived") {
+    await deleteArchivedTicket(channel, closedByMember, reason).catch(console.error);
+    return;
+  }
+
+  const cfg = getGuildConfig(channel.guild.id);
+  const archive = cfg.closeMode === "archive";
+
+  // Channel rating: the opener rates inside the ticket before it closes
+  if (cfg.ratingMode === "channel" && record && !opts.automatic) {
+    if (PENDING_RATINGS.has(channel.id)) return;
+    await waitForChannelRating(channel, record, claimed).catch(console.error);
+  }
+
+  if (record) {
+    updateTicketRecord(record.guildId, record.id, {
+      // archive mode: archiveTicketChannel flips the status once the channel is actually locked
+      ...(archive ? {} : { status: "closed" }),
+      channelName: channel.name,
+      closedAt: new Date().toISOString(),
+      closedBy: closedByMember.user.id,
+      closeReason: reason || null
+    });
+  }
 
-  // DM summary + rating buttons (disabled)
-  if (!DISABLE_CLOSE_DMS) {
-    await dmSummaryAndRating(opened, claimed, closedByMember.user.tag, reason).catch(() => {});
+  // DM summary + rating buttons
+  if (cfg.ratingMode === "dm" && opened) {
+    await dmSummaryAndRating(opened, claimed, closedByMember.user.tag, reason, record).catch(() => {});
   }
 
   const logEmbed = new EmbedBuilder()
     .setTitle(reason ? "🗑️ Ticket Closed (With Reason)" : "🗑️ Ticket Closed")
     .setColor("#e74c3c")
     .addFields(
+      ...(record ? [{ name: "Ticket", value: formatTicketNumber(record.id), inline: true }] : []),
       { name: "Channel", value: `${channel.name} (${channel.id})`, inline: true },
       { name: "Closed by", value: `${closedByMember.user.tag} (${closedByMember.user.id})`, inline: true },
       { name: "Claimed by", value: claimed ? `${claimed}` : "Not claimed", inline: true },
+      ...buildSlaLogFields(record && getTicketRecord(record.guildId, record.id)),
+      ...(opts.confirmation ? [{ name: "Confirmation", value: describeCloseConfirmation(opts), inline: false }] : []),
       ...(reason ? [{ name: "Reason", value: reason }] : [])
     )
     .setTimestamp();
@@ -1055,1497 +1960,4696 @@ async function closeTicket(channel, closedByMember, reason = null) {
   // Premium: optional transcript
   await sendTranscriptIfEnabled(channel, closedByMember.user.tag, reason).catch(() => {});
 
+  if (archive && record) {
+    const archived = await archiveTicketChannel(channel, record, closedByMember, reason).then(() => true).catch((e) => {
+      console.error("[archive] failed, deleting instead:", e);
+      return false;
+    });
+    if (archived) return;
+    updateTicketRecord(record.guildId, record.id, { status: "closed" });
+  }
+
   await channel.send(reason ? `✅ Ticket closed: **${reason}**` : "✅ Ticket will be closed.").catch(() => {});
   setTimeout(() => channel.delete().catch(() => {}), 2000);
 }
 
-// send to log channel if configured (no DM)
-async function sendLog(guild, embed) {
-  try {
-        const cfg = getGuildConfig(guild.id);
-    if (!cfg.logChannelId) return;
-    let logCh = guild.channels.cache.get(cfg.logChannelId);
-    if (!logCh) logCh = await guild.channels.fetch(cfg.logChannelId).catch(() => null);
-    if (!logCh) return;
-    await logCh.send({ embeds: [embed] }).catch(() => {});
-  } catch (e) {
-    console.error("sendLog error:", e);
-  }
+// ----------------------
+// Ticket limits (per user, per type, cooldown)
+// ----------------------
+// Guards against one user opening many tickets. TICKET_CREATE_LOCKS also blocks double submits
+// while the first channel is still being created.
+const TICKET_CREATE_LOCKS = new Set(); // "<guildId>:<userId>"
+
+function normalizeLimit(n, max) {
+  const x = Number(n);
+  if (!Number.isFinite(x) || x < 0) return 0;
+  return Math.min(max, Math.floor(x));
 }
 
-// Rating storage helper
-function addReviewForStaff(staffId, score) {
-  if (!REVIEWS.trade[staffId]) REVIEWS.trade[staffId] = { reviews: [], avg: 0, count: 0 };
-  REVIEWS.trade[staffId].reviews.push(score);
-  REVIEWS.trade[staffId].count = REVIEWS.trade[staffId].reviews.length;
-  const sum = REVIEWS.trade[staffId].reviews.reduce((a, b) => a + b, 0);
-  REVIEWS.trade[staffId].avg = +(sum / REVIEWS.trade[staffId].count).toFixed(2);
-  writeJsonSafe(REVIEWS_FILE, REVIEWS);
+// holdsLock: the caller already took TICKET_CREATE_LOCKS for this user (ticket creation)
+async function checkTicketLimits(guild, userId, typeKey, { holdsLock = false } = {}) {
+  if (!holdsLock && TICKET_CREATE_LOCKS.has(`${guild.id}:${userId}`)) return { ok: false, reason: "IN_PROGRESS" };
+
+  const lim = getGuildConfig(guild.id).ticketLimits;
+  const perUser = normalizeLimit(lim.perUser, 50);
+  // A type's own openLimit wins over the server-wide per-type limit
+  const perType = normalizeLimit(getTicketType(guild.id, typeKey)?.openLimit, 50) || normalizeLimit(lim.perType, 50);
+  const cooldown = normalizeLimit(lim.cooldownSeconds, 86400);
+
+  if (perUser || perType) {
+    const open = await getOpenTicketsForUser(guild, userId);
+    const sameType = open.filter(r => r.type === typeKey);
+    if (perType && sameType.length >= perType) return { ok: false, reason: "PER_TYPE", limit: perType, existing: sameType };
+    if (perUser && open.length >= perUser) return { ok: false, reason: "PER_USER", limit: perUser, existing: open };
+  }
+
+  if (cooldown) {
+    let last = 0;
+    for (const rec of Object.values(TICKETS)) {
+      if (rec.guildId !== guild.id || rec.openerId !== userId) continue;
+      last = Math.max(last, Date.parse(rec.createdAt) || 0);
+    }
+    const retryAt = last + cooldown * 1000;
+    if (retryAt > Date.now()) return { ok: false, reason: "COOLDOWN", retryAt };
+  }
+
+  return { ok: true };
 }
-function addReviewForService(score) {
-  const key = "global";
-  if (!REVIEWS.service[key]) REVIEWS.service[key] = { reviews: [], avg: 0, count: 0 };
-  REVIEWS.service[key].reviews.push(score);
-  REVIEWS.service[key].count = REVIEWS.service[key].reviews.length;
-  const sum = REVIEWS.service[key].reviews.reduce((a, b) => a + b, 0);
-  REVIEWS.service[key].avg = +(sum / REVIEWS.service[key].count).toFixed(2);
-  writeJsonSafe(REVIEWS_FILE, REVIEWS);
+
+function describeTicketLimit(res, typeName) {
+  const links = (res.existing || []).slice(0, 5).map(r => `<#${r.channelId}>`).join(", ");
+  if (res.reason === "IN_PROGRESS") return "⏳ Your ticket is already being created — give it a second.";
+  if (res.reason === "PER_TYPE") {
+    return `⚠️ You already have ${res.limit === 1 ? "an open" : `${res.limit} open`} **${typeName}** ticket${res.limit === 1 ? "" : "s"}: ${links}\nPlease continue there.`;
+  }
+  if (res.reason === "PER_USER") {
+    return `⚠️ You already have **${res.limit}** open ticket${res.limit === 1 ? "" : "s"}: ${links}\nPlease continue there or wait until one is closed.`;
+  }
+  if (res.reason === "COOLDOWN") return `⏱️ You opened a ticket recently. You can open another one <t:${Math.ceil(res.retryAt / 1000)}:R>.`;
+  return "⚠️ You can't open a ticket right now.";
 }
 
-// Build select menus
-function makeTicketMenuCustomId() {
-  return `ticket_type:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+// ----------------------
+// Blacklist (users / roles that can't open tickets)
+// ----------------------
+// BLACKLIST[guildId] = {
+//   users: { [userId]: { reason, by, at, expiresAt } },   expiresAt null = permanent
+//   roles: { [roleId]: { reason, by, at } }
+// }
+let BLACKLIST = STORE.load("blacklist", {});
+
+function getGuildBlacklist(guildId) {
+  const b = BLACKLIST[guildId] || {};
+  return { users: b.users || {}, roles: b.roles || {} };
 }
 
-function buildSupportMenu(guildId) {
-  const customId = makeTicketMenuCustomId();
-  const cfg = guildId ? getGuildConfig(guildId) : null;
-  const ui = cfg?.panelUI?.support || {};
+// "30m", "12h", "7d", "2w" -> ms (null = invalid)
+function parseBlacklistDuration(str) {
+  const m = String(str || "").trim().toLowerCase().match(/^(\d{1,4})\s*([mhdw])$/);
+  if (!m) return null;
+  const unit = { m: 60 * 1000, h: 60 * 60 * 1000, d: DAY_MS, w: 7 * DAY_MS }[m[2]];
+  return Number(m[1]) > 0 ? Number(m[1]) * unit : null;
+}
 
-  const placeholder = (typeof ui.menuPlaceholder === "string" && ui.menuPlaceholder.trim())
-    ? ui.menuPlaceholder.trim()
-    : "🛠️ Open a support ticket.";
+function setBlacklistEntry(guildId, kind, id, entry) {
+  const b = getGuildBlacklist(guildId);
+  STORE.set("blacklist", guildId, { ...b, [kind]: { ...b[kind], [id]: entry } });
+}
 
-  const optLabel = (typeof ui.optionLabel === "string" && ui.optionLabel.trim())
-    ? ui.optionLabel.trim()
-    : "🛠️ Support";
+function removeBlacklistEntry(guildId, kind, id) {
+  const b = getGuildBlacklist(guildId);
+  if (!b[kind][id]) return null;
+  const entry = b[kind][id];
+  const next = { ...b[kind] };
+  delete next[id];
+  STORE.set("blacklist", guildId, { ...b, [kind]: next });
+  return entry;
+}
 
-  const optDesc = (typeof ui.optionDescription === "string" && ui.optionDescription.trim())
-    ? ui.optionDescription.trim()
-    : "Get help from our staff";
+// Returns the matching entry ({ kind, id, reason, expiresAt, ... }) or null. Expired user entries are dropped here.
+function getBlacklistHit(guildId, member) {
+  const b = getGuildBlacklist(guildId);
+  const user = b.users[member.id];
+  if (user) {
+    if (!user.expiresAt || Date.parse(user.expiresAt) > Date.now()) return { kind: "users", id: member.id, ...user };
+    removeBlacklistEntry(guildId, "users", member.id);
+  }
+  const roleId = Object.keys(b.roles).find(id => member.roles?.cache?.has(id));
+  return roleId ? { kind: "roles", id: roleId, ...b.roles[roleId] } : null;
+}
 
-  const optEmoji = (typeof ui.optionEmoji === "string" && ui.optionEmoji.trim()) ? ui.optionEmoji.trim() : "";
+function describeBlacklistHit(hit) {
+  const until = hit.expiresAt ? ` until <t:${Math.floor(Date.parse(hit.expiresAt) / 1000)}:f>` : "";
+  const why = hit.reason ? `\nReason: ${hit.reason}` : "";
+  return hit.kind === "roles"
+    ? `⛔ One of your roles is not allowed to open tickets in this server.${why}`
+    : `⛔ You are blacklisted from opening tickets in this server${until}.${why}`;
+}
 
-  return new ActionRowBuilder().addComponents(
-    new StringSelectMenuBuilder()
-      .setCustomId(customId)
-      .setPlaceholder(placeholder.slice(0, 100))
-      .addOptions([
-        {
-          label: optLabel.slice(0, 100),
-          value: "support",
-          description: optDesc.slice(0, 100),
-          ...(optEmoji ? { emoji: optEmoji } : {})
-        }
-      ])
-  );
+async function sendBlacklistLog(guild, added, actor, target, entry) {
+  const logEmbed = new EmbedBuilder()
+    .setTitle(added ? "🚫 Blacklist Entry Added" : "✅ Blacklist Entry Removed")
+    .setColor(added ? "#c0392b" : "#2ecc71")
+    .addFields(
+      { name: "Target", value: target, inline: true },
+      { name: "By", value: actor, inline: true },
+      ...(added && entry.expiresAt ? [{ name: "Expires", value: `<t:${Math.floor(Date.parse(entry.expiresAt) / 1000)}:R>`, inline: true }] : []),
+      ...(entry?.reason ? [{ name: "Reason", value: entry.reason.slice(0, 1024) }] : [])
+    )
+    .setTimestamp();
+  await sendLog(guild, logEmbed);
 }
 
-function buildTradeMenu(guildId) {
-  const customId = makeTicketMenuCustomId();
-  const cfg = guildId ? getGuildConfig(guildId) : null;
-  const ui = cfg?.panelUI?.trade || {};
+function buildBlacklistEmbed(guild) {
+  const b = getGuildBlacklist(guild.id);
+  const line = (mention, e) =>
+    `${mention}${e.expiresAt ? ` • until <t:${Math.floor(Date.parse(e.expiresAt) / 1000)}:R>` : ""}${e.reason ? ` • ${e.reason.slice(0, 80)}` : ""}`;
+  const users = Object.entries(b.users)
+    .filter(([, e]) => !e.expiresAt || Date.parse(e.expiresAt) > Date.now())
+    .map(([id, e]) => line(`<@${id}>`, e));
+  const roles = Object.entries(b.roles).map(([id, e]) => line(`<@&${id}>`, e));
+
+  const embed = new EmbedBuilder()
+    .setTitle("🚫 Ticket Blacklist")
+    .setColor("#c0392b")
+    .addFields(
+      { name: `Users (${users.length})`, value: users.join("\n").slice(0, 1024) || "None", inline: false },
+      { name: `Roles (${roles.length})`, value: roles.join("\n").slice(0, 1024) || "None", inline: false }
+    )
+    .setTimestamp();
+  applyBranding(embed, guild.id);
+  return embed;
+}
 
-  const placeholder = (typeof ui.menuPlaceholder === "string" && ui.menuPlaceholder.trim())
-    ? ui.menuPlaceholder.trim()
-    : "🤝 Request trade help.";
+// ----------------------
+// Ticket type requirements (roles, account age, membership age)
+// ----------------------
+// Stored per type as type.requirements; all checks are skipped when a value is empty / 0.
+// requiredRoles: member needs at least one of them. deniedRoles: member may have none of them.
+function normalizeTypeRequirements(r) {
+  return {
+    requiredRoles: normalizeArray(r?.requiredRoles).filter(isValidSnowflake).slice(0, 25),
+    deniedRoles: normalizeArray(r?.deniedRoles).filter(isValidSnowflake).slice(0, 25),
+    minAccountAgeDays: normalizeLimit(r?.minAccountAgeDays, 3650),
+    minMemberAgeDays: normalizeLimit(r?.minMemberAgeDays, 3650)
+  };
+}
 
-  const optLabel = (typeof ui.optionLabel === "string" && ui.optionLabel.trim())
-    ? ui.optionLabel.trim()
-    : "🤝 Trade Help";
+function checkTicketRequirements(member, type) {
+  const req = type.requirements;
+  if (!req) return { ok: true };
+  if (req.deniedRoles.length && memberHasAnyRole(member, req.deniedRoles)) return { ok: false, reason: "DENIED_ROLE" };
+  if (req.requiredRoles.length && !memberHasAnyRole(member, req.requiredRoles)) return { ok: false, reason: "MISSING_ROLE", roles: req.requiredRoles };
 
-  const optDesc = (typeof ui.optionDescription === "string" && ui.optionDescription.trim())
-    ? ui.optionDescription.trim()
-    : "Request trade assistance for safe trading";
-  const optEmoji = (typeof ui.optionEmoji === "string" && ui.optionEmoji.trim()) ? ui.optionEmoji.trim() : "";
+  if (req.minAccountAgeDays) {
+    const readyAt = (member.user?.createdTimestamp || Date.now()) + req.minAccountAgeDays * DAY_MS;
+    if (readyAt > Date.now()) return { ok: false, reason: "ACCOUNT_AGE", days: req.minAccountAgeDays, readyAt };
+  }
+  if (req.minMemberAgeDays) {
+    const readyAt = (member.joinedTimestamp || Date.now()) + req.minMemberAgeDays * DAY_MS;
+    if (readyAt > Date.now()) return { ok: false, reason: "MEMBER_AGE", days: req.minMemberAgeDays, readyAt };
+  }
+  return { ok: true };
+}
 
-  return new ActionRowBuilder().addComponents(
-    new StringSelectMenuBuilder()
-      .setCustomId(customId)
-      .setPlaceholder(placeholder.slice(0, 100))
-      .addOptions([
-        {
-          label: optLabel.slice(0, 100),
-          value: "trade",
-          description: optDesc.slice(0, 100),
-          ...(optEmoji ? { emoji: optEmoji } : {})
-        }
-      ])
-  );
+function describeTicketRequirement(res, typeName) {
+  const when = res.readyAt ? ` You can open one <t:${Math.ceil(res.readyAt / 1000)}:R>.` : "";
+  if (res.reason === "DENIED_ROLE") return `⛔ One of your roles can't open **${typeName}** tickets.`;
+  if (res.reason === "MISSING_ROLE") return `⛔ You need one of these roles to open a **${typeName}** ticket: ${res.roles.map(r => `<@&${r}>`).join(" ")}`;
+  if (res.reason === "ACCOUNT_AGE") return `⏳ Your Discord account must be at least **${res.days} day(s)** old to open a **${typeName}** ticket.${when}`;
+  if (res.reason === "MEMBER_AGE") return `⏳ You must be in this server for at least **${res.days} day(s)** to open a **${typeName}** ticket.${when}`;
+  return `⛔ You can't open a **${typeName}** ticket.`;
 }
 
+function describeTypeRequirements(req) {
+  const lines = [];
+  if (req?.requiredRoles.length) lines.push(`Needs one of: ${req.requiredRoles.map(r => `<@&${r}>`).join(" ")}`);
+  if (req?.deniedRoles.length) lines.push(`Denied: ${req.deniedRoles.map(r => `<@&${r}>`).join(" ")}`);
+  if (req?.minAccountAgeDays) lines.push(`Account age ≥ **${req.minAccountAgeDays}d**`);
+  if (req?.minMemberAgeDays) lines.push(`Member for ≥ **${req.minMemberAgeDays}d**`);
+  return lines.join("\n") || "None (anyone who sees the panel)";
+}
 
 // ----------------------
-// Default panel descriptions (used unless premium overrides are set)
+// Snippets (canned staff responses)
 // ----------------------
-const DEFAULT_SUPPORT_PANEL_DESC = `
-🛠️ **Support Ticket**
+// SNIPPETS[guildId] = { [name]: { content, createdBy, updatedBy, updatedAt, uses } }
+// Content supports the formatTemplate placeholders: {user} (ticket opener), {type}, {id} (ticket number).
+let SNIPPETS = STORE.load("snippets", {});
+const MAX_SNIPPETS = 100;
+const MAX_SNIPPET_LENGTH = 2000;
+
+function normalizeSnippetName(raw) {
+  return String(raw || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 32);
+}
 
-Welcome to **Nozzarri Tickets Support**.
+function getGuildSnippets(guildId) {
+  return SNIPPETS[guildId] || {};
+}
 
-Please describe your problem clearly so staff can help quickly.
+// Returns { ok, snippet } or { ok: false, reason: "INVALID_NAME" | "EMPTY" | "LIMIT" }
+function saveSnippet(guildId, rawName, content, userId) {
+  const name = normalizeSnippetName(rawName);
+  const text = String(content || "").replace(/\r\n/g, "\n").trim().slice(0, MAX_SNIPPET_LENGTH);
+  if (!name) return { ok: false, reason: "INVALID_NAME" };
+  if (!text) return { ok: false, reason: "EMPTY" };
+
+  const all = getGuildSnippets(guildId);
+  const prev = all[name];
+  if (!prev && Object.keys(all).length >= MAX_SNIPPETS) return { ok: false, reason: "LIMIT" };
+
+  const snippet = {
+    content: text,
+    createdBy: prev?.createdBy || userId,
+    updatedBy: userId,
+    updatedAt: new Date().toISOString(),
+    uses: prev?.uses || 0
+  };
+  STORE.set("snippets", guildId, { ...all, [name]: snippet });
+  return { ok: true, name, snippet, created: !prev };
+}
 
-✅ Use this for:
-• Server or role issues
-• Questions & help
-• Bug reports / technical problems
-• Staff assistance
+function deleteSnippet(guildId, rawName) {
+  const name = normalizeSnippetName(rawName);
+  const all = getGuildSnippets(guildId);
+  if (!all[name]) return false;
+  const next = { ...all };
+  delete next[name];
+  STORE.set("snippets", guildId, next);
+  return true;
+}
 
-❌ Not for:
-• Trade requests
-• Random chatting
-• Spam / trolling
+function describeSnippetError(reason) {
+  if (reason === "INVALID_NAME") return "❌ Snippet names may only use letters, numbers, `-` and `_`.";
+  if (reason === "EMPTY") return "❌ A snippet needs some text.";
+  if (reason === "LIMIT") return `❌ This server already has ${MAX_SNIPPETS} snippets. Delete one first.`;
+  return "❌ Could not save the snippet.";
+}
 
-⏱️ Average response: **5–15 minutes**
-Please be patient and do not spam.
-`;
+// Placeholders resolve against the ticket the snippet is sent in (or the picked user outside tickets)
+async function renderSnippet(channel, content, userId = null) {
+  const record = isTicketChannel(channel) ? await getOrAdoptTicketRecord(channel).catch(() => null) : null;
+  const openerId = userId || record?.openerId || null;
+  return formatTemplate(content, {
+    user: openerId ? `<@${openerId}>` : null,
+    type: record ? (getTicketType(channel.guild.id, record.type)?.name || record.type) : null,
+    id: record ? formatTicketNumber(record.id) : null
+  });
+}
 
-const DEFAULT_TRADE_PANEL_DESC = `
-🤝 **Nozzarri Tickets — Trade Panel**
+function buildSnippetModal(name, content = "") {
+  const modal = new ModalBuilder()
+    .setCustomId(`snippet_modal:${name}`)
+    .setTitle(`Snippet: ${name}`.slice(0, 45));
+
+  const input = new TextInputBuilder()
+    .setCustomId("content")
+    .setLabel("Text ({user}, {type} and {id} are filled in)")
+    .setStyle(TextInputStyle.Paragraph)
+    .setRequired(true)
+    .setMaxLength(MAX_SNIPPET_LENGTH);
+  if (content) input.setValue(content.slice(0, MAX_SNIPPET_LENGTH));
+
+  modal.addComponents(new ActionRowBuilder().addComponents(input));
+  return modal;
+}
 
-This is only for **secure, verified trade requests**.
+function buildSnippetsEmbed(guild) {
+  const entries = Object.entries(getGuildSnippets(guild.id)).sort((a, b) => a[0].localeCompare(b[0]));
+  const embed = new EmbedBuilder()
+    .setTitle(`📎 Snippets (${entries.length}/${MAX_SNIPPETS})`)
+    .setColor("#3498db")
+    .setDescription(
+      entries.length
+        ? entries.map(([name, sn]) => `\`${name}\` — ${sn.content.slice(0, 60).replace(/\n/g, " ")}${sn.content.length > 60 ? "…" : ""} _(used ${sn.uses || 0}×)_`).join("\n").slice(0, 4000)
+        : "No snippets yet. Create one with `/snippet create`."
+    )
+    .setTimestamp();
+  applyBranding(embed, guild.id);
+  return embed;
+}
 
-✅ Allowed:
-• Paid services / commissions
-• Digital assets, scripts, accounts
-• Product or currency exchanges
-• Deals between two parties
+// ----------------------
+// Staff notes (private, per ticket; listed per opener across tickets)
+// ----------------------
+// Never posted in the ticket channel: only ephemeral replies, staff transcripts and the dashboard show them.
+const MAX_TICKET_NOTES = 50;
+const MAX_NOTE_LENGTH = 1000;
+
+function addTicketNote(record, authorId, text) {
+  const notes = Array.isArray(record.notes) ? record.notes : [];
+  const note = {
+    id: notes.reduce((max, n) => Math.max(max, n.id || 0), 0) + 1,
+    authorId,
+    text: String(text || "").trim().slice(0, MAX_NOTE_LENGTH),
+    at: new Date().toISOString()
+  };
+  return updateTicketRecord(record.guildId, record.id, { notes: [...notes, note].slice(-MAX_TICKET_NOTES) });
+}
 
-❌ Not allowed:
-• Free trades / giveaways
-• Random conversations
-• No proof / unclear ownership
-• Already disputed deals
+// Every note on tickets this user opened, newest first
+function getUserNotes(guildId, userId) {
+  const out = [];
+  for (const rec of Object.values(TICKETS)) {
+    if (rec.guildId !== guildId || rec.openerId !== userId) continue;
+    for (const n of rec.notes || []) out.push({ ...n, ticketId: rec.id, type: rec.type });
+  }
+  return out.sort((a, b) => Date.parse(b.at) - Date.parse(a.at));
+}
 
-📝 Required info:
-• Both parties’ Discord usernames
-• What is being traded
-• Agreed terms / amount
-• Proof (screenshots) if possible
+function formatNoteLine(note, withTicket = false) {
+  const when = `<t:${Math.floor(Date.parse(note.at) / 1000)}:R>`;
+  return `${withTicket ? `**${formatTicketNumber(note.ticketId)}** • ` : ""}<@${note.authorId}> ${when}\n> ${note.text.slice(0, 300).replace(/\n/g, "\n> ")}`;
+}
 
-⏱️ Average response: **5–20 minutes**
-Do not spam or ping staff.
-`;
+// Notes of one ticket plus the opener's notes from their other tickets
+function buildNotesEmbed(guild, record, userId) {
+  const ticketNotes = record ? (record.notes || []).slice().reverse() : [];
+  const otherNotes = userId ? getUserNotes(guild.id, userId).filter(n => !record || n.ticketId !== record.id) : [];
 
-function getPanelDescription(guildId, which) {
-  const cfg = getGuildConfig(guildId);
+  const clip = lines => {
+    let out = "";
+    for (const line of lines) {
+      if (out.length + line.length + 2 > 1024) return out + (out ? "\n…" : "…");
+      out += (out ? "\n\n" : "") + line;
+    }
+    return out;
+  };
 
-  // Panel text editing is FREE (stored per-server).
-  if (cfg.panelText) {
-    if (which === "support" && cfg.panelText.supportDescription) return String(cfg.panelText.supportDescription);
-    if (which === "trade" && cfg.panelText.tradeDescription) return String(cfg.panelText.tradeDescription);
+  const embed = new EmbedBuilder()
+    .setTitle(record ? `🗒️ Staff Notes — ${formatTicketNumber(record.id)}` : "🗒️ Staff Notes")
+    .setColor("#95a5a6")
+    .setDescription(`Only staff can see these.${userId ? ` User: <@${userId}>` : ""}`)
+    .setTimestamp();
+  if (record) {
+    embed.addFields({ name: `This ticket (${ticketNotes.length})`, value: clip(ticketNotes.map(n => formatNoteLine(n))) || "No notes yet", inline: false });
   }
-
-  return which === "support" ? DEFAULT_SUPPORT_PANEL_DESC : DEFAULT_TRADE_PANEL_DESC;
+  if (userId) {
+    embed.addFields({ name: `${record ? "Other tickets" : "All tickets"} (${otherNotes.length})`, value: clip(otherNotes.map(n => formatNoteLine(n, true))) || "No notes", inline: false });
+  }
+  applyBranding(embed, guild.id);
+  return embed;
 }
 
 // ----------------------
-// Message triggers (?support, ?trade)
-// ----------------------
-// ----------------------
-// Setup Panel Helpers
+// User ticket history (/history, "Returning User" field)
 // ----------------------
-function buildSetupEmbed(guild, cfg) {
-  const prem = getPremiumState(guild.id);
+// Built from the registry, so it still works after the channels were deleted.
+function getUserTicketHistory(guildId, userId) {
+  return Object.values(TICKETS)
+    .filter(r => r.guildId === guildId && r.openerId === userId)
+    .sort((a, b) => b.id - a.id);
+}
 
-  const supportStatus = cfg.supportEnabled ? "✅ Enabled" : "❌ Disabled";
-  const tradeStatus = cfg.tradeEnabled ? "✅ Enabled" : "❌ Disabled";
-  const logsStatus = cfg.logsEnabled ? "✅ Enabled" : "❌ Disabled";
+function formatHistoryLine(guildId, r) {
+  const ts = (iso, style) => (iso ? `<t:${Math.floor(Date.parse(iso) / 1000)}:${style}>` : "—");
+  const type = getTicketType(guildId, r.type)?.name || r.type;
+  const status = r.status === "open" ? `🟢 open in <#${r.channelId}>` : r.status === "archived" ? "📦 archived" : `🔒 closed ${ts(r.closedAt, "d")}`;
+  return `**${formatTicketNumber(r.id)}** ${type} • opened ${ts(r.createdAt, "d")} • ${status}` +
+    `\n  Claimed by ${r.claimedBy ? `<@${r.claimedBy}>` : "nobody"}` +
+    (r.closedBy ? ` • closed by <@${r.closedBy}>` : "") +
+    (r.closeReason ? ` • _${r.closeReason.slice(0, 80)}_` : "") +
+    (r.transcriptUrl ? ` • [transcript](${r.transcriptUrl})` : "");
+}
 
-  return new EmbedBuilder()
-    .setTitle("⚙️ Ticket Bot — Server Setup")
+function buildHistoryEmbed(guild, user, records) {
+  const lines = [];
+  let length = 0;
+  for (const r of records) {
+    const line = formatHistoryLine(guild.id, r);
+    if (length + line.length + 1 > 3900) break;
+    lines.push(line);
+    length += line.length + 1;
+  }
+  const open = records.filter(r => r.status === "open").length;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📚 Ticket History — ${user.tag}`)
     .setColor("#3498db")
     .setDescription(
-      "This setup is **per-server** and saves automatically.\n" +
-      "First **enable** what you want (Support / Trade / Logs), then set where it should go.\n\n" +
-      "🆓 **Free editor:** you can edit Support/Trade panel text + menu labels from **Panel Editor**.\n" +
-       (prem?.isPremium ? "⭐ **Premium unlocked:** branding, transcripts, ticket name, pings, auto-close, etc." : "🔒 **Premium locked:** redeem with `?premium-redeem <key>` to unlock premium-only features."))
-    .addFields(
-      {
-        name: `Support (${supportStatus})`,
-        value:
-          cfg.supportEnabled
-            ? (cfg.supportCategoryId ? `<#${cfg.supportCategoryId}>` : "**Not set** (pick a category)")
-            : "Disabled (no support tickets will be created)",
-        inline: true
-      },
-      {
-        name: `Trade (${tradeStatus})`,
-        value:
-          cfg.tradeEnabled
-            ? (cfg.mmCategoryId ? `<#${cfg.mmCategoryId}>` : "**Not set** (pick a category)")
-            : "Disabled (no trade tickets will be created)",
-        inline: true
-      },
-      {
-        name: `Logs (${logsStatus})`,
-        value:
-          cfg.logsEnabled
-            ? (cfg.logChannelId ? `<#${cfg.logChannelId}>` : "**Not set** (pick a channel)")
-            : "Disabled (no logs will be sent)",
-        inline: true
-      },
-      {
-        name: "Support Roles",
-        value: cfg.supportEnabled
-          ? (cfg.supportRoles?.length ? cfg.supportRoles.map(r => `<@&${r}>`).join(" ") : "**Not set**")
-          : "—",
-        inline: false
-      },
-      {
-        name: "Trade Roles",
-        value: cfg.tradeEnabled
-          ? (cfg.mmRoles?.length ? cfg.mmRoles.map(r => `<@&${r}>`).join(" ") : "**Not set**")
-          : "—",
-        inline: false
-      },
-      {
-        name: "Admin Roles",
-        value: cfg.adminRoles?.length ? cfg.adminRoles.map(r => `<@&${r}>`).join(" ") : "**Not set**",
-        inline: false
-      }
+      records.length
+        ? `**${records.length}** ticket(s), ${open} open.${lines.length < records.length ? ` Showing the newest ${lines.length}.` : ""}\n\n${lines.join("\n")}`
+        : `${user} has not opened any tickets in this server.`
     )
-    .setFooter({ text: "Admins/Owner • Run ?setup anytime" });
+    .setTimestamp();
+  applyBranding(embed, guild.id);
+  return embed;
+}
 
-    // Optional color override
-    if (ui.colorHex && /^#?[0-9a-fA-F]{6}$/.test(String(ui.colorHex).trim())) {
-      const hex = String(ui.colorHex).trim().replace(/^#/, "");
-      embed.setColor(`#${hex}`);
-    }
+// Short summary for the opening embed; null for first-time openers
+function buildReturningUserField(guildId, userId, currentTicketId) {
+  const past = getUserTicketHistory(guildId, userId).filter(r => r.id !== currentTicketId);
+  if (!past.length) return null;
+  const last = past[0];
+  const open = past.filter(r => r.status === "open").length;
+  return {
+    name: "🔁 Returning User",
+    value: (
+      `**${past.length}** previous ticket(s)${open ? `, ${open} still open` : ""}\n` +
+      `Last: **${formatTicketNumber(last.id)}** ${getTicketType(guildId, last.type)?.name || last.type} <t:${Math.floor(Date.parse(last.createdAt) / 1000)}:R>` +
+      (last.claimedBy ? ` • handled by <@${last.claimedBy}>` : "") +
+      (last.closeReason ? ` • _${last.closeReason.slice(0, 80)}_` : "")
+    ).slice(0, 1024),
+    inline: false
+  };
 }
 
+// ----------------------
+// Trade deals (terms, confirmations, middleman delivery tracking)
+// ----------------------
+// record.deal = {
+//   status: "draft" | "confirmed" | "completed",
+//   sides: { a: { userId, gives, confirmedAt, receivedAt, receivedBy, releasedAt, releasedBy }, b: { ... } },
+//   value, feePayer: "a" | "b" | "split" | null, messageId,
+//   audit: [{ action, side, userId, at, detail }]
+// }
+// Side A is the opener. Terms are locked once the middleman marked anything received.
+const DEAL_SIDES = ["a", "b"];
+const DEAL_FEE_PAYERS = { a: "Side A", b: "Side B", split: "Split 50/50" };
+
+function createDeal(openerId) {
+  const side = userId => ({ userId, gives: null, confirmedAt: null, receivedAt: null, receivedBy: null, releasedAt: null, releasedBy: null });
+  return { status: "draft", sides: { a: side(openerId), b: side(null) }, value: null, feePayer: null, messageId: null, audit: [] };
+}
 
+function dealSideOf(deal, userId) {
+  return DEAL_SIDES.find(k => deal?.sides[k].userId && deal.sides[k].userId === userId) || null;
+}
 
-function buildSetupMainComponents(ownerId) {
-  const row0 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`setup_toggle_support:${ownerId}`).setLabel("Toggle Support").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`setup_toggle_trade:${ownerId}`).setLabel("Toggle Trade").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`setup_toggle_logs:${ownerId}`).setLabel("Toggle Logs").setStyle(ButtonStyle.Secondary)
-  );
-
-  const row1 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`setup_set_support:${ownerId}`).setLabel("Set Support Category").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`setup_set_mm:${ownerId}`).setLabel("Set Trade Category").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`setup_set_log:${ownerId}`).setLabel("Set Log Channel").setStyle(ButtonStyle.Secondary)
-  );
-
-  const row2 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`setup_set_roles:${ownerId}`).setLabel("Set Roles").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`setup_panel_editor:${ownerId}`).setLabel("Panel Editor").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`setup_premium_settings:${ownerId}`).setLabel("Premium Settings").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`setup_done:${ownerId}`).setLabel("Done").setStyle(ButtonStyle.Success)
-  );
-
-  return [row0, row1, row2];
+function isDealLocked(deal) {
+  return DEAL_SIDES.some(k => deal.sides[k].receivedAt);
 }
 
-
-
-function buildSetupMainPayload(guild, ownerId) {
-  const cfg = getGuildConfig(guild.id);
-  const embed = buildSetupEmbed(guild, cfg);
-  const components = buildSetupMainComponents(ownerId);
-  return { embeds: [embed], components };
+// Applies `mutate` to a copy of the deal and appends one audit entry
+function updateDeal(record, userId, action, mutate, { side = null, detail = null } = {}) {
+  const deal = JSON.parse(JSON.stringify(record.deal || createDeal(record.openerId)));
+  mutate(deal);
+  if (deal.status !== "completed") {
+    const confirmed = DEAL_SIDES.every(k => deal.sides[k].confirmedAt);
+    deal.status = confirmed ? "confirmed" : "draft";
+    if (confirmed && DEAL_SIDES.every(k => deal.sides[k].releasedAt)) deal.status = "completed";
+  }
+  deal.audit = [...deal.audit, { action, side, userId, at: new Date().toISOString(), detail }];
+  return updateTicketRecord(record.guildId, record.id, { deal });
 }
 
-function buildPremiumSetupPayload(guild, ownerId) {
-  const row = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`setup_edit_support_desc:${ownerId}`).setLabel("Edit Support Description").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`setup_edit_trade_desc:${ownerId}`).setLabel("Edit Trade Description").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`setup_reset_panel_text:${ownerId}`).setLabel("Reset Text").setStyle(ButtonStyle.Danger),
-    new ButtonBuilder().setCustomId(`setup_back:${ownerId}`).setLabel("Back").setStyle(ButtonStyle.Secondary)
-  );
-
-  const embed = new EmbedBuilder()
-    .setTitle("⭐ Premium Setup")
-    .setColor("#f1c40f")
-    .setDescription(
-      "Customize your **Support** / **Trade** panel descriptions.\n" +
-      "These descriptions are used for the `?support` and `?trade` panels."
-    );
-
-  return { embeds: [embed], components: [row] };
+function canManageDeal(member, channel, record) {
+  return isAdmin(member) || (!!record.claimedBy && record.claimedBy === member.id && canManageTicket(member, channel));
 }
 
+function describeDealAudit(e) {
+  const side = e.side ? ` ${e.side.toUpperCase()}` : "";
+  const text = {
+    created: "deal created",
+    terms: "terms updated",
+    party: "side B set",
+    confirm: `side${side} confirmed the terms`,
+    received: `middleman received side${side}'s delivery`,
+    released: `middleman released side${side}'s delivery`,
+    completed: "deal completed",
+    fee: "fee calculated"
+  }[e.action] || e.action;
+  return text + (e.detail ? ` (${e.detail})` : "");
+}
 
-function buildPremiumPanelPayload(guild, openerId){
-  const prem = getPremiumState(guild.id);
-  const f = prem.features;
-  const b = prem.branding;
+function buildDealEmbed(guild, record) {
+  const deal = record.deal;
+  const ts = iso => `<t:${Math.floor(Date.parse(iso) / 1000)}:R>`;
+  const sideValue = k => {
+    const s = deal.sides[k];
+    return [
+      s.userId ? `<@${s.userId}>` : "_not set_",
+      `Gives: ${s.gives ? s.gives.slice(0, 500) : "_not set_"}`,
+      s.confirmedAt ? `✅ Confirmed ${ts(s.confirmedAt)}` : "⏳ Not confirmed",
+      s.receivedAt ? `📥 Received by MM ${ts(s.receivedAt)}` : "📥 Not received",
+      s.releasedAt ? `📤 Released ${ts(s.releasedAt)}` : "📤 Not released"
+    ].join("\n");
+  };
 
   const embed = new EmbedBuilder()
-    .setTitle("💎 Premium Control Panel")
-    .setColor(b.accent || "#f1c40f")
+    .setTitle(`🤝 Deal — ${formatTicketNumber(record.id)}`)
+    .setColor(deal.status === "completed" ? "#2ecc71" : deal.status === "confirmed" ? "#f1c40f" : "#9b59b6")
     .setDescription(
-      prem.isPremium
-        ? "Manage premium features with **one click**.\nOnly **you** can use the buttons in this panel."
-        : "🔒 Premium is **not active** for this server.\nRedeem a key with `?premium-redeem <key>` (server owner can redeem).\n\nYou can still preview the settings below."
+      deal.status === "completed"
+        ? "✅ **Completed** — both sides were released."
+        : deal.status === "confirmed"
+          ? "🔒 Both sides confirmed. The middleman now collects and releases each side."
+          : "1) Fill in the terms with **Edit Terms**.\n2) Both sides press **Confirm Terms** (editing resets confirmations)."
     )
     .addFields(
-      { name: "Status", value: prem.isPremium ? "✅ Active" : "❌ Inactive", inline: true },
-      { name: "Brand", value: `**${b.name}**`, inline: true },
-      { name: "Ticket Name", value: `\`${f.ticketNameTemplate || "ticket-{user}"}\``, inline: false },
-      { name: "Pings", value: `Mode: **${f.pingMode || "here"}**` + (f.pingRoleId ? ` • Role: <@&${f.pingRoleId}>` : ""), inline: false },
-      { name: "Transcripts", value: (f.transcripts ? "✅ On" : "❌ Off") + (f.transcriptChannelId ? ` • <#${f.transcriptChannelId}>` : ""), inline: false },
-      { name: "Welcome Msg", value: f.welcomeMessage && f.welcomeMessage.trim() ? "✅ Set" : "—", inline: true },
-      { name: "Auto Close", value: f.autoCloseMinutes ? `✅ ${f.autoCloseMinutes} min` : "❌ Off", inline: true }
+      { name: "Side A", value: sideValue("a").slice(0, 1024), inline: true },
+      { name: "Side B", value: sideValue("b").slice(0, 1024), inline: true },
+      { name: "Agreed Value", value: deal.value || "_not set_", inline: false },
+      { name: "Fee Paid By", value: DEAL_FEE_PAYERS[deal.feePayer] || "_not set_", inline: true },
+      ...(record.fee ? [{ name: "Fee", value: `${formatFeeAmount(record.fee.fee, record.fee.currency)} on ${formatFeeAmount(record.fee.amount, record.fee.currency)}`, inline: true }] : []),
+      { name: "Middleman", value: record.claimedBy ? `<@${record.claimedBy}>` : "Claim the ticket to assign", inline: true },
+      {
+        name: "Audit Trail",
+        value: deal.audit.slice(-6).map(e => `${ts(e.at)} <@${e.userId}> ${describeDealAudit(e)}`).join("\n").slice(0, 1024) || "—",
+        inline: false
+      }
     )
-    .setFooter({ text: "Premium • Private panel • Buttons are locked to you" });
-
+    .setTimestamp();
   applyBranding(embed, guild.id);
+  return embed;
+}
 
-  const row1 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`prem_brand:${openerId}`).setLabel("🎨 Branding").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`prem_ticketname:${openerId}`).setLabel("🧩 Ticket Name").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`prem_pings:${openerId}`).setLabel("📣 Pings").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`prem_transcripts:${openerId}`).setLabel("📄 Transcripts").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`prem_welcome:${openerId}`).setLabel("👋 Welcome").setStyle(ButtonStyle.Secondary)
-  );
+function buildDealComponents(record) {
+  const deal = record.deal;
+  const done = deal.status === "completed";
+  const bothConfirmed = DEAL_SIDES.every(k => deal.sides[k].confirmedAt);
+  const bothReceived = DEAL_SIDES.every(k => deal.sides[k].receivedAt);
 
-  const row2 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`prem_botnick:${openerId}`).setLabel("🤖 Bot Nick").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`prem_autoclose:${openerId}`).setLabel("⏱ Auto Close").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`prem_cmds:${openerId}`).setLabel("✨ Commands").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`prem_refresh:${openerId}`).setLabel("🔄 Refresh").setStyle(ButtonStyle.Success),
+  const parties = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId("deal_edit").setLabel("✏️ Edit Terms").setStyle(ButtonStyle.Secondary).setDisabled(done || isDealLocked(deal)),
+    new ButtonBuilder().setCustomId("deal_confirm").setLabel("✅ Confirm Terms").setStyle(ButtonStyle.Success).setDisabled(done || bothConfirmed)
   );
+  const mm = new ActionRowBuilder().addComponents(
+    ...DEAL_SIDES.map(k => new ButtonBuilder()
+      .setCustomId(`deal_received:${k}`)
+      .setLabel(`📥 ${k.toUpperCase()} received`)
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(done || !bothConfirmed || !!deal.sides[k].receivedAt)),
+    ...DEAL_SIDES.map(k => new ButtonBuilder()
+      .setCustomId(`deal_released:${k}`)
+      .setLabel(`📤 ${k.toUpperCase()} released`)
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(done || !bothReceived || !!deal.sides[k].releasedAt))
+  );
+  return [parties, mm];
+}
 
-  row3 = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`prem_close:${openerId}`).setLabel("❌ Close").setStyle(ButtonStyle.Danger),
+// Posts the deal panel (or a fresh copy) and remembers its message id
+async function postDealPanel(channel, record) {
+  const msg = await channel.send({ embeds: [buildDealEmbed(channel.guild, record)], components: buildDealComponents(record) }).catch(() => null);
+  if (!msg) return record;
+  return updateTicketRecord(record.guildId, record.id, { deal: { ...record.deal, messageId: msg.id } });
+}
+
+async function refreshDealPanel(channel, record) {
+  if (!record.deal?.messageId) return;
+  const msg = await channel.messages.fetch(record.deal.messageId).catch(() => null);
+  if (msg) await msg.edit({ embeds: [buildDealEmbed(channel.guild, record)], components: buildDealComponents(record) }).catch(() => {});
+}
+
+function buildDealModal(record) {
+  const deal = record.deal;
+  const modal = new ModalBuilder().setCustomId("deal_modal").setTitle("Deal Terms");
+  const input = (id, label, style, value, max, required = true) => {
+    const t = new TextInputBuilder().setCustomId(id).setLabel(label).setStyle(style).setRequired(required).setMaxLength(max);
+    if (value) t.setValue(value);
+    return new ActionRowBuilder().addComponents(t);
+  };
+  modal.addComponents(
+    input("partner", "Side B (mention or user ID)", TextInputStyle.Short, deal.sides.b.userId, 40),
+    input("gives_a", "What side A gives", TextInputStyle.Paragraph, deal.sides.a.gives, 500),
+    input("gives_b", "What side B gives", TextInputStyle.Paragraph, deal.sides.b.gives, 500),
+    input("value", "Agreed value (e.g. $50, 10k Robux)", TextInputStyle.Short, deal.value, 100),
+    input("fee", "Fee paid by: a, b or split", TextInputStyle.Short, deal.feePayer, 5, false)
   );
+  return modal;
+}
 
-  return { embeds:[embed], components:[row1,row2,row3] };
+function renderDealTranscriptLines(deal) {
+  if (!deal) return [];
+  const lines = [`Deal (${deal.status}): value ${deal.value || "not set"} | fee paid by ${DEAL_FEE_PAYERS[deal.feePayer] || "not set"}`];
+  for (const k of DEAL_SIDES) {
+    const s = deal.sides[k];
+    lines.push(`  Side ${k.toUpperCase()} ${s.userId || "not set"} gives: ${s.gives || "not set"}`);
+  }
+  for (const e of deal.audit) lines.push(`  [${e.at}] ${e.userId}: ${describeDealAudit(e)}`);
+  return lines;
 }
 
-function buildPremiumCommandsPayload(guild, openerId){
-  const prem = getPremiumState(guild.id);
-  const f = prem.features;
+// ----------------------
+// Second party (trade tickets)
+// ----------------------
+// The trade modal asks for the other party as free text. We try to match it to a member, let the opener
+// confirm (or pick someone else) and then invite that member, who accepts or declines.
+// record.secondParty.status: "unresolved" | "suggested" | "pending" (invited) | "accepted" | "declined"
+
+// Mention, user ID, or exact username / display name
+async function resolveGuildMember(guild, raw) {
+  const text = String(raw || "").trim();
+  const id = (text.match(/^<@!?(\d{15,25})>$/) || text.match(/^(\d{15,25})$/) || [])[1];
+  if (id) return guild.members.fetch(id).catch(() => null);
+
+  const name = text.replace(/^@/, "").toLowerCase();
+  if (!name || name.length > 32 || /\s{2,}/.test(name)) return null;
+  const found = await guild.members.search({ query: name, limit: 10 }).catch(() => null);
+  const list = found ? [...found.values()] : [];
+  return list.find(m => m.user.username.toLowerCase() === name) ||
+    list.find(m => (m.user.globalName || "").toLowerCase() === name || m.displayName.toLowerCase() === name) ||
+    null;
+}
 
-  const embed = new EmbedBuilder()
-    .setTitle("✨ Premium Commands")
-    .setColor(prem.branding.accent || "#f1c40f")
-    .setDescription("Configure premium features with buttons. Only **you** can use these controls.")
-    .addFields(
-      { name: "Auto Tag Claims", value: f.autoTagClaims ? "✅ On" : "❌ Off", inline: true },
-      { name: "Priority Support", value: f.prioritySupport ? "✅ On" : "❌ Off", inline: true },
-      { name: "Close Reasons", value: (Array.isArray(f.customCloseReasons) && f.customCloseReasons.length)
-          ? f.customCloseReasons.map((r,i)=>`**${i+1}.** ${String(r).slice(0,80)}`).join("\n")
-          : "—", inline: false },
-    )
-    .setFooter({ text: "Premium • Locked to you" });
+// Resolves the modal answer when the ticket is created; returns the secondParty state
+async function resolveSecondParty(guild, openerId, input) {
+  const member = input ? await resolveGuildMember(guild, input).catch(() => null) : null;
+  const usable = member && !member.user.bot && member.id !== openerId;
+  return { input: input || null, userId: usable ? member.id : null, status: usable ? "suggested" : "unresolved", at: new Date().toISOString() };
+}
 
-  applyBranding(embed, guild.id);
+// Shown in the opening embed so staff see the name couldn't be matched
+function buildSecondPartyWarningField(party) {
+  if (!party || party.status !== "unresolved") return null;
+  return {
+    name: "⚠️ Other Party",
+    value: (party.input
+      ? `Couldn't find \`${party.input.slice(0, 80)}\` in this server. The opener can pick them below, or staff can use \`/add\`.`
+      : "No other party given. The opener can pick them below, or staff can use `/add`."),
+    inline: false
+  };
+}
 
-  const rowA = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`premcmd_toggle_claim:${openerId}`).setLabel(f.autoTagClaims ? "🏷️ Claim Tag: ON" : "🏷️ Claim Tag: OFF").setStyle(f.autoTagClaims ? ButtonStyle.Success : ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`premcmd_toggle_priority:${openerId}`).setLabel(f.prioritySupport ? "🚀 Priority: ON" : "🚀 Priority: OFF").setStyle(f.prioritySupport ? ButtonStyle.Success : ButtonStyle.Secondary)
-  );
+function buildSecondPartyPickPayload(record) {
+  const party = record.secondParty;
+  const select = new UserSelectMenuBuilder()
+    .setCustomId("party_pick")
+    .setPlaceholder("Pick the other party of this trade…")
+    .setMinValues(1)
+    .setMaxValues(1);
+  if (party?.status === "suggested") select.setDefaultUsers(party.userId);
 
-  
-  const rowB = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`prem_back:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
-  );
+  const rows = [];
+  if (party?.status === "suggested") {
+    rows.push(new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`party_confirm:${party.userId}`).setLabel("✅ Yes, add them").setStyle(ButtonStyle.Success)
+    ));
+  }
+  rows.push(new ActionRowBuilder().addComponents(select));
 
-const rowC = new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`premcmd_reason_add:${openerId}`).setLabel("➕ Add Close Reason").setStyle(ButtonStyle.Primary),
-    new ButtonBuilder().setCustomId(`premcmd_reason_remove:${openerId}`).setLabel("➖ Remove Reason").setStyle(ButtonStyle.Secondary),
-    new ButtonBuilder().setCustomId(`premcmd_refresh:${openerId}`).setLabel("🔄 Refresh").setStyle(ButtonStyle.Success)
-  );
+  return {
+    content: party?.status === "suggested"
+      ? `<@${record.openerId}>, is <@${party.userId}> the other party of this trade? Confirm, or pick the right person.`
+      : `<@${record.openerId}>, who is the other party of this trade? Pick them so they can join this ticket.`,
+    allowedMentions: { users: [record.openerId] },
+    components: rows
+  };
+}
 
-  return { embeds:[embed], components:[rowA,rowB,rowC] };
+// Gives the member the opener's overwrite, records them and posts the accept/decline prompt
+async function inviteSecondParty(channel, record, member, actor) {
+  const openerOw = channel.permissionOverwrites.cache.get(record.openerId);
+  const perms = openerOw
+    ? Object.fromEntries([...openerOw.allow.toArray().map(p => [p, true]), ...openerOw.deny.toArray().map(p => [p, false])])
+    : TICKET_ACCESS_ALLOW;
+  await channel.permissionOverwrites.create(member.id, perms, { reason: `Trade partner added by ${actor.user.tag}` });
+
+  let next = recordTicketParticipant(record, member.id, actor.id);
+  next = updateTicketRecord(next.guildId, next.id, {
+    secondParty: { ...(next.secondParty || { input: null }), userId: member.id, status: "pending", at: new Date().toISOString() }
+  });
+
+  // Fill in side B of the deal (unless the middleman already started collecting)
+  if (next.deal && !isDealLocked(next.deal) && next.deal.sides.b.userId !== member.id) {
+    next = updateDeal(next, actor.id, "party", d => {
+      d.sides.b.userId = member.id;
+      for (const k of DEAL_SIDES) d.sides[k].confirmedAt = null;
+    });
+    await refreshDealPanel(channel, next);
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId("party_accept").setLabel("✅ Accept").setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId("party_decline").setLabel("❌ Decline").setStyle(ButtonStyle.Danger)
+  );
+  await channel.send({
+    content: `👋 ${member}, <@${record.openerId}> added you to this trade ticket. Do you want to take part?`,
+    allowedMentions: { users: [member.id] },
+    components: [row]
+  }).catch(() => {});
+  await sendParticipantLog(channel, next, "🤝 Trade Partner Added", "#9b59b6", actor, `${member.user.tag} (${member.id})`);
+  return next;
 }
 
+// ----------------------
+// Middleman fees (/fee)
+// ----------------------
+// A rule is either { kind: "percent", percent, min, max } (min/max 0 = none) or
+// { kind: "flat", tiers: [{ upTo, fee }] } where the last tier may have upTo null ("anything above").
+// Rules are edited as text in ?setup and the dashboard: "5% min 2 max 50" or "100:5, 500:15, *:25".
+const MAX_FEE_OVERRIDES = 20;
+const MAX_FEE_TIERS = 10;
+const FEE_SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+
+// "10k", "2.5m", "$1,200", "500 robux" -> number (null if invalid)
+function parseFeeAmount(raw) {
+  const text = String(raw ?? "").trim().toLowerCase().replace(/[,_]/g, "");
+  const m = text.match(/^[$€£¥]?\s*(\d+(?:\.\d+)?)\s*(?:([kmb])(?![a-z]))?\s*(?:[a-z$€£¥]+)?$/);
+  if (!m) return null;
+  const n = Number(m[1]) * (m[2] ? FEE_SUFFIXES[m[2]] : 1);
+  return Number.isFinite(n) && n < 1e15 ? n : null;
+}
 
+// "$" / "€" go in front, codes and names ("USD", "Robux") after the amount
+function formatFeeAmount(n, currency) {
+  const num = Number(n).toLocaleString("en-US", { maximumFractionDigits: 2 });
+  const cur = String(currency || "").trim();
+  if (!cur) return num;
+  return /^[^\p{L}\d]{1,3}$/u.test(cur) ? `${cur}${num}` : `${num} ${cur}`;
+}
 
+function parseFeeRule(text) {
+  const raw = String(text || "").trim().toLowerCase();
+  if (!raw || raw === "off" || raw === "none") return { ok: true, rule: null };
+
+  const pct = raw.match(/^(\d+(?:\.\d+)?)\s*%(?:\s+min\s+(\S+))?(?:\s+max\s+(\S+))?$/);
+  if (pct) {
+    const percent = Number(pct[1]);
+    const min = pct[2] !== undefined ? parseFeeAmount(pct[2]) : 0;
+    const max = pct[3] !== undefined ? parseFeeAmount(pct[3]) : 0;
+    if (!(percent > 0 && percent <= 100)) return { ok: false, error: "The percentage must be above 0 and at most 100." };
+    if (min === null || max === null) return { ok: false, error: "Min and max must be amounts, e.g. `min 2 max 50`." };
+    if (max && min > max) return { ok: false, error: "The minimum can't be above the maximum." };
+    return { ok: true, rule: { kind: "percent", percent, min, max } };
+  }
+
+  const tiers = [];
+  const parts = raw.split(",").map(x => x.trim()).filter(Boolean);
+  for (const [i, part] of parts.entries()) {
+    const m = part.match(/^(\*|[^:]+):(.+)$/);
+    const upTo = m && m[1] !== "*" ? parseFeeAmount(m[1]) : null;
+    const fee = m ? parseFeeAmount(m[2]) : null;
+    if (!m || fee === null || (m[1] !== "*" && !upTo)) {
+      return { ok: false, error: `Couldn't read \`${part.slice(0, 40)}\`. Use \`5% min 2 max 50\` or tiers like \`100:5, 500:15, *:25\`.` };
+    }
+    if (upTo === null && i !== parts.length - 1) return { ok: false, error: "`*` must be the last tier." };
+    if (upTo !== null && tiers.length && upTo <= tiers[tiers.length - 1].upTo) return { ok: false, error: "Tiers must go up, e.g. `100:5, 500:15`." };
+    tiers.push({ upTo, fee });
+  }
+  if (tiers.length > MAX_FEE_TIERS) return { ok: false, error: `Use at most ${MAX_FEE_TIERS} tiers.` };
+  return { ok: true, rule: { kind: "flat", tiers } };
+}
 
-function buildSetupBackRow(ownerId) {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder().setCustomId(`setup_back:${ownerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
-  );
+// Inverse of parseFeeRule, used to pre-fill the editors
+function stringifyFeeRule(rule) {
+  if (!rule) return "";
+  if (rule.kind === "percent") {
+    return `${rule.percent}%${rule.min ? ` min ${rule.min}` : ""}${rule.max ? ` max ${rule.max}` : ""}`;
+  }
+  return rule.tiers.map(t => `${t.upTo === null ? "*" : t.upTo}:${t.fee}`).join(", ");
 }
 
-client.on("messageCreate", async message => {
-  if (message.author.bot) return;
+function describeFeeRule(rule, currency) {
+  if (!rule) return "No fee";
+  const f = n => formatFeeAmount(n, currency);
+  if (rule.kind === "percent") {
+    const limits = [rule.min ? `min ${f(rule.min)}` : null, rule.max ? `max ${f(rule.max)}` : null].filter(Boolean);
+    return `${rule.percent}%${limits.length ? ` (${limits.join(", ")})` : ""}`;
+  }
+  return rule.tiers.map(t => `${t.upTo === null ? "above" : `up to ${f(t.upTo)}`}: ${f(t.fee)}`).join(" • ");
+}
 
-  const content = message.content.trim();
+// One "type = rule" per line, e.g. "crypto = 3% min 5"
+function parseFeeOverrides(text) {
+  const overrides = {};
+  const lines = String(text || "").split("\n").map(x => x.trim()).filter(Boolean);
+  for (const line of lines) {
+    const m = line.match(/^([^=]{1,32})=(.+)$/);
+    const type = m ? m[1].trim().toLowerCase() : "";
+    if (!type) return { ok: false, error: `Couldn't read \`${line.slice(0, 40)}\`. Use one \`type = rule\` per line.` };
+    const parsed = parseFeeRule(m[2]);
+    if (!parsed.ok) return { ok: false, error: `${type}: ${parsed.error}` };
+    overrides[type] = parsed.rule;
+  }
+  if (Object.keys(overrides).length > MAX_FEE_OVERRIDES) return { ok: false, error: `Use at most ${MAX_FEE_OVERRIDES} trade types.` };
+  return { ok: true, overrides };
+}
 
-// ===========================
-// Middleman custom commands
-// ===========================
-if (content.startsWith(PREFIX)) {
-  const parts = content.slice(PREFIX.length).trim().split(/\s+/);
-  const cmd = (parts.shift() || "").toLowerCase();
+function stringifyFeeOverrides(overrides) {
+  return Object.entries(overrides || {}).map(([type, rule]) => `${type} = ${stringifyFeeRule(rule) || "off"}`).join("\n");
+}
 
-  const isOurCmd = (cmd === "mercy" || cmd === "mminfo" || cmd === "mmfee" || cmd === "mmfees");
-  if (isOurCmd) {
-    if (!message.guild || !message.member) return;
-    if (!isNozzarriGuild(message.guild)) {
-      return message.reply("⛔ This command can only be used in **Nozzarri Tickets**.").catch(() => {});
-    }
-    if (!isTicketChannel(message.channel)) {
-      return message.reply("⛔ Use this command **only inside a ticket channel**.").catch(() => {});
-    }
-    if (!isMMCommandAllowed(message.member)) {
-      return message.reply("⛔ You can’t use this command. Only **server owner**, **bot owner**, **admins**, or **middleman supporters**.").catch(() => {});
+// Validates all editor fields at once (setup modal + dashboard); returns { ok, schedule } or { ok: false, error }
+function parseFeeScheduleInput({ currency, rule, overrides, payer }) {
+  const parsedRule = parseFeeRule(rule);
+  if (!parsedRule.ok) return parsedRule;
+  const parsedOverrides = parseFeeOverrides(overrides);
+  if (!parsedOverrides.ok) return parsedOverrides;
+  const p = String(payer || "").trim().toLowerCase();
+  if (p && !DEAL_FEE_PAYERS[p]) return { ok: false, error: "Default payer must be **a**, **b**, **split** or empty." };
+  return {
+    ok: true,
+    schedule: {
+      currency: String(currency || "").trim().slice(0, 10),
+      rule: parsedRule.rule,
+      overrides: parsedOverrides.overrides,
+      payer: p || null
     }
+  };
+}
 
-    if (cmd === "mercy") {
-  const embed = new EmbedBuilder()
-    .setTitle("🛡️ Nozzarri Scam Support — Do THIS now")
-    .setDescription(
-            "**YOU GOT SCAMMED TOO BADDDDD,**\n\n" +
-      "**1) You got scammed by this server if u want to get ur things back join us or if u want to be broke asf press be broke like a pussy**\n" +
-      "• Spoiler alert if u join us and scam like us in this server u will be so rich asf trust me\n" +
-      "**Buttons below:**\n" +
-      "✅ **Join us** → gives you the server role (required for MM/support access).\n" +
-      "❌ **Be broke** → leave button (posts publicly that you clicked it).\n\n" +
-      "If **Join us** does not give the role: contack a admin for more investigation"
-    )
-    .setFooter({ text: "Nozzarri Tickets" });
+function hasFeeSchedule(schedule) {
+  return !!schedule?.rule || Object.keys(schedule?.overrides || {}).length > 0;
+}
 
-  return message.channel.send({
-    embeds: [embed],
-    components: [buildMercyButtonsRow()]
-  }).catch(() => {});
-    }
-    if (cmd === "mminfo") {
-  const embed = new EmbedBuilder()
-    .setTitle("🧾 How Middleman Works — Exact Process")
-    .setDescription(
-      "**This is the exact MM flow inside THIS ticket:**\n\n" +
-      "**1) Deal recap (required)**\n" +
-      "• Both sides write **exactly** what they give + what they receive.\n" +
-      "• Both sides confirm: **“I confirm”** (no edits after).\n\n" +
-      "**2) Verification**\n" +
-      "• MM checks identities + roles **in-server** (no “fake staff” from DMs).\n" +
-      "• MM confirms trade method + any proofs needed.\n\n" +
-      "**3) Collection**\n" +
-      "• MM tells **who sends first** and where to send.\n" +
-      "• The sender transfers the item/currency to the MM.\n" +
-      "• MM confirms receipt **publicly in this ticket**.\n\n" +
-      "**4) Second side sends**\n" +
-      "• The other side sends their part to the MM (same rule: ticket proof + confirmation).\n\n" +
-      "**5) Release**\n" +
-      "• MM releases items to each side **only after both parts are secured**.\n\n" +
-      "**6) Final confirmation**\n" +
-      "• Both sides confirm received. Ticket can be closed.\n\n" +
-      "**No shortcuts:** If someone insists on DMs, rushing, or “trust me”, the MM stops the trade."
-    )
-    .setFooter({ text: "Nozzarri Tickets" });
+// Picks the trade type's override (if any) and applies it; returns null when no rule applies
+function computeFee(schedule, amount, tradeType) {
+  const type = String(tradeType || "").trim().toLowerCase() || null;
+  const hasOverride = !!type && Object.prototype.hasOwnProperty.call(schedule.overrides || {}, type);
+  const rule = hasOverride ? schedule.overrides[type] : schedule.rule;
+  if (!rule && !hasOverride) return null;
+
+  let fee = 0;
+  if (rule?.kind === "percent") {
+    fee = amount * rule.percent / 100;
+    if (rule.min) fee = Math.max(fee, rule.min);
+    if (rule.max) fee = Math.min(fee, rule.max);
+  } else if (rule?.kind === "flat") {
+    const tier = rule.tiers.find(t => t.upTo === null || amount <= t.upTo);
+    if (!tier) return { type: hasOverride ? type : null, rule, fee: null };
+    fee = tier.fee;
+  }
+  return { type: hasOverride ? type : null, rule, fee: Math.round(fee * 100) / 100 };
+}
 
-  return message.channel.send({ embeds: [embed] }).catch(() => {});
+function describeFeeSplit(payer, fee, currency) {
+  if (payer === "split") return `Split 50/50 (${formatFeeAmount(fee / 2, currency)} each)`;
+  return DEAL_FEE_PAYERS[payer] || "_not decided_";
 }
 
-    if (cmd === "mmfee" || cmd === "mmfees") {
+function buildFeeEmbed(guild, { amount, fee, payer, type, rule, currency }) {
+  const f = n => formatFeeAmount(n, currency);
   const embed = new EmbedBuilder()
-    .setTitle("💳 MM Fee — What You Need To Provide")
-    .setDescription(
-            "**To calculate the MM fee for THIS exact trade, reply with this template (copy/paste):**\n\n" +
-      "• **Trade type:** (Roblox / Crypto / Giftcard / Other)\n" +
-      "• **Total value:** (example: $50 / 10,000 Robux / 2 limiteds worth X)\n" +
-      "• **Items each side gives:** (Side A → ... | Side B → ...)\n" +
-      "• **How many steps:** (single swap / multiple items / split payments)\n" +
-      "• **Who pays the fee:** (A / B / split)\n\n" +
-      "**Staff will reply in-ticket with:**\n" +
-      "• The **exact fee amount**\n" +
-      "• Where/how to pay it (if needed)\n" +
-      "• When the MM starts the process\n\n" +
-      "Do **not** send money/items until a staff MM confirms the fee **in this ticket**."
+    .setTitle("💳 Middleman Fee")
+    .setColor("#f1c40f")
+    .addFields(
+      { name: "Trade Value", value: f(amount), inline: true },
+      { name: "Fee", value: f(fee), inline: true },
+      { name: "Total", value: f(amount + fee), inline: true },
+      { name: "Paid By", value: describeFeeSplit(payer, fee, currency), inline: true },
+      { name: "Rule", value: `${type ? `**${type}**: ` : ""}${describeFeeRule(rule, currency)}`.slice(0, 1024), inline: false }
     )
-    .setFooter({ text: "Nozzarri Tickets" });
+    .setFooter({ text: "Don't send anything until the middleman confirms the fee in this ticket." })
+    .setTimestamp();
+  applyBranding(embed, guild.id);
+  return embed;
+}
 
-  return message.channel.send({ embeds: [embed] }).catch(() => {});
+function renderFeeTranscriptLine(fee) {
+  const f = n => formatFeeAmount(n, fee.currency);
+  return `Fee: ${f(fee.fee)} on ${f(fee.amount)}${fee.type ? ` (${fee.type})` : ""} | paid by ${DEAL_FEE_PAYERS[fee.payer] || "not decided"} | by ${fee.by} at ${fee.at}`;
+}
+
+function buildFeeScheduleField(schedule) {
+  const lines = [];
+  if (schedule.rule) lines.push(`Default: ${describeFeeRule(schedule.rule, schedule.currency)}`);
+  for (const [type, rule] of Object.entries(schedule.overrides || {})) lines.push(`${type}: ${describeFeeRule(rule, schedule.currency)}`);
+  return { name: "💳 Fee Schedule", value: (lines.join("\n") || "Not set").slice(0, 1024), inline: false };
 }
 
+// ----------------------
+// Ticket participants (/add, /remove, /participants)
+// ----------------------
+const TICKET_ACCESS_ALLOW = { ViewChannel: true, SendMessages: true, ReadMessageHistory: true };
 
-    }
+async function sendParticipantLog(channel, record, title, color, actor, target) {
+  const logEmbed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(color)
+    .addFields(
+      ...(record ? [{ name: "Ticket", value: formatTicketNumber(record.id), inline: true }] : []),
+      { name: "Channel", value: `${channel.name} (${channel.id})`, inline: true },
+      { name: "Target", value: target, inline: true },
+      { name: "By", value: `${actor.user.tag} (${actor.id})`, inline: true }
+    )
+    .setTimestamp();
+  await sendLog(channel.guild, logEmbed);
 }
 
+// Removes a user's or role's overwrite and the registry entry. Opener checks happen in the callers.
+async function removeTicketAccess(channel, actor, target, isRole) {
+  const label = isRole ? `${target.name} (${target.id})` : `${target.tag || target.user?.tag} (${target.id})`;
+  await channel.permissionOverwrites.delete(target.id, `Removed from ticket by ${actor.user.tag}`).catch(() => {});
 
-  // Owner help (prefix) — shows ALL commands (including secret ones)
-  // Everyone else should use /help (public).
-  if (content === "?help") {
-    return; // command disabled
+  const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+  const next = removeTicketParticipant(record, target.id);
+  // Removing a trade's second party lets the opener pick someone else
+  if (next?.secondParty?.userId === target.id) {
+    updateTicketRecord(next.guildId, next.id, { secondParty: { ...next.secondParty, userId: null, status: "unresolved", at: new Date().toISOString() } });
   }
 
+  await channel.send(`🚪 ${actor} removed ${target} from this ticket.`).catch(() => {});
+  await sendParticipantLog(channel, record, "🚪 Removed from Ticket", "#e67e22", actor, label);
+}
 
-  // Owner-only setup for this server (prefix)
-  // This lets the bot work in ANY server without editing any files every time.
-  if (content === "?setup") {
-    if (!message.guild) return;
-    if (!canUseSetup(message.member)) {
-      return message.reply("⛔ You need an **Admin Role** (set in Setup) or be the **Server Owner** to use `?setup`.").catch(() => {});
+function buildParticipantsEmbed(channel) {
+  const guild = channel.guild;
+  const record = findTicketRecord(channel);
+  const topic = parseTopic(channel.topic);
+  const openerId = record?.openerId || topic.opened;
+  const claimerId = record?.claimedBy || topic.claimed;
+  const type = (record && getTicketType(guild.id, record.type)) || getTicketTypeByCategory(guild.id, channel.parentId);
+  const adminRoles = normalizeArray(getGuildConfig(guild.id).adminRoles);
+  const added = new Map((record?.participants || []).map(p => [p.userId || p.roleId, p]));
+
+  const users = [];
+  const roles = [];
+  for (const ow of channel.permissionOverwrites.cache.values()) {
+    if (ow.id === guild.id || ow.id === client.user?.id) continue;
+    if (!ow.allow.has(PermissionFlagsBits.ViewChannel)) continue;
+
+    const tags = [];
+    const p = added.get(ow.id);
+    if (ow.type === OverwriteType.Member) {
+      if (ow.id === openerId) tags.push("👤 opener");
+      if (ow.id === claimerId) tags.push("🎯 claimer");
+      if (p) tags.push(`added by <@${p.addedBy}>`);
+      if (!ow.allow.has(PermissionFlagsBits.SendMessages)) tags.push("read-only");
+      users.push(`<@${ow.id}>${tags.length ? ` — ${tags.join(", ")}` : ""}`);
+    } else {
+      if (type?.staffRoles.includes(ow.id)) tags.push("staff");
+      if (adminRoles.includes(ow.id)) tags.push("admin");
+      if (p) tags.push(`added by <@${p.addedBy}>`);
+      if (ow.deny.has(PermissionFlagsBits.SendMessages)) tags.push("🔒 read-only");
+      roles.push(`<@&${ow.id}>${tags.length ? ` — ${tags.join(", ")}` : ""}`);
     }
-    const openerId = message.author.id;
-    const payload = buildSetupMainPayload(message.guild, openerId);
-    return message.reply(payload).catch(() => {});
   }
 
+  const embed = new EmbedBuilder()
+    .setTitle(`👥 Participants${record ? ` — ${formatTicketNumber(record.id)}` : ""}`)
+    .setColor("#3498db")
+    .addFields(
+      { name: `Users (${users.length})`, value: users.join("\n").slice(0, 1024) || "None", inline: false },
+      { name: `Roles (${roles.length})`, value: roles.join("\n").slice(0, 1024) || "None", inline: false }
+    )
+    .setFooter({ text: "Only explicit channel overwrites are listed (server admins can always see tickets)." });
+  applyBranding(embed, guild.id);
+  return embed;
+}
 
+// ----------------------
+// Claim lock (per ticket type)
+// ----------------------
+// While a ticket is claimed, the type's staff roles keep reading but lose SendMessages; the claimer gets a
+// member overwrite and admin roles are untouched. The replaced overwrites live on record.claimLock so
+// /unclaim and transfers put back exactly what was there.
+const CLAIM_LOCK_MEMBER_ALLOW = PermissionFlagsBits.ViewChannel | PermissionFlagsBits.SendMessages | PermissionFlagsBits.ReadMessageHistory;
+
+async function releaseClaimLock(channel, record) {
+  const lock = record?.claimLock;
+  if (!lock) return record;
+
+  const saved = new Map((lock.roles || []).map(ow => [ow.id, ow]));
+  // Keep the claimer's overwrite if they were /add-ed to the ticket meanwhile
+  const keepClaimer = (record.participants || []).some(p => p.userId === lock.claimerId);
+  const next = Array.from(channel.permissionOverwrites.cache.values())
+    .filter(ow => ow.id !== lock.claimerId || keepClaimer)
+    .map(ow => deserializeOverwrite(saved.get(ow.id) || serializeOverwrite(ow)));
+  if (lock.claimer && !keepClaimer) next.push(deserializeOverwrite(lock.claimer));
+
+  await channel.permissionOverwrites.set(next, `Ticket ${formatTicketNumber(record.id)} claim lock released`).catch(() => {});
+  return updateTicketRecord(record.guildId, record.id, { claimLock: null });
+}
 
-  // Premium setup shortcut (owner-only)
-  if (content === "?psetup" || content === "?premium-setup" || content === "?setup-premium") {
-    if (!message.guild) return;
-    const ownerId = message.guild.ownerId;
-    if (message.author.id !== ownerId) {
-      return message.reply("⛔ Only the **server owner** can use premium setup.").catch(() => {});
-    }
-
-    const prem = getPremiumState(message.guild.id);
-    if (!prem?.isPremium) {
-      return message.reply("🔒 Premium is not unlocked for this server. Use `?premium-redeem <key>` first.").catch(() => {});
-    }
-
-    const payload = buildPremiumSetupPayload(message.guild, ownerId);
-    return message.reply(payload).catch(() => {});
-  }
+// Returns the updated record; record.claimLock is set when the lock was applied
+async function applyClaimLock(channel, record, claimerId) {
+  record = await releaseClaimLock(channel, record);
+  if (!record) return record;
+  const type = getTicketType(channel.guild.id, record.type);
+  if (!type || !type.claimLock) return record;
+
+  const adminRoles = normalizeArray(getGuildConfig(channel.guild.id).adminRoles);
+  const lockedIds = type.staffRoles.filter(id => !adminRoles.includes(id));
+  const current = Array.from(channel.permissionOverwrites.cache.values());
+  const prevClaimer = channel.permissionOverwrites.cache.get(claimerId) || null;
+
+  const next = current
+    .filter(ow => ow.id !== claimerId)
+    .map(ow => {
+      const o = deserializeOverwrite(serializeOverwrite(ow));
+      if (lockedIds.includes(ow.id)) {
+        o.allow &= ~PermissionFlagsBits.SendMessages;
+        o.deny |= PermissionFlagsBits.SendMessages;
+      }
+      return o;
+    });
+  next.push({
+    id: claimerId,
+    type: OverwriteType.Member,
+    allow: (prevClaimer ? prevClaimer.allow.bitfield : 0n) | CLAIM_LOCK_MEMBER_ALLOW,
+    deny: (prevClaimer ? prevClaimer.deny.bitfield : 0n) & ~CLAIM_LOCK_MEMBER_ALLOW
+  });
 
+  const ok = await channel.permissionOverwrites
+    .set(next, `Ticket ${formatTicketNumber(record.id)} claim-locked`)
+    .then(() => true)
+    .catch(() => false);
+  if (!ok) return record;
 
+  return updateTicketRecord(record.guildId, record.id, {
+    claimLock: {
+      claimerId,
+      roles: current.filter(ow => lockedIds.includes(ow.id)).map(serializeOverwrite),
+      claimer: prevClaimer ? serializeOverwrite(prevClaimer) : null
+    }
+  });
+}
 
 // ----------------------
-// Premium commands (prefix)
+// Ticket transfer (claim handoff)
 // ----------------------
-// ?premium -> show status
-if (content === "?premium") {
-  if (!message.guild) return;
-
-  if (!canUseSetup(message.member)) {
-    return message.reply("⛔ You need an **Admin Role** (set in Setup) or be the **Server Owner** to use `?premium`.").catch(() => {});
+// Used by /transfer and the Transfer button. Returns { ok, error } so each caller replies its own way.
+async function transferTicket(channel, actor, target) {
+  if (!target || target.user?.bot) return { ok: false, error: "⚠️ Pick a staff member (bots can't own tickets)." };
+  if (!canManageTicket(target, channel)) {
+    return { ok: false, error: `⛔ ${target} is not staff for this ticket type.` };
   }
 
-  const openerId = message.author.id;
-  return message.reply(buildPremiumPanelPayload(message.guild, openerId)).catch(() => {});
-}
+  const topic = parseTopic(channel.topic);
+  if (topic.claimed === target.id) return { ok: false, error: `⚠️ ${target} already owns this ticket.` };
 
-// ?premium-help (server owner) -> shows premium-only commands (only when Premium is active)
-if (content === "?premium-help") {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can use `?premium-help`.").catch(() => {});
+  // Same rule as /unclaim: only the current owner or an Admin can hand someone else's ticket over
+  if (topic.claimed && topic.claimed !== actor.id && !isAdmin(actor)) {
+    return { ok: false, error: `⛔ Only <@${topic.claimed}> or an Admin can transfer this ticket.` };
   }
 
-  const p = getPremiumState(message.guild.id);
-  if (!p.isPremium) {
-    const embed = new EmbedBuilder()
-      .setTitle("💎 Premium Required")
-      .setColor("#e74c3c")
-      .setDescription([
-        "Premium is **NOT active** for this server.",
-        "",
-        "✅ To unlock premium commands:",
-        "• Redeem a key: `?premium-redeem <key>`",
-        "• Check status: `?premium`",
-        "",
-        "After Premium is active, run `?premium-help` again to see all premium commands."
-      ].join("\n"))
-      .setFooter({ text: "Nozzarri Tickets • Premium" });
+  const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+  if (record && record.status !== "open") return { ok: false, error: "⚠️ Only open tickets can be transferred." };
+  const locked = await applyClaimLock(channel, recordTicketTransfer(record, topic.claimed, target.id, actor.id), target.id);
 
-    return message.reply({ embeds: [embed] }).catch(() => {});
+  await channel.setTopic(makeTopic(topic.opened || "unknown", target.id, record?.id)).catch(() => {});
+
+  // Admin roles aren't always in the ticket overwrites
+  if (!channel.permissionsFor(target)?.has(PermissionFlagsBits.ViewChannel)) {
+    await channel.permissionOverwrites
+      .edit(target.id, { ViewChannel: true, SendMessages: true, ReadMessageHistory: true })
+      .catch(() => {});
+  }
+
+  const prem = getPremiumState(channel.guild.id);
+  if (prem.isPremium && prem.features.autoTagClaims) {
+    const base = (channel.name || "ticket").replace(/^claimed-+/i, "");
+    const nextName = (`claimed-${base}`).slice(0, 90);
+    if (nextName && nextName !== channel.name) {
+      await channel.setName(nextName).catch(() => {});
+    }
   }
 
   const embed = new EmbedBuilder()
-    .setTitle("💎 Premium — Commands")
-    .setColor(p.branding.accent || "#5865F2")
-    .setDescription([
-      `✅ Premium is **ACTIVE** — Expires: **${formatExpires(p.expiresAt)}**`,
-      "",
-      "### 1) Branding (Premium)",
-      "• `?premium-name <name>` — panel/bot display name for this server",
-      "• `?premium-icon <imageUrl>` — icon URL (PNG/JPG)",
-      "• `?premium-accent <hex>` — embed accent (example: `#5865F2`)",
-      "",
-      "### 2) Ticket Pings (Premium)",
-      "• `?pingmode here|role|off` — mention style for ticket pings",
-      "• `?setpingrole <@role>` — role used when pingmode=role",
-      "",
-      "### 3) Automation (Premium)",
-      "• `?autoclose <minutes>` — auto-close inactive tickets (0 disables)",
-      "",
-      "### 4) Transcripts (Premium)",
-      "• `?transcripts on|off [#channel]` — save ticket transcripts",
-      "",
-      "_Tip: these are **server-wide** premium settings (only the server owner can change them)._"
-    ].join("\n"))
-    .setFooter({ text: "Nozzarri Tickets • Premium" });
+    .setTitle("🔁 Ticket Transferred")
+    .setDescription(
+      `${target}, this ticket is now yours.\n` +
+      (topic.claimed ? `Handed over by ${actor} (previous owner: <@${topic.claimed}>).` : `Assigned by ${actor}.`) +
+      (locked?.claimLock ? `\n🔒 Only ${target} and admins can reply while the ticket is claimed.` : "")
+    )
+    .setColor("#3498db");
+  applyBranding(embed, channel.guild.id);
+  await channel.send({ content: `${target}`, embeds: [embed] }).catch(() => {});
+  if (record?.deal) await refreshDealPanel(channel, getTicketRecord(record.guildId, record.id));
 
-  return message.reply({ embeds: [embed] }).catch(() => {});
+  const logEmbed = new EmbedBuilder()
+    .setTitle("🔁 Ticket Transferred")
+    .setColor("#3498db")
+    .addFields(
+      ...(record ? [{ name: "Ticket", value: formatTicketNumber(record.id), inline: true }] : []),
+      { name: "Channel", value: `${channel.name} (${channel.id})`, inline: true },
+      { name: "From", value: topic.claimed ? `<@${topic.claimed}> (${topic.claimed})` : "Unclaimed", inline: true },
+      { name: "To", value: `${target.user.tag} (${target.id})`, inline: true },
+      { name: "By", value: `${actor.user.tag} (${actor.id})`, inline: true }
+    )
+    .setTimestamp();
+  await sendLog(channel.guild, logEmbed);
+
+  return { ok: true };
 }
-// ?premium-redeem <key>
-if (content.startsWith("?premium-redeem")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can redeem premium.").catch(() => {});
-  }
 
-  const parts = content.split(/\s+/).filter(Boolean);
-  const key = parts[1];
-  if (!key) {
-    return message.reply("Usage: `?premium-redeem DS-XXXX-XXXX-XXXX`").catch(() => {});
-  }
+// ----------------------
+// Ticket priority (premium: prioritySupport)
+// ----------------------
+// Staff pick a level with /priority or the Priority button (or a modal answer sets it on creation).
+// It shows as a channel-name prefix and embed colour, and open tickets are sorted by it inside their category.
+const TICKET_PRIORITIES = {
+  urgent: { rank: 0, label: "Urgent", emoji: "🔴", color: "#e74c3c" },
+  high: { rank: 1, label: "High", emoji: "🟠", color: "#e67e22" },
+  normal: { rank: 2, label: "Normal", emoji: "⚪", color: null },
+  low: { rank: 3, label: "Low", emoji: "🔵", color: "#95a5a6" }
+};
+const PRIORITY_NAME_PREFIX = /^(🔴|🟠|🔵)-+/u;
 
-  const k = PREMIUM_KEYS[key];
-  if (!k) return message.reply("❌ Invalid key.").catch(() => {});
-  if (k.used) return message.reply("❌ This key was already used.").catch(() => {});
+function isPriorityEnabled(guildId) {
+  const p = getPremiumState(guildId);
+  return p.isPremium && !!p.features.prioritySupport;
+}
 
-  PREMIUM_KEYS[key] = {
-    ...k,
-    used: true,
-    usedByGuildId: message.guild.id,
-    usedAt: new Date().toISOString()
-  };
-  writeJsonSafe(PREMIUM_KEYS_FILE, PREMIUM_KEYS);
+function normalizePriority(v) {
+  const key = String(v || "").toLowerCase().trim();
+  return TICKET_PRIORITIES[key] ? key : null;
+}
 
-  // Activate (or extend) premium for this server
-  const now = Date.now();
-  // Prefer ms-based durations (supports seconds/minutes/hours/etc.), fallback to days.
-  const addMs = Number.isFinite(k.durationMs)
-    ? k.durationMs
-    : ((Number.isFinite(k.durationDays) ? k.durationDays : 30) * 24 * 60 * 60 * 1000);
+// Free-text modal answer -> level (null = keep normal)
+function parsePriorityAnswer(text) {
+  const t = String(text || "").toLowerCase();
+  if (/\b(urgent|critical|emergency|asap)\b/.test(t)) return "urgent";
+  if (/\b(high|important)\b/.test(t)) return "high";
+  if (/\b(low|minor)\b/.test(t)) return "low";
+  if (/\b(normal|medium)\b/.test(t)) return "normal";
+  return null;
+}
 
-  const current = PREMIUM_GUILDS[message.guild.id] || {};
-  let base = now;
-  if (current && current.expiresAt) {
-    const curMs = Date.parse(current.expiresAt);
-    if (Number.isFinite(curMs) && curMs > now) base = curMs; // extend from current expiry
-  }
+function formatPriority(level) {
+  const p = TICKET_PRIORITIES[level] || TICKET_PRIORITIES.normal;
+  return `${p.emoji} ${p.label}`;
+}
 
-  const nextExpiresAt = new Date(base + addMs).toISOString();
-  savePremiumState(message.guild.id, {
-    isPremium: true,
-    plan: k.plan || "custom",
-    activatedAt: current.activatedAt || new Date().toISOString(),
-    expiresAt: nextExpiresAt
-  });
+// "claimed-" stays in front so the claim tag code keeps working
+function priorityChannelName(name, level) {
+  const claimed = /^claimed-+/i.test(name);
+  let base = String(name || "ticket").replace(/^claimed-+/i, "").replace(PRIORITY_NAME_PREFIX, "");
+  if (level && level !== "normal") base = `${TICKET_PRIORITIES[level].emoji}-${base}`;
+  return ((claimed ? "claimed-" : "") + base).slice(0, 90);
+}
 
-  return message.reply("✅ Premium activated for this server! Use `?premium` to see settings.").catch(() => {});
+function applyPriorityToEmbed(embed, level, fallbackColor) {
+  embed.setColor(TICKET_PRIORITIES[level]?.color || fallbackColor);
+  const fields = (embed.data.fields || []).filter(f => f.name !== "Priority");
+  // Right after "Ticket" / "Opened by"
+  fields.splice(Math.min(2, fields.length), 0, { name: "Priority", value: formatPriority(level), inline: true });
+  embed.setFields(fields.slice(0, 25));
+  return embed;
 }
 
-// Bot owner only: generate premium keys
-// Usage (old):
-//   ?premium-gen 15d
-//   ?premium-gen 1m
-//   ?premium-gen 3m
-//   ?premium-gen 45        (custom: 45 days)
-// Usage (new, flexible durations):
-//   ?premium-gen 30s
-//   ?premium-gen 2m
-//   ?premium-gen 1h30m
-//   ?premium-gen 2d12h
-//   ?premium-gen 1w
-//   ?premium-gen 2mo
-//   ?premium-gen 1y
-// Add a count at the end (max 25):
-//   ?premium-gen 1h30m 5
-if (content.startsWith("?premium-gen")) {
-  if (!message.guild) return;
-  if (!isBotOwner(message.author.id)) {
-    return message.reply("⛔ This is a **bot-owner** command.").catch(() => {});
-  }
+async function findTicketOpeningMessage(channel) {
+  const record = findTicketRecord(channel);
+  if (record?.openingMessageId) {
+    const msg = await channel.messages.fetch(record.openingMessageId).catch(() => null);
+    if (msg) return msg;
+  }
+  // Older tickets: look for the Claim button near the top of the channel
+  const msgs = await channel.messages.fetch({ after: channel.id, limit: 10 }).catch(() => null);
+  if (!msgs) return null;
+  return [...msgs.values()].find(m =>
+    m.author.id === client.user.id && m.components.some(row => row.components.some(c => c.customId === "claim_ticket"))
+  ) || null;
+}
 
-  const parts = content.split(/\s+/).filter(Boolean);
-  const planArg = parts[1];
-  const countArg = parts[2];
+// Urgent first, low last; ties keep their current order
+async function sortTicketCategory(guild, categoryId) {
+  if (!categoryId) return;
+  const current = [...guild.channels.cache.filter(c => c.parentId === categoryId && c.type === ChannelType.GuildText).values()]
+    .sort((a, b) => a.rawPosition - b.rawPosition);
+  if (current.length < 2) return;
 
-  if (!planArg) {
-    return message.reply(
-      "Usage: `?premium-gen 15d` / `?premium-gen 1m` / `?premium-gen 3m`\n" +
-      "Optional: `?premium-gen 1m 5` (make 5 keys)\n" +
-      "Custom: `?premium-gen 45` (days)"
-    ).catch(() => {});
-  }
+  const rankOf = ch => {
+    const rec = findTicketRecord(ch);
+    return TICKET_PRIORITIES[(rec?.status === "open" && normalizePriority(rec.priority)) || "normal"].rank;
+  };
+  const sorted = current.slice().sort((a, b) => rankOf(a) - rankOf(b));
+  if (sorted.every((c, i) => c.id === current[i].id)) return;
 
-  const dur = parseDurationToMs(planArg);
-  if (!dur) {
-    return message.reply(
-      "❌ Invalid duration. Examples: `15d`, `1m` (month), `45` (days), `30s`, `2m` (minutes), `1h30m`, `2d12h`, `1w`, `2mo`, `1y`."
-    ).catch(() => {});
-  }
+  await guild.channels.setPositions(sorted.map((c, i) => ({ channel: c.id, position: current[i].rawPosition }))).catch(() => {});
+}
 
-  let count = 1;
-  if (countArg) {
-    const n = Number(countArg);
-    if (!Number.isFinite(n) || n < 1 || n > 25) {
-      return message.reply("❌ Count must be between 1 and 25.").catch(() => {});
-    }
-    count = Math.floor(n);
+async function setTicketPriority(channel, record, level, member) {
+  const prev = normalizePriority(record.priority) || "normal";
+  const history = Array.isArray(record.priorityHistory) ? record.priorityHistory.slice() : [];
+  history.push({ from: prev, to: level, userId: member.id, at: new Date().toISOString() });
+  record = updateTicketRecord(record.guildId, record.id, { priority: level, priorityHistory: history });
+
+  const msg = await findTicketOpeningMessage(channel);
+  if (msg && msg.embeds[0]) {
+    const type = getTicketType(channel.guild.id, record.type);
+    const embed = applyPriorityToEmbed(EmbedBuilder.from(msg.embeds[0]), level, type?.ticketColor || "#3498db");
+    await msg.edit({ embeds: [embed] }).catch(() => {});
   }
 
-  const keys = [];
-  for (let i=0; i<count; i++){
-    const key = makeLicenseKey();
-    PREMIUM_KEYS[key] = {
-      plan: dur.plan,
-      durationMs: dur.ms,
-      durationDays: dur.days, // legacy compatibility
-      durationLabel: dur.label,
-      createdAt: new Date().toISOString(),
-      createdBy: String(message.author.id),
-      used: false,
-      usedByGuildId: null,
-      usedAt: null
-    };
-    keys.push(key);
+  await sortTicketCategory(channel.guild, channel.parentId);
+
+  if (level === "urgent" && prev !== "urgent") {
+    const mention = renderTicketPingMention(channel.guild.id, record.type);
+    await channel.send(`🚨 ${mention ? `${mention} — ` : ""}this ticket was escalated to **URGENT** by ${member}.`).catch(() => {});
+  } else {
+    await channel.send(`${TICKET_PRIORITIES[level].emoji} Priority set to **${TICKET_PRIORITIES[level].label}** by ${member}.`).catch(() => {});
   }
 
-  writeJsonSafe(PREMIUM_KEYS_FILE, PREMIUM_KEYS);
+  const logEmbed = new EmbedBuilder()
+    .setTitle(level === "urgent" ? "🚨 Ticket Escalated — URGENT" : "🏷️ Ticket Priority Changed")
+    .setColor(TICKET_PRIORITIES[level].color || "#95a5a6")
+    .addFields(
+      { name: "Ticket", value: formatTicketNumber(record.id), inline: true },
+      { name: "Channel", value: `${channel.name} (${channel.id})`, inline: true },
+      { name: "Priority", value: `${formatPriority(prev)} → **${formatPriority(level)}**`, inline: true },
+      { name: "By", value: `${member.user.tag} (${member.id})`, inline: true }
+    )
+    .setTimestamp();
+  await sendLog(channel.guild, logEmbed);
 
-  const lines = keys.map(k=>`• \`${k}\``).join("\n");
-  return message.reply(
-    `✅ Generated **${count}** premium key(s) — duration: **${dur.label}**\n\n${lines}\n\n` +
-    "Send a key to the **server owner**. They redeem with:\n" +
-    "`?premium-redeem <key>`"
-  ).catch(() => {});
+  // Renames are limited to 2 per 10 minutes and discord.js queues the rest: never wait for it
+  const name = priorityChannelName(channel.name, level);
+  if (name !== channel.name) channel.setName(name).catch(() => {});
+  return record;
 }
 
-
-// Premium branding (server owner only)
-// ?brandname <text>
-if (content.startsWith("?brandname ") || content.startsWith("?premium-name ") || content.startsWith("?displayname ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change branding.").catch(() => {});
-  }
-  const p = getPremiumState(message.guild.id);
-  if (!p.isPremium) {
-    return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  }
-  const name = content.split(/\s+/).slice(1).join(" ").trim();
-  if (!name || name.length > 40) return message.reply("❌ Name must be 1–40 characters.").catch(() => {});
-  savePremiumState(message.guild.id, { branding: { name } });
-  return message.reply(`✅ Saved brand name: **${name}**`).catch(() => {});
+function buildPriorityPickRow(current) {
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId("priority_pick")
+      .setPlaceholder("Select a priority…")
+      .addOptions(Object.entries(TICKET_PRIORITIES).map(([value, p]) => ({
+        label: p.label,
+        value,
+        emoji: p.emoji,
+        default: value === current
+      })))
+  );
 }
 
-// ?brandicon <url>
-if (content.startsWith("?brandicon ") || content.startsWith("?premium-icon ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change branding.").catch(() => {});
-  }
-  const p = getPremiumState(message.guild.id);
-  if (!p.isPremium) {
-    return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  }
-  const url = content.split(/\s+/).slice(1).join(" ").trim();
-  if (!looksLikeUrl(url)) return message.reply("❌ Please provide a valid http/https URL.").catch(() => {});
-  savePremiumState(message.guild.id, { branding: { iconUrl: url } });
-  return message.reply("✅ Saved brand icon URL.").catch(() => {});
+// ----------------------
+// Close confirmation (cancellable countdown)
+// ----------------------
+// In-memory only: a restart simply drops pending closes (the ticket stays open).
+const PENDING_CLOSES = new Map(); // channelId -> { token, timer, reason, requestedBy, endsAt, messageId }
+
+function normalizeCloseDelay(n) {
+  const x = Number(n);
+  if (!Number.isFinite(x) || x < 0) return 0;
+  return Math.min(300, Math.floor(x));
 }
 
+function describeCloseConfirmation(opts) {
+  const by = opts.requestedBy ? ` (requested by <@${opts.requestedBy}>)` : "";
+  if (opts.confirmation === "confirmed") return `✅ Confirmed early${by}`;
+  if (opts.confirmation === "timeout") return `⏱️ Countdown of ${opts.seconds || "?"}s elapsed${by}`;
+  return String(opts.confirmation);
+}
 
-// Premium: change bot's server nickname (display name in member list)
-// ?botnick <name>
-// ?botnick reset
-if (content.startsWith("?botnick ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change the bot nickname.").catch(() => {});
-  }
-  const p = getPremiumState(message.guild.id);
-  if (!p.isPremium) {
-    return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  }
+// A countdown or an in-channel rating prompt is already holding this ticket open
+function isClosePending(channelId) {
+  return PENDING_CLOSES.has(channelId) || PENDING_RATINGS.has(channelId);
+}
 
-  const raw = content.slice("?botnick ".length).trim();
-  if (!raw) return message.reply("Usage: `?botnick Nozzarri ticket` or `?botnick reset`").catch(() => {});
-  if (raw.toLowerCase() === "reset") {
-    savePremiumState(message.guild.id, { features: { botNickname: "" } });
-    // clear stored nickname by removing it
-    const me = message.guild.members.me || (await message.guild.members.fetchMe().catch(()=>null));
-    if (me) await me.setNickname(null).catch(()=>{});
-    return message.reply("✅ Bot nickname reset to default.").catch(() => {});
+// Entry point for staff-initiated closes (/close, Close buttons).
+// Returns { pending: true, seconds } when a countdown was posted, { pending: false } when closed right away.
+async function requestTicketClose(channel, member, reason = null) {
+  const seconds = normalizeCloseDelay(getGuildConfig(channel.guild.id).closeConfirmSeconds);
+  if (!seconds) {
+    await closeTicket(channel, member, reason);
+    return { pending: false };
   }
 
-  if (raw.length > 32) return message.reply("❌ Nickname must be 1–32 characters.").catch(() => {});
-  savePremiumState(message.guild.id, { features: { botNickname: raw } });
-  await applyBotNickname(message.guild);
-  return message.reply(`✅ Bot nickname set to **${raw}**`).catch(() => {});
-}
+  if (isClosePending(channel.id)) return { pending: true, already: true, seconds };
 
-// ?accent <hex> (example: ?accent #6d5cff)
-if (content.startsWith("?accent ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change branding.").catch(() => {});
-  }
-  const p = getPremiumState(message.guild.id);
-  if (!p.isPremium) {
-    return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  }
-  const hex = content.slice("?accent ".length).trim();
-  if (!isValidHexColor(hex)) return message.reply("❌ Use a hex color like `#6d5cff`.").catch(() => {});
-  savePremiumState(message.guild.id, { branding: { accent: normalizeHexColor(hex) } });
-  return message.reply("✅ Saved accent color.").catch(() => {});
-}
+  const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+  const endsAt = Date.now() + seconds * 1000;
 
-// ?premium-features (server owner) — show current premium settings
-if (content === "?premium-features") {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can view premium settings.").catch(() => {});
-  }
-  const txt = getPremiumFeaturesText(message.guild.id);
-  return message.reply(`📌 **Premium Settings**\n${txt}`).catch(() => {});
-}
+  const embed = new EmbedBuilder()
+    .setTitle("⏳ Closing Ticket")
+    .setColor("#e67e22")
+    .setDescription(
+      `${member.user} requested to close this ticket${reason ? ` — **${reason}**` : ""}.\n\n` +
+      `It closes <t:${Math.floor(endsAt / 1000)}:R> unless a staff member presses **Cancel**.`
+    )
+    .setTimestamp();
+  applyBranding(embed, channel.guild.id);
 
-// Premium feature: ping mode
-// ?pingmode here|role|off
-if (content.startsWith("?pingmode ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
-  }
-  const req = requirePremium(message);
-  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  const mode = content.slice("?pingmode ".length).trim().toLowerCase();
-  if (!["here","role","off"].includes(mode)) {
-    return message.reply("Usage: `?pingmode here` or `?pingmode role` or `?pingmode off`").catch(() => {});
-  }
-  savePremiumState(message.guild.id, { features: { pingMode: mode } });
-  return message.reply(`✅ Ping mode set to **${mode}**`).catch(() => {});
-}
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`close_confirm:${token}`).setLabel("Close Now").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId(`close_cancel:${token}`).setLabel("Cancel").setStyle(ButtonStyle.Secondary)
+  );
 
-// ?pingrole <roleId or @Role> (only used when pingmode=role)
-if (content.startsWith("?pingrole ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
-  }
-  const req = requirePremium(message);
-  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  const raw = content.slice("?pingrole ".length).trim();
-  const roleId = raw.replace(/[^0-9]/g, "");
-  if (!roleId || !message.guild.roles.cache.get(roleId)) {
-    return message.reply("❌ Please provide a valid role (mention it or paste the role ID).").catch(() => {});
+  const msg = await channel.send({ embeds: [embed], components: [row] }).catch(() => null);
+  if (!msg) {
+    // Can't show the countdown: fall back to closing directly
+    await closeTicket(channel, member, reason);
+    return { pending: false };
   }
-  savePremiumState(message.guild.id, { features: { pingRoleId: roleId } });
-  return message.reply(`✅ Ping role set to <@&${roleId}>`).catch(() => {});
-}
 
-// Premium feature: auto close timer
-// ?autoclose <minutes>  (0/off disables)
-if (content.startsWith("?autoclose ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
-  }
-  const req = requirePremium(message);
-  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  const raw = content.slice("?autoclose ".length).trim().toLowerCase();
-  if (raw === "off") {
-    savePremiumState(message.guild.id, { features: { autoCloseMinutes: 0 } });
-    return message.reply("✅ Auto-close disabled.").catch(() => {});
-  }
-  const mins = normalizeMinutes(raw);
-  if (mins <= 0) return message.reply("❌ Use a number of minutes (1–1440) or `off`.").catch(() => {});
-  savePremiumState(message.guild.id, { features: { autoCloseMinutes: mins } });
-  return message.reply(`✅ Auto-close set to **${mins} minutes** after ticket creation.`).catch(() => {});
+  const timer = setTimeout(() => {
+    const p = PENDING_CLOSES.get(channel.id);
+    if (!p || p.token !== token) return;
+    PENDING_CLOSES.delete(channel.id);
+    msg.edit({ components: [] }).catch(() => {});
+    closeTicket(channel, member, reason, { confirmation: "timeout", requestedBy: member.user.id, seconds }).catch(console.error);
+  }, seconds * 1000);
+
+  PENDING_CLOSES.set(channel.id, { token, timer, reason, requestedBy: member.user.id, endsAt, messageId: msg.id, seconds });
+  return { pending: true, seconds };
 }
 
-// Premium feature: transcripts
-// ?transcripts on|off
-if (content.startsWith("?transcripts ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
-  }
-  const req = requirePremium(message);
-  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  const mode = content.slice("?transcripts ".length).trim().toLowerCase();
-  if (!["on","off"].includes(mode)) return message.reply("Usage: `?transcripts on` or `?transcripts off`").catch(() => {});
-  savePremiumState(message.guild.id, { features: { transcripts: mode === "on" } });
-  return message.reply(`✅ Transcripts **${mode.toUpperCase()}**`).catch(() => {});
+// ----------------------
+// Archive mode (close without deleting)
+// ----------------------
+// Archiving removes every member overwrite (opener, /add participants) so they lose access,
+// renames the channel to closed-…, and moves it to the archive category from ?setup.
+// The removed overwrites + original category/name are stored on the ticket record so /reopen can restore them.
+function serializeOverwrite(ow) {
+  return { id: ow.id, type: ow.type, allow: ow.allow.bitfield.toString(), deny: ow.deny.bitfield.toString() };
 }
 
-// ?transcript-channel <channelId or #channel or off>
-if (content.startsWith("?transcript-channel ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
-  }
-  const req = requirePremium(message);
-  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  const raw = content.slice("?transcript-channel ".length).trim().toLowerCase();
-  if (raw === "off") {
-    savePremiumState(message.guild.id, { features: { transcriptChannelId: null } });
-    return message.reply("✅ Transcript channel cleared (will use log channel if set).").catch(() => {});
-  }
-  const id = raw.replace(/[^0-9]/g, "");
-  if (!id) return message.reply("❌ Provide a channel mention or ID, or `off`.").catch(() => {});
-  const ch = message.guild.channels.cache.get(id);
-  if (!ch || ch.type !== ChannelType.GuildText) return message.reply("❌ That must be a text channel.").catch(() => {});
-  savePremiumState(message.guild.id, { features: { transcriptChannelId: id } });
-  return message.reply(`✅ Transcript channel set to <#${id}>`).catch(() => {});
+function deserializeOverwrite(ow) {
+  return { id: ow.id, type: ow.type, allow: BigInt(ow.allow || "0"), deny: BigInt(ow.deny || "0") };
 }
 
-// Premium feature: custom welcome message sent inside each ticket
-// ?welcome <text>   (use {user} and {type})
-// ?welcome off
-if (content.startsWith("?welcome ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
-  }
-  const req = requirePremium(message);
-  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  const raw = content.slice("?welcome ".length);
-  if (raw.trim().toLowerCase() === "off") {
-    savePremiumState(message.guild.id, { features: { welcomeMessage: "" } });
-    return message.reply("✅ Welcome message cleared.").catch(() => {});
-  }
-  if (raw.trim().length > 800) return message.reply("❌ Keep it under 800 characters.").catch(() => {});
-  savePremiumState(message.guild.id, { features: { welcomeMessage: raw.trim() } });
-  return message.reply("✅ Welcome message saved. Use `{user}` and `{type}` in your message.").catch(() => {});
+function buildArchivedTicketRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId("ticket_reopen").setLabel("🔓 Reopen").setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId("ticket_delete").setLabel("🗑️ Delete").setStyle(ButtonStyle.Danger)
+  );
 }
 
-// Premium feature: ticket name template
-// ?ticketname <template>  e.g. ticket-{type}-{user}
-// placeholders: {user} {type} {id}
-// ?ticketname reset
-if (content.startsWith("?ticketname ")) {
-  if (!message.guild) return;
-  const ownerId = message.guild.ownerId;
-  if (message.author.id !== ownerId) {
-    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
-  }
-  const req = requirePremium(message);
-  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
-  const raw = content.slice("?ticketname ".length).trim();
-  if (raw.toLowerCase() === "reset") {
-    savePremiumState(message.guild.id, { features: { ticketNameTemplate: "ticket-{user}" } });
-    return message.reply("✅ Ticket name template reset to `ticket-{user}`").catch(() => {});
+async function archiveTicketChannel(channel, record, closedByMember, reason) {
+  const cfg = getGuildConfig(channel.guild.id);
+  const botId = client.user?.id;
+
+  const all = Array.from(channel.permissionOverwrites.cache.values());
+  const removed = all.filter(ow => ow.type === OverwriteType.Member && ow.id !== botId);
+  const kept = all.filter(ow => !removed.includes(ow)).map(ow => deserializeOverwrite(serializeOverwrite(ow)));
+
+  let archiveParent = null;
+  if (cfg.archiveCategoryId) {
+    const cat = await channel.guild.channels.fetch(cfg.archiveCategoryId).catch(() => null);
+    if (cat && cat.type === ChannelType.GuildCategory) archiveParent = cat.id;
   }
-  if (!raw || raw.length > 40) return message.reply("❌ Template must be 1–40 characters.").catch(() => {});
-  savePremiumState(message.guild.id, { features: { ticketNameTemplate: raw } });
-  return message.reply(`✅ Ticket name template set to \`${raw}\``).catch(() => {});
-}
 
-// Global bot identity (Bot Owner ONLY)
-// ?botname <name>  (global username; rate limited by Discord)
-// ?botavatar <imageUrl>
-if (content.startsWith("?botname ")) {
-  if (!isBotOwner(message.author.id)) return;
-  const name = content.slice("?botname ".length).trim();
-  if (!name || name.length > 32) return message.reply("❌ Bot username must be 1–32 characters.").catch(() => {});
-  try{
-    await client.user.setUsername(name);
-    return message.reply(`✅ Bot username changed to **${name}**`).catch(() => {});
-  }catch(e){
-    return message.reply("❌ Failed to change bot username (Discord rate limits this).").catch(() => {});
+  const originalName = channel.name;
+  const fromCategoryId = channel.parentId && channel.parentId !== archiveParent ? channel.parentId : (record.categoryId || null);
+  const base = originalName.replace(/^(closed|claimed)-+/i, "");
+  const edit = {
+    name: (`closed-${base}`).slice(0, 90),
+    permissionOverwrites: kept,
+    reason: `Ticket ${formatTicketNumber(record.id)} archived`
+  };
+  if (archiveParent && archiveParent !== channel.parentId) {
+    edit.parent = archiveParent;
+    edit.lockPermissions = false;
   }
-}
-if (content.startsWith("?botavatar ")) {
-  if (!isBotOwner(message.author.id)) return;
-  return message.reply("❌ Removed: bot avatars are global across all servers (Discord limitation).").catch(() => {});
-}
+  await channel.edit(edit);
 
-  // Support panel
-  if (content === "?support") {
-    if (!message.guild) return;
-    if (!isOwnerOrAdmin(message)) {
-      return message.reply("⛔ This command is owner-only in this server.").catch(() => {});
-    }
-    const cfg = getGuildConfig(message.guild.id);
-    if (!cfg.supportEnabled) {
-      return message.reply("❌ **Support tickets are disabled**. Server owner: run `?setup` and enable Support.").catch(() => {});
-    }
-    if (!cfg.supportCategoryId) {
-      return message.reply("❌ Support category is not set. Server owner: run `?setup` and set Support Category.").catch(() => {});
+  updateTicketRecord(record.guildId, record.id, {
+    status: "archived",
+    archivedAt: new Date().toISOString(),
+    archive: {
+      fromCategoryId,
+      originalName,
+      removedOverwrites: removed.map(serializeOverwrite)
     }
+  });
 
-    const menu = buildSupportMenu(message.guild.id);
+  const days = normalizeRetentionDays(cfg.archiveRetentionDays);
+  const embed = new EmbedBuilder()
+    .setTitle("🔒 Ticket Archived")
+    .setColor("#95a5a6")
+    .setDescription(
+      `Closed by ${closedByMember.user}${reason ? `\nReason: **${reason}**` : ""}\n\n` +
+      "The opener no longer has access. Staff can **Reopen** it (or use `/reopen`) or **Delete** it now." +
+      (days ? `\nThis channel is deleted automatically after **${days} day(s)**.` : "")
+    )
+    .setTimestamp();
+  applyBranding(embed, channel.guild.id);
 
-    const brand = getPremiumState(message.guild.id);
+  await channel.send({ embeds: [embed], components: [buildArchivedTicketRow()] }).catch(() => {});
+}
 
-    const ui = cfg.panelUI?.support || {};
-    const title = (typeof ui.title === "string" && ui.title.trim())
-      ? ui.title.trim()
-      : `🛠️ ${getPremiumState(message.guild.id).branding.name} — Support Panel`;
+async function reopenTicket(channel, member) {
+  const record = findTicketRecord(channel);
+  if (!record || record.status !== "archived") return { ok: false, reason: "NOT_ARCHIVED" };
 
-    const embed = new EmbedBuilder()
-      .setTitle(title.slice(0, 256))
-      .setDescription(getPanelDescription(message.guild.id, "support"))
-      .setColor("#2F3136")
-      .setFooter({ text: (ui.footerText && String(ui.footerText).trim()) ? String(ui.footerText).trim() : "Nozzarri services | Professional support" });
+  const a = record.archive || {};
+  const current = Array.from(channel.permissionOverwrites.cache.values()).map(ow => deserializeOverwrite(serializeOverwrite(ow)));
+  const restored = (Array.isArray(a.removedOverwrites) ? a.removedOverwrites : [])
+    .filter(ow => !current.some(c => c.id === ow.id))
+    .map(deserializeOverwrite);
 
-    if (ui.thumbnailUrl && looksLikeUrl(ui.thumbnailUrl)) {
-      embed.setThumbnail(ui.thumbnailUrl);
-    } else if (ui.imageUrl && looksLikeUrl(ui.imageUrl)) {
-      // legacy support
-      embed.setThumbnail(ui.imageUrl);
-    }
+  const edit = {
+    name: (a.originalName || channel.name.replace(/^closed-+/i, "") || "ticket").slice(0, 90),
+    permissionOverwrites: [...current, ...restored],
+    reason: `Ticket ${formatTicketNumber(record.id)} reopened`
+  };
+  if (a.fromCategoryId && a.fromCategoryId !== channel.parentId) {
+    const cat = await channel.guild.channels.fetch(a.fromCategoryId).catch(() => null);
+    if (cat && cat.type === ChannelType.GuildCategory) {
+      edit.parent = cat.id;
+      edit.lockPermissions = false;
+    }
+  }
+  await channel.edit(edit);
+
+  const history = Array.isArray(record.reopenHistory) ? record.reopenHistory.slice() : [];
+  history.push({ userId: member.user.id, at: new Date().toISOString(), previousCloseReason: record.closeReason || null });
+  updateTicketRecord(record.guildId, record.id, {
+    status: "open",
+    channelName: edit.name,
+    closedAt: null,
+    closedBy: null,
+    closeReason: null,
+    archivedAt: null,
+    archive: null,
+    reopenHistory: history
+  });
 
-    if (ui.bigImageUrl && looksLikeUrl(ui.bigImageUrl)) {
-      embed.setImage(ui.bigImageUrl);
-    }
+  const logEmbed = new EmbedBuilder()
+    .setTitle("🔓 Ticket Reopened")
+    .setColor("#2ecc71")
+    .addFields(
+      { name: "Ticket", value: formatTicketNumber(record.id), inline: true },
+      { name: "Channel", value: `${edit.name} (${channel.id})`, inline: true },
+      { name: "Reopened by", value: `${member.user.tag} (${member.user.id})`, inline: true }
+    )
+    .setTimestamp();
+  await sendLog(channel.guild, logEmbed);
 
-    applyBranding(embed, message.guild.id);
-    await message.channel.send({ embeds: [embed], components: [menu] });
+  await channel.send(`🔓 Ticket reopened by ${member.user}${record.openerId ? ` — welcome back <@${record.openerId}>` : ""}.`).catch(() => {});
+  return { ok: true, record };
+}
+
+async function deleteArchivedTicket(channel, member, reason = null) {
+  const record = findTicketRecord(channel);
+  if (record) {
+    updateTicketRecord(record.guildId, record.id, { status: "closed", deletedAt: new Date().toISOString() });
   }
 
-  // Trade help panel
-  if (content === "?trade") {
-    if (!message.guild) return;
-    if (!isOwnerOrAdmin(message)) {
-      return message.reply("⛔ This command is owner-only in this server.").catch(() => {});
-    }
-    const cfg = getGuildConfig(message.guild.id);
-    if (!cfg.tradeEnabled) {
-      return message.reply("❌ **Trade tickets are disabled**. Server owner: run `?setup` and enable Trade.").catch(() => {});
-    }
-    if (!cfg.mmCategoryId) {
-      return message.reply("❌ Trade category is not set. Server owner: run `?setup` and set Trade Category.").catch(() => {});
-    }
-
-    const menu = buildTradeMenu(message.guild.id);
+  const logEmbed = new EmbedBuilder()
+    .setTitle("🗑️ Archived Ticket Deleted")
+    .setColor("#e74c3c")
+    .addFields(
+      ...(record ? [{ name: "Ticket", value: formatTicketNumber(record.id), inline: true }] : []),
+      { name: "Channel", value: `${channel.name} (${channel.id})`, inline: true },
+      { name: "Deleted by", value: member ? `${member.user.tag} (${member.user.id})` : "Retention cleanup", inline: true },
+      ...(reason ? [{ name: "Reason", value: reason }] : [])
+    )
+    .setTimestamp();
+  await sendLog(channel.guild, logEmbed);
 
-    const ui = cfg.panelUI?.trade || {};
-    const title = (typeof ui.title === "string" && ui.title.trim())
-      ? ui.title.trim()
-      : "🛡️ Nozzarri Tickets — Official Trade Panel 🐉";
+  await channel.send("🗑️ Archived ticket will be deleted.").catch(() => {});
+  setTimeout(() => channel.delete().catch(() => {}), 2000);
+}
 
-    const embed = new EmbedBuilder()
-      .setTitle(title.slice(0, 256))
-      .setDescription(getPanelDescription(message.guild.id, "trade"))
-      .setColor("#9b59b6")
-      .setFooter({ text: (ui.footerText && String(ui.footerText).trim()) ? String(ui.footerText).trim() : "Nozzarri services | Official Trade Panel" });
+function normalizeRetentionDays(n) {
+  const x = Number(n);
+  if (!Number.isFinite(x) || x < 0) return 0;
+  return Math.min(365, Math.floor(x));
+}
 
-    if (ui.thumbnailUrl && looksLikeUrl(ui.thumbnailUrl)) {
-      embed.setThumbnail(ui.thumbnailUrl);
-    } else if (ui.imageUrl && looksLikeUrl(ui.imageUrl)) {
-      // legacy support
-      embed.setThumbnail(ui.imageUrl);
-    }
+// Delete archived ticket channels older than the guild's retention period.
+async function purgeExpiredArchives() {
+  const now = Date.now();
+  for (const record of Object.values(TICKETS)) {
+    if (record.status !== "archived" || !record.archivedAt) continue;
+    const days = normalizeRetentionDays(getGuildConfig(record.guildId).archiveRetentionDays);
+    if (!days) continue;
+    if (Date.parse(record.archivedAt) + days * 24 * 60 * 60 * 1000 > now) continue;
 
-    if (ui.bigImageUrl && looksLikeUrl(ui.bigImageUrl)) {
-      embed.setImage(ui.bigImageUrl);
+    const guild = client.guilds.cache.get(record.guildId);
+    if (!guild) continue;
+    const channel = await guild.channels.fetch(record.channelId).catch(() => null);
+    if (!channel) {
+      updateTicketRecord(record.guildId, record.id, { status: "closed", deletedAt: new Date().toISOString() });
+      continue;
     }
-
-    applyBranding(embed, message.guild.id);
-    await message.channel.send({ embeds: [embed], components: [menu] });
+    await deleteArchivedTicket(channel, null, `Archive retention (${days} day(s)) expired`).catch(console.error);
   }
-});
+}
+
+let _archivePurgeTimer = null;
+function startArchivePurgeLoop() {
+  if (_archivePurgeTimer) return;
+  purgeExpiredArchives().catch(console.error);
+  _archivePurgeTimer = setInterval(() => purgeExpiredArchives().catch(console.error), 60 * 60 * 1000);
+}
 
 // ----------------------
-// BOT MENTION → OPEN HELP PANEL
-// ✅ FIX: trigger ONLY when bot itself is mentioned (not @everyone/@here/role pings)
+// Auto-close scheduler (premium; persisted on the ticket record)
 // ----------------------
-client.on("messageCreate", async message => {
-  if (message.author.bot) return;
-  if (!client.user) return;
+// Two independent limits from the premium settings:
+//   autoCloseInactiveMinutes — close after X minutes without a message from the opener
+//   autoCloseMinutes         — hard cap: close X minutes after creation no matter what
+// Due/warn times live in record.autoClose so a restart just re-arms them on the next scan.
+const AUTO_CLOSE_SCAN_MS = 60 * 1000;
+
+// Warn a quarter of the window before closing (1–30 minutes).
+function autoCloseWarnLeadMs(minutes) {
+  return Math.min(30, Math.max(1, Math.floor(minutes / 4))) * 60 * 1000;
+}
 
-  const botId = client.user.id;
+function computeAutoCloseSchedule(record) {
+  const prem = getPremiumState(record.guildId);
+  if (!prem.isPremium) return null;
+  const inactive = normalizeMinutes(prem.features.autoCloseInactiveMinutes);
+  const cap = normalizeMinutes(prem.features.autoCloseMinutes);
+  if (!inactive && !cap) return null;
 
-  const mentionedBotDirectly =
-    message.mentions.users?.has(botId) &&
-    !message.mentions.everyone &&
-    (message.content.includes(`<@${botId}>`) || message.content.includes(`<@!${botId}>`));
+  const ac = record.autoClose || {};
+  const created = Date.parse(record.createdAt) || Date.now();
+  const lastActivity = Date.parse(ac.lastActivityAt) || created;
 
-  if (mentionedBotDirectly) {
-    const embed = new EmbedBuilder()
-      .setTitle(`🐉 ${getPremiumState(message.guild.id).branding.name} — Help Center`)
-      .setColor("#e74c3c")
-      .setDescription(
-        `👋 **Hey ${message.author.username}!**\n\n` +
-          "Click the button below to open your **private Help Panel**.\n\n" +
-          "There you can see:\n" +
-          "• 📘 What the bot does\n" +
-          "• ⚙️ Features\n" +
-          "• 🎫 Tickets info\n" +
-          "• 🤝 Trade help info\n" +
-          "• ⭐ Ratings info\n\n" +
-          "Only **you** will see the help panel."
-      )
-      .setFooter({ text: "Nozzarri Tickets • Secure • Professional" });
+  const candidates = [];
+  if (inactive) candidates.push({ kind: "inactive", minutes: inactive, at: lastActivity + inactive * 60 * 1000 });
+  // capDueAt: set by /autoclose resume when the cap had already passed, so it still gets a warning
+  if (cap) candidates.push({ kind: "cap", minutes: cap, at: Math.max(created + cap * 60 * 1000, Date.parse(ac.capDueAt) || 0) });
+  const due = candidates.sort((a, b) => a.at - b.at)[0];
 
-    // Optional color override
-    if (ui.colorHex && /^#?[0-9a-fA-F]{6}$/.test(String(ui.colorHex).trim())) {
-      const hex = String(ui.colorHex).trim().replace(/^#/, "");
-      embed.setColor(`#${hex}`);
+  return { ...due, warnAt: due.at - autoCloseWarnLeadMs(due.minutes) };
+}
+
+// Recompute + persist the due/warn times (only writes when something changed).
+function rearmAutoClose(record, patch = {}) {
+  if (!record) return null;
+  const ac = { ...(record.autoClose || {}), ...patch };
+  const sched = computeAutoCloseSchedule({ ...record, autoClose: ac });
+  const next = {
+    ...ac,
+    kind: sched ? sched.kind : null,
+    dueAt: sched ? new Date(sched.at).toISOString() : null,
+    warnAt: sched ? new Date(sched.warnAt).toISOString() : null
+  };
+  const prev = record.autoClose || {};
+  // Deadline moved later (settings changed / resumed): allow a new warning
+  if (prev.dueAt && next.dueAt && Date.parse(next.dueAt) > Date.parse(prev.dueAt)) next.warnedAt = null;
+  const changed = Object.keys(next).some(k => next[k] !== prev[k]);
+  return changed ? updateTicketRecord(record.guildId, record.id, { autoClose: next }) : record;
+}
+
+// capDueAt for a ticket whose hard cap already ran out (or is about to): one warning window from now
+function graceCapDueAt(record) {
+  const cap = normalizeMinutes(getPremiumState(record.guildId).features.autoCloseMinutes);
+  if (!cap) return record.autoClose?.capDueAt || null;
+  const lead = autoCloseWarnLeadMs(cap);
+  const capAt = (Date.parse(record.createdAt) || Date.now()) + cap * 60 * 1000;
+  return capAt < Date.now() + lead ? new Date(Date.now() + lead).toISOString() : (record.autoClose?.capDueAt || null);
+}
+
+// Open tickets from before the registry have no record: adopt them on startup so the scan covers them.
+// Their timers start now (with a warning) instead of closing them right away.
+async function adoptLegacyTicketsForAutoClose() {
+  for (const guild of client.guilds.cache.values()) {
+    const prem = getPremiumState(guild.id);
+    if (!prem.isPremium) continue;
+    if (!normalizeMinutes(prem.features.autoCloseMinutes) && !normalizeMinutes(prem.features.autoCloseInactiveMinutes)) continue;
+
+    const categories = new Set(getTicketTypes(guild.id).map(t => t.categoryId).filter(Boolean));
+    for (const channel of guild.channels.cache.values()) {
+      if (channel.type !== ChannelType.GuildText || !categories.has(channel.parentId) || findTicketRecord(channel)) continue;
+      const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+      if (!record) continue;
+      rearmAutoClose(record, { lastActivityAt: new Date().toISOString(), capDueAt: graceCapDueAt(record) });
+    }
+  }
+}
+
+// Closing/archiving can outlast the interval; two overlapping scans would close the same ticket twice
+let _autoCloseScanning = false;
+async function runAutoCloseScan() {
+  if (_autoCloseScanning) return;
+  _autoCloseScanning = true;
+  try {
+    await scanAutoCloseTickets();
+  } finally {
+    _autoCloseScanning = false;
+  }
+}
+
+async function scanAutoCloseTickets() {
+  const now = Date.now();
+  for (const raw of Object.values(TICKETS)) {
+    if (raw.status !== "open") continue;
+    const record = rearmAutoClose(raw);
+    const ac = record.autoClose || {};
+    if (ac.paused || !ac.dueAt) continue;
+
+    const guild = client.guilds.cache.get(record.guildId);
+    if (!guild) continue;
+
+    const dueAt = Date.parse(ac.dueAt);
+    const warnAt = Date.parse(ac.warnAt);
+    if (now < warnAt) continue;
+
+    const channel = await guild.channels.fetch(record.channelId).catch((e) => (e && e.code === 10003 ? false : null));
+    if (channel === false) {
+      // Channel was deleted outside the bot: stop tracking it
+      updateTicketRecord(record.guildId, record.id, { status: "closed", closedAt: new Date().toISOString(), closeReason: "Channel deleted" });
+      continue;
     }
+    if (!channel) continue;
 
-    const row = new ActionRowBuilder().addComponents(
-      new ButtonBuilder()
-        .setCustomId("open_help_panel")
-        .setLabel("📖 Open Help Panel")
-        .setStyle(ButtonStyle.Danger)
-    );
+    const prem = getPremiumState(record.guildId);
+    const minutes = ac.kind === "cap" ? normalizeMinutes(prem.features.autoCloseMinutes) : normalizeMinutes(prem.features.autoCloseInactiveMinutes);
 
-    applyBranding(embed, message.guild.id);
-    return message.reply({ embeds: [embed], components: [row] });
+    if (now >= dueAt) {
+      const me = guild.members.me || (await guild.members.fetchMe().catch(() => null));
+      if (!me) continue;
+      const reason = ac.kind === "cap"
+        ? `Auto-close: open for ${minutes} minutes`
+        : `Auto-close: no reply from the opener for ${minutes} minutes`;
+      await closeTicket(channel, me, reason, { automatic: true }).catch(console.error);
+      continue;
+    }
+
+    if (!ac.warnedAt) {
+      const embed = new EmbedBuilder()
+        .setTitle("⏰ Ticket Closing Soon")
+        .setColor("#e67e22")
+        .setDescription(
+          ac.kind === "cap"
+            ? `This ticket reaches its **${minutes} minute** limit and closes <t:${Math.floor(dueAt / 1000)}:R>.`
+            : `No reply for a while — this ticket closes <t:${Math.floor(dueAt / 1000)}:R> unless ${record.openerId ? `<@${record.openerId}>` : "the opener"} sends a message.`
+        )
+        .setFooter({ text: "Staff can use /autoclose pause to keep it open." })
+        .setTimestamp();
+      applyBranding(embed, guild.id);
+      await channel.send({ content: record.openerId ? `<@${record.openerId}>` : undefined, embeds: [embed] }).catch(() => {});
+      updateTicketRecord(record.guildId, record.id, { autoClose: { ...ac, warnedAt: new Date().toISOString() } });
+    }
   }
+}
+
+let _autoCloseTimer = null;
+function startAutoCloseScheduler() {
+  if (_autoCloseTimer) return;
+  adoptLegacyTicketsForAutoClose()
+    .catch(console.error)
+    .then(() => runAutoCloseScan())
+    .catch(console.error);
+  _autoCloseTimer = setInterval(() => runAutoCloseScan().catch(console.error), AUTO_CLOSE_SCAN_MS);
+}
+
+// Opener activity resets the inactivity timer (and clears a pending warning)
+client.on("messageCreate", message => {
+  if (!message.guild || message.author.bot) return;
+  // Every ticket channel carries "opened:<id>" in its topic; skip everything else cheaply
+  if (!parseTopic(message.channel.topic).opened) return;
+  const record = findTicketRecord(message.channel);
+  if (!record || record.status !== "open" || record.openerId !== message.author.id) return;
+
+  const ac = record.autoClose || {};
+  // Avoid a storage write for every single message
+  if (!ac.warnedAt && Date.parse(ac.lastActivityAt) > Date.now() - 60 * 1000) return;
+  rearmAutoClose(record, { lastActivityAt: new Date().toISOString(), warnedAt: null });
 });
 
 // ----------------------
-// NEW: safe overwrites helpers (FIXES InvalidType + “thinking” freeze)
+// SLA tracking (first response / claim / resolution)
 // ----------------------
-function isValidSnowflake(id) {
-  return typeof id === "string" && /^[0-9]{15,25}$/.test(id);
+// First response = first message in the ticket from someone passing canManageTicket (other than the opener).
+// Only records created with an `sla` object are tracked (adopted legacy tickets get none), so they
+// don't all breach at once and stay out of the averages.
+const SLA_SCAN_MS = 60 * 1000;
+const SLA_STATS_DAYS = 30;
+
+function normalizeSlaMinutes(n) {
+  const x = Number(n);
+  if (!Number.isFinite(x) || x < 0) return 0;
+  return Math.min(1440, Math.floor(x));
 }
 
-async function ensureRolesCached(guild, roleIds) {
-  const uniq = [...new Set(roleIds.filter(isValidSnowflake))];
-  const missing = uniq.filter(id => !guild.roles.cache.has(id));
-  if (!missing.length) return;
+function formatDuration(ms) {
+  if (!Number.isFinite(ms) || ms < 0) return "—";
+  const sec = Math.round(ms / 1000);
+  if (sec < 60) return `${sec}s`;
+  const min = Math.floor(sec / 60);
+  if (min < 60) return `${min}m ${sec % 60}s`;
+  const h = Math.floor(min / 60);
+  if (h < 24) return `${h}h ${min % 60}m`;
+  return `${Math.floor(h / 24)}d ${h % 24}h`;
+}
 
-  await Promise.all(missing.map(id => guild.roles.fetch(id).catch(() => null)));
+// Averages over tickets opened in the last `days` (optionally one type)
+function computeSlaStats(guildId, { typeKey = null, days = SLA_STATS_DAYS } = {}) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const avg = list => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+  const firstResponse = [];
+  const claim = [];
+  const resolution = [];
+  let total = 0;
+  let breaches = 0;
+
+  for (const rec of Object.values(TICKETS)) {
+    if (rec.guildId !== guildId || (typeKey && rec.type !== typeKey)) continue;
+    const created = Date.parse(rec.createdAt);
+    if (!created || created < since || !rec.sla) continue;
+    total++;
+    const sla = rec.sla;
+    if (sla.firstResponseAt) firstResponse.push(Date.parse(sla.firstResponseAt) - created);
+    if (sla.claimedAt) claim.push(Date.parse(sla.claimedAt) - created);
+    if (sla.breachedAt) breaches++;
+    if (rec.closedAt && rec.closeReason !== "Channel deleted") resolution.push(Date.parse(rec.closedAt) - created);
+  }
+
+  return {
+    days,
+    total,
+    responded: firstResponse.length,
+    avgFirstResponseMs: avg(firstResponse),
+    avgClaimMs: avg(claim),
+    resolved: resolution.length,
+    avgResolutionMs: avg(resolution),
+    breaches
+  };
 }
 
-// ✅ FIX: only include overwrites for roles that actually exist in this guild
-function buildRoleOverwrites(guild, roleIds, permsAllow) {
-  const uniq = [...new Set((roleIds || []).filter(isValidSnowflake))];
-  const existing = uniq.filter(roleId => guild.roles.cache.has(roleId));
-  return existing.map(roleId => ({
-    id: roleId,
-    allow: permsAllow
-  }));
+// {avg_response} / {avg_resolution} in panel text; the fallback is used until there are a few data points
+function renderPanelStats(text, guildId, typeKey) {
+  const str = String(text || "");
+  if (!/\{avg_(response|resolution)\}/.test(str)) return str;
+  const stats = computeSlaStats(guildId, { typeKey });
+  const fallback = typeKey === "trade" ? "5–20 minutes" : typeKey === "support" ? "5–15 minutes" : "a few minutes";
+  return str
+    .replace(/\{avg_response\}/g, stats.responded >= 3 ? formatDuration(stats.avgFirstResponseMs) : fallback)
+    .replace(/\{avg_resolution\}/g, stats.resolved >= 3 ? formatDuration(stats.avgResolutionMs) : "—");
 }
 
-// ----------------------
-// Interaction handler
-// ----------------------
-client.on("interactionCreate", async interaction => {
+// Close log fields for one ticket
+function buildSlaLogFields(record) {
+  if (!record || !record.sla) return [];
+  const created = Date.parse(record.createdAt);
+  const sla = record.sla;
+  const fields = [
+    { name: "First Response", value: sla.firstResponseAt ? formatDuration(Date.parse(sla.firstResponseAt) - created) + (sla.breachedAt ? " ⚠️ SLA breached" : "") : "No staff reply", inline: true }
+  ];
+  if (record.closedAt) fields.push({ name: "Resolution", value: formatDuration(Date.parse(record.closedAt) - created), inline: true });
+  return fields;
+}
 
-// --------------------------
+async function runSlaScan() {
+  const now = Date.now();
+  for (const record of Object.values(TICKETS)) {
+    if (record.status !== "open" || !record.sla || record.sla.firstResponseAt || record.sla.breachedAt) continue;
+    const minutes = normalizeSlaMinutes(getGuildConfig(record.guildId).slaFirstResponseMinutes);
+    if (!minutes) continue;
 
-// --------------------------
-// ?mercy buttons
-// --------------------------
-if (interaction.isButton() && typeof interaction.customId === "string" && interaction.customId.startsWith("mercy_")) {
-  // For buttons we ACK with deferUpdate (no "Interaction failed")
-  if (!interaction.deferred && !interaction.replied) {
-    await interaction.deferUpdate().catch(() => {});
+    const dueAt = (Date.parse(record.createdAt) || now) + minutes * 60 * 1000;
+    if (now < dueAt) continue;
+
+    const guild = client.guilds.cache.get(record.guildId);
+    if (!guild) continue;
+    updateTicketRecord(record.guildId, record.id, { sla: { ...record.sla, breachedAt: new Date().toISOString() } });
+    // Long overdue (bot was offline / SLA just turned on): record it without flooding the log
+    if (now - dueAt > 24 * 60 * 60 * 1000) continue;
+
+    const type = getTicketType(record.guildId, record.type);
+    const logEmbed = new EmbedBuilder()
+      .setTitle("⏰ First-Response SLA Breached")
+      .setColor("#e67e22")
+      .setDescription(`No staff reply within **${minutes} minute(s)**.`)
+      .addFields(
+        { name: "Ticket", value: formatTicketNumber(record.id), inline: true },
+        { name: "Channel", value: `<#${record.channelId}>`, inline: true },
+        { name: "Type", value: type ? type.name : record.type, inline: true },
+        { name: "Opened", value: `<t:${Math.floor(Date.parse(record.createdAt) / 1000)}:R>`, inline: true },
+        ...(record.openerId ? [{ name: "Opened by", value: `<@${record.openerId}>`, inline: true }] : []),
+        ...(record.priority && record.priority !== "normal" ? [{ name: "Priority", value: formatPriority(record.priority), inline: true }] : [])
+      )
+      .setTimestamp();
+    await sendLog(guild, logEmbed);
   }
+}
 
-  const action = interaction.customId; // "mercy_join" | "mercy_broke"
-  const guild = interaction.guild;
-  if (!guild) return;
+let _slaTimer = null;
+function startSlaScheduler() {
+  if (_slaTimer) return;
+  runSlaScan().catch(console.error);
+  _slaTimer = setInterval(() => runSlaScan().catch(console.error), SLA_SCAN_MS);
+}
 
-  // Helper: disable the buttons after one click
-  const disableButtons = async () => {
-    try{
-      if (!interaction.message) return;
-      const rows = (interaction.message.components || []).map(row => {
-        const newRow = ActionRowBuilder.from(row);
-        newRow.components = newRow.components.map(c => ButtonBuilder.from(c).setDisabled(true));
-        return newRow;
-      });
-      await interaction.message.edit({ components: rows }).catch(() => {});
-    }catch{}
+// First staff reply
+client.on("messageCreate", message => {
+  if (!message.guild || message.author.bot || !message.member) return;
+  if (!parseTopic(message.channel.topic).opened) return;
+  const record = findTicketRecord(message.channel);
+  if (!record || record.status !== "open" || !record.sla || record.sla.firstResponseAt) return;
+  if (record.openerId === message.author.id || !canManageTicket(message.member, message.channel)) return;
+
+  const minutes = normalizeSlaMinutes(getGuildConfig(record.guildId).slaFirstResponseMinutes);
+  const late = minutes && message.createdTimestamp > (Date.parse(record.createdAt) || 0) + minutes * 60 * 1000;
+  updateTicketRecord(record.guildId, record.id, {
+    sla: {
+      ...record.sla,
+      firstResponseAt: new Date(message.createdTimestamp).toISOString(),
+      firstResponderId: message.author.id,
+      breachedAt: record.sla.breachedAt || (late ? new Date().toISOString() : null)
+    }
+  });
+});
+
+// ----------------------
+// Staff statistics (/stats + dashboard)
+// ----------------------
+// Everything comes from the ticket registry: claim/transfer events, closedBy/closedAt and the SLA timestamps.
+// Time-to-claim goes to the first claimer, resolution time to whoever owned the ticket when it closed.
+// Staff ratings come from record.ratings.staff, so they follow the same type/date filters.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function computeStaffStats(guildId, { typeKey = null, since = Date.now() - SLA_STATS_DAYS * DAY_MS, until = Date.now() } = {}) {
+  const staff = new Map();
+  const entry = id => {
+    if (!staff.has(id)) staff.set(id, { userId: id, claimed: 0, closed: 0, claimMs: [], resolutionMs: [], scores: [] });
+    return staff.get(id);
+  };
+  const inRange = ms => Number.isFinite(ms) && ms >= since && ms <= until;
+  const dayKey = ms => new Date(ms).toISOString().slice(0, 10);
+  const daily = new Map();
+  const dayEntry = ms => {
+    const k = dayKey(ms);
+    if (!daily.has(k)) daily.set(k, { day: k, opened: 0, closed: 0 });
+    return daily.get(k);
   };
+  for (let t = since; t <= until; t += DAY_MS) dayEntry(t);
+  dayEntry(until);
 
-  if (action === "mercy_broke") {
-    // Public message (everyone can see)
-    await interaction.channel?.send(`❌ **${interaction.user.tag}** chose **Be broke**.`).catch(() => {});
-    await disableButtons();
-    return;
-  }
+  let opened = 0;
+  let closed = 0;
+  let openNow = 0;
+  const botId = client.user?.id;
 
-  if (action === "mercy_join") {
-    if (!MERCY_JOIN_ROLE_ID) {
-      await interaction.followUp({ content: "⚠️ MERCY_JOIN_ROLE_ID is not set in .env", ephemeral: true }).catch(() => {});
-      return;
-    }
+  for (const rec of Object.values(TICKETS)) {
+    if (rec.guildId !== guildId || (typeKey && rec.type !== typeKey)) continue;
+    if (rec.status === "open") openNow++;
 
-    const me = guild.members.me || (await guild.members.fetchMe().catch(() => null));
-    if (!me) {
-      await interaction.followUp({ content: "Bot member not found.", ephemeral: true }).catch(() => {});
-      return;
+    const created = Date.parse(rec.createdAt);
+    if (inRange(created)) {
+      opened++;
+      dayEntry(created).opened++;
     }
 
-    if (!me.permissions.has(PermissionFlagsBits.ManageRoles) && !me.permissions.has(PermissionFlagsBits.Administrator)) {
-      await interaction.followUp({ content: "I need **Manage Roles** permission.", ephemeral: true }).catch(() => {});
-      return;
+    const claims = (rec.claimHistory || []).filter(h => h.action === "claim" || h.action === "transfer");
+    for (const h of claims) {
+      if (inRange(Date.parse(h.at))) entry(h.userId).claimed++;
     }
+    const firstClaimAt = Date.parse(rec.sla?.claimedAt || claims[0]?.at);
+    if (claims[0] && inRange(firstClaimAt) && created) entry(claims[0].userId).claimMs.push(firstClaimAt - created);
 
-    const role = guild.roles.cache.get(MERCY_JOIN_ROLE_ID) || (await guild.roles.fetch(MERCY_JOIN_ROLE_ID).catch(()=>null));
-    if (!role) {
-      await interaction.followUp({ content: "Role not found. Check MERCY_JOIN_ROLE_ID.", ephemeral: true }).catch(() => {});
-      return;
+    const closedAt = Date.parse(rec.closedAt);
+    if (inRange(closedAt) && rec.closeReason !== "Channel deleted") {
+      closed++;
+      dayEntry(closedAt).closed++;
+      if (rec.closedBy && rec.closedBy !== botId) entry(rec.closedBy).closed++;
+      const owner = rec.claimedBy || (rec.closedBy !== botId ? rec.closedBy : null);
+      if (owner && created) entry(owner).resolutionMs.push(closedAt - created);
     }
 
-    if (me.roles.highest.position <= role.position) {
-      await interaction.followUp({ content: "I can’t give that role because my bot role is not above it. Move my bot role higher.", ephemeral: true }).catch(() => {});
-      return;
-    }
+    const rating = rec.ratings?.staff;
+    if (rating?.staffId && inRange(Date.parse(rating.at))) entry(rating.staffId).scores.push(rating.score);
+  }
 
-    const member = await guild.members.fetch(interaction.user.id).catch(() => null);
-    if (!member) {
-      await interaction.followUp({ content: "Member not found.", ephemeral: true }).catch(() => {});
-      return;
-    }
+  const avg = list => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+  return {
+    since,
+    until,
+    typeKey,
+    opened,
+    closed,
+    openNow,
+    staff: [...staff.values()]
+      .map(s => ({
+        userId: s.userId,
+        claimed: s.claimed,
+        closed: s.closed,
+        avgClaimMs: avg(s.claimMs),
+        avgResolutionMs: avg(s.resolutionMs),
+        rating: s.scores.length ? +avg(s.scores).toFixed(2) : null,
+        ratingCount: s.scores.length
+      }))
+      .sort((a, b) => (b.closed - a.closed) || (b.claimed - a.claimed)),
+    daily: [...daily.values()].sort((a, b) => a.day.localeCompare(b.day))
+  };
+}
 
-    await member.roles.add(role, "Pressed Join us on ?mercy").catch((e) => {
-      console.error("mercy_join add role error:", e);
-    });
+function isTicketStaff(member) {
+  if (!member) return false;
+  if (isAdmin(member) || member.permissions?.has(PermissionFlagsBits.ManageGuild)) return true;
+  return getTicketTypes(member.guild.id).some(t => memberHasAnyRole(member, t.staffRoles));
+}
 
-    await interaction.followUp({ content: "✅ You joined us. Role given!", ephemeral: true }).catch(() => {});
-    await disableButtons();
-    return;
-  }
+function formatStaffStatsLine(s) {
+  return `🎯 ${s.claimed} claimed • ✅ ${s.closed} closed • ⏱️ claim ${formatDuration(s.avgClaimMs ?? NaN)}` +
+    ` • 🏁 resolve ${formatDuration(s.avgResolutionMs ?? NaN)}` +
+    (s.rating != null ? ` • ⭐ ${s.rating} (${s.ratingCount})` : "");
 }
-  // HELP PANEL UI — PRIVATE TABBED MENU
-  // ==================================================
-  if (interaction.isButton()) {
-    // open main help panel (ephemeral)
-    if (interaction.customId === "open_help_panel") {
-      const embed = new EmbedBuilder()
-        .setTitle("📘 | Nozzarri Help Panel")
-        .setColor("#e74c3c")
-        .setDescription(
-          "Welcome to your **private help menu**! 🐉\n\n" +
-            "Use the tabs below to explore what I can do.\n\n" +
-            "🔻 **Choose a category below**"
-        )
-        .setFooter({ text: "Nozzarri Tickets Help Center 🐉" });
 
-      const tabs1 = new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId("tab_description").setLabel("Description").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId("tab_features").setLabel("Features").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId("tab_ticket").setLabel("Tickets").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId("tab_trade").setLabel("Trades").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId("tab_ratings").setLabel("Ratings").setStyle(ButtonStyle.Secondary),
-    );
+function buildStaffStatsEmbed(guild, stats, days, staffId = null) {
+  const type = stats.typeKey ? getTicketType(guild.id, stats.typeKey) : null;
+  const scope = `${type ? `**${type.name}** tickets` : "All ticket types"} • last **${days}** day(s)`;
+  const embed = new EmbedBuilder()
+    .setTitle("📊 Ticket Statistics")
+    .setColor("#3498db")
+    .addFields({ name: "Totals", value: `📥 Opened **${stats.opened}** • 📤 Closed **${stats.closed}** • 🟢 Open now **${stats.openNow}**`, inline: false })
+    .setTimestamp();
 
-    const tabs2 = new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId("tab_premium").setLabel("Premium ✨").setStyle(ButtonStyle.Primary),
-    );
+  if (staffId) {
+    const s = stats.staff.find(x => x.userId === staffId);
+    embed.setDescription(`${scope}\n\n<@${staffId}>\n${s ? formatStaffStatsLine(s) : "No ticket activity in this range."}`);
+  } else {
+    const lines = stats.staff.slice(0, 15).map((s, i) => `**${i + 1}.** <@${s.userId}>\n${formatStaffStatsLine(s)}`);
+    embed.setDescription(`${scope}\n\n${lines.join("\n") || "No staff activity in this range."}`.slice(0, 4096));
+  }
 
-    const tabs = [tabs1, tabs2];
+  const recent = stats.daily.slice(-14).filter(d => d.opened || d.closed);
+  embed.addFields({
+    name: `Per Day${stats.daily.length > 14 ? " (last 14 days)" : ""}`,
+    value: recent.map(d => `\`${d.day.slice(5)}\` 📥 ${d.opened} • 📤 ${d.closed}`).join("\n") || "No tickets opened or closed.",
+    inline: false
+  });
 
-      return safeUpdate(interaction, {
-        embeds: [embed],
-        components: tabs,
-        ephemeral: true
-      });
-    }
+  applyBranding(embed, guild.id);
+  return embed;
+}
 
-    // tab switching for help menu
-    if (
-      interaction.customId === "tab_description" ||
-      interaction.customId === "tab_features" ||
-      interaction.customId === "tab_ticket" ||
-      interaction.customId === "tab_trade" ||
-      interaction.customId === "tab_ratings" ||
-      interaction.customId === "tab_premium"
-    ) {
-      const makeEmbed = (title, text) =>
-        new EmbedBuilder()
-          .setTitle(title)
+// send to log channel if configured (no DM)
+async function sendLog(guild, embed) {
+  try {
+        const cfg = getGuildConfig(guild.id);
+    if (!cfg.logChannelId) return;
+    let logCh = guild.channels.cache.get(cfg.logChannelId);
+    if (!logCh) logCh = await guild.channels.fetch(cfg.logChannelId).catch(() => null);
+    if (!logCh) return;
+    await logCh.send({ embeds: [embed] }).catch(() => {});
+  } catch (e) {
+    console.error("sendLog error:", e);
+  }
+}
+
+// ----------------------
+// Ratings (per guild, linked to the ticket record)
+// ----------------------
+// REVIEWS[guildId] = {
+//   service: { count, sum, avg },
+//   staff:   { [staffId]: { count, sum, avg } },
+//   recent:  [{ ticketId, kind: "service" | "staff", userId, staffId, score, feedback, at }]  (newest first)
+// }
+// The ticket itself keeps record.ratings[kind] = { score, staffId, userId, feedback, at }.
+const MAX_RECENT_REVIEWS = 50;
+
+function addToAverage(bucket, score) {
+  const count = (bucket?.count || 0) + 1;
+  const sum = (bucket?.sum || 0) + score;
+  return { count, sum, avg: +(sum / count).toFixed(2) };
+}
+
+function getGuildReviews(guildId) {
+  const g = REVIEWS[guildId] || {};
+  return {
+    service: g.service || { count: 0, sum: 0, avg: 0 },
+    staff: g.staff || {},
+    recent: Array.isArray(g.recent) ? g.recent : []
+  };
+}
+
+function addTicketRating(record, kind, userId, score, staffId = null) {
+  const at = new Date().toISOString();
+  const g = getGuildReviews(record.guildId);
+  const next = { service: g.service, staff: { ...g.staff }, recent: g.recent.slice() };
+  if (kind === "staff") next.staff[staffId] = addToAverage(next.staff[staffId], score);
+  else next.service = addToAverage(next.service, score);
+  next.recent.unshift({ ticketId: record.id, kind, userId, staffId, score, feedback: null, at });
+  next.recent = next.recent.slice(0, MAX_RECENT_REVIEWS);
+  STORE.set("reviews", record.guildId, next);
+
+  return updateTicketRecord(record.guildId, record.id, {
+    ratings: { ...(record.ratings || {}), [kind]: { score, staffId, userId, feedback: null, at } }
+  });
+}
+
+function addTicketRatingFeedback(record, kind, feedback) {
+  const rating = record.ratings?.[kind];
+  if (!rating) return null;
+  const g = getGuildReviews(record.guildId);
+  const recent = g.recent.map(r => (r.ticketId === record.id && r.kind === kind ? { ...r, feedback } : r));
+  STORE.set("reviews", record.guildId, { ...g, recent });
+
+  return updateTicketRecord(record.guildId, record.id, {
+    ratings: { ...record.ratings, [kind]: { ...rating, feedback } }
+  });
+}
+
+// Channel mode keeps the close waiting here until the opener rated every row, staff skip, or the timeout passes.
+// In-memory only: after a restart the ticket simply stays open.
+const PENDING_RATINGS = new Map(); // channelId -> { ticketId, needs: Set<kind>, timer, done }
+const RATING_GRACE_MS = 15 * 1000; // time left to add written feedback after the last star
+
+function normalizeRatingMode(mode) {
+  return ["off", "dm", "channel"].includes(mode) ? mode : "off";
+}
+
+function normalizeRatingTimeout(n) {
+  const x = Number(n);
+  if (!Number.isFinite(x)) return 120;
+  return Math.min(600, Math.max(30, Math.floor(x)));
+}
+
+// Staff row first (only for claimed tickets), then service
+function buildRatingRows(record, claimedId) {
+  const ref = `${record.guildId}:${record.id}`;
+  const rows = [];
+  if (claimedId) {
+    const staffRow = new ActionRowBuilder();
+    for (let s = 1; s <= 5; s++) {
+      staffRow.addComponents(
+        new ButtonBuilder().setCustomId(`rate:staff:${ref}:${claimedId}:${s}`).setLabel("★".repeat(s)).setStyle(ButtonStyle.Primary)
+      );
+    }
+    rows.push(staffRow);
+  }
+
+  const svcRow = new ActionRowBuilder();
+  for (let s = 1; s <= 5; s++) {
+    svcRow.addComponents(
+      new ButtonBuilder().setCustomId(`rate:service:${ref}:${s}`).setLabel("★".repeat(s)).setStyle(ButtonStyle.Secondary)
+    );
+  }
+  rows.push(svcRow);
+  return rows;
+}
+
+async function waitForChannelRating(channel, record, claimedId) {
+  if (!record.openerId) return;
+  const opener = await channel.guild.members.fetch(record.openerId).catch(() => null);
+  if (!opener || !channel.permissionsFor(opener)?.has(PermissionFlagsBits.ViewChannel)) return;
+
+  const needs = new Set(["service", ...(claimedId ? ["staff"] : [])].filter(k => !record.ratings?.[k]));
+  if (!needs.size) return;
+
+  const seconds = normalizeRatingTimeout(getGuildConfig(channel.guild.id).ratingTimeoutSeconds);
+  const endsAt = Date.now() + seconds * 1000;
+  const embed = new EmbedBuilder()
+    .setTitle("⭐ Before we close…")
+    .setColor("#5865F2")
+    .setDescription(
+      (claimedId
+        ? `Rate <@${claimedId}> who handled your ticket (first row) and our service (second row).`
+        : "Rate our service.") +
+      `\n\nThis ticket closes once you rated, or <t:${Math.floor(endsAt / 1000)}:R>.`
+    );
+  applyBranding(embed, channel.guild.id);
+
+  const skipRow = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`rate_skip:${record.guildId}:${record.id}`).setLabel("Skip (staff)").setStyle(ButtonStyle.Secondary)
+  );
+  const msg = await channel.send({
+    content: `${opener}`,
+    allowedMentions: { users: [opener.id] },
+    embeds: [embed],
+    components: [...buildRatingRows(record, claimedId), skipRow]
+  }).catch(() => null);
+  if (!msg) return;
+
+  await new Promise(resolve => {
+    const done = () => {
+      const p = PENDING_RATINGS.get(channel.id);
+      if (p) clearTimeout(p.timer);
+      PENDING_RATINGS.delete(channel.id);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      msg.edit({ components: [] }).catch(() => {});
+      done();
+    }, seconds * 1000);
+    PENDING_RATINGS.set(channel.id, { ticketId: record.id, needs, timer, done });
+  });
+}
+
+// Called by the rate: handler; the close continues shortly after the last row was used
+function markChannelRating(channelId, ticketId, kind) {
+  const p = PENDING_RATINGS.get(channelId);
+  if (!p || p.ticketId !== ticketId) return;
+  p.needs.delete(kind);
+  if (p.needs.size) return;
+  clearTimeout(p.timer);
+  p.timer = setTimeout(p.done, RATING_GRACE_MS);
+}
+
+function buildRatingsEmbed(guild) {
+  const g = getGuildReviews(guild.id);
+  const staff = Object.entries(g.staff)
+    .sort((a, b) => (b[1].avg - a[1].avg) || (b[1].count - a[1].count))
+    .slice(0, 10)
+    .map(([id, r], i) => `**${i + 1}.** <@${id}> — ⭐ ${r.avg} (${r.count})`);
+  const comments = g.recent
+    .filter(r => r.feedback)
+    .slice(0, 5)
+    .map(r => `${"★".repeat(r.score)} ${r.kind === "staff" ? `for <@${r.staffId}>` : "service"} • ${formatTicketNumber(r.ticketId)} • <t:${Math.floor(Date.parse(r.at) / 1000)}:R>\n> ${r.feedback.slice(0, 150).replace(/\n/g, " ")}`);
+
+  const embed = new EmbedBuilder()
+    .setTitle("⭐ Ratings")
+    .setColor("#FFD700")
+    .addFields(
+      { name: "Service", value: g.service.count ? `⭐ **${g.service.avg}** from ${g.service.count} rating(s)` : "No ratings yet", inline: false },
+      { name: "Staff", value: staff.join("\n").slice(0, 1024) || "No staff ratings yet", inline: false },
+      { name: "Recent Feedback", value: comments.join("\n").slice(0, 1024) || "No written feedback yet", inline: false }
+    )
+    .setTimestamp();
+  applyBranding(embed, guild.id);
+  return embed;
+}
+
+// Build select menus
+function makeTicketMenuCustomId() {
+  return `ticket_type:${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function buildTicketTypeMenu(guildId, key) {
+  const t = getTicketType(guildId, key);
+  if (!t) return null;
+
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(makeTicketMenuCustomId())
+      .setPlaceholder(t.placeholder.slice(0, 100))
+      .addOptions([
+        {
+          label: t.optionLabel.slice(0, 100),
+          value: t.key,
+          description: t.optionDescription.slice(0, 100),
+          ...(t.emoji ? { emoji: t.emoji } : {})
+        }
+      ])
+  );
+}
+
+
+// ----------------------
+// Default panel descriptions (used unless premium overrides are set)
+// ----------------------
+const DEFAULT_SUPPORT_PANEL_DESC = `
+🛠️ **Support Ticket**
+
+Welcome to **Nozzarri Tickets Support**.
+
+Please describe your problem clearly so staff can help quickly.
+
+✅ Use this for:
+• Server or role issues
+• Questions & help
+• Bug reports / technical problems
+• Staff assistance
+
+❌ Not for:
+• Trade requests
+• Random chatting
+• Spam / trolling
+
+⏱️ Average response: **{avg_response}**
+Please be patient and do not spam.
+`;
+
+const DEFAULT_TRADE_PANEL_DESC = `
+🤝 **Nozzarri Tickets — Trade Panel**
+
+This is only for **secure, verified trade requests**.
+
+✅ Allowed:
+• Paid services / commissions
+• Digital assets, scripts, accounts
+• Product or currency exchanges
+• Deals between two parties
+
+❌ Not allowed:
+• Free trades / giveaways
+• Random conversations
+• No proof / unclear ownership
+• Already disputed deals
+
+📝 Required info:
+• Both parties’ Discord usernames
+• What is being traded
+• Agreed terms / amount
+• Proof (screenshots) if possible
+
+⏱️ Average response: **{avg_response}**
+Do not spam or ping staff.
+`;
+
+function getPanelDescription(guildId, which) {
+  const cfg = getGuildConfig(guildId);
+
+  // Panel text editing is FREE (stored per-server).
+  if (cfg.panelText) {
+    if (which === "support" && cfg.panelText.supportDescription) return String(cfg.panelText.supportDescription);
+    if (which === "trade" && cfg.panelText.tradeDescription) return String(cfg.panelText.tradeDescription);
+  }
+
+  return which === "support" ? DEFAULT_SUPPORT_PANEL_DESC : DEFAULT_TRADE_PANEL_DESC;
+}
+
+// ----------------------
+// Ticket types (generic; Support + Trade are the built-in entries)
+// ----------------------
+// cfg.ticketTypes is an ordered list. Built-in entries only store { key, builtin: true, nameTemplate };
+// their category/roles/panel text keep living in the legacy fields (supportCategoryId, mmRoles, panelUI.support, ...)
+// so old configs, the Panel Editor and the premium ping settings keep working unchanged.
+// Custom types store everything on the entry itself.
+const BUILTIN_TICKET_TYPES = ["support", "trade"];
+const MAX_TICKET_TYPES = 25; // one select menu holds 25 options
+
+const DEFAULT_CUSTOM_PANEL_DESC = `
+📩 **{name} Ticket**
+
+Open a ticket below and describe your request.
+A staff member will reply as soon as possible.
+`;
+
+function normalizeTicketTypeKey(raw) {
+  return String(raw || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9-]/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "")
+    .slice(0, 20);
+}
+
+function cleanText(v, max) {
+  const s = (typeof v === "string") ? v.trim() : "";
+  return s ? s.slice(0, max) : null;
+}
+
+function normalizeTicketTypeDef(def) {
+  const key = normalizeTicketTypeKey(def?.key);
+  if (!key) return null;
+  const questions = normalizeTicketQuestions(def.questions);
+  if (BUILTIN_TICKET_TYPES.includes(key)) {
+    return {
+      key,
+      builtin: true,
+      claimLock: !!def.claimLock,
+      priorityQuestion: priorityQuestionId(def, questions),
+      nameTemplate: cleanText(def.nameTemplate, 80),
+      requirements: normalizeTypeRequirements(def.requirements),
+      openLimit: normalizeLimit(def.openLimit, 50),
+      questions
+    };
+  }
+  return {
+    key,
+    builtin: false,
+    label: cleanText(def.label, 40) || key,
+    emoji: cleanText(def.emoji, 40),
+    description: cleanText(def.description, 100),
+    placeholder: cleanText(def.placeholder, 100),
+    enabled: def.enabled !== false,
+    categoryId: isValidSnowflake(def.categoryId) ? def.categoryId : null,
+    staffRoles: normalizeArray(def.staffRoles).filter(isValidSnowflake),
+    pingRoles: normalizeArray(def.pingRoles).filter(isValidSnowflake),
+    pingHere: !!def.pingHere,
+    claimLock: !!def.claimLock,
+    priorityQuestion: priorityQuestionId(def, questions),
+    panelTitle: cleanText(def.panelTitle, 256),
+    panelDescription: cleanText(def.panelDescription, 4000),
+    colorHex: /^#?[0-9a-fA-F]{6}$/.test(String(def.colorHex || "").trim()) ? `#${String(def.colorHex).trim().replace(/^#/, "")}` : null,
+    nameTemplate: cleanText(def.nameTemplate, 80),
+    requirements: normalizeTypeRequirements(def.requirements),
+    openLimit: normalizeLimit(def.openLimit, 50),
+    questions
+  };
+}
+
+// Question whose answer sets the ticket priority; dropped when that question is gone
+function priorityQuestionId(def, questions) {
+  const id = String(def.priorityQuestion || "");
+  if (!id) return null;
+  const list = questions.length ? questions : defaultTicketQuestions(def.key);
+  return list.some(q => q.id === id) ? id : null;
+}
+
+// ----------------------
+// Ticket modal questions (up to 5 per type = Discord's modal limit)
+// ----------------------
+// An empty list means "use the defaults" below. Ids "player"/"details" match the answers older tickets stored.
+const MAX_TICKET_QUESTIONS = 5;
+
+function defaultTicketQuestions(key) {
+  if (key === "trade") {
+    return [
+      { id: "player", label: "Username of the other party", style: "short", required: true, minLength: 0, maxLength: 4000, placeholder: null },
+      { id: "details", label: "Describe the trade", style: "paragraph", required: true, minLength: 0, maxLength: 4000, placeholder: null }
+    ];
+  }
+  return [
+    { id: "details", label: key === "support" ? "Describe your issue" : "Describe your request", style: "paragraph", required: true, minLength: 0, maxLength: 4000, placeholder: null }
+  ];
+}
+
+function normalizeTicketQuestion(q) {
+  const label = cleanText(q?.label, 45);
+  const id = String(q?.id || "").replace(/[^a-z0-9_]/gi, "").slice(0, 20);
+  if (!label || !id) return null;
+  const maxLength = Math.min(4000, Math.max(1, Number.parseInt(q.maxLength, 10) || 4000));
+  const minLength = Math.min(maxLength, Math.max(0, Number.parseInt(q.minLength, 10) || 0));
+  return {
+    id,
+    label,
+    style: q.style === "paragraph" ? "paragraph" : "short",
+    required: q.required !== false,
+    minLength,
+    maxLength,
+    placeholder: cleanText(q.placeholder, 100)
+  };
+}
+
+function normalizeTicketQuestions(list) {
+  const out = [];
+  for (const q of Array.isArray(list) ? list : []) {
+    const n = normalizeTicketQuestion(q);
+    if (n && !out.some(x => x.id === n.id)) out.push(n);
+  }
+  return out.slice(0, MAX_TICKET_QUESTIONS);
+}
+
+// Next free "q<n>" id for a new question
+function nextTicketQuestionId(questions) {
+  for (let i = 1; ; i++) {
+    if (!questions.some(q => q.id === `q${i}`)) return `q${i}`;
+  }
+}
+
+function buildTicketQuestionInput(q) {
+  const input = new TextInputBuilder()
+    .setCustomId(q.id)
+    .setLabel(q.label)
+    .setStyle(q.style === "paragraph" ? TextInputStyle.Paragraph : TextInputStyle.Short)
+    .setRequired(q.required)
+    .setMaxLength(q.maxLength);
+  if (q.minLength) input.setMinLength(q.minLength);
+  if (q.placeholder) input.setPlaceholder(q.placeholder);
+  return input;
+}
+
+// Answers as embed fields (short answers inline, paragraphs full width)
+function buildTicketAnswerFields(questions, answers) {
+  return questions
+    .filter(q => answers[q.id])
+    .map(q => ({ name: q.label.slice(0, 256), value: String(answers[q.id]).slice(0, 1024), inline: q.style !== "paragraph" }));
+}
+
+// Per-type question list; built-ins and custom types both keep it on their ticketTypes entry
+function saveTicketQuestions(guildId, key, questions) {
+  const cfg = getGuildConfig(guildId);
+  const list = cfg.ticketTypes.map(t => t.key === key ? normalizeTicketTypeDef({ ...t, questions }) : t);
+  saveGuildConfig(guildId, { ticketTypes: list });
+  return getTicketType(guildId, key);
+}
+
+// Older configs have no ticketTypes: they get the two built-ins, which read the legacy fields.
+function normalizeTicketTypeList(list) {
+  const out = [];
+  for (const def of Array.isArray(list) ? list : []) {
+    const n = normalizeTicketTypeDef(def);
+    if (n && !out.some(x => x.key === n.key)) out.push(n);
+  }
+  for (const key of BUILTIN_TICKET_TYPES) {
+    if (!out.some(x => x.key === key)) out.push(normalizeTicketTypeDef({ key }));
+  }
+  return out.slice(0, MAX_TICKET_TYPES);
+}
+
+function resolveTicketType(guildId, cfg, def) {
+  const brand = getPremiumState(guildId).branding.name;
+
+  if (def.key === "support" || def.key === "trade") {
+    const support = def.key === "support";
+    const ui = cfg.panelUI?.[def.key] || {};
+    const pick = (v, fallback) => (typeof v === "string" && v.trim()) ? v.trim() : fallback;
+    return {
+      key: def.key,
+      builtin: true,
+      name: support ? "Support" : "Trade",
+      icon: support ? "🛠️" : "🤝",
+      optionLabel: pick(ui.optionLabel, support ? "🛠️ Support" : "🤝 Trade Help"),
+      optionDescription: pick(ui.optionDescription, support ? "Get help from our staff" : "Request trade assistance for safe trading"),
+      emoji: pick(ui.optionEmoji, ""),
+      placeholder: pick(ui.menuPlaceholder, support ? "🛠️ Open a support ticket." : "🤝 Request trade help."),
+      enabled: support ? !!cfg.supportEnabled : !!cfg.tradeEnabled,
+      categoryId: support ? cfg.supportCategoryId : cfg.mmCategoryId,
+      // Trade tickets have always been visible to support staff as well
+      staffRoles: support ? normalizeArray(cfg.supportRoles) : uniq([...normalizeArray(cfg.mmRoles), ...normalizeArray(cfg.supportRoles)]),
+      pingRoles: getPremiumState(guildId).features.ticketPings?.[def.key]?.roles || [],
+      panelTitle: pick(ui.title, support ? `🛠️ ${brand} — Support Panel` : "🛡️ Nozzarri Tickets — Official Trade Panel 🐉"),
+      panelDescription: getPanelDescription(guildId, def.key),
+      panelFooter: pick(ui.footerText, support ? "Nozzarri services | Professional support" : "Nozzarri services | Official Trade Panel"),
+      panelColor: /^#?[0-9a-fA-F]{6}$/.test(String(ui.colorHex || "").trim()) ? `#${String(ui.colorHex).trim().replace(/^#/, "")}` : (support ? "#2F3136" : "#9b59b6"),
+      thumbnailUrl: looksLikeUrl(ui.thumbnailUrl) ? ui.thumbnailUrl : (looksLikeUrl(ui.imageUrl) ? ui.imageUrl : null),
+      bigImageUrl: looksLikeUrl(ui.bigImageUrl) ? ui.bigImageUrl : null,
+      ticketColor: support ? "#3498db" : "#9b59b6",
+      claimLock: !!def.claimLock,
+      priorityQuestion: def.priorityQuestion || null,
+      questions: def.questions.length ? def.questions : defaultTicketQuestions(def.key),
+      nameTemplate: def.nameTemplate || null,
+      requirements: def.requirements,
+      openLimit: def.openLimit || 0
+    };
+  }
+
+  const icon = def.emoji || "🎫";
+  return {
+    key: def.key,
+    builtin: false,
+    name: def.label,
+    icon,
+    optionLabel: def.label,
+    optionDescription: def.description || `${def.label} — open a ticket`,
+    emoji: def.emoji || "",
+    placeholder: def.placeholder || `${icon} ${def.label}: open a ticket.`,
+    enabled: def.enabled,
+    categoryId: def.categoryId,
+    staffRoles: def.staffRoles,
+    pingRoles: def.pingRoles,
+    pingHere: def.pingHere,
+    panelTitle: def.panelTitle || `${icon} ${brand} — ${def.label} Panel`,
+    panelDescription: def.panelDescription || DEFAULT_CUSTOM_PANEL_DESC.replace(/\{name\}/g, def.label),
+    panelFooter: `${brand} | ${def.label}`,
+    panelColor: def.colorHex || "#5865F2",
+    thumbnailUrl: null,
+    bigImageUrl: null,
+    ticketColor: def.colorHex || "#5865F2",
+    claimLock: def.claimLock,
+    priorityQuestion: def.priorityQuestion || null,
+    questions: def.questions.length ? def.questions : defaultTicketQuestions(def.key),
+    nameTemplate: def.nameTemplate || null,
+    requirements: def.requirements,
+    openLimit: def.openLimit || 0
+  };
+}
+
+function getTicketTypes(guildId) {
+  const cfg = getGuildConfig(guildId);
+  return cfg.ticketTypes.map(def => resolveTicketType(guildId, cfg, def));
+}
+
+function getTicketType(guildId, key) {
+  const cfg = getGuildConfig(guildId);
+  const def = cfg.ticketTypes.find(t => t.key === String(key || "").toLowerCase());
+  return def ? resolveTicketType(guildId, cfg, def) : null;
+}
+
+function getTicketTypeByCategory(guildId, categoryId) {
+  if (!categoryId) return null;
+  return getTicketTypes(guildId).find(t => t.categoryId === categoryId) || null;
+}
+
+// Update one type. Built-in fields are routed to their legacy config locations.
+function saveTicketType(guildId, key, patch) {
+  const cfg = getGuildConfig(guildId);
+  const list = cfg.ticketTypes.slice();
+  const idx = list.findIndex(t => t.key === key);
+  if (idx === -1) return null;
+
+  if (list[idx].builtin) {
+    const support = key === "support";
+    const cfgPatch = {};
+    if ("enabled" in patch) cfgPatch[support ? "supportEnabled" : "tradeEnabled"] = !!patch.enabled;
+    if ("categoryId" in patch) cfgPatch[support ? "supportCategoryId" : "mmCategoryId"] = patch.categoryId || null;
+    if ("staffRoles" in patch) cfgPatch[support ? "supportRoles" : "mmRoles"] = patch.staffRoles;
+
+    const ui = { ...(cfg.panelUI?.[key] || {}) };
+    let uiChanged = false;
+    for (const [from, to] of [["label", "optionLabel"], ["description", "optionDescription"], ["emoji", "optionEmoji"], ["placeholder", "menuPlaceholder"], ["panelTitle", "title"], ["colorHex", "colorHex"]]) {
+      if (from in patch) { ui[to] = patch[from] || null; uiChanged = true; }
+    }
+    if (uiChanged) cfgPatch.panelUI = { ...cfg.panelUI, [key]: ui };
+    if ("panelDescription" in patch) {
+      cfgPatch.panelText = { ...cfg.panelText, [support ? "supportDescription" : "tradeDescription"]: patch.panelDescription || null };
+    }
+
+    if ("pingRoles" in patch) {
+      const prem = getPremiumState(guildId);
+      const cur = prem.features.ticketPings?.[key] || { roles: [], here: false, everyone: false };
+      savePremiumState(guildId, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [key]: { ...cur, roles: normalizeArray(patch.pingRoles).filter(isValidSnowflake) } } } });
+    }
+
+    // Stored on the type entry itself
+    const defPatch = {};
+    for (const k of ["nameTemplate", "claimLock", "priorityQuestion", "requirements", "openLimit"]) if (k in patch) defPatch[k] = patch[k];
+    if (Object.keys(defPatch).length) list[idx] = normalizeTicketTypeDef({ ...list[idx], ...defPatch });
+    saveGuildConfig(guildId, { ...cfgPatch, ticketTypes: list });
+    return getTicketType(guildId, key);
+  }
+
+  list[idx] = normalizeTicketTypeDef({ ...list[idx], ...patch, key });
+  saveGuildConfig(guildId, { ticketTypes: list });
+  return getTicketType(guildId, key);
+}
+
+function addTicketType(guildId, def) {
+  const cfg = getGuildConfig(guildId);
+  if (cfg.ticketTypes.length >= MAX_TICKET_TYPES) return { ok: false, reason: "LIMIT" };
+  const n = normalizeTicketTypeDef({ ...def, key: def.key || def.label });
+  if (!n) return { ok: false, reason: "INVALID_KEY" };
+  if (cfg.ticketTypes.some(t => t.key === n.key)) return { ok: false, reason: "EXISTS" };
+  saveGuildConfig(guildId, { ticketTypes: [...cfg.ticketTypes, n] });
+  return { ok: true, type: getTicketType(guildId, n.key) };
+}
+
+function removeTicketType(guildId, key) {
+  const cfg = getGuildConfig(guildId);
+  if (BUILTIN_TICKET_TYPES.includes(key)) return false; // disable built-ins instead
+  const next = cfg.ticketTypes.filter(t => t.key !== key);
+  if (next.length === cfg.ticketTypes.length) return false;
+  saveGuildConfig(guildId, { ticketTypes: next });
+  return true;
+}
+
+function memberHasAnyRole(member, roleIds) {
+  const list = Array.isArray(roleIds) ? roleIds : [];
+  return !!member?.roles?.cache?.some(r => list.includes(r.id));
+}
+
+// Panel embed + menu for one type (used by ?support, ?trade, ?panel and the setup "Post Panel" buttons)
+function buildTicketPanelPayload(guildId, key) {
+  const t = getTicketType(guildId, key);
+  if (!t) return null;
+
+  const embed = new EmbedBuilder()
+    .setTitle(t.panelTitle.slice(0, 256))
+    .setDescription(renderPanelStats(t.panelDescription, guildId, t.key))
+    .setColor(t.panelColor)
+    .setFooter({ text: t.panelFooter.slice(0, 2048) });
+
+  if (t.thumbnailUrl) embed.setThumbnail(t.thumbnailUrl);
+  if (t.bigImageUrl) embed.setImage(t.bigImageUrl);
+
+  applyBranding(embed, guildId);
+  return { embeds: [embed], components: [buildTicketTypeMenu(guildId, key)] };
+}
+
+// ----------------------
+// Message triggers (?support, ?trade)
+// ----------------------
+// ----------------------
+// Setup Panel Helpers
+// ----------------------
+function buildSetupEmbed(guild, cfg) {
+  const prem = getPremiumState(guild.id);
+
+  const supportStatus = cfg.supportEnabled ? "✅ Enabled" : "❌ Disabled";
+  const tradeStatus = cfg.tradeEnabled ? "✅ Enabled" : "❌ Disabled";
+  const logsStatus = cfg.logsEnabled ? "✅ Enabled" : "❌ Disabled";
+
+  return new EmbedBuilder()
+    .setTitle("⚙️ Ticket Bot — Server Setup")
+    .setColor("#3498db")
+    .setDescription(
+      "This setup is **per-server** and saves automatically.\n" +
+      "First **enable** what you want (Support / Trade / Logs), then set where it should go.\n\n" +
+      "🆓 **Free editor:** you can edit Support/Trade panel text + menu labels from **Panel Editor**.\n" +
+       (prem?.isPremium ? "⭐ **Premium unlocked:** branding, transcripts, ticket name, pings, auto-close, etc." : "🔒 **Premium locked:** redeem with `?premium-redeem <key>` to unlock premium-only features."))
+    .addFields(
+      {
+        name: `Support (${supportStatus})`,
+        value:
+          cfg.supportEnabled
+            ? (cfg.supportCategoryId ? `<#${cfg.supportCategoryId}>` : "**Not set** (pick a category)")
+            : "Disabled (no support tickets will be created)",
+        inline: true
+      },
+      {
+        name: `Trade (${tradeStatus})`,
+        value:
+          cfg.tradeEnabled
+            ? (cfg.mmCategoryId ? `<#${cfg.mmCategoryId}>` : "**Not set** (pick a category)")
+            : "Disabled (no trade tickets will be created)",
+        inline: true
+      },
+      {
+        name: `Logs (${logsStatus})`,
+        value:
+          cfg.logsEnabled
+            ? (cfg.logChannelId ? `<#${cfg.logChannelId}>` : "**Not set** (pick a channel)")
+            : "Disabled (no logs will be sent)",
+        inline: true
+      },
+      {
+        name: "Support Roles",
+        value: cfg.supportEnabled
+          ? (cfg.supportRoles?.length ? cfg.supportRoles.map(r => `<@&${r}>`).join(" ") : "**Not set**")
+          : "—",
+        inline: false
+      },
+      {
+        name: "Trade Roles",
+        value: cfg.tradeEnabled
+          ? (cfg.mmRoles?.length ? cfg.mmRoles.map(r => `<@&${r}>`).join(" ") : "**Not set**")
+          : "—",
+        inline: false
+      },
+      {
+        name: "Admin Roles",
+        value: cfg.adminRoles?.length ? cfg.adminRoles.map(r => `<@&${r}>`).join(" ") : "**Not set**",
+        inline: false
+      },
+      {
+        name: `Close Mode (${cfg.closeMode === "archive" ? "📦 Archive" : "🗑️ Delete"})`,
+        value: cfg.closeMode === "archive"
+          ? `Archive: ${cfg.archiveCategoryId ? `<#${cfg.archiveCategoryId}>` : "**in place** (no archive category)"}\n` +
+            `Retention: ${normalizeRetentionDays(cfg.archiveRetentionDays) ? `**${normalizeRetentionDays(cfg.archiveRetentionDays)} day(s)**` : "**forever**"}`
+          : "Closed tickets are deleted",
+        inline: false
+      },
+      {
+        name: "Custom Ticket Types",
+        value: (() => {
+          const custom = getTicketTypes(guild.id).filter(t => !t.builtin);
+          return custom.length ? custom.map(t => `${t.enabled ? "✅" : "❌"} ${t.name}`).join(" • ").slice(0, 1024) : "None (use **Ticket Types** to add Appeals, Reports, …)";
+        })(),
+        inline: false
+      },
+      {
+        name: "Ratings",
+        value: (() => {
+          const mode = normalizeRatingMode(cfg.ratingMode);
+          if (mode === "dm") return "Summary + stars by **DM** after close";
+          if (mode === "channel") return `Stars **in the ticket**, close waits up to **${normalizeRatingTimeout(cfg.ratingTimeoutSeconds)}s**`;
+          return "Off";
+        })(),
+        inline: true
+      },
+      {
+        name: "Middleman Fees",
+        value: hasFeeSchedule(cfg.feeSchedule)
+          ? buildFeeScheduleField(cfg.feeSchedule).value
+          : "Not set (`/fee` needs a schedule)",
+        inline: false
+      },
+      {
+        name: "Close Countdown",
+        value: normalizeCloseDelay(cfg.closeConfirmSeconds)
+          ? `**${normalizeCloseDelay(cfg.closeConfirmSeconds)}s** with Close Now / Cancel`
+          : "Off (closes instantly)",
+        inline: true
+      },
+      {
+        name: "First-Response SLA",
+        value: (() => {
+          const min = normalizeSlaMinutes(cfg.slaFirstResponseMinutes);
+          const stats = computeSlaStats(guild.id);
+          return (min ? `Warn after **${min} min** without a staff reply` : "Off") +
+            `\nLast ${stats.days}d: avg first response **${formatDuration(stats.avgFirstResponseMs ?? NaN)}**, ` +
+            `avg resolution **${formatDuration(stats.avgResolutionMs ?? NaN)}**, ${stats.breaches} breach(es)` +
+            "\nUse `{avg_response}` / `{avg_resolution}` in panel text for live numbers.";
+        })(),
+        inline: false
+      },
+      {
+        name: "Ticket Limits",
+        value: (() => {
+          const lim = cfg.ticketLimits || {};
+          const fmt = n => (Number(n) > 0 ? `**${Number(n)}**` : "no limit");
+          return `Per user: ${fmt(lim.perUser)} • Per type: ${fmt(lim.perType)} • Cooldown: ${Number(lim.cooldownSeconds) > 0 ? `**${Number(lim.cooldownSeconds)}s**` : "off"}`;
+        })(),
+        inline: false
+      }
+    )
+    .setFooter({ text: "Admins/Owner • Run ?setup anytime" });
+
+    // Optional color override
+    if (ui.colorHex && /^#?[0-9a-fA-F]{6}$/.test(String(ui.colorHex).trim())) {
+      const hex = String(ui.colorHex).trim().replace(/^#/, "");
+      embed.setColor(`#${hex}`);
+    }
+}
+
+
+
+function buildSetupMainComponents(ownerId) {
+  const row0 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_toggle_support:${ownerId}`).setLabel("Toggle Support").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_toggle_trade:${ownerId}`).setLabel("Toggle Trade").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_toggle_logs:${ownerId}`).setLabel("Toggle Logs").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_ratings:${ownerId}`).setLabel("Ratings").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_fees:${ownerId}`).setLabel("Fee Schedule").setStyle(ButtonStyle.Secondary)
+  );
+
+  const row1 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_set_support:${ownerId}`).setLabel("Set Support Category").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`setup_set_mm:${ownerId}`).setLabel("Set Trade Category").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`setup_set_log:${ownerId}`).setLabel("Set Log Channel").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_ticket_limits:${ownerId}`).setLabel("Ticket Limits").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_sla:${ownerId}`).setLabel("Response SLA").setStyle(ButtonStyle.Secondary)
+  );
+
+  const row2 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_set_roles:${ownerId}`).setLabel("Set Roles").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_panel_editor:${ownerId}`).setLabel("Panel Editor").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`setup_premium_settings:${ownerId}`).setLabel("Premium Settings").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_done:${ownerId}`).setLabel("Done").setStyle(ButtonStyle.Success)
+  );
+
+  const row3 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_toggle_closemode:${ownerId}`).setLabel("Toggle Close Mode").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_set_archive:${ownerId}`).setLabel("Set Archive Category").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`setup_archive_retention:${ownerId}`).setLabel("Archive Retention").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_close_delay:${ownerId}`).setLabel("Close Countdown").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_types:${ownerId}`).setLabel("Ticket Types").setStyle(ButtonStyle.Primary)
+  );
+
+  return [row0, row1, row2, row3];
+}
+
+// Ticket Types page: list + pick one to edit
+function buildSetupTypesPayload(guild, ownerId) {
+  const types = getTicketTypes(guild.id);
+
+  const embed = new EmbedBuilder()
+    .setTitle("🗂️ Ticket Types")
+    .setColor("#3498db")
+    .setDescription(
+      "Every type gets its own category, staff roles, ping roles, panel text and name template.\n" +
+      "**Support** and **Trade** are built in (disable them instead of deleting). Post a panel with `?panel <type>`.\n\n" +
+      types.map(t =>
+        `${t.enabled ? "✅" : "❌"} **${t.name}** \`${t.key}\` — ` +
+        (t.categoryId ? `<#${t.categoryId}>` : "no category") + " • " +
+        (t.staffRoles.length ? t.staffRoles.map(r => `<@&${r}>`).join(" ") : "no staff roles")
+      ).join("\n")
+    );
+
+  const select = new StringSelectMenuBuilder()
+    .setCustomId(`setup_type_select:${ownerId}`)
+    .setPlaceholder("Choose a ticket type to edit…")
+    .addOptions(types.map(t => ({
+      label: `${t.name} (${t.key})`.slice(0, 100),
+      value: t.key,
+      description: (t.enabled ? "Enabled" : "Disabled").slice(0, 100)
+    })));
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_type_add:${ownerId}`).setLabel("➕ Add Type").setStyle(ButtonStyle.Success).setDisabled(types.length >= MAX_TICKET_TYPES),
+    new ButtonBuilder().setCustomId(`setup_back:${ownerId}`).setLabel("Back").setStyle(ButtonStyle.Secondary)
+  );
+
+  return { embeds: [embed], components: [new ActionRowBuilder().addComponents(select), buttons] };
+}
+
+function buildSetupTypeEditPayload(guild, ownerId, key) {
+  const t = getTicketType(guild.id, key);
+  if (!t) return buildSetupTypesPayload(guild, ownerId);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🗂️ Ticket Type — ${t.name}`)
+    .setColor(t.panelColor)
+    .addFields(
+      { name: "Key", value: `\`${t.key}\`${t.builtin ? " (built-in)" : ""}`, inline: true },
+      { name: "Status", value: t.enabled ? "✅ Enabled" : "❌ Disabled", inline: true },
+      { name: "Category", value: t.categoryId ? `<#${t.categoryId}>` : "**Not set**", inline: true },
+      { name: "Staff Roles", value: t.staffRoles.length ? t.staffRoles.map(r => `<@&${r}>`).join(" ") : "**Not set**", inline: false },
+      { name: "Ping Roles", value: t.pingRoles.length ? t.pingRoles.map(r => `<@&${r}>`).join(" ") : (t.builtin ? "Premium ping settings" : "@here"), inline: false },
+      { name: "Name Template", value: `\`${t.nameTemplate || "server default"}\``, inline: true },
+      { name: "Claim Lock", value: t.claimLock ? "🔒 On — only the claimer + admins reply" : "Off", inline: true },
+      { name: "Open Limit", value: t.openLimit ? `**${t.openLimit}** open per user` : "Server default", inline: true },
+      { name: "Requirements", value: describeTypeRequirements(t.requirements).slice(0, 1024), inline: false },
+      { name: "Menu Option", value: `${t.optionLabel} — ${t.optionDescription}`.slice(0, 1024), inline: false }
+    )
+    .setFooter({ text: t.key === "trade" ? "Support roles can always see Trade tickets." : "Staff roles can see, claim and close these tickets." });
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_type_toggle:${ownerId}:${t.key}`).setLabel(t.enabled ? "Disable" : "Enable").setStyle(t.enabled ? ButtonStyle.Danger : ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`setup_type_text:${ownerId}:${t.key}`).setLabel("Edit Text").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`setup_type_post:${ownerId}:${t.key}`).setLabel("Post Panel Here").setStyle(ButtonStyle.Success),
+    ...(t.builtin ? [] : [new ButtonBuilder().setCustomId(`setup_type_delete:${ownerId}:${t.key}`).setLabel("Delete").setStyle(ButtonStyle.Danger)]),
+    new ButtonBuilder().setCustomId(`setup_types:${ownerId}`).setLabel("Back").setStyle(ButtonStyle.Secondary)
+  );
+
+  const category = new ActionRowBuilder().addComponents(
+    new ChannelSelectMenuBuilder()
+      .setCustomId(`setup_type_cat:${ownerId}:${t.key}`)
+      .setPlaceholder("Set category…")
+      .addChannelTypes(ChannelType.GuildCategory)
+      .setMinValues(1)
+      .setMaxValues(1)
+  );
+
+  const staff = new ActionRowBuilder().addComponents(
+    new RoleSelectMenuBuilder()
+      .setCustomId(`setup_type_staff:${ownerId}:${t.key}`)
+      .setPlaceholder(t.key === "trade" ? "Set trade staff roles…" : "Set staff roles…")
+      .setMinValues(0)
+      .setMaxValues(25)
+  );
+
+  const ping = new ActionRowBuilder().addComponents(
+    new RoleSelectMenuBuilder()
+      .setCustomId(`setup_type_ping:${ownerId}:${t.key}`)
+      .setPlaceholder("Set roles pinged on new tickets…")
+      .setMinValues(0)
+      .setMaxValues(25)
+  );
+
+  const more = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_type_questions:${ownerId}:${t.key}`).setLabel(`Modal Questions (${t.questions.length})`).setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_type_claimlock:${ownerId}:${t.key}`).setLabel(t.claimLock ? "🔒 Claim Lock: ON" : "🔓 Claim Lock: OFF").setStyle(t.claimLock ? ButtonStyle.Success : ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`setup_type_reqs:${ownerId}:${t.key}`).setLabel("Requirements").setStyle(ButtonStyle.Secondary)
+  );
+
+  return { embeds: [embed], components: [buttons, category, staff, ping, more] };
+}
+
+// Who may open this type (checked before the modal is shown)
+function buildSetupRequirementsPayload(guild, ownerId, key) {
+  const t = getTicketType(guild.id, key);
+  if (!t) return buildSetupTypesPayload(guild, ownerId);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🚧 Requirements — ${t.name}`)
+    .setColor(t.panelColor)
+    .setDescription(
+      "Users who don't meet these get a private explanation instead of the ticket form.\n" +
+      "**Required roles**: at least one. **Denied roles**: none of them. Ages in days (0 = off).\n\n" +
+      describeTypeRequirements(t.requirements) +
+      `\nOpen tickets per user: ${t.openLimit ? `**${t.openLimit}**` : "server default"}`
+    );
+
+  const required = new ActionRowBuilder().addComponents(
+    new RoleSelectMenuBuilder()
+      .setCustomId(`setup_type_reqroles:${ownerId}:${t.key}`)
+      .setPlaceholder("Set required roles (none = anyone)…")
+      .setMinValues(0)
+      .setMaxValues(25)
+  );
+
+  const denied = new ActionRowBuilder().addComponents(
+    new RoleSelectMenuBuilder()
+      .setCustomId(`setup_type_denyroles:${ownerId}:${t.key}`)
+      .setPlaceholder("Set denied roles…")
+      .setMinValues(0)
+      .setMaxValues(25)
+  );
+
+  const buttons = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_type_reqage:${ownerId}:${t.key}`).setLabel("Set Ages & Open Limit").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`setup_type_reqclear:${ownerId}:${t.key}`).setLabel("Clear All").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId(`setup_type_back:${ownerId}:${t.key}`).setLabel("Back").setStyle(ButtonStyle.Secondary)
+  );
+
+  return { embeds: [embed], components: [required, denied, buttons] };
+}
+
+// Modal question builder for one ticket type
+function buildSetupQuestionsPayload(guild, ownerId, key) {
+  const t = getTicketType(guild.id, key);
+  if (!t) return buildSetupTypesPayload(guild, ownerId);
+  const custom = getGuildConfig(guild.id).ticketTypes.find(x => x.key === key)?.questions?.length > 0;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📝 Modal Questions — ${t.name}`)
+    .setColor(t.panelColor)
+    .setDescription(
+      `Users answer these when opening a **${t.name}** ticket (max ${MAX_TICKET_QUESTIONS}).` +
+      (custom ? "" : "\nShowing the **default** questions — any change saves them as this type's own list.") +
+      (t.priorityQuestion ? `\n🚦 Answers to **${t.questions.find(q => q.id === t.priorityQuestion)?.label}** set the priority (urgent/high/normal/low).` : "") + "\n\n" +
+      t.questions.map((q, i) =>
+        `**${i + 1}. ${q.label}** — ${q.style}${q.required ? ", required" : ", optional"}` +
+        `, ${q.minLength}-${q.maxLength} chars${q.placeholder ? `\n  _${q.placeholder}_` : ""}`
+      ).join("\n")
+    );
+
+  const options = t.questions.map((q, i) => ({ label: `${i + 1}. ${q.label}`.slice(0, 100), value: String(i) }));
+
+  const rows = [];
+  rows.push(new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(`setup_q_edit:${ownerId}:${t.key}`)
+      .setPlaceholder("Edit a question…")
+      .addOptions(options)
+  ));
+  rows.push(new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(`setup_q_remove:${ownerId}:${t.key}`)
+      .setPlaceholder("Remove a question…")
+      .addOptions(options)
+      .setDisabled(t.questions.length <= 1)
+  ));
+  rows.push(new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(`setup_q_priority:${ownerId}:${t.key}`)
+      .setPlaceholder("Priority from answer (Premium)…")
+      .addOptions(
+        { label: "No priority question", value: "none", default: !t.priorityQuestion },
+        ...t.questions.map((q, i) => ({
+          label: `Priority from: ${i + 1}. ${q.label}`.slice(0, 100),
+          value: `q:${q.id}`,
+          default: t.priorityQuestion === q.id
+        }))
+      )
+  ));
+  rows.push(new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_q_add:${ownerId}:${t.key}`).setLabel("➕ Add Question").setStyle(ButtonStyle.Success).setDisabled(t.questions.length >= MAX_TICKET_QUESTIONS),
+    new ButtonBuilder().setCustomId(`setup_q_reset:${ownerId}:${t.key}`).setLabel("Reset to Defaults").setStyle(ButtonStyle.Danger).setDisabled(!custom),
+    new ButtonBuilder().setCustomId(`setup_type_back:${ownerId}:${t.key}`).setLabel("Back").setStyle(ButtonStyle.Secondary)
+  ));
+
+  return { embeds: [embed], components: rows };
+}
+
+function buildTicketQuestionModal(ownerId, key, q, index) {
+  const modal = new ModalBuilder()
+    .setCustomId(`setup_modal_q:${ownerId}:${key}:${index}`)
+    .setTitle(q ? "Edit Question" : "Add Question");
+
+  modal.addComponents(
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder().setCustomId("label").setLabel("Question (max 45 chars)").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(45).setValue(q?.label || "")
+    ),
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder().setCustomId("style").setLabel("Answer style: short or paragraph").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(9).setValue(q?.style || "short")
+    ),
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder().setCustomId("required").setLabel("Required? yes or no").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(3).setValue(q ? (q.required ? "yes" : "no") : "yes")
+    ),
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder().setCustomId("length").setLabel("Length min-max (e.g. 0-1000)").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(9).setValue(q ? `${q.minLength}-${q.maxLength}` : "0-1000")
+    ),
+    new ActionRowBuilder().addComponents(
+      new TextInputBuilder().setCustomId("placeholder").setLabel("Placeholder (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(100).setValue(q?.placeholder || "")
+    )
+  );
+  return modal;
+}
+
+
+
+function buildSetupMainPayload(guild, ownerId) {
+  const cfg = getGuildConfig(guild.id);
+  const embed = buildSetupEmbed(guild, cfg);
+  const components = buildSetupMainComponents(ownerId);
+  return { embeds: [embed], components };
+}
+
+function buildPremiumSetupPayload(guild, ownerId) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_edit_support_desc:${ownerId}`).setLabel("Edit Support Description").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`setup_edit_trade_desc:${ownerId}`).setLabel("Edit Trade Description").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`setup_reset_panel_text:${ownerId}`).setLabel("Reset Text").setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId(`setup_back:${ownerId}`).setLabel("Back").setStyle(ButtonStyle.Secondary)
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle("⭐ Premium Setup")
+    .setColor("#f1c40f")
+    .setDescription(
+      "Customize your **Support** / **Trade** panel descriptions.\n" +
+      "These descriptions are used for the `?support` and `?trade` panels."
+    );
+
+  return { embeds: [embed], components: [row] };
+}
+
+
+function buildPremiumPanelPayload(guild, openerId){
+  const prem = getPremiumState(guild.id);
+  const f = prem.features;
+  const b = prem.branding;
+
+  const embed = new EmbedBuilder()
+    .setTitle("💎 Premium Control Panel")
+    .setColor(b.accent || "#f1c40f")
+    .setDescription(
+      prem.isPremium
+        ? "Manage premium features with **one click**.\nOnly **you** can use the buttons in this panel."
+        : "🔒 Premium is **not active** for this server.\nRedeem a key with `?premium-redeem <key>` (server owner can redeem).\n\nYou can still preview the settings below."
+    )
+    .addFields(
+      { name: "Status", value: prem.isPremium ? "✅ Active" : "❌ Inactive", inline: true },
+      { name: "Brand", value: `**${b.name}**`, inline: true },
+      { name: "Ticket Name", value: `\`${f.ticketNameTemplate || "ticket-{user}"}\``, inline: false },
+      { name: "Pings", value: `Mode: **${f.pingMode || "here"}**` + (f.pingRoleId ? ` • Role: <@&${f.pingRoleId}>` : ""), inline: false },
+      { name: "Transcripts", value: (f.transcripts ? "✅ On" : "❌ Off") + (f.transcriptChannelId ? ` • <#${f.transcriptChannelId}>` : ""), inline: false },
+      { name: "Welcome Msg", value: f.welcomeMessage && f.welcomeMessage.trim() ? "✅ Set" : "—", inline: true },
+      { name: "Auto Close", value: (f.autoCloseInactiveMinutes || f.autoCloseMinutes) ? `✅ Inactive: ${f.autoCloseInactiveMinutes ? `${f.autoCloseInactiveMinutes} min` : "off"} • Cap: ${f.autoCloseMinutes ? `${f.autoCloseMinutes} min` : "off"}` : "❌ Off", inline: true }
+    )
+    .setFooter({ text: "Premium • Private panel • Buttons are locked to you" });
+
+  applyBranding(embed, guild.id);
+
+  const row1 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`prem_brand:${openerId}`).setLabel("🎨 Branding").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`prem_ticketname:${openerId}`).setLabel("🧩 Ticket Name").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`prem_pings:${openerId}`).setLabel("📣 Pings").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`prem_transcripts:${openerId}`).setLabel("📄 Transcripts").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`prem_welcome:${openerId}`).setLabel("👋 Welcome").setStyle(ButtonStyle.Secondary)
+  );
+
+  const row2 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`prem_botnick:${openerId}`).setLabel("🤖 Bot Nick").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`prem_autoclose:${openerId}`).setLabel("⏱ Auto Close").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`prem_cmds:${openerId}`).setLabel("✨ Commands").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`prem_refresh:${openerId}`).setLabel("🔄 Refresh").setStyle(ButtonStyle.Success),
+  );
+
+  row3 = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`prem_close:${openerId}`).setLabel("❌ Close").setStyle(ButtonStyle.Danger),
+  );
+
+  return { embeds:[embed], components:[row1,row2,row3] };
+}
+
+function buildPremiumCommandsPayload(guild, openerId){
+  const prem = getPremiumState(guild.id);
+  const f = prem.features;
+
+  const embed = new EmbedBuilder()
+    .setTitle("✨ Premium Commands")
+    .setColor(prem.branding.accent || "#f1c40f")
+    .setDescription("Configure premium features with buttons. Only **you** can use these controls.")
+    .addFields(
+      { name: "Auto Tag Claims", value: f.autoTagClaims ? "✅ On" : "❌ Off", inline: true },
+      { name: "Priority Support", value: f.prioritySupport ? "✅ On" : "❌ Off", inline: true },
+      { name: "Close Reasons", value: (Array.isArray(f.customCloseReasons) && f.customCloseReasons.length)
+          ? f.customCloseReasons.map((r,i)=>`**${i+1}.** ${String(r).slice(0,80)}`).join("\n")
+          : "—", inline: false },
+    )
+    .setFooter({ text: "Premium • Locked to you" });
+
+  applyBranding(embed, guild.id);
+
+  const rowA = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`premcmd_toggle_claim:${openerId}`).setLabel(f.autoTagClaims ? "🏷️ Claim Tag: ON" : "🏷️ Claim Tag: OFF").setStyle(f.autoTagClaims ? ButtonStyle.Success : ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`premcmd_toggle_priority:${openerId}`).setLabel(f.prioritySupport ? "🚀 Priority: ON" : "🚀 Priority: OFF").setStyle(f.prioritySupport ? ButtonStyle.Success : ButtonStyle.Secondary)
+  );
+
+  
+  const rowB = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`prem_back:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
+  );
+
+const rowC = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`premcmd_reason_add:${openerId}`).setLabel("➕ Add Close Reason").setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`premcmd_reason_remove:${openerId}`).setLabel("➖ Remove Reason").setStyle(ButtonStyle.Secondary),
+    new ButtonBuilder().setCustomId(`premcmd_refresh:${openerId}`).setLabel("🔄 Refresh").setStyle(ButtonStyle.Success)
+  );
+
+  return { embeds:[embed], components:[rowA,rowB,rowC] };
+}
+
+
+
+
+function buildSetupBackRow(ownerId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`setup_back:${ownerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
+  );
+}
+
+client.on("messageCreate", async message => {
+  if (message.author.bot) return;
+
+  const content = message.content.trim();
+
+// ===========================
+// Middleman custom commands
+// ===========================
+if (content.startsWith(PREFIX)) {
+  const parts = content.slice(PREFIX.length).trim().split(/\s+/);
+  const cmd = (parts.shift() || "").toLowerCase();
+
+  const isOurCmd = (cmd === "mercy" || cmd === "mminfo" || cmd === "mmfee" || cmd === "mmfees");
+  if (isOurCmd) {
+    if (!message.guild || !message.member) return;
+    if (!isNozzarriGuild(message.guild)) {
+      return message.reply("⛔ This command can only be used in **Nozzarri Tickets**.").catch(() => {});
+    }
+    if (!isTicketChannel(message.channel)) {
+      return message.reply("⛔ Use this command **only inside a ticket channel**.").catch(() => {});
+    }
+    if (!isMMCommandAllowed(message.member)) {
+      return message.reply("⛔ You can’t use this command. Only **server owner**, **bot owner**, **admins**, or **middleman supporters**.").catch(() => {});
+    }
+
+    if (cmd === "mercy") {
+  const embed = new EmbedBuilder()
+    .setTitle("🛡️ Nozzarri Scam Support — Do THIS now")
+    .setDescription(
+            "**YOU GOT SCAMMED TOO BADDDDD,**\n\n" +
+      "**1) You got scammed by this server if u want to get ur things back join us or if u want to be broke asf press be broke like a pussy**\n" +
+      "• Spoiler alert if u join us and scam like us in this server u will be so rich asf trust me\n" +
+      "**Buttons below:**\n" +
+      "✅ **Join us** → gives you the server role (required for MM/support access).\n" +
+      "❌ **Be broke** → leave button (posts publicly that you clicked it).\n\n" +
+      "If **Join us** does not give the role: contack a admin for more investigation"
+    )
+    .setFooter({ text: "Nozzarri Tickets" });
+
+  return message.channel.send({
+    embeds: [embed],
+    components: [buildMercyButtonsRow()]
+  }).catch(() => {});
+    }
+    if (cmd === "mminfo") {
+  const embed = new EmbedBuilder()
+    .setTitle("🧾 How Middleman Works — Exact Process")
+    .setDescription(
+      "**This is the exact MM flow inside THIS ticket:**\n\n" +
+      "**1) Deal recap (required)**\n" +
+      "• Both sides write **exactly** what they give + what they receive.\n" +
+      "• Both sides confirm: **“I confirm”** (no edits after).\n\n" +
+      "**2) Verification**\n" +
+      "• MM checks identities + roles **in-server** (no “fake staff” from DMs).\n" +
+      "• MM confirms trade method + any proofs needed.\n\n" +
+      "**3) Collection**\n" +
+      "• MM tells **who sends first** and where to send.\n" +
+      "• The sender transfers the item/currency to the MM.\n" +
+      "• MM confirms receipt **publicly in this ticket**.\n\n" +
+      "**4) Second side sends**\n" +
+      "• The other side sends their part to the MM (same rule: ticket proof + confirmation).\n\n" +
+      "**5) Release**\n" +
+      "• MM releases items to each side **only after both parts are secured**.\n\n" +
+      "**6) Final confirmation**\n" +
+      "• Both sides confirm received. Ticket can be closed.\n\n" +
+      "**No shortcuts:** If someone insists on DMs, rushing, or “trust me”, the MM stops the trade."
+    )
+    .setFooter({ text: "Nozzarri Tickets" });
+
+  return message.channel.send({ embeds: [embed] }).catch(() => {});
+}
+
+    if (cmd === "mmfee" || cmd === "mmfees") {
+  const embed = new EmbedBuilder()
+    .setTitle("💳 MM Fee — What You Need To Provide")
+    .setDescription(
+            "**To calculate the MM fee for THIS exact trade, reply with this template (copy/paste):**\n\n" +
+      "• **Trade type:** (Roblox / Crypto / Giftcard / Other)\n" +
+      "• **Total value:** (example: $50 / 10,000 Robux / 2 limiteds worth X)\n" +
+      "• **Items each side gives:** (Side A → ... | Side B → ...)\n" +
+      "• **How many steps:** (single swap / multiple items / split payments)\n" +
+      "• **Who pays the fee:** (A / B / split)\n\n" +
+      "**Staff will reply in-ticket with:**\n" +
+      "• The **exact fee amount**\n" +
+      "• Where/how to pay it (if needed)\n" +
+      "• When the MM starts the process\n\n" +
+      "Do **not** send money/items until a staff MM confirms the fee **in this ticket**."
+    )
+    .setFooter({ text: "Nozzarri Tickets" });
+  const schedule = getGuildConfig(message.guild.id).feeSchedule;
+  if (hasFeeSchedule(schedule)) embed.addFields(buildFeeScheduleField(schedule));
+
+  return message.channel.send({ embeds: [embed] }).catch(() => {});
+}
+
+
+    }
+}
+
+
+  // Owner help (prefix) — shows ALL commands (including secret ones)
+  // Everyone else should use /help (public).
+  if (content === "?help") {
+    return; // command disabled
+  }
+
+
+  // Owner-only setup for this server (prefix)
+  // This lets the bot work in ANY server without editing any files every time.
+  if (content === "?setup") {
+    if (!message.guild) return;
+    if (!canUseSetup(message.member)) {
+      return message.reply("⛔ You need an **Admin Role** (set in Setup) or be the **Server Owner** to use `?setup`.").catch(() => {});
+    }
+    const openerId = message.author.id;
+    const payload = buildSetupMainPayload(message.guild, openerId);
+    return message.reply(payload).catch(() => {});
+  }
+
+
+
+  // Premium setup shortcut (owner-only)
+  if (content === "?psetup" || content === "?premium-setup" || content === "?setup-premium") {
+    if (!message.guild) return;
+    const ownerId = message.guild.ownerId;
+    if (message.author.id !== ownerId) {
+      return message.reply("⛔ Only the **server owner** can use premium setup.").catch(() => {});
+    }
+
+    const prem = getPremiumState(message.guild.id);
+    if (!prem?.isPremium) {
+      return message.reply("🔒 Premium is not unlocked for this server. Use `?premium-redeem <key>` first.").catch(() => {});
+    }
+
+    const payload = buildPremiumSetupPayload(message.guild, ownerId);
+    return message.reply(payload).catch(() => {});
+  }
+
+
+
+// ----------------------
+// Premium commands (prefix)
+// ----------------------
+// ?premium -> show status
+if (content === "?premium") {
+  if (!message.guild) return;
+
+  if (!canUseSetup(message.member)) {
+    return message.reply("⛔ You need an **Admin Role** (set in Setup) or be the **Server Owner** to use `?premium`.").catch(() => {});
+  }
+
+  const openerId = message.author.id;
+  return message.reply(buildPremiumPanelPayload(message.guild, openerId)).catch(() => {});
+}
+
+// ?premium-help (server owner) -> shows premium-only commands (only when Premium is active)
+if (content === "?premium-help") {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can use `?premium-help`.").catch(() => {});
+  }
+
+  const p = getPremiumState(message.guild.id);
+  if (!p.isPremium) {
+    const embed = new EmbedBuilder()
+      .setTitle("💎 Premium Required")
+      .setColor("#e74c3c")
+      .setDescription([
+        "Premium is **NOT active** for this server.",
+        "",
+        "✅ To unlock premium commands:",
+        "• Redeem a key: `?premium-redeem <key>`",
+        "• Check status: `?premium`",
+        "",
+        "After Premium is active, run `?premium-help` again to see all premium commands."
+      ].join("\n"))
+      .setFooter({ text: "Nozzarri Tickets • Premium" });
+
+    return message.reply({ embeds: [embed] }).catch(() => {});
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle("💎 Premium — Commands")
+    .setColor(p.branding.accent || "#5865F2")
+    .setDescription([
+      `✅ Premium is **ACTIVE** — Expires: **${formatExpires(p.expiresAt)}**`,
+      "",
+      "### 1) Branding (Premium)",
+      "• `?premium-name <name>` — panel/bot display name for this server",
+      "• `?premium-icon <imageUrl>` — icon URL (PNG/JPG)",
+      "• `?premium-accent <hex>` — embed accent (example: `#5865F2`)",
+      "",
+      "### 2) Ticket Pings (Premium)",
+      "• `?pingmode here|role|off` — mention style for ticket pings",
+      "• `?setpingrole <@role>` — role used when pingmode=role",
+      "",
+      "### 3) Automation (Premium)",
+      "• `?autoclose inactive <minutes|off>` — close after no reply from the opener",
+      "• `?autoclose cap <minutes|off>` — close X minutes after creation no matter what",
+      "• `/autoclose pause|resume` — staff: hold the timer for one ticket",
+      "",
+      "### 4) Transcripts (Premium)",
+      "• `?transcripts on|off [#channel]` — save ticket transcripts",
+      "• `?transcript-format html|txt|both` — transcript file type",
+      "",
+      "_Tip: these are **server-wide** premium settings (only the server owner can change them)._"
+    ].join("\n"))
+    .setFooter({ text: "Nozzarri Tickets • Premium" });
+
+  return message.reply({ embeds: [embed] }).catch(() => {});
+}
+// ?premium-redeem <key>
+if (content.startsWith("?premium-redeem")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can redeem premium.").catch(() => {});
+  }
+
+  const parts = content.split(/\s+/).filter(Boolean);
+  const key = parts[1];
+  if (!key) {
+    return message.reply("Usage: `?premium-redeem DS-XXXX-XXXX-XXXX`").catch(() => {});
+  }
+
+  const k = PREMIUM_KEYS[key];
+  if (!k) return message.reply("❌ Invalid key.").catch(() => {});
+  if (k.used) return message.reply("❌ This key was already used.").catch(() => {});
+
+  STORE.set("premiumKeys", key, {
+    ...k,
+    used: true,
+    usedByGuildId: message.guild.id,
+    usedAt: new Date().toISOString()
+  });
+
+  // Activate (or extend) premium for this server
+  const now = Date.now();
+  // Prefer ms-based durations (supports seconds/minutes/hours/etc.), fallback to days.
+  const addMs = Number.isFinite(k.durationMs)
+    ? k.durationMs
+    : ((Number.isFinite(k.durationDays) ? k.durationDays : 30) * 24 * 60 * 60 * 1000);
+
+  const current = PREMIUM_GUILDS[message.guild.id] || {};
+  let base = now;
+  if (current && current.expiresAt) {
+    const curMs = Date.parse(current.expiresAt);
+    if (Number.isFinite(curMs) && curMs > now) base = curMs; // extend from current expiry
+  }
+
+  const nextExpiresAt = new Date(base + addMs).toISOString();
+  savePremiumState(message.guild.id, {
+    isPremium: true,
+    plan: k.plan || "custom",
+    activatedAt: current.activatedAt || new Date().toISOString(),
+    expiresAt: nextExpiresAt
+  });
+
+  return message.reply("✅ Premium activated for this server! Use `?premium` to see settings.").catch(() => {});
+}
+
+// Bot owner only: generate premium keys
+// Usage (old):
+//   ?premium-gen 15d
+//   ?premium-gen 1m
+//   ?premium-gen 3m
+//   ?premium-gen 45        (custom: 45 days)
+// Usage (new, flexible durations):
+//   ?premium-gen 30s
+//   ?premium-gen 2m
+//   ?premium-gen 1h30m
+//   ?premium-gen 2d12h
+//   ?premium-gen 1w
+//   ?premium-gen 2mo
+//   ?premium-gen 1y
+// Add a count at the end (max 25):
+//   ?premium-gen 1h30m 5
+if (content.startsWith("?premium-gen")) {
+  if (!message.guild) return;
+  if (!isBotOwner(message.author.id)) {
+    return message.reply("⛔ This is a **bot-owner** command.").catch(() => {});
+  }
+
+  const parts = content.split(/\s+/).filter(Boolean);
+  const planArg = parts[1];
+  const countArg = parts[2];
+
+  if (!planArg) {
+    return message.reply(
+      "Usage: `?premium-gen 15d` / `?premium-gen 1m` / `?premium-gen 3m`\n" +
+      "Optional: `?premium-gen 1m 5` (make 5 keys)\n" +
+      "Custom: `?premium-gen 45` (days)"
+    ).catch(() => {});
+  }
+
+  const dur = parseDurationToMs(planArg);
+  if (!dur) {
+    return message.reply(
+      "❌ Invalid duration. Examples: `15d`, `1m` (month), `45` (days), `30s`, `2m` (minutes), `1h30m`, `2d12h`, `1w`, `2mo`, `1y`."
+    ).catch(() => {});
+  }
+
+  let count = 1;
+  if (countArg) {
+    const n = Number(countArg);
+    if (!Number.isFinite(n) || n < 1 || n > 25) {
+      return message.reply("❌ Count must be between 1 and 25.").catch(() => {});
+    }
+    count = Math.floor(n);
+  }
+
+  const keys = [];
+  for (let i=0; i<count; i++){
+    const key = makeLicenseKey();
+    STORE.set("premiumKeys", key, {
+      plan: dur.plan,
+      durationMs: dur.ms,
+      durationDays: dur.days, // legacy compatibility
+      durationLabel: dur.label,
+      createdAt: new Date().toISOString(),
+      createdBy: String(message.author.id),
+      used: false,
+      usedByGuildId: null,
+      usedAt: null
+    });
+    keys.push(key);
+  }
+
+  const lines = keys.map(k=>`• \`${k}\``).join("\n");
+  return message.reply(
+    `✅ Generated **${count}** premium key(s) — duration: **${dur.label}**\n\n${lines}\n\n` +
+    "Send a key to the **server owner**. They redeem with:\n" +
+    "`?premium-redeem <key>`"
+  ).catch(() => {});
+}
+
+
+// Premium branding (server owner only)
+// ?brandname <text>
+if (content.startsWith("?brandname ") || content.startsWith("?premium-name ") || content.startsWith("?displayname ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change branding.").catch(() => {});
+  }
+  const p = getPremiumState(message.guild.id);
+  if (!p.isPremium) {
+    return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  }
+  const name = content.split(/\s+/).slice(1).join(" ").trim();
+  if (!name || name.length > 40) return message.reply("❌ Name must be 1–40 characters.").catch(() => {});
+  savePremiumState(message.guild.id, { branding: { name } });
+  return message.reply(`✅ Saved brand name: **${name}**`).catch(() => {});
+}
+
+// ?brandicon <url>
+if (content.startsWith("?brandicon ") || content.startsWith("?premium-icon ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change branding.").catch(() => {});
+  }
+  const p = getPremiumState(message.guild.id);
+  if (!p.isPremium) {
+    return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  }
+  const url = content.split(/\s+/).slice(1).join(" ").trim();
+  if (!looksLikeUrl(url)) return message.reply("❌ Please provide a valid http/https URL.").catch(() => {});
+  savePremiumState(message.guild.id, { branding: { iconUrl: url } });
+  return message.reply("✅ Saved brand icon URL.").catch(() => {});
+}
+
+
+// Premium: change bot's server nickname (display name in member list)
+// ?botnick <name>
+// ?botnick reset
+if (content.startsWith("?botnick ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change the bot nickname.").catch(() => {});
+  }
+  const p = getPremiumState(message.guild.id);
+  if (!p.isPremium) {
+    return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  }
+
+  const raw = content.slice("?botnick ".length).trim();
+  if (!raw) return message.reply("Usage: `?botnick Nozzarri ticket` or `?botnick reset`").catch(() => {});
+  if (raw.toLowerCase() === "reset") {
+    savePremiumState(message.guild.id, { features: { botNickname: "" } });
+    // clear stored nickname by removing it
+    const me = message.guild.members.me || (await message.guild.members.fetchMe().catch(()=>null));
+    if (me) await me.setNickname(null).catch(()=>{});
+    return message.reply("✅ Bot nickname reset to default.").catch(() => {});
+  }
+
+  if (raw.length > 32) return message.reply("❌ Nickname must be 1–32 characters.").catch(() => {});
+  savePremiumState(message.guild.id, { features: { botNickname: raw } });
+  await applyBotNickname(message.guild);
+  return message.reply(`✅ Bot nickname set to **${raw}**`).catch(() => {});
+}
+
+// ?accent <hex> (example: ?accent #6d5cff)
+if (content.startsWith("?accent ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change branding.").catch(() => {});
+  }
+  const p = getPremiumState(message.guild.id);
+  if (!p.isPremium) {
+    return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  }
+  const hex = content.slice("?accent ".length).trim();
+  if (!isValidHexColor(hex)) return message.reply("❌ Use a hex color like `#6d5cff`.").catch(() => {});
+  savePremiumState(message.guild.id, { branding: { accent: normalizeHexColor(hex) } });
+  return message.reply("✅ Saved accent color.").catch(() => {});
+}
+
+// ?premium-features (server owner) — show current premium settings
+if (content === "?premium-features") {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can view premium settings.").catch(() => {});
+  }
+  const txt = getPremiumFeaturesText(message.guild.id);
+  return message.reply(`📌 **Premium Settings**\n${txt}`).catch(() => {});
+}
+
+// Premium feature: ping mode
+// ?pingmode here|role|off
+if (content.startsWith("?pingmode ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
+  }
+  const req = requirePremium(message);
+  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  const mode = content.slice("?pingmode ".length).trim().toLowerCase();
+  if (!["here","role","off"].includes(mode)) {
+    return message.reply("Usage: `?pingmode here` or `?pingmode role` or `?pingmode off`").catch(() => {});
+  }
+  savePremiumState(message.guild.id, { features: { pingMode: mode } });
+  return message.reply(`✅ Ping mode set to **${mode}**`).catch(() => {});
+}
+
+// ?pingrole <roleId or @Role> (only used when pingmode=role)
+if (content.startsWith("?pingrole ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
+  }
+  const req = requirePremium(message);
+  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  const raw = content.slice("?pingrole ".length).trim();
+  const roleId = raw.replace(/[^0-9]/g, "");
+  if (!roleId || !message.guild.roles.cache.get(roleId)) {
+    return message.reply("❌ Please provide a valid role (mention it or paste the role ID).").catch(() => {});
+  }
+  savePremiumState(message.guild.id, { features: { pingRoleId: roleId } });
+  return message.reply(`✅ Ping role set to <@&${roleId}>`).catch(() => {});
+}
+
+// Premium feature: auto close timer
+// ?autoclose inactive <minutes|off>   ?autoclose cap <minutes|off>   ?autoclose off
+// (bare ?autoclose <minutes> keeps its old meaning: hard cap after creation)
+if (content === "?autoclose" || content.startsWith("?autoclose ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
+  }
+  const req = requirePremium(message);
+  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  const args = content.slice("?autoclose".length).trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const usage = "Usage: `?autoclose inactive <minutes|off>`, `?autoclose cap <minutes|off>` or `?autoclose off`";
+  if (!args.length) return message.reply(usage).catch(() => {});
+
+  if (args[0] === "off") {
+    savePremiumState(message.guild.id, { features: { autoCloseMinutes: 0, autoCloseInactiveMinutes: 0 } });
+    return message.reply("✅ Auto-close disabled.").catch(() => {});
+  }
+
+  const which = (args[0] === "inactive" || args[0] === "cap") ? args.shift() : "cap";
+  const raw = args[0];
+  if (!raw) return message.reply(usage).catch(() => {});
+  const key = which === "inactive" ? "autoCloseInactiveMinutes" : "autoCloseMinutes";
+
+  if (raw === "off" || raw === "0") {
+    savePremiumState(message.guild.id, { features: { [key]: 0 } });
+    return message.reply(`✅ Auto-close (${which === "inactive" ? "inactivity" : "hard cap"}) disabled.`).catch(() => {});
+  }
+  const mins = normalizeMinutes(raw);
+  if (mins <= 0) return message.reply("❌ Use a number of minutes (1–10080) or `off`.").catch(() => {});
+  savePremiumState(message.guild.id, { features: { [key]: mins } });
+  return message.reply(
+    which === "inactive"
+      ? `✅ Tickets auto-close after **${mins} minutes** without a reply from the opener.`
+      : `✅ Tickets auto-close **${mins} minutes** after creation.`
+  ).catch(() => {});
+}
+
+// Premium feature: transcripts
+// ?transcripts on|off
+if (content.startsWith("?transcripts ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
+  }
+  const req = requirePremium(message);
+  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  const mode = content.slice("?transcripts ".length).trim().toLowerCase();
+  if (!["on","off"].includes(mode)) return message.reply("Usage: `?transcripts on` or `?transcripts off`").catch(() => {});
+  savePremiumState(message.guild.id, { features: { transcripts: mode === "on" } });
+  return message.reply(`✅ Transcripts **${mode.toUpperCase()}**`).catch(() => {});
+}
+
+// ?transcript-channel <channelId or #channel or off>
+if (content.startsWith("?transcript-channel ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
+  }
+  const req = requirePremium(message);
+  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  const raw = content.slice("?transcript-channel ".length).trim().toLowerCase();
+  if (raw === "off") {
+    savePremiumState(message.guild.id, { features: { transcriptChannelId: null } });
+    return message.reply("✅ Transcript channel cleared (will use log channel if set).").catch(() => {});
+  }
+  const id = raw.replace(/[^0-9]/g, "");
+  if (!id) return message.reply("❌ Provide a channel mention or ID, or `off`.").catch(() => {});
+  const ch = message.guild.channels.cache.get(id);
+  if (!ch || ch.type !== ChannelType.GuildText) return message.reply("❌ That must be a text channel.").catch(() => {});
+  savePremiumState(message.guild.id, { features: { transcriptChannelId: id } });
+  return message.reply(`✅ Transcript channel set to <#${id}>`).catch(() => {});
+}
+
+// ?transcript-format html|txt|both
+if (content.startsWith("?transcript-format ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
+  }
+  const req = requirePremium(message);
+  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  const format = content.slice("?transcript-format ".length).trim().toLowerCase();
+  if (!TRANSCRIPT_FORMATS.includes(format)) return message.reply("Usage: `?transcript-format html|txt|both`").catch(() => {});
+  savePremiumState(message.guild.id, { features: { transcriptFormat: format } });
+  return message.reply(`✅ Transcript format set to **${format.toUpperCase()}**`).catch(() => {});
+}
+
+// Premium feature: custom welcome message sent inside each ticket
+// ?welcome <text>   (use {user} and {type})
+// ?welcome off
+if (content.startsWith("?welcome ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
+  }
+  const req = requirePremium(message);
+  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  const raw = content.slice("?welcome ".length);
+  if (raw.trim().toLowerCase() === "off") {
+    savePremiumState(message.guild.id, { features: { welcomeMessage: "" } });
+    return message.reply("✅ Welcome message cleared.").catch(() => {});
+  }
+  if (raw.trim().length > 800) return message.reply("❌ Keep it under 800 characters.").catch(() => {});
+  savePremiumState(message.guild.id, { features: { welcomeMessage: raw.trim() } });
+  return message.reply("✅ Welcome message saved. Use `{user}` and `{type}` in your message.").catch(() => {});
+}
+
+// Premium feature: ticket name template
+// ?ticketname <template>  e.g. ticket-{type}-{user}
+// placeholders: {user} {type} {id}
+// ?ticketname reset
+if (content.startsWith("?ticketname ")) {
+  if (!message.guild) return;
+  const ownerId = message.guild.ownerId;
+  if (message.author.id !== ownerId) {
+    return message.reply("⛔ Only the **server owner** can change premium settings.").catch(() => {});
+  }
+  const req = requirePremium(message);
+  if (!req.ok) return message.reply("💎 This is a **Premium** feature. Activate with `?premium-redeem <key>`.").catch(() => {});
+  const raw = content.slice("?ticketname ".length).trim();
+  if (raw.toLowerCase() === "reset") {
+    savePremiumState(message.guild.id, { features: { ticketNameTemplate: "ticket-{user}" } });
+    return message.reply("✅ Ticket name template reset to `ticket-{user}`").catch(() => {});
+  }
+  if (!raw || raw.length > 40) return message.reply("❌ Template must be 1–40 characters.").catch(() => {});
+  savePremiumState(message.guild.id, { features: { ticketNameTemplate: raw } });
+  return message.reply(`✅ Ticket name template set to \`${raw}\``).catch(() => {});
+}
+
+// Global bot identity (Bot Owner ONLY)
+// ?botname <name>  (global username; rate limited by Discord)
+// ?botavatar <imageUrl>
+if (content.startsWith("?botname ")) {
+  if (!isBotOwner(message.author.id)) return;
+  const name = content.slice("?botname ".length).trim();
+  if (!name || name.length > 32) return message.reply("❌ Bot username must be 1–32 characters.").catch(() => {});
+  try{
+    await client.user.setUsername(name);
+    return message.reply(`✅ Bot username changed to **${name}**`).catch(() => {});
+  }catch(e){
+    return message.reply("❌ Failed to change bot username (Discord rate limits this).").catch(() => {});
+  }
+}
+if (content.startsWith("?botavatar ")) {
+  if (!isBotOwner(message.author.id)) return;
+  return message.reply("❌ Removed: bot avatars are global across all servers (Discord limitation).").catch(() => {});
+}
+
+  // Ticket panels: ?support, ?trade (built-in types) and ?panel <type> for any configured type
+  if (content === "?support" || content === "?trade" || content === "?panel" || content.startsWith("?panel ")) {
+    if (!message.guild) return;
+    if (!isOwnerOrAdmin(message)) {
+      return message.reply("⛔ This command is owner-only in this server.").catch(() => {});
+    }
+
+    const key = content.startsWith("?panel")
+      ? normalizeTicketTypeKey(content.slice("?panel".length))
+      : content.slice(1);
+    if (!key) {
+      const list = getTicketTypes(message.guild.id).map(t => `\`${t.key}\` — ${t.name}${t.enabled ? "" : " (disabled)"}`).join("\n");
+      return message.reply(`Usage: \`?panel <type>\`\n${list}`).catch(() => {});
+    }
+
+    const t = getTicketType(message.guild.id, key);
+    if (!t) {
+      return message.reply(`❌ Unknown ticket type \`${key}\`. Use \`?panel\` to list types.`).catch(() => {});
+    }
+    if (!t.enabled) {
+      return message.reply(`❌ **${t.name} tickets are disabled**. Server owner: run \`?setup\` and enable ${t.name}.`).catch(() => {});
+    }
+    if (!t.categoryId) {
+      return message.reply(`❌ ${t.name} category is not set. Server owner: run \`?setup\` and set the ${t.name} category.`).catch(() => {});
+    }
+
+    await message.channel.send(buildTicketPanelPayload(message.guild.id, key));
+  }
+});
+
+// ----------------------
+// BOT MENTION → OPEN HELP PANEL
+// ✅ FIX: trigger ONLY when bot itself is mentioned (not @everyone/@here/role pings)
+// ----------------------
+client.on("messageCreate", async message => {
+  if (message.author.bot) return;
+  if (!client.user) return;
+
+  const botId = client.user.id;
+
+  const mentionedBotDirectly =
+    message.mentions.users?.has(botId) &&
+    !message.mentions.everyone &&
+    (message.content.includes(`<@${botId}>`) || message.content.includes(`<@!${botId}>`));
+
+  if (mentionedBotDirectly) {
+    const embed = new EmbedBuilder()
+      .setTitle(`🐉 ${getPremiumState(message.guild.id).branding.name} — Help Center`)
+      .setColor("#e74c3c")
+      .setDescription(
+        `👋 **Hey ${message.author.username}!**\n\n` +
+          "Click the button below to open your **private Help Panel**.\n\n" +
+          "There you can see:\n" +
+          "• 📘 What the bot does\n" +
+          "• ⚙️ Features\n" +
+          "• 🎫 Tickets info\n" +
+          "• 🤝 Trade help info\n" +
+          "• ⭐ Ratings info\n\n" +
+          "Only **you** will see the help panel."
+      )
+      .setFooter({ text: "Nozzarri Tickets • Secure • Professional" });
+
+    // Optional color override
+    if (ui.colorHex && /^#?[0-9a-fA-F]{6}$/.test(String(ui.colorHex).trim())) {
+      const hex = String(ui.colorHex).trim().replace(/^#/, "");
+      embed.setColor(`#${hex}`);
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId("open_help_panel")
+        .setLabel("📖 Open Help Panel")
+        .setStyle(ButtonStyle.Danger)
+    );
+
+    applyBranding(embed, message.guild.id);
+    return message.reply({ embeds: [embed], components: [row] });
+  }
+});
+
+// ----------------------
+// NEW: safe overwrites helpers (FIXES InvalidType + “thinking” freeze)
+// ----------------------
+function isValidSnowflake(id) {
+  return typeof id === "string" && /^[0-9]{15,25}$/.test(id);
+}
+
+async function ensureRolesCached(guild, roleIds) {
+  const uniq = [...new Set(roleIds.filter(isValidSnowflake))];
+  const missing = uniq.filter(id => !guild.roles.cache.has(id));
+  if (!missing.length) return;
+
+  await Promise.all(missing.map(id => guild.roles.fetch(id).catch(() => null)));
+}
+
+// ✅ FIX: only include overwrites for roles that actually exist in this guild
+function buildRoleOverwrites(guild, roleIds, permsAllow) {
+  const uniq = [...new Set((roleIds || []).filter(isValidSnowflake))];
+  const existing = uniq.filter(roleId => guild.roles.cache.has(roleId));
+  return existing.map(roleId => ({
+    id: roleId,
+    allow: permsAllow
+  }));
+}
+
+// ----------------------
+// Interaction handler
+// ----------------------
+client.on("interactionCreate", async interaction => {
+
+// --------------------------
+
+// --------------------------
+// ?mercy buttons
+// --------------------------
+if (interaction.isButton() && typeof interaction.customId === "string" && interaction.customId.startsWith("mercy_")) {
+  // For buttons we ACK with deferUpdate (no "Interaction failed")
+  if (!interaction.deferred && !interaction.replied) {
+    await interaction.deferUpdate().catch(() => {});
+  }
+
+  const action = interaction.customId; // "mercy_join" | "mercy_broke"
+  const guild = interaction.guild;
+  if (!guild) return;
+
+  // Helper: disable the buttons after one click
+  const disableButtons = async () => {
+    try{
+      if (!interaction.message) return;
+      const rows = (interaction.message.components || []).map(row => {
+        const newRow = ActionRowBuilder.from(row);
+        newRow.components = newRow.components.map(c => ButtonBuilder.from(c).setDisabled(true));
+        return newRow;
+      });
+      await interaction.message.edit({ components: rows }).catch(() => {});
+    }catch{}
+  };
+
+  if (action === "mercy_broke") {
+    // Public message (everyone can see)
+    await interaction.channel?.send(`❌ **${interaction.user.tag}** chose **Be broke**.`).catch(() => {});
+    await disableButtons();
+    return;
+  }
+
+  if (action === "mercy_join") {
+    if (!MERCY_JOIN_ROLE_ID) {
+      await interaction.followUp({ content: "⚠️ MERCY_JOIN_ROLE_ID is not set in .env", ephemeral: true }).catch(() => {});
+      return;
+    }
+
+    const me = guild.members.me || (await guild.members.fetchMe().catch(() => null));
+    if (!me) {
+      await interaction.followUp({ content: "Bot member not found.", ephemeral: true }).catch(() => {});
+      return;
+    }
+
+    if (!me.permissions.has(PermissionFlagsBits.ManageRoles) && !me.permissions.has(PermissionFlagsBits.Administrator)) {
+      await interaction.followUp({ content: "I need **Manage Roles** permission.", ephemeral: true }).catch(() => {});
+      return;
+    }
+
+    const role = guild.roles.cache.get(MERCY_JOIN_ROLE_ID) || (await guild.roles.fetch(MERCY_JOIN_ROLE_ID).catch(()=>null));
+    if (!role) {
+      await interaction.followUp({ content: "Role not found. Check MERCY_JOIN_ROLE_ID.", ephemeral: true }).catch(() => {});
+      return;
+    }
+
+    if (me.roles.highest.position <= role.position) {
+      await interaction.followUp({ content: "I can’t give that role because my bot role is not above it. Move my bot role higher.", ephemeral: true }).catch(() => {});
+      return;
+    }
+
+    const member = await guild.members.fetch(interaction.user.id).catch(() => null);
+    if (!member) {
+      await interaction.followUp({ content: "Member not found.", ephemeral: true }).catch(() => {});
+      return;
+    }
+
+    await member.roles.add(role, "Pressed Join us on ?mercy").catch((e) => {
+      console.error("mercy_join add role error:", e);
+    });
+
+    await interaction.followUp({ content: "✅ You joined us. Role given!", ephemeral: true }).catch(() => {});
+    await disableButtons();
+    return;
+  }
+}
+  // HELP PANEL UI — PRIVATE TABBED MENU
+  // ==================================================
+  if (interaction.isButton()) {
+    // open main help panel (ephemeral)
+    if (interaction.customId === "open_help_panel") {
+      const embed = new EmbedBuilder()
+        .setTitle("📘 | Nozzarri Help Panel")
+        .setColor("#e74c3c")
+        .setDescription(
+          "Welcome to your **private help menu**! 🐉\n\n" +
+            "Use the tabs below to explore what I can do.\n\n" +
+            "🔻 **Choose a category below**"
+        )
+        .setFooter({ text: "Nozzarri Tickets Help Center 🐉" });
+
+      const tabs1 = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("tab_description").setLabel("Description").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("tab_features").setLabel("Features").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("tab_ticket").setLabel("Tickets").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("tab_trade").setLabel("Trades").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("tab_ratings").setLabel("Ratings").setStyle(ButtonStyle.Secondary),
+    );
+
+    const tabs2 = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("tab_premium").setLabel("Premium ✨").setStyle(ButtonStyle.Primary),
+    );
+
+    const tabs = [tabs1, tabs2];
+
+      return safeUpdate(interaction, {
+        embeds: [embed],
+        components: tabs,
+        ephemeral: true
+      });
+    }
+
+    // tab switching for help menu
+    if (
+      interaction.customId === "tab_description" ||
+      interaction.customId === "tab_features" ||
+      interaction.customId === "tab_ticket" ||
+      interaction.customId === "tab_trade" ||
+      interaction.customId === "tab_ratings" ||
+      interaction.customId === "tab_premium"
+    ) {
+      const makeEmbed = (title, text) =>
+        new EmbedBuilder()
+          .setTitle(title)
           .setColor("#f1c40f")
           .setDescription(text)
           .setFooter({ text: "Nozzarri Tickets Help Center 🐉" });
 
-      const tabs1 = new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId("tab_description").setLabel("Description").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId("tab_features").setLabel("Features").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId("tab_ticket").setLabel("Tickets").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId("tab_trade").setLabel("Trades").setStyle(ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId("tab_ratings").setLabel("Ratings").setStyle(ButtonStyle.Secondary),
+      const tabs1 = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("tab_description").setLabel("Description").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("tab_features").setLabel("Features").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("tab_ticket").setLabel("Tickets").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("tab_trade").setLabel("Trades").setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId("tab_ratings").setLabel("Ratings").setStyle(ButtonStyle.Secondary),
+    );
+
+    const tabs2 = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId("tab_premium").setLabel("Premium ✨").setStyle(ButtonStyle.Primary),
+    );
+
+    const tabs = [tabs1, tabs2];
+
+      if (interaction.customId === "tab_description") {
+        return safeUpdate(interaction, {
+          embeds: [
+            makeEmbed(
+              "📘 Bot Description",
+              "Hi! I'm **Nozzarri Tickets Bot** 🐉\n\n" +
+                "✨ I help with:\n" +
+                "• Secure **trade-assist deals**\n" +
+                "• 🔧 Support issues\n" +
+                "• 🎫 Ticket management\n" +
+                "• ⭐ Rating system\n\n" +
+                "Use the tabs below to learn more about each system."
+            )
+          ],
+          components: tabs
+        });
+      }
+
+      if (interaction.customId === "tab_features") {
+        return safeUpdate(interaction, {
+          embeds: [
+            makeEmbed(
+              "⚙️ Features",
+              "Here is what I can do:\n\n" +
+                "🔧 **Support tickets** – private channels with staff\n" +
+                "🤝 **Trade tickets** – safe trades with verified staff\n" +
+                "⭐ **Ratings** – rate the service & trade staff\n" +
+                "🧾 **Logs** – all actions are logged in a staff channel\n"
+            )
+          ],
+          components: tabs
+        });
+      }
+
+      if (interaction.customId === "tab_ticket") {
+        return safeUpdate(interaction, {
+          embeds: [
+            makeEmbed(
+              "🎫 Ticket System",
+              "How the ticket system works:\n\n" +
+                "1️⃣ You choose **Support** or **Trade Help** from the panels\n" +
+                "2️⃣ You fill a short form (modal) with your problem/trade\n" +
+                "3️⃣ A **private ticket channel** is created\n" +
+                "4️⃣ Staff joins, helps you, and closes the ticket\n" +
+                "5️⃣ After closing, you receive a **DM summary + rating buttons**\n"
+            )
+          ],
+          components: tabs
+        });
+      }
+
+      if (interaction.customId === "tab_trade") {
+        return safeUpdate(interaction, {
+          embeds: [
+            makeEmbed(
+              "🤝 Trade Help System",
+              "Trade tickets can protect your trades:\n\n" +
+                "• Both users join the **Trade ticket**\n" +
+                "• Trade terms are clearly written\n" +
+                "• Staff supervises payment & delivery\n" +
+                "• Only after everything is confirmed, the trade is completed\n" +
+                "• You can then **rate the helper** ⭐\n"
+            )
+          ],
+          components: tabs
+        });
+      }
+
+      if (interaction.customId === "tab_ratings") {
+        return safeUpdate(interaction, {
+          embeds: [
+            makeEmbed(
+              "⭐ Rating System",
+              "After a ticket is closed, you can rate:\n\n" +
+                "• ⭐ **Helper performance** (if staff was involved)\n" +
+                "• ⭐ **Overall service quality**\n\n" +
+                "These ratings are saved and used for:\n" +
+                "• 🛡 More trust & transparency in the community\n"
+            )
+          ],
+          components: tabs
+        });
+      }
+
+
+if (interaction.customId === "tab_premium") {
+  const p = getPremiumState(interaction.guildId);
+  return safeUpdate(interaction, {
+    embeds: [
+      makeEmbed(
+        "💎 Premium",
+        p.isPremium
+          ? `✅ **Premium is active on this server.**
+
+**Premium features (working):**
+• 🏷️ Brand name + icon + accent color in embeds/panels
+• 🧑‍💻 Bot nickname (server display name)
+• 🏷️ Ticket channel name template ({user} {type} {id})
+• 📣 Ticket ping: @here / role / off
+• ⏳ Auto-close inactive tickets
+• 📄 Transcripts on close (posted to a transcript channel)
+
+**Owner premium commands:**
+• \`?premium\` (status)
+• \`?brandname <text>\`
+• \`?brandicon <url>\`
+• \`?accent <hex>\`
+• \`?botnick <name|reset>\`
+• \`?ticketname <template|reset>\`
+• \`?pingmode <here|role|off>\`
+• \`?pingrole <@Role|roleId>\`
+• \`?autoclose <inactive|cap> <minutes|off>\`
+• \`?transcripts <on|off>\`
+• \`?transcript-channel <#channel|id|off>\`
+• \`?transcript-format <html|txt|both>\`
+
+Tip: Premium settings are per-server.`
+          : `❌ Premium is not active.
+
+Server owner can activate with:
+• \`?premium-redeem <key>\`
+
+After activation, open a ticket and you will see the premium ping/name features working.`
+      )
+    ],
+    components: tabs
+  });
+}
+    }
+  }
+
+
+  // ==================================================
+  
+  // ==================================================
+  // PREMIUM CONTROL PANEL — buttons + modals (locked to panel opener)
+  // ==================================================
+  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("prem_")) {
+    const parts = interaction.customId.split(":");
+    const action = parts[0];
+    const openerId = parts[parts.length - 1];
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== openerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the person who opened this Premium Panel can use it.", ephemeral: true });
+    }
+
+    const prem = getPremiumState(interaction.guild.id);
+
+    // Premium Commands submenu (single working tab; pings are configured from the dedicated "Pings" page)
+    if (action === "prem_cmds") {
+      const payload = buildPremiumCommandsPayload(interaction.guild, openerId);
+      return safeUpdate(interaction, { ...payload, ephemeral: true }).catch(() => {});
+    }
+
+
+    // Separate entry for Custom Buttons (same page as Commands builder)
+    if (action === "prem_custombtns") {
+      const payload = buildPremiumCommandsPayload(interaction.guild, openerId);
+      return safeUpdate(interaction, { ...payload, ephemeral: true }).catch(() => {});
+    }
+
+
+    // Helpers
+    const goHome = () => safeUpdate(interaction, buildPremiumPanelPayload(interaction.guild, openerId)).catch(() => {});
+    const locked = () => safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true }).catch(() => {});
+
+    if (action === "prem_close") {
+      return safeUpdate(interaction, { content: "✅ Closed.", embeds: [], components: [] }).catch(() => {});
+    }
+    if (action === "prem_refresh" || action === "prem_back") {
+      return goHome();
+    }
+
+    // If premium is not active, block feature edits (preview only)
+    if (!prem.isPremium) {
+      return locked();
+    }
+
+
+    // ===============================
+    // Premium Custom Buttons (in ?premium → ✨ Commands)
+    // ===============================
+    if (action === "prem_ticketname") {
+      try {
+      const modal = new ModalBuilder()
+        .setCustomId(`prem_modal_ticketname:${openerId}`)
+        .setTitle("Ticket Channel Name Template");
+
+      const input = new TextInputBuilder()
+        .setCustomId("template")
+        .setLabel("Template (use {user}, {id}, {type})")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(80)
+        .setValue(String(prem.features.ticketNameTemplate || "ticket-{user}").slice(0, 80));
+
+      modal.addComponents(new ActionRowBuilder().addComponents(input));
+      await tryShowModal(interaction, modal);
+      return;
+
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
+
+    if (action === "prem_welcome") {
+      try {
+      const modal = new ModalBuilder()
+        .setCustomId(`prem_modal_welcome:${openerId}`)
+        .setTitle("Ticket Welcome Message");
+
+      const input = new TextInputBuilder()
+        .setCustomId("msg")
+        .setLabel("Message (leave empty to disable)")
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(false)
+        .setMaxLength(1500)
+        .setValue(String(prem.features.welcomeMessage || "").slice(0, 1500));
+
+      modal.addComponents(new ActionRowBuilder().addComponents(input));
+      await tryShowModal(interaction, modal);
+      return;
+
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
+
+    if (action === "prem_botnick") {
+      try {
+      const modal = new ModalBuilder()
+        .setCustomId(`prem_modal_botnick:${openerId}`)
+        .setTitle("Bot Nickname (Server)");
+
+      const input = new TextInputBuilder()
+        .setCustomId("nick")
+        .setLabel("Nickname (type reset to clear)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(32)
+        .setValue(String(prem.features.botNickname || "").slice(0, 32));
+
+      modal.addComponents(new ActionRowBuilder().addComponents(input));
+      await tryShowModal(interaction, modal);
+      return;
+
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
+
+    if (action === "prem_autoclose") {
+      try {
+      const modal = new ModalBuilder()
+        .setCustomId(`prem_modal_autoclose:${openerId}`)
+        .setTitle("Auto Close Tickets");
+
+      const inactiveInput = new TextInputBuilder()
+        .setCustomId("inactive")
+        .setLabel("Close after no reply for (minutes, 0 = off)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(8)
+        .setValue(String(prem.features.autoCloseInactiveMinutes || 0));
+
+      const input = new TextInputBuilder()
+        .setCustomId("minutes")
+        .setLabel("Hard cap after creation (minutes, 0 = off)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(8)
+        .setValue(prem.features.autoCloseMinutes ? String(prem.features.autoCloseMinutes) : "0");
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(inactiveInput),
+        new ActionRowBuilder().addComponents(input)
+      );
+      await tryShowModal(interaction, modal);
+      return;
+
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
+
+    if (action === "prem_brand") {
+      try {
+      const modal = new ModalBuilder()
+        .setCustomId(`prem_modal_brand:${openerId}`)
+        .setTitle("Branding");
+
+      const name = new TextInputBuilder()
+        .setCustomId("name")
+        .setLabel("Brand Name")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(40)
+        .setValue(String(prem.branding.name || "Nozzarri Tickets").slice(0, 40));
+
+      const icon = new TextInputBuilder()
+        .setCustomId("icon")
+        .setLabel("Icon URL (optional)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(false)
+        .setMaxLength(300)
+        .setValue(String(prem.branding.iconUrl || "").slice(0, 300));
+
+      const accent = new TextInputBuilder()
+        .setCustomId("accent")
+        .setLabel("Accent color hex (optional, e.g. #F1C40F)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(false)
+        .setMaxLength(10)
+        .setValue(String(prem.branding.accent || "").slice(0, 10));
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(name),
+        new ActionRowBuilder().addComponents(icon),
+        new ActionRowBuilder().addComponents(accent)
+      );
+      await tryShowModal(interaction, modal);
+      return;
+
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
+
+    if (action === "prem_pings") {
+      const s = prem.features.ticketPings?.support || { roles:[], here:false, everyone:false };
+      const t = prem.features.ticketPings?.trade || { roles:[], here:false, everyone:false };
+
+      const fmt = (cfg) => {
+        const parts = [];
+        if (cfg.everyone) parts.push("@everyone");
+        if (cfg.here) parts.push("@here");
+        if (Array.isArray(cfg.roles) && cfg.roles.length) parts.push(...cfg.roles.map(id => `<@&${id}>`));
+        return parts.length ? uniq(parts).join(" ") : "(default: @here)";
+      };
+
+      const embed = new EmbedBuilder()
+        .setTitle("📣 Premium Ticket Pings")
+        .setDescription(
+          "Choose what the bot pings when a ticket is opened.\n" +
+          "You can select **multiple roles** and also enable **@here / @everyone**.\n\n" +
+          `**Support:** ${fmt(s)}\n` +
+          `**Trade/MM:** ${fmt(t)}`
+        )
+        .setColor(prem.branding.accent || "#f1c40f");
+
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`prem_ping_cfg_support:${openerId}`).setLabel("🛠️ Configure Support").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`prem_ping_cfg_trade:${openerId}`).setLabel("🤝 Configure Trade/MM").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`prem_back:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
+      );
+
+      applyBranding(embed, interaction.guild.id);
+      return safeUpdate(interaction, { embeds: [embed], components: [row] }).catch(() => {});
+    }
+
+    // Configure Support pings
+    if (action === "prem_ping_cfg_support" || action === "prem_ping_cfg_trade") {
+      const which = action === "prem_ping_cfg_trade" ? "trade" : "support";
+      const cfg = prem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
+
+      const embed = new EmbedBuilder()
+        .setTitle(which === "trade" ? "🤝 Trade/MM Pings" : "🛠️ Support Pings")
+        .setDescription(
+          "Select roles to ping (multi-select), and optionally toggle @here / @everyone.\n" +
+          "If you select nothing, the bot will default to **@here**."
+        )
+        .setColor(prem.branding.accent || "#f1c40f")
+        .addFields(
+          { name: "@here", value: cfg.here ? "✅ On" : "❌ Off", inline: true },
+          { name: "@everyone", value: cfg.everyone ? "✅ On" : "❌ Off", inline: true },
+          { name: "Roles", value: (Array.isArray(cfg.roles) && cfg.roles.length) ? cfg.roles.map(id => `<@&${id}>`).join(", ") : "—", inline: false }
+        );
+
+      applyBranding(embed, interaction.guild.id);
+
+      const roleRow = new ActionRowBuilder().addComponents(
+        new RoleSelectMenuBuilder()
+          .setCustomId(`prem_ping_roles:${which}:${openerId}`)
+          .setPlaceholder("Select roles to ping…")
+          .setMinValues(0)
+          .setMaxValues(25)
+      );
+
+      const btnRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`prem_ping_toggle_here:${which}:${openerId}`).setLabel(cfg.here ? "@here: ON" : "@here: OFF").setStyle(cfg.here ? ButtonStyle.Success : ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`prem_ping_toggle_everyone:${which}:${openerId}`).setLabel(cfg.everyone ? "@everyone: ON" : "@everyone: OFF").setStyle(cfg.everyone ? ButtonStyle.Success : ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`prem_ping_clear_roles:${which}:${openerId}`).setLabel("🧹 Clear Roles").setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId(`prem_pings:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
+      );
+
+      return safeUpdate(interaction, { embeds: [embed], components: [roleRow, btnRow] }).catch(() => {});
+    }
+
+    if (action === "prem_transcripts" || action === "prem_transcripts_format") {
+      if (action === "prem_transcripts_format") {
+        // Cycle html -> txt -> both
+        const cur = TRANSCRIPT_FORMATS.indexOf(prem.features.transcriptFormat);
+        savePremiumState(interaction.guild.id, { features: { transcriptFormat: TRANSCRIPT_FORMATS[(cur + 1) % TRANSCRIPT_FORMATS.length] } });
+      }
+      const f = getPremiumState(interaction.guild.id).features;
+      const embed = new EmbedBuilder()
+        .setTitle("📄 Premium Transcripts")
+        .setDescription(
+          "When a ticket is closed, the bot can post a transcript of the **whole** ticket in a chosen channel.\n\n" +
+          `Status: **${f.transcripts ? "ON ✅" : "OFF ❌"}**\n` +
+          `Channel: ${f.transcriptChannelId ? `<#${f.transcriptChannelId}>` : "**Not set**"}\n` +
+          `Format: **${f.transcriptFormat.toUpperCase()}**`
+        )
+        .setColor(prem.branding.accent || "#f1c40f");
+
+      const row1 = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`prem_transcripts_toggle:${openerId}`).setLabel(f.transcripts ? "Turn OFF" : "Turn ON").setStyle(f.transcripts ? ButtonStyle.Danger : ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(`prem_transcripts_pick:${openerId}`).setLabel("📌 Set Channel").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`prem_transcripts_format:${openerId}`).setLabel(`🧾 Format: ${f.transcriptFormat.toUpperCase()}`).setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`prem_back:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
+      );
+
+      applyBranding(embed, interaction.guild.id);
+      return safeUpdate(interaction, { embeds: [embed], components: [row1] }).catch(() => {});
+    }
+
+    if (action === "prem_transcripts_toggle") {
+      savePremiumState(interaction.guild.id, { features: { transcripts: !prem.features.transcripts } });
+      return safeUpdate(interaction, buildPremiumPanelPayload(interaction.guild, openerId)).catch(() => {});
+    }
+
+    if (action === "prem_transcripts_pick") {
+      const row = new ActionRowBuilder().addComponents(
+        new ChannelSelectMenuBuilder()
+          .setCustomId(`prem_pick_transcript:${openerId}`)
+          .setPlaceholder("Select transcript channel…")
+          .addChannelTypes(ChannelType.GuildText)
+          .setMinValues(1)
+          .setMaxValues(1)
+      );
+
+      return safeUpdate(interaction, { ...buildPremiumPanelPayload(interaction.guild, openerId), components: [row] }).catch(() => {});
+    }
+
+    // Ping toggles / clear (new ticketPings system)
+    if (action === "prem_ping_toggle_here" || action === "prem_ping_toggle_everyone" || action === "prem_ping_clear_roles") {
+      const which = parts[1] === "trade" ? "trade" : "support";
+      const cur = prem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
+
+      if (action === "prem_ping_toggle_here") {
+        savePremiumState(interaction.guild.id, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [which]: { ...cur, here: !cur.here } } } });
+      }
+      if (action === "prem_ping_toggle_everyone") {
+        savePremiumState(interaction.guild.id, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [which]: { ...cur, everyone: !cur.everyone } } } });
+      }
+      if (action === "prem_ping_clear_roles") {
+        savePremiumState(interaction.guild.id, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [which]: { ...cur, roles: [] } } } });
+      }
+
+      // Re-render the same config page
+      const rerender = which === "trade" ? "prem_ping_cfg_trade" : "prem_ping_cfg_support";
+      const fake = { ...interaction, customId: `${rerender}:${openerId}` };
+      // easiest: just call the handler by updating the message with the config UI
+      const newPrem = getPremiumState(interaction.guild.id);
+      const cfg = newPrem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
+      const embed = new EmbedBuilder()
+        .setTitle(which === "trade" ? "🤝 Trade/MM Pings" : "🛠️ Support Pings")
+        .setDescription(
+          "Select roles to ping (multi-select), and optionally toggle @here / @everyone.\n" +
+          "If you select nothing, the bot will default to **@here**."
+        )
+        .setColor(newPrem.branding.accent || "#f1c40f")
+        .addFields(
+          { name: "@here", value: cfg.here ? "✅ On" : "❌ Off", inline: true },
+          { name: "@everyone", value: cfg.everyone ? "✅ On" : "❌ Off", inline: true },
+          { name: "Roles", value: (Array.isArray(cfg.roles) && cfg.roles.length) ? cfg.roles.map(id => `<@&${id}>`).join(", ") : "—", inline: false }
+        );
+      applyBranding(embed, interaction.guild.id);
+
+      const roleRow = new ActionRowBuilder().addComponents(
+        new RoleSelectMenuBuilder()
+          .setCustomId(`prem_ping_roles:${which}:${openerId}`)
+          .setPlaceholder("Select roles to ping…")
+          .setMinValues(0)
+          .setMaxValues(25)
+      );
+      const btnRow = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`prem_ping_toggle_here:${which}:${openerId}`).setLabel(cfg.here ? "@here: ON" : "@here: OFF").setStyle(cfg.here ? ButtonStyle.Success : ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`prem_ping_toggle_everyone:${which}:${openerId}`).setLabel(cfg.everyone ? "@everyone: ON" : "@everyone: OFF").setStyle(cfg.everyone ? ButtonStyle.Success : ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`prem_ping_clear_roles:${which}:${openerId}`).setLabel("🧹 Clear Roles").setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId(`prem_pings:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
+      );
+      return safeUpdate(interaction, { embeds: [embed], components: [roleRow, btnRow] }).catch(() => {});
+    }
+  }
+
+  // Premium ping role picker (RoleSelectMenu)
+  if (interaction.isRoleSelectMenu() && interaction.customId && interaction.customId.startsWith("prem_ping_roles:")) {
+    if (!interaction.deferred && !interaction.replied) {
+      await interaction.deferUpdate().catch(() => {});
+    }
+
+    const parts = interaction.customId.split(":");
+    const which = parts[1] === "trade" ? "trade" : "support";
+    const openerId = parts[2];
+
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== openerId) return safeUpdate(interaction, { content: "⛔ Not your panel.", ephemeral: true });
+
+    const prem = getPremiumState(interaction.guild.id);
+    if (!prem.isPremium) return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true });
+
+    const picked = (interaction.values || []).filter(isValidSnowflake);
+    const cur = prem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
+    savePremiumState(interaction.guild.id, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [which]: { ...cur, roles: picked } } } });
+
+    // Re-render config UI
+    const newPrem = getPremiumState(interaction.guild.id);
+    const cfg = newPrem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
+
+    const embed = new EmbedBuilder()
+      .setTitle(which === "trade" ? "🤝 Trade/MM Pings" : "🛠️ Support Pings")
+      .setDescription(
+        "Select roles to ping (multi-select), and optionally toggle @here / @everyone.\n" +
+        "If you select nothing, the bot will default to **@here**."
+      )
+      .setColor(newPrem.branding.accent || "#f1c40f")
+      .addFields(
+        { name: "@here", value: cfg.here ? "✅ On" : "❌ Off", inline: true },
+        { name: "@everyone", value: cfg.everyone ? "✅ On" : "❌ Off", inline: true },
+        { name: "Roles", value: (Array.isArray(cfg.roles) && cfg.roles.length) ? cfg.roles.map(id => `<@&${id}>`).join(", ") : "—", inline: false }
+      );
+
+    applyBranding(embed, interaction.guild.id);
+
+    const roleRow = new ActionRowBuilder().addComponents(
+      new RoleSelectMenuBuilder()
+        .setCustomId(`prem_ping_roles:${which}:${openerId}`)
+        .setPlaceholder("Select roles to ping…")
+        .setMinValues(0)
+        .setMaxValues(25)
     );
 
-    const tabs2 = new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId("tab_premium").setLabel("Premium ✨").setStyle(ButtonStyle.Primary),
+    const btnRow = new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(`prem_ping_toggle_here:${which}:${openerId}`).setLabel(cfg.here ? "@here: ON" : "@here: OFF").setStyle(cfg.here ? ButtonStyle.Success : ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(`prem_ping_toggle_everyone:${which}:${openerId}`).setLabel(cfg.everyone ? "@everyone: ON" : "@everyone: OFF").setStyle(cfg.everyone ? ButtonStyle.Success : ButtonStyle.Secondary),
+      new ButtonBuilder().setCustomId(`prem_ping_clear_roles:${which}:${openerId}`).setLabel("🧹 Clear Roles").setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(`prem_pings:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
     );
 
-    const tabs = [tabs1, tabs2];
+    return safeUpdate(interaction, { embeds: [embed], components: [roleRow, btnRow] }).catch(() => {});
+  }
 
-      if (interaction.customId === "tab_description") {
-        return safeUpdate(interaction, {
-          embeds: [
-            makeEmbed(
-              "📘 Bot Description",
-              "Hi! I'm **Nozzarri Tickets Bot** 🐉\n\n" +
-                "✨ I help with:\n" +
-                "• Secure **trade-assist deals**\n" +
-                "• 🔧 Support issues\n" +
-                "• 🎫 Ticket management\n" +
-                "• ⭐ Rating system\n\n" +
-                "Use the tabs below to learn more about each system."
-            )
-          ],
-          components: tabs
-        });
-      }
+  // Transcript channel select
+  if (interaction.isChannelSelectMenu() && interaction.customId && interaction.customId.startsWith("prem_pick_transcript:")) {
+    const [, openerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== openerId) return safeUpdate(interaction, { content: "⛔ Not your panel.", ephemeral: true });
 
-      if (interaction.customId === "tab_features") {
-        return safeUpdate(interaction, {
-          embeds: [
-            makeEmbed(
-              "⚙️ Features",
-              "Here is what I can do:\n\n" +
-                "🔧 **Support tickets** – private channels with staff\n" +
-                "🤝 **Trade tickets** – safe trades with verified staff\n" +
-                "⭐ **Ratings** – rate the service & trade staff\n" +
-                "🧾 **Logs** – all actions are logged in a staff channel\n"
-            )
-          ],
-          components: tabs
-        });
-      }
+    const prem = getPremiumState(interaction.guild.id);
+    if (!prem.isPremium) return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true });
 
-      if (interaction.customId === "tab_ticket") {
-        return safeUpdate(interaction, {
-          embeds: [
-            makeEmbed(
-              "🎫 Ticket System",
-              "How the ticket system works:\n\n" +
-                "1️⃣ You choose **Support** or **Trade Help** from the panels\n" +
-                "2️⃣ You fill a short form (modal) with your problem/trade\n" +
-                "3️⃣ A **private ticket channel** is created\n" +
-                "4️⃣ Staff joins, helps you, and closes the ticket\n" +
-                "5️⃣ After closing, you receive a **DM summary + rating buttons**\n"
-            )
-          ],
-          components: tabs
-        });
-      }
+    const id = (interaction.values && interaction.values[0]) ? interaction.values[0] : null;
+    if (id) savePremiumState(interaction.guild.id, { features: { transcriptChannelId: id, transcripts: true } });
 
-      if (interaction.customId === "tab_trade") {
-        return safeUpdate(interaction, {
-          embeds: [
-            makeEmbed(
-              "🤝 Trade Help System",
-              "Trade tickets can protect your trades:\n\n" +
-                "• Both users join the **Trade ticket**\n" +
-                "• Trade terms are clearly written\n" +
-                "• Staff supervises payment & delivery\n" +
-                "• Only after everything is confirmed, the trade is completed\n" +
-                "• You can then **rate the helper** ⭐\n"
-            )
-          ],
-          components: tabs
-        });
-      }
+    return safeUpdate(interaction, buildPremiumPanelPayload(interaction.guild, openerId)).catch(() => {});
+  }
 
-      if (interaction.customId === "tab_ratings") {
-        return safeUpdate(interaction, {
-          embeds: [
-            makeEmbed(
-              "⭐ Rating System",
-              "After a ticket is closed, you can rate:\n\n" +
-                "• ⭐ **Helper performance** (if staff was involved)\n" +
-                "• ⭐ **Overall service quality**\n\n" +
-                "These ratings are saved and used for:\n" +
-                "• 🛡 More trust & transparency in the community\n"
-            )
-          ],
-          components: tabs
-        });
-      }
+  // Premium modals
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("prem_modal_")) {
+    const [base, openerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== openerId) return safeUpdate(interaction, { content: "⛔ Not your panel.", ephemeral: true });
 
+    const prem = getPremiumState(interaction.guild.id);
+    if (!prem.isPremium) return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true });
 
-if (interaction.customId === "tab_premium") {
-  const p = getPremiumState(interaction.guildId);
-  return safeUpdate(interaction, {
-    embeds: [
-      makeEmbed(
-        "💎 Premium",
-        p.isPremium
-          ? `✅ **Premium is active on this server.**
+    if (base === "prem_modal_ticketname") {
+      const template = interaction.fields.getTextInputValue("template") || "ticket-{user}";
+      savePremiumState(interaction.guild.id, { features: { ticketNameTemplate: template.trim().slice(0, 80) } });
+      return safeUpdate(interaction, { content: "✅ Ticket name template saved.", ephemeral: true }).catch(() => {});
+    }
 
-**Premium features (working):**
-• 🏷️ Brand name + icon + accent color in embeds/panels
-• 🧑‍💻 Bot nickname (server display name)
-• 🏷️ Ticket channel name template ({user} {type} {id})
-• 📣 Ticket ping: @here / role / off
-• ⏳ Auto-close inactive tickets
-• 📄 Transcripts on close (posted to a transcript channel)
+    if (base === "prem_modal_welcome") {
+      const msg = (interaction.fields.getTextInputValue("msg") || "").trim();
+      savePremiumState(interaction.guild.id, { features: { welcomeMessage: msg } });
+      return safeUpdate(interaction, { content: msg ? "✅ Welcome message saved." : "✅ Welcome message cleared.", ephemeral: true }).catch(() => {});
+    }
 
-**Owner premium commands:**
-• \`?premium\` (status)
-• \`?brandname <text>\`
-• \`?brandicon <url>\`
-• \`?accent <hex>\`
-• \`?botnick <name|reset>\`
-• \`?ticketname <template|reset>\`
-• \`?pingmode <here|role|off>\`
-• \`?pingrole <@Role|roleId>\`
-• \`?autoclose <minutes|off>\`
-• \`?transcripts <on|off>\`
-• \`?transcript-channel <#channel|id|off>\`
+    if (base === "prem_modal_autoclose") {
+      const read = (id) => {
+        const raw = (interaction.fields.getTextInputValue(id) || "").trim().toLowerCase();
+        return raw === "off" ? 0 : normalizeMinutes(parseInt(raw, 10));
+      };
+      const inactive = read("inactive");
+      const cap = read("minutes");
+      savePremiumState(interaction.guild.id, { features: { autoCloseInactiveMinutes: inactive, autoCloseMinutes: cap } });
+      return safeUpdate(interaction, {
+        content: `✅ Auto close updated. Inactive: **${inactive ? `${inactive} min` : "off"}** • Cap: **${cap ? `${cap} min` : "off"}**`,
+        ephemeral: true
+      }).catch(() => {});
+    }
 
-Tip: Premium settings are per-server.`
-          : `❌ Premium is not active.
+    if (base === "prem_modal_pingrole") {
+      const raw = (interaction.fields.getTextInputValue("role") || "").trim();
+      const id = (raw.match(/\d{17,20}/) || [null])[0];
+      savePremiumState(interaction.guild.id, { features: { pingRoleId: id || null, pingMode: id ? "role" : prem.features.pingMode } });
+      return safeUpdate(interaction, { content: id ? "✅ Ping role saved." : "✅ Ping role cleared.", ephemeral: true }).catch(() => {});
+    }
 
-Server owner can activate with:
-• \`?premium-redeem <key>\`
+    if (base === "prem_modal_botnick") {
+      const raw = (interaction.fields.getTextInputValue("nick") || "").trim();
+      const nextNick = raw.toLowerCase() === "reset" ? null : raw.slice(0, 32);
+      savePremiumState(interaction.guild.id, { features: { botNickname: nextNick } });
 
-After activation, open a ticket and you will see the premium ping/name features working.`
-      )
-    ],
-    components: tabs
-  });
-}
+      // Try applying immediately
+      try {
+        const me = interaction.guild.members.me || (await interaction.guild.members.fetchMe());
+        if (me) await me.setNickname(nextNick || null).catch(() => {});
+      } catch {}
+
+      return safeUpdate(interaction, { content: nextNick ? "✅ Bot nickname updated." : "✅ Bot nickname reset.", ephemeral: true }).catch(() => {});
+    }
+
+    if (base === "prem_modal_brand") {
+      const name = (interaction.fields.getTextInputValue("name") || "").trim().slice(0, 40) || "Nozzarri Tickets";
+      const icon = (interaction.fields.getTextInputValue("icon") || "").trim();
+      const accent = (interaction.fields.getTextInputValue("accent") || "").trim();
+
+      const patch = { branding: { name } };
+      if (icon) patch.branding.iconUrl = icon;
+      else patch.branding.iconUrl = null;
+
+      if (accent) {
+        if (isValidHexColor(accent)) patch.branding.accent = normalizeHexColor(accent);
+      } else {
+        patch.branding.accent = null;
+      }
+
+      savePremiumState(interaction.guild.id, patch);
+      return safeUpdate(interaction, { content: "✅ Branding saved.", ephemeral: true }).catch(() => {});
     }
   }
 
 
+  
+  // ==================================================
+  // PREMIUM CUSTOM BUTTONS: select menus + modals + runner
+  // ==================================================
+
+  // Select menus for edit/delete
+  if (interaction.isStringSelectMenu() && interaction.customId) {
+    const cid = interaction.customId;
+
+    }
+
+  // Modals for create/edit
+  // Runner for posted buttons
   // ==================================================
-  
-  // ==================================================
-  // PREMIUM CONTROL PANEL — buttons + modals (locked to panel opener)
+  // PREMIUM COMMANDS (submenu) — buttons + modals (locked to panel opener)
   // ==================================================
-  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("prem_")) {
-    const parts = interaction.customId.split(":");
-    const action = parts[0];
-    const openerId = parts[parts.length - 1];
+  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("premcmd_")) {
+    const [action, openerId] = interaction.customId.split(":");
     if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
     if (interaction.user.id !== openerId) {
-      return safeUpdate(interaction, { content: "⛔ Only the person who opened this Premium Panel can use it.", ephemeral: true });
+      return safeUpdate(interaction, { content: "⛔ Only the person who opened the Premium Panel can use these controls.", ephemeral: true });
     }
 
     const prem = getPremiumState(interaction.guild.id);
-
-    // Premium Commands submenu (single working tab; pings are configured from the dedicated "Pings" page)
-    if (action === "prem_cmds") {
-      const payload = buildPremiumCommandsPayload(interaction.guild, openerId);
-      return safeUpdate(interaction, { ...payload, ephemeral: true }).catch(() => {});
-    }
-
-
-    // Separate entry for Custom Buttons (same page as Commands builder)
-    if (action === "prem_custombtns") {
-      const payload = buildPremiumCommandsPayload(interaction.guild, openerId);
-      return safeUpdate(interaction, { ...payload, ephemeral: true }).catch(() => {});
+    if (!prem.isPremium) {
+      return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true }).catch(() => {});
     }
 
-
-    // Helpers
-    const goHome = () => safeUpdate(interaction, buildPremiumPanelPayload(interaction.guild, openerId)).catch(() => {});
-    const locked = () => safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true }).catch(() => {});
-
-    if (action === "prem_close") {
-      return safeUpdate(interaction, { content: "✅ Closed.", embeds: [], components: [] }).catch(() => {});
-    }
-    if (action === "prem_refresh" || action === "prem_back") {
-      return goHome();
+    // toggles
+    if (action === "premcmd_toggle_claim") {
+      savePremiumState(interaction.guild.id, { features: { autoTagClaims: !prem.features.autoTagClaims } });
+      return safeUpdate(interaction, buildPremiumCommandsPayload(interaction.guild, openerId)).catch(() => {});
     }
-
-    // If premium is not active, block feature edits (preview only)
-    if (!prem.isPremium) {
-      return locked();
+    if (action === "premcmd_toggle_priority") {
+      savePremiumState(interaction.guild.id, { features: { prioritySupport: !prem.features.prioritySupport } });
+      return safeUpdate(interaction, buildPremiumCommandsPayload(interaction.guild, openerId)).catch(() => {});
     }
 
-
-    // ===============================
-    // Premium Custom Buttons (in ?premium → ✨ Commands)
-    // ===============================
-    if (action === "prem_ticketname") {
+    // ping roles
+    if (action === "premcmd_ping_add") {
       try {
-      const modal = new ModalBuilder()
-        .setCustomId(`prem_modal_ticketname:${openerId}`)
-        .setTitle("Ticket Channel Name Template");
-
+      const modal = new ModalBuilder().setCustomId(`premcmd_ping_add_modal:${openerId}`).setTitle("Add Ping Role");
       const input = new TextInputBuilder()
-        .setCustomId("template")
-        .setLabel("Template (use {user}, {id}, {type})")
+        .setCustomId("role")
+        .setLabel("Role mention or role ID")
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
-        .setMaxLength(80)
-        .setValue(String(prem.features.ticketNameTemplate || "ticket-{user}").slice(0, 80));
+        .setMaxLength(64)
+        .setPlaceholder("@Support or 123456789012345678");
+      modal.addComponents(new ActionRowBuilder().addComponents(input));
+      await tryShowModal(interaction, modal);
+      return;
 
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
+    if (action === "premcmd_ping_remove") {
+      try {
+      const modal = new ModalBuilder().setCustomId(`premcmd_ping_remove_modal:${openerId}`).setTitle("Remove Ping Role");
+      const input = new TextInputBuilder()
+        .setCustomId("role")
+        .setLabel("Role mention or role ID")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(64)
+        .setPlaceholder("@Support or 123456789012345678");
       modal.addComponents(new ActionRowBuilder().addComponents(input));
       await tryShowModal(interaction, modal);
       return;
@@ -2561,21 +6665,22 @@ After activation, open a ticket and you will see the premium ping/name features
         return;
       }
 }
+    if (action === "premcmd_ping_clear") {
+      savePremiumState(interaction.guild.id, { features: { pingRoleIds: [] } });
+      return safeUpdate(interaction, buildPremiumCommandsPayload(interaction.guild, openerId)).catch(() => {});
+    }
 
-    if (action === "prem_welcome") {
+    // close reasons
+    if (action === "premcmd_reason_add") {
       try {
-      const modal = new ModalBuilder()
-        .setCustomId(`prem_modal_welcome:${openerId}`)
-        .setTitle("Ticket Welcome Message");
-
+      const modal = new ModalBuilder().setCustomId(`premcmd_reason_add_modal:${openerId}`).setTitle("Add Close Reason");
       const input = new TextInputBuilder()
-        .setCustomId("msg")
-        .setLabel("Message (leave empty to disable)")
+        .setCustomId("reason")
+        .setLabel("Reason text (short)")
         .setStyle(TextInputStyle.Paragraph)
-        .setRequired(false)
-        .setMaxLength(1500)
-        .setValue(String(prem.features.welcomeMessage || "").slice(0, 1500));
-
+        .setRequired(true)
+        .setMaxLength(200)
+        .setPlaceholder("Example: Trade completed successfully.");
       modal.addComponents(new ActionRowBuilder().addComponents(input));
       await tryShowModal(interaction, modal);
       return;
@@ -2591,21 +6696,16 @@ After activation, open a ticket and you will see the premium ping/name features
         return;
       }
 }
-
-    if (action === "prem_botnick") {
+    if (action === "premcmd_reason_remove") {
       try {
-      const modal = new ModalBuilder()
-        .setCustomId(`prem_modal_botnick:${openerId}`)
-        .setTitle("Bot Nickname (Server)");
-
+      const modal = new ModalBuilder().setCustomId(`premcmd_reason_remove_modal:${openerId}`).setTitle("Remove Reason");
       const input = new TextInputBuilder()
-        .setCustomId("nick")
-        .setLabel("Nickname (type reset to clear)")
+        .setCustomId("index")
+        .setLabel("Reason number to remove (1,2,3...)")
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
-        .setMaxLength(32)
-        .setValue(String(prem.features.botNickname || "").slice(0, 32));
-
+        .setMaxLength(4)
+        .setPlaceholder("1");
       modal.addComponents(new ActionRowBuilder().addComponents(input));
       await tryShowModal(interaction, modal);
       return;
@@ -2622,523 +6722,761 @@ After activation, open a ticket and you will see the premium ping/name features
       }
 }
 
-    if (action === "prem_autoclose") {
-      try {
-      const modal = new ModalBuilder()
-        .setCustomId(`prem_modal_autoclose:${openerId}`)
-        .setTitle("Auto Close Tickets");
+    if (action === "premcmd_refresh") {
+      return safeUpdate(interaction, buildPremiumCommandsPayload(interaction.guild, openerId)).catch(() => {});
+    }
+  }
 
-      const input = new TextInputBuilder()
-        .setCustomId("minutes")
-        .setLabel("Minutes (0/off to disable)")
-        .setStyle(TextInputStyle.Short)
-        .setRequired(true)
-        .setMaxLength(8)
-        .setValue(prem.features.autoCloseMinutes ? String(prem.features.autoCloseMinutes) : "0");
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("premcmd_")) {
+    const [action, openerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== openerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the person who opened the Premium Panel can use these controls.", ephemeral: true });
+    }
+
+    const prem = getPremiumState(interaction.guild.id);
+    if (!prem.isPremium) {
+      return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true }).catch(() => {});
+    }
+
+    const parseRoleId = (raw) => {
+      const t = String(raw || "").trim();
+      const m1 = t.match(/^<@&(\d{15,25})>$/);
+      if (m1) return m1[1];
+      const m2 = t.match(/^(\d{15,25})$/);
+      if (m2) return m2[1];
+      return null;
+    };
+
+    if (action === "premcmd_ping_add_modal") {
+      const rawRole = interaction.fields.getTextInputValue("role");
+      const roleId = parseRoleId(rawRole);
+      if (!roleId || !interaction.guild.roles.cache.get(roleId)) {
+        return safeUpdate(interaction, { content: "❌ Invalid role. Use a **role mention** or **role ID**.", ephemeral: true });
+      }
+      const list = Array.isArray(prem.features.pingRoleIds) ? prem.features.pingRoleIds.slice() : [];
+      if (!list.includes(roleId)) list.push(roleId);
+      savePremiumState(interaction.guild.id, { features: { pingRoleIds: list } });
+      return safeUpdate(interaction, { content: `✅ Added ping role <@&${roleId}>`, ephemeral: true }).catch(() => {});
+    }
+
+    if (action === "premcmd_ping_remove_modal") {
+      const rawRole = interaction.fields.getTextInputValue("role");
+      const roleId = parseRoleId(rawRole);
+      const list = Array.isArray(prem.features.pingRoleIds) ? prem.features.pingRoleIds.slice() : [];
+      const next = list.filter(id => id !== roleId);
+      savePremiumState(interaction.guild.id, { features: { pingRoleIds: next } });
+      return safeUpdate(interaction, { content: roleId ? `✅ Removed ping role <@&${roleId}>` : "✅ Updated ping roles.", ephemeral: true }).catch(() => {});
+    }
+
+    if (action === "premcmd_reason_add_modal") {
+      const reason = String(interaction.fields.getTextInputValue("reason") || "").trim();
+      if (!reason) return safeUpdate(interaction, { content: "❌ Reason cannot be empty.", ephemeral: true });
+      const list = Array.isArray(prem.features.customCloseReasons) ? prem.features.customCloseReasons.slice() : [];
+      list.push(reason);
+      savePremiumState(interaction.guild.id, { features: { customCloseReasons: list } });
+      return safeUpdate(interaction, { content: "✅ Added close reason.", ephemeral: true }).catch(() => {});
+    }
+
+    if (action === "premcmd_reason_remove_modal") {
+      const raw = String(interaction.fields.getTextInputValue("index") || "").trim();
+      const n = parseInt(raw, 10);
+      const list = Array.isArray(prem.features.customCloseReasons) ? prem.features.customCloseReasons.slice() : [];
+      if (!Number.isFinite(n) || n < 1 || n > list.length) {
+        return safeUpdate(interaction, { content: "❌ Invalid number.", ephemeral: true });
+      }
+      list.splice(n - 1, 1);
+      savePremiumState(interaction.guild.id, { features: { customCloseReasons: list } });
+      return safeUpdate(interaction, { content: `✅ Removed reason #${n}.`, ephemeral: true }).catch(() => {});
+    }
+  }
+
+
+// SETUP PANEL (owner only, per-server) — buttons + selects
+  // ==================================================
+  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("setup_")) {
+    const [action, ownerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the admin who opened this panel can use this panel.", ephemeral: true });
+    }
+
+
+    // Ack immediately so slow disks / JSON writes can't cause "Interaction failed".
+    // IMPORTANT: do NOT ack if we are about to open a modal (modals must be the first response).
+    const opensModal = (
+      action === "setup_edit_support_desc" ||
+      action === "setup_edit_trade_desc" ||
+      action === "setup_edit_panelui_support" ||
+      action === "setup_edit_panelui_trade" ||
+      action === "setup_edit_paneladv_support" ||
+      action === "setup_edit_paneladv_trade" ||
+      action === "setup_archive_retention" ||
+      action === "setup_close_delay" ||
+      action === "setup_ratings" ||
+      action === "setup_fees" ||
+      action === "setup_ticket_limits" ||
+      action === "setup_sla" ||
+      action === "setup_type_add" ||
+      action === "setup_type_text" ||
+      action === "setup_q_add" ||
+      action === "setup_type_reqage"
+    );
+    if (!opensModal && !interaction.deferred && !interaction.replied) {
+      await interaction.deferUpdate().catch(() => {});
+    }
+
+    const guild = interaction.guild;
+
+    // Back to main panel
+    if (action === "setup_back") {
+      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    }
+
+
+    // Toggle features (so nothing gets created/used unless you want it)
+    if (action === "setup_toggle_support") {
+      const cfg = getGuildConfig(guild.id);
+      saveGuildConfig(guild.id, { supportEnabled: !cfg.supportEnabled });
+      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    }
+
+    if (action === "setup_toggle_trade") {
+      const cfg = getGuildConfig(guild.id);
+      saveGuildConfig(guild.id, { tradeEnabled: !cfg.tradeEnabled });
+      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    }
 
-      modal.addComponents(new ActionRowBuilder().addComponents(input));
-      await tryShowModal(interaction, modal);
-      return;
+    if (action === "setup_toggle_logs") {
+      const cfg = getGuildConfig(guild.id);
+      saveGuildConfig(guild.id, { logsEnabled: !cfg.logsEnabled });
+      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    }
 
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
-      }
-}
+    // Close mode: delete channels on close, or archive them so they can be reopened
+    if (action === "setup_toggle_closemode") {
+      const cfg = getGuildConfig(guild.id);
+      saveGuildConfig(guild.id, { closeMode: cfg.closeMode === "archive" ? "delete" : "archive" });
+      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    }
 
-    if (action === "prem_brand") {
-      try {
+    if (action === "setup_archive_retention") {
+      const cfg = getGuildConfig(guild.id);
       const modal = new ModalBuilder()
-        .setCustomId(`prem_modal_brand:${openerId}`)
-        .setTitle("Branding");
+        .setCustomId(`setup_modal_retention:${ownerId}`)
+        .setTitle("Archive Retention");
 
-      const name = new TextInputBuilder()
-        .setCustomId("name")
-        .setLabel("Brand Name")
+      const input = new TextInputBuilder()
+        .setCustomId("days")
+        .setLabel("Delete archived tickets after (days, 0 = never)")
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
-        .setMaxLength(40)
-        .setValue(String(prem.branding.name || "Nozzarri Tickets").slice(0, 40));
-
-      const icon = new TextInputBuilder()
-        .setCustomId("icon")
-        .setLabel("Icon URL (optional)")
-        .setStyle(TextInputStyle.Short)
-        .setRequired(false)
-        .setMaxLength(300)
-        .setValue(String(prem.branding.iconUrl || "").slice(0, 300));
-
-      const accent = new TextInputBuilder()
-        .setCustomId("accent")
-        .setLabel("Accent color hex (optional, e.g. #F1C40F)")
-        .setStyle(TextInputStyle.Short)
-        .setRequired(false)
-        .setMaxLength(10)
-        .setValue(String(prem.branding.accent || "").slice(0, 10));
+        .setMaxLength(3)
+        .setValue(String(normalizeRetentionDays(cfg.archiveRetentionDays)));
 
-      modal.addComponents(
-        new ActionRowBuilder().addComponents(name),
-        new ActionRowBuilder().addComponents(icon),
-        new ActionRowBuilder().addComponents(accent)
-      );
+      modal.addComponents(new ActionRowBuilder().addComponents(input));
       await tryShowModal(interaction, modal);
       return;
+    }
 
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
-      }
-}
-
-    if (action === "prem_pings") {
-      const s = prem.features.ticketPings?.support || { roles:[], here:false, everyone:false };
-      const t = prem.features.ticketPings?.trade || { roles:[], here:false, everyone:false };
-
-      const fmt = (cfg) => {
-        const parts = [];
-        if (cfg.everyone) parts.push("@everyone");
-        if (cfg.here) parts.push("@here");
-        if (Array.isArray(cfg.roles) && cfg.roles.length) parts.push(...cfg.roles.map(id => `<@&${id}>`));
-        return parts.length ? uniq(parts).join(" ") : "(default: @here)";
-      };
-
-      const embed = new EmbedBuilder()
-        .setTitle("📣 Premium Ticket Pings")
-        .setDescription(
-          "Choose what the bot pings when a ticket is opened.\n" +
-          "You can select **multiple roles** and also enable **@here / @everyone**.\n\n" +
-          `**Support:** ${fmt(s)}\n` +
-          `**Trade/MM:** ${fmt(t)}`
-        )
-        .setColor(prem.branding.accent || "#f1c40f");
-
-      const row = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`prem_ping_cfg_support:${openerId}`).setLabel("🛠️ Configure Support").setStyle(ButtonStyle.Primary),
-        new ButtonBuilder().setCustomId(`prem_ping_cfg_trade:${openerId}`).setLabel("🤝 Configure Trade/MM").setStyle(ButtonStyle.Primary),
-        new ButtonBuilder().setCustomId(`prem_back:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
-      );
+    // Premium settings panel (edit panel descriptions etc.)
+    if (action === "setup_premium_settings") {
+      // Open the same menu as ?premium (private panel)
+      const payload = buildPremiumPanelPayload(guild, ownerId);
 
-      applyBranding(embed, interaction.guild.id);
-      return safeUpdate(interaction, { embeds: [embed], components: [row] }).catch(() => {});
+      // Add a back button to return to setup
+      const back = buildSetupBackRow(ownerId);
+      const comps = Array.isArray(payload.components) ? payload.components : [];
+      return safeUpdate(interaction, { ...payload, components: [back, ...comps] });
     }
 
-    // Configure Support pings
-    if (action === "prem_ping_cfg_support" || action === "prem_ping_cfg_trade") {
-      const which = action === "prem_ping_cfg_trade" ? "trade" : "support";
-      const cfg = prem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
+
+    if (action === "setup_panel_editor") {
+      const cfg = getGuildConfig(guild.id);
 
       const embed = new EmbedBuilder()
-        .setTitle(which === "trade" ? "🤝 Trade/MM Pings" : "🛠️ Support Pings")
+        .setTitle("🧩 Panel Editor (Free)")
+        .setColor("#2ecc71")
         .setDescription(
-          "Select roles to ping (multi-select), and optionally toggle @here / @everyone.\n" +
-          "If you select nothing, the bot will default to **@here**."
-        )
-        .setColor(prem.branding.accent || "#f1c40f")
-        .addFields(
-          { name: "@here", value: cfg.here ? "✅ On" : "❌ Off", inline: true },
-          { name: "@everyone", value: cfg.everyone ? "✅ On" : "❌ Off", inline: true },
-          { name: "Roles", value: (Array.isArray(cfg.roles) && cfg.roles.length) ? cfg.roles.map(id => `<@&${id}>`).join(", ") : "—", inline: false }
+          "Edit how your **Support** and **Trade** panels look.\n\n" +
+          "✅ You can change:\n" +
+          "• Panel description text\n" +
+          "• Panel title\n" +
+          "• Thumbnail image URL (upload an image to Discord and copy the image link)\n" +
+          "• Menu placeholder + option label + option description\n\n" +
+          "Note: Discord select menus do **not** support colors. Button colors can only be changed for button panels."
         );
 
-      applyBranding(embed, interaction.guild.id);
-
-      const roleRow = new ActionRowBuilder().addComponents(
-        new RoleSelectMenuBuilder()
-          .setCustomId(`prem_ping_roles:${which}:${openerId}`)
-          .setPlaceholder("Select roles to ping…")
-          .setMinValues(0)
-          .setMaxValues(25)
+      const row1 = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`setup_edit_support_desc:${ownerId}`).setLabel("Edit Support Text").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId(`setup_edit_trade_desc:${ownerId}`).setLabel("Edit Trade Text").setStyle(ButtonStyle.Primary)
       );
 
-      const btnRow = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`prem_ping_toggle_here:${which}:${openerId}`).setLabel(cfg.here ? "@here: ON" : "@here: OFF").setStyle(cfg.here ? ButtonStyle.Success : ButtonStyle.Secondary),
-        new ButtonBuilder().setCustomId(`prem_ping_toggle_everyone:${which}:${openerId}`).setLabel(cfg.everyone ? "@everyone: ON" : "@everyone: OFF").setStyle(cfg.everyone ? ButtonStyle.Success : ButtonStyle.Secondary),
-        new ButtonBuilder().setCustomId(`prem_ping_clear_roles:${which}:${openerId}`).setLabel("🧹 Clear Roles").setStyle(ButtonStyle.Danger),
-        new ButtonBuilder().setCustomId(`prem_pings:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
+      const row2 = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`setup_edit_panelui_support:${ownerId}`).setLabel("Edit Support Layout").setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`setup_edit_panelui_trade:${ownerId}`).setLabel("Edit Trade Layout").setStyle(ButtonStyle.Secondary)
       );
 
-      return safeUpdate(interaction, { embeds: [embed], components: [roleRow, btnRow] }).catch(() => {});
-    }
+      const rowAdv = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`setup_edit_paneladv_support:${ownerId}`).setLabel("Advanced Support").setStyle(ButtonStyle.Secondary),
+        new ButtonBuilder().setCustomId(`setup_edit_paneladv_trade:${ownerId}`).setLabel("Advanced Trade").setStyle(ButtonStyle.Secondary)
+      );
 
-    if (action === "prem_transcripts") {
-      const f = prem.features;
-      const embed = new EmbedBuilder()
-        .setTitle("📄 Premium Transcripts")
-        .setDescription(
-          "When a ticket is closed, the bot can post a transcript in a chosen channel.\n\n" +
-          `Status: **${f.transcripts ? "ON ✅" : "OFF ❌"}**\n` +
-          `Channel: ${f.transcriptChannelId ? `<#${f.transcriptChannelId}>` : "**Not set**"}`
-        )
-        .setColor(prem.branding.accent || "#f1c40f");
+      const rowPost = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`setup_post_support_panel:${ownerId}`).setLabel("Post Support Panel Here").setStyle(ButtonStyle.Success),
+        new ButtonBuilder().setCustomId(`setup_post_trade_panel:${ownerId}`).setLabel("Post Trade Panel Here").setStyle(ButtonStyle.Success)
+      );
 
-      const row1 = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`prem_transcripts_toggle:${openerId}`).setLabel(f.transcripts ? "Turn OFF" : "Turn ON").setStyle(f.transcripts ? ButtonStyle.Danger : ButtonStyle.Success),
-        new ButtonBuilder().setCustomId(`prem_transcripts_pick:${openerId}`).setLabel("📌 Set Channel").setStyle(ButtonStyle.Primary),
-        new ButtonBuilder().setCustomId(`prem_back:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
+      const row3 = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`setup_reset_panel_support:${ownerId}`).setLabel("Reset Support").setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId(`setup_reset_panel_trade:${ownerId}`).setLabel("Reset Trade").setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId(`setup_back_main:${ownerId}`).setLabel("Back").setStyle(ButtonStyle.Success)
       );
 
-      applyBranding(embed, interaction.guild.id);
-      return safeUpdate(interaction, { embeds: [embed], components: [row1] }).catch(() => {});
+      return safeUpdate(interaction, { embeds: [embed], components: [row1, row2, rowAdv, rowPost, row3] });
     }
-
-    if (action === "prem_transcripts_toggle") {
-      savePremiumState(interaction.guild.id, { features: { transcripts: !prem.features.transcripts } });
-      return safeUpdate(interaction, buildPremiumPanelPayload(interaction.guild, openerId)).catch(() => {});
+    if (action === "setup_reset_panel_text") {
+      const prem = getPremiumState(guild.id);
+      if (!prem?.isPremium) {
+        return safeUpdate(interaction, { content: "🔒 Premium is not unlocked for this server.", ephemeral: true });
+      }
+      const cfg = getGuildConfig(guild.id);
+      saveGuildConfig(guild.id, { panelText: { ...cfg.panelText, supportDescription: null, tradeDescription: null } });
+      return safeUpdate(interaction, { content: "✅ Panel text reset to defaults.", ephemeral: true }).catch(() => {});
     }
 
-    if (action === "prem_transcripts_pick") {
-      const row = new ActionRowBuilder().addComponents(
-        new ChannelSelectMenuBuilder()
-          .setCustomId(`prem_pick_transcript:${openerId}`)
-          .setPlaceholder("Select transcript channel…")
-          .addChannelTypes(ChannelType.GuildText)
-          .setMinValues(1)
-          .setMaxValues(1)
-      );
+    if (action === "setup_edit_support_desc" || action === "setup_edit_trade_desc") {
+      try {
+const which = action === "setup_edit_support_desc" ? "support" : "trade";
+      const cfg = getGuildConfig(guild.id);
+      const current = which === "support"
+        ? (cfg.panelText?.supportDescription || DEFAULT_SUPPORT_PANEL_DESC)
+        : (cfg.panelText?.tradeDescription || DEFAULT_TRADE_PANEL_DESC);
 
-      return safeUpdate(interaction, { ...buildPremiumPanelPayload(interaction.guild, openerId), components: [row] }).catch(() => {});
-    }
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_paneldesc_${which}:${ownerId}`)
+        .setTitle(which === "support" ? "Edit Support Description" : "Edit Trade Description");
 
-    // Ping toggles / clear (new ticketPings system)
-    if (action === "prem_ping_toggle_here" || action === "prem_ping_toggle_everyone" || action === "prem_ping_clear_roles") {
-      const which = parts[1] === "trade" ? "trade" : "support";
-      const cur = prem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
+      const input = new TextInputBuilder()
+        .setCustomId("desc")
+        .setLabel("Panel description")
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(true)
+        .setMaxLength(4000)
+        .setValue(String(current).slice(0, 4000));
 
-      if (action === "prem_ping_toggle_here") {
-        savePremiumState(interaction.guild.id, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [which]: { ...cur, here: !cur.here } } } });
-      }
-      if (action === "prem_ping_toggle_everyone") {
-        savePremiumState(interaction.guild.id, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [which]: { ...cur, everyone: !cur.everyone } } } });
-      }
-      if (action === "prem_ping_clear_roles") {
-        savePremiumState(interaction.guild.id, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [which]: { ...cur, roles: [] } } } });
-      }
+      modal.addComponents(new ActionRowBuilder().addComponents(input));
+      await tryShowModal(interaction, modal);
+      return;
 
-      // Re-render the same config page
-      const rerender = which === "trade" ? "prem_ping_cfg_trade" : "prem_ping_cfg_support";
-      const fake = { ...interaction, customId: `${rerender}:${openerId}` };
-      // easiest: just call the handler by updating the message with the config UI
-      const newPrem = getPremiumState(interaction.guild.id);
-      const cfg = newPrem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
-      const embed = new EmbedBuilder()
-        .setTitle(which === "trade" ? "🤝 Trade/MM Pings" : "🛠️ Support Pings")
-        .setDescription(
-          "Select roles to ping (multi-select), and optionally toggle @here / @everyone.\n" +
-          "If you select nothing, the bot will default to **@here**."
-        )
-        .setColor(newPrem.branding.accent || "#f1c40f")
-        .addFields(
-          { name: "@here", value: cfg.here ? "✅ On" : "❌ Off", inline: true },
-          { name: "@everyone", value: cfg.everyone ? "✅ On" : "❌ Off", inline: true },
-          { name: "Roles", value: (Array.isArray(cfg.roles) && cfg.roles.length) ? cfg.roles.map(id => `<@&${id}>`).join(", ") : "—", inline: false }
-        );
-      applyBranding(embed, interaction.guild.id);
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
 
-      const roleRow = new ActionRowBuilder().addComponents(
-        new RoleSelectMenuBuilder()
-          .setCustomId(`prem_ping_roles:${which}:${openerId}`)
-          .setPlaceholder("Select roles to ping…")
-          .setMinValues(0)
-          .setMaxValues(25)
-      );
-      const btnRow = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`prem_ping_toggle_here:${which}:${openerId}`).setLabel(cfg.here ? "@here: ON" : "@here: OFF").setStyle(cfg.here ? ButtonStyle.Success : ButtonStyle.Secondary),
-        new ButtonBuilder().setCustomId(`prem_ping_toggle_everyone:${which}:${openerId}`).setLabel(cfg.everyone ? "@everyone: ON" : "@everyone: OFF").setStyle(cfg.everyone ? ButtonStyle.Success : ButtonStyle.Secondary),
-        new ButtonBuilder().setCustomId(`prem_ping_clear_roles:${which}:${openerId}`).setLabel("🧹 Clear Roles").setStyle(ButtonStyle.Danger),
-        new ButtonBuilder().setCustomId(`prem_pings:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
-      );
-      return safeUpdate(interaction, { embeds: [embed], components: [roleRow, btnRow] }).catch(() => {});
-    }
-  }
 
-  // Premium ping role picker (RoleSelectMenu)
-  if (interaction.isRoleSelectMenu() && interaction.customId && interaction.customId.startsWith("prem_ping_roles:")) {
-    if (!interaction.deferred && !interaction.replied) {
-      await interaction.deferUpdate().catch(() => {});
-    }
+    
+    if (action === "setup_post_support_panel" || action === "setup_post_trade_panel" || action === "setup_type_post") {
+      const which = action === "setup_type_post"
+        ? interaction.customId.split(":")[2]
+        : (action === "setup_post_support_panel" ? "support" : "trade");
+      const t = getTicketType(guild.id, which);
 
-    const parts = interaction.customId.split(":");
-    const which = parts[1] === "trade" ? "trade" : "support";
-    const openerId = parts[2];
+      // Validate config
+      if (!t) return safeUpdate(interaction, { content: "❌ That ticket type no longer exists.", ephemeral: true });
+      if (!t.enabled) return safeUpdate(interaction, { content: `❌ ${t.name} tickets are disabled.`, ephemeral: true });
+      if (!t.categoryId) return safeUpdate(interaction, { content: `❌ ${t.name} category is not set.`, ephemeral: true });
 
-    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-    if (interaction.user.id !== openerId) return safeUpdate(interaction, { content: "⛔ Not your panel.", ephemeral: true });
+      // Post into the channel where the setup panel exists
+      const ch = interaction.channel || interaction.message?.channel;
+      if (!ch || !ch.send) return safeUpdate(interaction, { content: "❌ I can't post in this channel.", ephemeral: true });
 
-    const prem = getPremiumState(interaction.guild.id);
-    if (!prem.isPremium) return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true });
+      await ch.send(buildTicketPanelPayload(guild.id, which)).catch(() => {});
+      return safeUpdate(interaction, { content: `✅ Posted the **${t.name}** panel in this channel.`, ephemeral: true });
+    }
 
-    const picked = (interaction.values || []).filter(isValidSnowflake);
-    const cur = prem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
-    savePremiumState(interaction.guild.id, { features: { ticketPings: { ...(prem.features.ticketPings || {}), [which]: { ...cur, roles: picked } } } });
+    if (action === "setup_edit_paneladv_support" || action === "setup_edit_paneladv_trade") {
+      try {
+      const which = action === "setup_edit_paneladv_support" ? "support" : "trade";
+      const cfg = getGuildConfig(guild.id);
+      const ui = (which === "support" ? cfg.panelUI?.support : cfg.panelUI?.trade) || {};
 
-    // Re-render config UI
-    const newPrem = getPremiumState(interaction.guild.id);
-    const cfg = newPrem.features.ticketPings?.[which] || { roles:[], here:false, everyone:false };
+      const currentColor = (typeof ui.colorHex === "string" && ui.colorHex.trim()) ? ui.colorHex.trim() : "";
+      const currentThumb = (typeof ui.thumbnailUrl === "string" && ui.thumbnailUrl.trim()) ? ui.thumbnailUrl.trim() : (typeof ui.imageUrl === "string" && ui.imageUrl.trim() ? ui.imageUrl.trim() : "");
+      const currentImage = (typeof ui.bigImageUrl === "string" && ui.bigImageUrl.trim()) ? ui.bigImageUrl.trim() : "";
+      const currentFooter = (typeof ui.footerText === "string" && ui.footerText.trim()) ? ui.footerText.trim() : "";
+      const currentEmoji = (typeof ui.optionEmoji === "string" && ui.optionEmoji.trim()) ? ui.optionEmoji.trim() : "";
 
-    const embed = new EmbedBuilder()
-      .setTitle(which === "trade" ? "🤝 Trade/MM Pings" : "🛠️ Support Pings")
-      .setDescription(
-        "Select roles to ping (multi-select), and optionally toggle @here / @everyone.\n" +
-        "If you select nothing, the bot will default to **@here**."
-      )
-      .setColor(newPrem.branding.accent || "#f1c40f")
-      .addFields(
-        { name: "@here", value: cfg.here ? "✅ On" : "❌ Off", inline: true },
-        { name: "@everyone", value: cfg.everyone ? "✅ On" : "❌ Off", inline: true },
-        { name: "Roles", value: (Array.isArray(cfg.roles) && cfg.roles.length) ? cfg.roles.map(id => `<@&${id}>`).join(", ") : "—", inline: false }
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_paneladv_${which}:${ownerId}`)
+        .setTitle(which === "support" ? "Advanced Support Panel" : "Advanced Trade Panel");
+
+      const c1 = new TextInputBuilder().setCustomId("color").setLabel("Embed color HEX (example: #9b59b6) (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(7).setValue(currentColor.slice(0,7));
+      const c2 = new TextInputBuilder().setCustomId("thumb").setLabel("Thumbnail URL (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(400).setValue(currentThumb.slice(0,400));
+      const c3 = new TextInputBuilder().setCustomId("image").setLabel("Big Image URL (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(400).setValue(currentImage.slice(0,400));
+      const c4 = new TextInputBuilder().setCustomId("footer").setLabel("Footer text (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(200).setValue(currentFooter.slice(0,200));
+      const c5 = new TextInputBuilder().setCustomId("emoji").setLabel("Option emoji (optional) (example: 😄 or <:name:id>)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(60).setValue(currentEmoji.slice(0,60));
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(c1),
+        new ActionRowBuilder().addComponents(c2),
+        new ActionRowBuilder().addComponents(c3),
+        new ActionRowBuilder().addComponents(c4),
+        new ActionRowBuilder().addComponents(c5),
       );
+      await tryShowModal(interaction, modal);
+      return;
 
-    applyBranding(embed, interaction.guild.id);
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
 
-    const roleRow = new ActionRowBuilder().addComponents(
-      new RoleSelectMenuBuilder()
-        .setCustomId(`prem_ping_roles:${which}:${openerId}`)
-        .setPlaceholder("Select roles to ping…")
-        .setMinValues(0)
-        .setMaxValues(25)
-    );
+if (action === "setup_edit_panelui_support" || action === "setup_edit_panelui_trade") {
+      try {
+      const which = action === "setup_edit_panelui_support" ? "support" : "trade";
+      const cfg = getGuildConfig(guild.id);
+      const ui = (which === "support" ? cfg.panelUI?.support : cfg.panelUI?.trade) || {};
+      const currentTitle = (typeof ui.title === "string" && ui.title.trim())
+        ? ui.title.trim()
+        : (which === "support" ? "🛠️ Support Ticket" : "🤝 Trade Help");
+      const currentImg = (typeof ui.imageUrl === "string" && ui.imageUrl.trim()) ? ui.imageUrl.trim() : "";
+      const currentPlaceholder = (typeof ui.menuPlaceholder === "string" && ui.menuPlaceholder.trim())
+        ? ui.menuPlaceholder.trim()
+        : (which === "support" ? "🛠️ Open a support ticket." : "🤝 Request trade help.");
+      const currentOptLabel = (typeof ui.optionLabel === "string" && ui.optionLabel.trim())
+        ? ui.optionLabel.trim()
+        : (which === "support" ? "🛠️ Support" : "🤝 Trade Help");
+      const currentOptDesc = (typeof ui.optionDescription === "string" && ui.optionDescription.trim())
+        ? ui.optionDescription.trim()
+        : (which === "support" ? "Get help from our staff" : "Request trade assistance for safe trading");
 
-    const btnRow = new ActionRowBuilder().addComponents(
-      new ButtonBuilder().setCustomId(`prem_ping_toggle_here:${which}:${openerId}`).setLabel(cfg.here ? "@here: ON" : "@here: OFF").setStyle(cfg.here ? ButtonStyle.Success : ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId(`prem_ping_toggle_everyone:${which}:${openerId}`).setLabel(cfg.everyone ? "@everyone: ON" : "@everyone: OFF").setStyle(cfg.everyone ? ButtonStyle.Success : ButtonStyle.Secondary),
-      new ButtonBuilder().setCustomId(`prem_ping_clear_roles:${which}:${openerId}`).setLabel("🧹 Clear Roles").setStyle(ButtonStyle.Danger),
-      new ButtonBuilder().setCustomId(`prem_pings:${openerId}`).setLabel("⬅️ Back").setStyle(ButtonStyle.Secondary)
-    );
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_panelui_${which}:${ownerId}`)
+        .setTitle(which === "support" ? "Edit Support Layout" : "Edit Trade Layout");
 
-    return safeUpdate(interaction, { embeds: [embed], components: [roleRow, btnRow] }).catch(() => {});
-  }
+      const t1 = new TextInputBuilder().setCustomId("title").setLabel("Panel title (embed title)").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(256).setValue(currentTitle.slice(0,256));
+      const t2 = new TextInputBuilder().setCustomId("image").setLabel("Thumbnail image URL (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(400).setValue(currentImg.slice(0,400));
+      const t3 = new TextInputBuilder().setCustomId("placeholder").setLabel("Menu placeholder").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100).setValue(currentPlaceholder.slice(0,100));
+      const t4 = new TextInputBuilder().setCustomId("optlabel").setLabel("Option label").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100).setValue(currentOptLabel.slice(0,100));
+      const t5 = new TextInputBuilder().setCustomId("optdesc").setLabel("Option description").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100).setValue(currentOptDesc.slice(0,100));
 
-  // Transcript channel select
-  if (interaction.isChannelSelectMenu() && interaction.customId && interaction.customId.startsWith("prem_pick_transcript:")) {
-    const [, openerId] = interaction.customId.split(":");
-    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-    if (interaction.user.id !== openerId) return safeUpdate(interaction, { content: "⛔ Not your panel.", ephemeral: true });
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(t1),
+        new ActionRowBuilder().addComponents(t2),
+        new ActionRowBuilder().addComponents(t3),
+        new ActionRowBuilder().addComponents(t4),
+        new ActionRowBuilder().addComponents(t5),
+      );
+      await tryShowModal(interaction, modal);
+      return;
 
-    const prem = getPremiumState(interaction.guild.id);
-    if (!prem.isPremium) return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true });
+      } catch (e) {
+        console.error('[modal-build] failed:', e);
+        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
+        if (!interaction.deferred && !interaction.replied) {
+          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
+        } else if (interaction.editReply) {
+          await interaction.editReply({ content: msg }).catch(() => {});
+        }
+        return;
+      }
+}
 
-    const id = (interaction.values && interaction.values[0]) ? interaction.values[0] : null;
-    if (id) savePremiumState(interaction.guild.id, { features: { transcriptChannelId: id, transcripts: true } });
+    if (action === "setup_reset_panel_support" || action === "setup_reset_panel_trade") {
+      const which = action === "setup_reset_panel_support" ? "support" : "trade";
+      const cfg = getGuildConfig(guild.id);
 
-    return safeUpdate(interaction, buildPremiumPanelPayload(interaction.guild, openerId)).catch(() => {});
-  }
+      const nextPanelText = { ...cfg.panelText };
+      if (which === "support") nextPanelText.supportDescription = null;
+      if (which === "trade") nextPanelText.tradeDescription = null;
 
-  // Premium modals
-  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("prem_modal_")) {
-    const [base, openerId] = interaction.customId.split(":");
-    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-    if (interaction.user.id !== openerId) return safeUpdate(interaction, { content: "⛔ Not your panel.", ephemeral: true });
+      const nextUI = { ...cfg.panelUI, support: { ...(cfg.panelUI?.support||{}) }, trade: { ...(cfg.panelUI?.trade||{}) } };
+      if (which === "support") nextUI.support = { title: null, imageUrl: null, thumbnailUrl: null, bigImageUrl: null, colorHex: null, footerText: null, optionEmoji: null, menuPlaceholder: null, optionLabel: null, optionDescription: null };
+      if (which === "trade") nextUI.trade = { title: null, imageUrl: null, thumbnailUrl: null, bigImageUrl: null, colorHex: null, footerText: null, optionEmoji: null, menuPlaceholder: null, optionLabel: null, optionDescription: null };
 
-    const prem = getPremiumState(interaction.guild.id);
-    if (!prem.isPremium) return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true });
+      saveGuildConfig(guild.id, { panelText: nextPanelText, panelUI: nextUI });
+      return safeUpdate(interaction, { content: `✅ Reset ${which} panel text + layout to defaults.`, ephemeral: true });
+    }
 
-    if (base === "prem_modal_ticketname") {
-      const template = interaction.fields.getTextInputValue("template") || "ticket-{user}";
-      savePremiumState(interaction.guild.id, { features: { ticketNameTemplate: template.trim().slice(0, 80) } });
-      return safeUpdate(interaction, { content: "✅ Ticket name template saved.", ephemeral: true }).catch(() => {});
+    if (action === "setup_back_main") {
+      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
     }
 
-    if (base === "prem_modal_welcome") {
-      const msg = (interaction.fields.getTextInputValue("msg") || "").trim();
-      savePremiumState(interaction.guild.id, { features: { welcomeMessage: msg } });
-      return safeUpdate(interaction, { content: msg ? "✅ Welcome message saved." : "✅ Welcome message cleared.", ephemeral: true }).catch(() => {});
+    // Show a category selector for support
+    if (action === "setup_set_support") {
+      const row = new ActionRowBuilder().addComponents(
+        new ChannelSelectMenuBuilder()
+          .setCustomId(`setup_pick_support:${ownerId}`)
+          .setPlaceholder("Select Support Category…")
+          .addChannelTypes(ChannelType.GuildCategory)
+          .setMinValues(1)
+          .setMaxValues(1)
+      );
+      return safeUpdate(interaction, { ...buildSetupMainPayload(guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
     }
 
-    if (base === "prem_modal_autoclose") {
-      const raw = (interaction.fields.getTextInputValue("minutes") || "").trim().toLowerCase();
-      const minutes = raw === "off" ? 0 : parseInt(raw, 10);
-      savePremiumState(interaction.guild.id, { features: { autoCloseMinutes: Number.isFinite(minutes) ? Math.max(0, minutes) : 0 } });
-      return safeUpdate(interaction, { content: "✅ Auto close updated.", ephemeral: true }).catch(() => {});
+    // Show a category selector for Trade
+    if (action === "setup_set_mm") {
+      const row = new ActionRowBuilder().addComponents(
+        new ChannelSelectMenuBuilder()
+          .setCustomId(`setup_pick_mm:${ownerId}`)
+          .setPlaceholder("Select Trade Category…")
+          .addChannelTypes(ChannelType.GuildCategory)
+          .setMinValues(1)
+          .setMaxValues(1)
+      );
+      return safeUpdate(interaction, { ...buildSetupMainPayload(guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
     }
 
-    if (base === "prem_modal_pingrole") {
-      const raw = (interaction.fields.getTextInputValue("role") || "").trim();
-      const id = (raw.match(/\d{17,20}/) || [null])[0];
-      savePremiumState(interaction.guild.id, { features: { pingRoleId: id || null, pingMode: id ? "role" : prem.features.pingMode } });
-      return safeUpdate(interaction, { content: id ? "✅ Ping role saved." : "✅ Ping role cleared.", ephemeral: true }).catch(() => {});
+    // Ticket types
+    if (action === "setup_types") {
+      return safeUpdate(interaction, buildSetupTypesPayload(guild, ownerId));
     }
 
-    if (base === "prem_modal_botnick") {
-      const raw = (interaction.fields.getTextInputValue("nick") || "").trim();
-      const nextNick = raw.toLowerCase() === "reset" ? null : raw.slice(0, 32);
-      savePremiumState(interaction.guild.id, { features: { botNickname: nextNick } });
+    if (action === "setup_type_toggle") {
+      const key = interaction.customId.split(":")[2];
+      const t = getTicketType(guild.id, key);
+      if (t) saveTicketType(guild.id, key, { enabled: !t.enabled });
+      return safeUpdate(interaction, buildSetupTypeEditPayload(guild, ownerId, key));
+    }
 
-      // Try applying immediately
-      try {
-        const me = interaction.guild.members.me || (await interaction.guild.members.fetchMe());
-        if (me) await me.setNickname(nextNick || null).catch(() => {});
-      } catch {}
+    if (action === "setup_type_claimlock") {
+      const key = interaction.customId.split(":")[2];
+      const t = getTicketType(guild.id, key);
+      if (t) saveTicketType(guild.id, key, { claimLock: !t.claimLock });
+      return safeUpdate(interaction, buildSetupTypeEditPayload(guild, ownerId, key));
+    }
 
-      return safeUpdate(interaction, { content: nextNick ? "✅ Bot nickname updated." : "✅ Bot nickname reset.", ephemeral: true }).catch(() => {});
+    if (action === "setup_type_reqs") {
+      return safeUpdate(interaction, buildSetupRequirementsPayload(guild, ownerId, interaction.customId.split(":")[2]));
     }
 
-    if (base === "prem_modal_brand") {
-      const name = (interaction.fields.getTextInputValue("name") || "").trim().slice(0, 40) || "Nozzarri Tickets";
-      const icon = (interaction.fields.getTextInputValue("icon") || "").trim();
-      const accent = (interaction.fields.getTextInputValue("accent") || "").trim();
+    if (action === "setup_type_reqclear") {
+      const key = interaction.customId.split(":")[2];
+      saveTicketType(guild.id, key, { requirements: null });
+      return safeUpdate(interaction, buildSetupRequirementsPayload(guild, ownerId, key));
+    }
 
-      const patch = { branding: { name } };
-      if (icon) patch.branding.iconUrl = icon;
-      else patch.branding.iconUrl = null;
+    if (action === "setup_type_reqage") {
+      const key = interaction.customId.split(":")[2];
+      const req = getTicketType(guild.id, key)?.requirements || normalizeTypeRequirements(null);
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_reqage:${ownerId}:${key}`)
+        .setTitle("Minimum Ages & Open Limit");
+
+      const account = new TextInputBuilder()
+        .setCustomId("account")
+        .setLabel("Discord account age in days (0 = off)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(4)
+        .setValue(String(req.minAccountAgeDays));
+
+      const member = new TextInputBuilder()
+        .setCustomId("member")
+        .setLabel("Days in this server (0 = off)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(4)
+        .setValue(String(req.minMemberAgeDays));
 
-      if (accent) {
-        if (isValidHexColor(accent)) patch.branding.accent = normalizeHexColor(accent);
-      } else {
-        patch.branding.accent = null;
-      }
+      const limit = new TextInputBuilder()
+        .setCustomId("limit")
+        .setLabel("Open tickets per user (0 = server default)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(2)
+        .setValue(String(getTicketType(guild.id, key)?.openLimit || 0));
 
-      savePremiumState(interaction.guild.id, patch);
-      return safeUpdate(interaction, { content: "✅ Branding saved.", ephemeral: true }).catch(() => {});
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(account),
+        new ActionRowBuilder().addComponents(member),
+        new ActionRowBuilder().addComponents(limit)
+      );
+      await tryShowModal(interaction, modal);
+      return;
     }
-  }
 
+    if (action === "setup_type_back") {
+      return safeUpdate(interaction, buildSetupTypeEditPayload(guild, ownerId, interaction.customId.split(":")[2]));
+    }
 
-  
-  // ==================================================
-  // PREMIUM CUSTOM BUTTONS: select menus + modals + runner
-  // ==================================================
-
-  // Select menus for edit/delete
-  if (interaction.isStringSelectMenu() && interaction.customId) {
-    const cid = interaction.customId;
+    // Modal questions per type
+    if (action === "setup_type_questions") {
+      return safeUpdate(interaction, buildSetupQuestionsPayload(guild, ownerId, interaction.customId.split(":")[2]));
+    }
 
+    if (action === "setup_q_reset") {
+      const key = interaction.customId.split(":")[2];
+      saveTicketQuestions(guild.id, key, []);
+      return safeUpdate(interaction, buildSetupQuestionsPayload(guild, ownerId, key));
     }
 
-  // Modals for create/edit
-  // Runner for posted buttons
-  // ==================================================
-  // PREMIUM COMMANDS (submenu) — buttons + modals (locked to panel opener)
-  // ==================================================
-  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("premcmd_")) {
-    const [action, openerId] = interaction.customId.split(":");
-    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-    if (interaction.user.id !== openerId) {
-      return safeUpdate(interaction, { content: "⛔ Only the person who opened the Premium Panel can use these controls.", ephemeral: true });
+    if (action === "setup_q_add") {
+      const key = interaction.customId.split(":")[2];
+      await tryShowModal(interaction, buildTicketQuestionModal(ownerId, key, null, "new"));
+      return;
     }
 
-    const prem = getPremiumState(interaction.guild.id);
-    if (!prem.isPremium) {
-      return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true }).catch(() => {});
+    if (action === "setup_type_delete") {
+      const key = interaction.customId.split(":")[2];
+      removeTicketType(guild.id, key);
+      return safeUpdate(interaction, buildSetupTypesPayload(guild, ownerId));
     }
 
-    // toggles
-    if (action === "premcmd_toggle_claim") {
-      savePremiumState(interaction.guild.id, { features: { autoTagClaims: !prem.features.autoTagClaims } });
-      return safeUpdate(interaction, buildPremiumCommandsPayload(interaction.guild, openerId)).catch(() => {});
+    if (action === "setup_type_add") {
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_type_add:${ownerId}`)
+        .setTitle("Add Ticket Type");
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId("label").setLabel("Name (e.g. Appeals)").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(40)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId("emoji").setLabel("Emoji (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(40)
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId("description").setLabel("Menu description (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(100)
+        )
+      );
+      await tryShowModal(interaction, modal);
+      return;
     }
-    if (action === "premcmd_toggle_priority") {
-      savePremiumState(interaction.guild.id, { features: { prioritySupport: !prem.features.prioritySupport } });
-      return safeUpdate(interaction, buildPremiumCommandsPayload(interaction.guild, openerId)).catch(() => {});
+
+    if (action === "setup_type_text") {
+      const key = interaction.customId.split(":")[2];
+      const t = getTicketType(guild.id, key);
+      if (!t) return safeUpdate(interaction, { content: "❌ That ticket type no longer exists.", ephemeral: true });
+
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_type_text:${ownerId}:${t.key}`)
+        .setTitle(`Edit ${t.name}`.slice(0, 45));
+
+      modal.addComponents(
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId("label").setLabel("Menu option label").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(40).setValue(t.optionLabel.slice(0, 40))
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId("panelTitle").setLabel("Panel title").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(256).setValue(t.panelTitle.slice(0, 256))
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId("panelDescription").setLabel("Panel description").setStyle(TextInputStyle.Paragraph).setRequired(false).setMaxLength(4000).setValue(String(t.panelDescription).slice(0, 4000))
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId("nameTemplate").setLabel("Channel name template ({user} {type} {id})").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(80).setValue(t.nameTemplate || "")
+        ),
+        new ActionRowBuilder().addComponents(
+          new TextInputBuilder().setCustomId("colorHex").setLabel("Color (hex, optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(7).setValue(t.panelColor)
+        )
+      );
+      await tryShowModal(interaction, modal);
+      return;
     }
 
-    // ping roles
-    if (action === "premcmd_ping_add") {
-      try {
-      const modal = new ModalBuilder().setCustomId(`premcmd_ping_add_modal:${openerId}`).setTitle("Add Ping Role");
+    if (action === "setup_close_delay") {
+      const cfg = getGuildConfig(guild.id);
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_closedelay:${ownerId}`)
+        .setTitle("Close Countdown");
+
       const input = new TextInputBuilder()
-        .setCustomId("role")
-        .setLabel("Role mention or role ID")
+        .setCustomId("seconds")
+        .setLabel("Seconds before closing (0 = close instantly)")
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
-        .setMaxLength(64)
-        .setPlaceholder("@Support or 123456789012345678");
+        .setMaxLength(3)
+        .setValue(String(normalizeCloseDelay(cfg.closeConfirmSeconds)));
+
       modal.addComponents(new ActionRowBuilder().addComponents(input));
       await tryShowModal(interaction, modal);
       return;
+    }
 
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
-      }
-}
-    if (action === "premcmd_ping_remove") {
-      try {
-      const modal = new ModalBuilder().setCustomId(`premcmd_ping_remove_modal:${openerId}`).setTitle("Remove Ping Role");
-      const input = new TextInputBuilder()
-        .setCustomId("role")
-        .setLabel("Role mention or role ID")
+    if (action === "setup_ratings") {
+      const cfg = getGuildConfig(guild.id);
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_ratings:${ownerId}`)
+        .setTitle("Ratings");
+
+      const mode = new TextInputBuilder()
+        .setCustomId("mode")
+        .setLabel("Mode: off, dm or channel")
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
-        .setMaxLength(64)
-        .setPlaceholder("@Support or 123456789012345678");
-      modal.addComponents(new ActionRowBuilder().addComponents(input));
+        .setMaxLength(7)
+        .setValue(normalizeRatingMode(cfg.ratingMode));
+
+      const timeout = new TextInputBuilder()
+        .setCustomId("timeout")
+        .setLabel("Channel mode: seconds to wait (30-600)")
+        .setStyle(TextInputStyle.Short)
+        .setRequired(true)
+        .setMaxLength(3)
+        .setValue(String(normalizeRatingTimeout(cfg.ratingTimeoutSeconds)));
+
+      modal.addComponents(new ActionRowBuilder().addComponents(mode), new ActionRowBuilder().addComponents(timeout));
       await tryShowModal(interaction, modal);
       return;
-
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
-      }
-}
-    if (action === "premcmd_ping_clear") {
-      savePremiumState(interaction.guild.id, { features: { pingRoleIds: [] } });
-      return safeUpdate(interaction, buildPremiumCommandsPayload(interaction.guild, openerId)).catch(() => {});
     }
 
-    // close reasons
-    if (action === "premcmd_reason_add") {
-      try {
-      const modal = new ModalBuilder().setCustomId(`premcmd_reason_add_modal:${openerId}`).setTitle("Add Close Reason");
-      const input = new TextInputBuilder()
-        .setCustomId("reason")
-        .setLabel("Reason text (short)")
-        .setStyle(TextInputStyle.Paragraph)
-        .setRequired(true)
-        .setMaxLength(200)
-        .setPlaceholder("Example: Trade completed successfully.");
-      modal.addComponents(new ActionRowBuilder().addComponents(input));
+    if (action === "setup_fees") {
+      const schedule = getGuildConfig(guild.id).feeSchedule;
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_fees:${ownerId}`)
+        .setTitle("Fee Schedule");
+
+      const field = (id, label, style, value, max, placeholder) => {
+        const input = new TextInputBuilder()
+          .setCustomId(id)
+          .setLabel(label)
+          .setStyle(style)
+          .setRequired(false)
+          .setMaxLength(max)
+          .setPlaceholder(placeholder);
+        if (value) input.setValue(value);
+        return new ActionRowBuilder().addComponents(input);
+      };
+
+      modal.addComponents(
+        field("currency", "Currency (e.g. $, €, USD, Robux)", TextInputStyle.Short, schedule.currency, 10, "$"),
+        field("rule", "Default fee (empty = none)", TextInputStyle.Short, stringifyFeeRule(schedule.rule), 200, "5% min 2 max 50  or  100:5, 500:15, *:25"),
+        field("overrides", "Per trade type, one \"type = fee\" per line", TextInputStyle.Paragraph, stringifyFeeOverrides(schedule.overrides), 2000, "crypto = 3% min 5\nrobux = 1000:50, *:100"),
+        field("payer", "Default payer: a, b or split (empty = ask)", TextInputStyle.Short, schedule.payer, 5, "split")
+      );
       await tryShowModal(interaction, modal);
       return;
+    }
+
+    if (action === "setup_sla") {
+      const cfg = getGuildConfig(guild.id);
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_sla:${ownerId}`)
+        .setTitle("First-Response SLA");
 
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
-      }
-}
-    if (action === "premcmd_reason_remove") {
-      try {
-      const modal = new ModalBuilder().setCustomId(`premcmd_reason_remove_modal:${openerId}`).setTitle("Remove Reason");
       const input = new TextInputBuilder()
-        .setCustomId("index")
-        .setLabel("Reason number to remove (1,2,3...)")
+        .setCustomId("minutes")
+        .setLabel("Minutes until a staff reply is due (0 = off)")
         .setStyle(TextInputStyle.Short)
         .setRequired(true)
         .setMaxLength(4)
-        .setPlaceholder("1");
+        .setValue(String(normalizeSlaMinutes(cfg.slaFirstResponseMinutes)));
+
       modal.addComponents(new ActionRowBuilder().addComponents(input));
       await tryShowModal(interaction, modal);
       return;
+    }
+
+    if (action === "setup_ticket_limits") {
+      const lim = getGuildConfig(guild.id).ticketLimits;
+      const modal = new ModalBuilder()
+        .setCustomId(`setup_modal_limits:${ownerId}`)
+        .setTitle("Ticket Limits");
+
+      const field = (id, label, value, max) => new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId(id)
+          .setLabel(label)
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setMaxLength(max)
+          .setValue(String(Number(value) || 0))
+      );
+
+      modal.addComponents(
+        field("peruser", "Max open tickets per user (0 = no limit)", lim.perUser, 2),
+        field("pertype", "Max open tickets per user per type (0 = off)", lim.perType, 2),
+        field("cooldown", "Seconds between new tickets (0 = off)", lim.cooldownSeconds, 5)
+      );
+      await tryShowModal(interaction, modal);
+      return;
+    }
+
+    // Show a category selector for archived tickets
+    if (action === "setup_set_archive") {
+      const row = new ActionRowBuilder().addComponents(
+        new ChannelSelectMenuBuilder()
+          .setCustomId(`setup_pick_archive:${ownerId}`)
+          .setPlaceholder("Select Archive Category…")
+          .addChannelTypes(ChannelType.GuildCategory)
+          .setMinValues(1)
+          .setMaxValues(1)
+      );
+      return safeUpdate(interaction, { ...buildSetupMainPayload(guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
+    }
+
+    // Show a log channel selector (text channel)
+    if (action === "setup_set_log") {
+      const row = new ActionRowBuilder().addComponents(
+        new ChannelSelectMenuBuilder()
+          .setCustomId(`setup_pick_log:${ownerId}`)
+          .setPlaceholder("Select Log Channel…")
+          .addChannelTypes(ChannelType.GuildText)
+          .setMinValues(1)
+          .setMaxValues(1)
+      );
+      return safeUpdate(interaction, { ...buildSetupMainPayload(guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
+    }
+
+    // Choose which role list to edit
+    if (action === "setup_set_roles") {
+      const row = new ActionRowBuilder().addComponents(
+        new StringSelectMenuBuilder()
+          .setCustomId(`setup_roles_step:${ownerId}`)
+          .setPlaceholder("Choose which role list to edit…")
+          .addOptions([
+            { label: "Support roles", value: "support" },
+            { label: "Trade roles", value: "trade" },
+            { label: "Admin roles", value: "admin" }
+          ])
+      );
+      return safeUpdate(interaction, { ...buildSetupMainPayload(interaction.guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
+    }
+
+    if (action === "setup_done") {
+      try {
+      const cfg = getGuildConfig(guild.id);
+      const missing = [];
+
+      if (cfg.supportEnabled && !cfg.supportCategoryId) missing.push("Support Category");
+      if (cfg.tradeEnabled && !cfg.mmCategoryId) missing.push("Trade Category");
+      if (cfg.logsEnabled && !cfg.logChannelId) missing.push("Log Channel");
+
+      if ((cfg.supportEnabled && !cfg.supportRoles?.length) || (cfg.tradeEnabled && !cfg.mmRoles?.length) || !cfg.adminRoles?.length) {
+        // We don't block setup for missing roles, but we hint it for new owners.
+        // (Admin roles are optional if the server uses "Administrator" permission anyway.)
+      }
 
+      return safeUpdate(interaction, {
+        embeds: [
+          new EmbedBuilder()
+            .setTitle("✅ Setup saved")
+            .setColor("#2ecc71")
+            .setDescription(
+              missing.length
+                ? `Saved. Missing: **${missing.join(", ")}** (you can run ?setup again anytime)`
+                : "Saved. Your server is fully configured ✅"
+            )
+        ],
+        components: []
+      });
+    
       } catch (e) {
         console.error('[modal-build] failed:', e);
         const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
@@ -3150,716 +7488,998 @@ After activation, open a ticket and you will see the premium ping/name features
         return;
       }
 }
+  }
+
+  // Channel selector picks
+  if (interaction.isChannelSelectMenu() && interaction.customId && interaction.customId.startsWith("setup_pick_")) {
+
+    // Ack immediately to avoid 'Interaction failed'
+    if (!interaction.deferred && !interaction.replied) {
+      await interaction.deferUpdate().catch(() => {});
+    }
+    const [id, ownerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+
+    const picked = interaction.values?.[0];
+    if (!picked) return safeUpdate(interaction, { content: "Nothing selected.", ephemeral: true });
+
+    if (id === "setup_pick_support") saveGuildConfig(interaction.guild.id, { supportCategoryId: picked });
+    if (id === "setup_pick_mm") saveGuildConfig(interaction.guild.id, { mmCategoryId: picked });
+    if (id === "setup_pick_log") saveGuildConfig(interaction.guild.id, { logChannelId: picked });
+    if (id === "setup_pick_archive") saveGuildConfig(interaction.guild.id, { archiveCategoryId: picked });
+
+    await safeUpdate(interaction, buildSetupMainPayload(interaction.guild, ownerId)).catch(() => {});
 
-    if (action === "premcmd_refresh") {
-      return safeUpdate(interaction, buildPremiumCommandsPayload(interaction.guild, openerId)).catch(() => {});
-    }
+    return safeUpdate(interaction, { content: "✅ Saved!", ephemeral: true }).catch(() => {});
   }
 
-  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("premcmd_")) {
-    const [action, openerId] = interaction.customId.split(":");
+  // Modal question editor: edit opens a modal (so no deferUpdate here), remove updates the page
+  if (interaction.isStringSelectMenu() && interaction.customId && interaction.customId.startsWith("setup_q_")) {
+    const [id, ownerId, key] = interaction.customId.split(":");
     if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-    if (interaction.user.id !== openerId) {
-      return safeUpdate(interaction, { content: "⛔ Only the person who opened the Premium Panel can use these controls.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
     }
+    const t = getTicketType(interaction.guild.id, key);
 
-    const prem = getPremiumState(interaction.guild.id);
-    if (!prem.isPremium) {
-      return safeUpdate(interaction, { content: "🔒 Premium is not active for this server.", ephemeral: true }).catch(() => {});
+    if (id === "setup_q_priority") {
+      const picked = String(interaction.values?.[0] || "none");
+      saveTicketType(interaction.guild.id, key, { priorityQuestion: picked.startsWith("q:") ? picked.slice(2) : null });
+      return safeUpdate(interaction, buildSetupQuestionsPayload(interaction.guild, ownerId, key));
     }
 
-    const parseRoleId = (raw) => {
-      const t = String(raw || "").trim();
-      const m1 = t.match(/^<@&(\d{15,25})>$/);
-      if (m1) return m1[1];
-      const m2 = t.match(/^(\d{15,25})$/);
-      if (m2) return m2[1];
-      return null;
-    };
+    const index = Number(interaction.values?.[0]);
+    const q = t?.questions?.[index];
+    if (!q) return safeUpdate(interaction, buildSetupQuestionsPayload(interaction.guild, ownerId, key));
 
-    if (action === "premcmd_ping_add_modal") {
-      const rawRole = interaction.fields.getTextInputValue("role");
-      const roleId = parseRoleId(rawRole);
-      if (!roleId || !interaction.guild.roles.cache.get(roleId)) {
-        return safeUpdate(interaction, { content: "❌ Invalid role. Use a **role mention** or **role ID**.", ephemeral: true });
-      }
-      const list = Array.isArray(prem.features.pingRoleIds) ? prem.features.pingRoleIds.slice() : [];
-      if (!list.includes(roleId)) list.push(roleId);
-      savePremiumState(interaction.guild.id, { features: { pingRoleIds: list } });
-      return safeUpdate(interaction, { content: `✅ Added ping role <@&${roleId}>`, ephemeral: true }).catch(() => {});
+    if (id === "setup_q_edit") {
+      await tryShowModal(interaction, buildTicketQuestionModal(ownerId, key, q, index));
+      return;
     }
 
-    if (action === "premcmd_ping_remove_modal") {
-      const rawRole = interaction.fields.getTextInputValue("role");
-      const roleId = parseRoleId(rawRole);
-      const list = Array.isArray(prem.features.pingRoleIds) ? prem.features.pingRoleIds.slice() : [];
-      const next = list.filter(id => id !== roleId);
-      savePremiumState(interaction.guild.id, { features: { pingRoleIds: next } });
-      return safeUpdate(interaction, { content: roleId ? `✅ Removed ping role <@&${roleId}>` : "✅ Updated ping roles.", ephemeral: true }).catch(() => {});
+    if (id === "setup_q_remove") {
+      saveTicketQuestions(interaction.guild.id, key, t.questions.filter((_, i) => i !== index));
+      return safeUpdate(interaction, buildSetupQuestionsPayload(interaction.guild, ownerId, key));
     }
+    return;
+  }
 
-    if (action === "premcmd_reason_add_modal") {
-      const reason = String(interaction.fields.getTextInputValue("reason") || "").trim();
-      if (!reason) return safeUpdate(interaction, { content: "❌ Reason cannot be empty.", ephemeral: true });
-      const list = Array.isArray(prem.features.customCloseReasons) ? prem.features.customCloseReasons.slice() : [];
-      list.push(reason);
-      savePremiumState(interaction.guild.id, { features: { customCloseReasons: list } });
-      return safeUpdate(interaction, { content: "✅ Added close reason.", ephemeral: true }).catch(() => {});
+  // Ticket type editor selects (type picker, category, staff roles, ping roles)
+  if (interaction.isAnySelectMenu() && interaction.customId && interaction.customId.startsWith("setup_type_")) {
+    if (!interaction.deferred && !interaction.replied) {
+      await interaction.deferUpdate().catch(() => {});
+    }
+    const [id, ownerId, key] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
     }
 
-    if (action === "premcmd_reason_remove_modal") {
-      const raw = String(interaction.fields.getTextInputValue("index") || "").trim();
-      const n = parseInt(raw, 10);
-      const list = Array.isArray(prem.features.customCloseReasons) ? prem.features.customCloseReasons.slice() : [];
-      if (!Number.isFinite(n) || n < 1 || n > list.length) {
-        return safeUpdate(interaction, { content: "❌ Invalid number.", ephemeral: true });
-      }
-      list.splice(n - 1, 1);
-      savePremiumState(interaction.guild.id, { features: { customCloseReasons: list } });
-      return safeUpdate(interaction, { content: `✅ Removed reason #${n}.`, ephemeral: true }).catch(() => {});
+    const guildId = interaction.guild.id;
+    if (id === "setup_type_select") {
+      return safeUpdate(interaction, buildSetupTypeEditPayload(interaction.guild, ownerId, interaction.values?.[0]));
     }
+    if (id === "setup_type_cat") saveTicketType(guildId, key, { categoryId: interaction.values?.[0] || null });
+    if (id === "setup_type_staff") saveTicketType(guildId, key, { staffRoles: interaction.values || [] });
+    if (id === "setup_type_ping") saveTicketType(guildId, key, { pingRoles: interaction.values || [] });
+
+    if (id === "setup_type_reqroles" || id === "setup_type_denyroles") {
+      const req = getTicketType(guildId, key)?.requirements;
+      const field = id === "setup_type_reqroles" ? "requiredRoles" : "deniedRoles";
+      saveTicketType(guildId, key, { requirements: { ...req, [field]: interaction.values || [] } });
+      return safeUpdate(interaction, buildSetupRequirementsPayload(interaction.guild, ownerId, key));
+    }
+
+    return safeUpdate(interaction, buildSetupTypeEditPayload(interaction.guild, ownerId, key));
   }
 
+  // Role list chooser
+  if (interaction.isStringSelectMenu() && interaction.customId && interaction.customId.startsWith("setup_roles_step:")) {
+    // Ack immediately to avoid 'Interaction failed'
+    if (!interaction.deferred && !interaction.replied) {
+      await interaction.deferUpdate().catch(() => {});
+    }
 
-// SETUP PANEL (owner only, per-server) — buttons + selects
-  // ==================================================
-  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("setup_")) {
-    const [action, ownerId] = interaction.customId.split(":");
+    const [, ownerId] = interaction.customId.split(":");
     if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-
     if (interaction.user.id !== ownerId) {
-      return safeUpdate(interaction, { content: "⛔ Only the admin who opened this panel can use this panel.", ephemeral: true });
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
     }
 
-
-    // Ack immediately so slow disks / JSON writes can't cause "Interaction failed".
-    // IMPORTANT: do NOT ack if we are about to open a modal (modals must be the first response).
-    const opensModal = (
-      action === "setup_edit_support_desc" ||
-      action === "setup_edit_trade_desc" ||
-      action === "setup_edit_panelui_support" ||
-      action === "setup_edit_panelui_trade" ||
-      action === "setup_edit_paneladv_support" ||
-      action === "setup_edit_paneladv_trade"
+    const which = interaction.values?.[0];
+    const row = new ActionRowBuilder().addComponents(
+      new RoleSelectMenuBuilder()
+        .setCustomId(`setup_pick_roles:${ownerId}:${which}`)
+        .setPlaceholder(`Select ${which} roles…`)
+        .setMinValues(0)
+        .setMaxValues(25)
     );
-    if (!opensModal && !interaction.deferred && !interaction.replied) {
+
+    return safeUpdate(interaction, { components: [row] });
+  }
+
+  // Role picker
+  if (interaction.isRoleSelectMenu() && interaction.customId && interaction.customId.startsWith("setup_pick_roles:")) {
+    // Ack immediately to avoid 'Interaction failed'
+    if (!interaction.deferred && !interaction.replied) {
       await interaction.deferUpdate().catch(() => {});
     }
 
-    const guild = interaction.guild;
+    const parts = interaction.customId.split(":");
+    const ownerId = parts[1];
+    const which = parts[2];
 
-    // Back to main panel
-    if (action === "setup_back") {
-      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
     }
 
+    const roleIds = (interaction.values || []).filter(isValidSnowflake);
 
-    // Toggle features (so nothing gets created/used unless you want it)
-    if (action === "setup_toggle_support") {
-      const cfg = getGuildConfig(guild.id);
-      saveGuildConfig(guild.id, { supportEnabled: !cfg.supportEnabled });
-      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    if (which === "support") saveGuildConfig(interaction.guild.id, { supportRoles: roleIds });
+    if (which === "trade") saveGuildConfig(interaction.guild.id, { mmRoles: roleIds });
+    if (which === "admin") saveGuildConfig(interaction.guild.id, { adminRoles: roleIds });
+
+    await safeUpdate(interaction, buildSetupMainPayload(interaction.guild, ownerId)).catch(() => {});
+
+    return safeUpdate(interaction, { content: "✅ Roles saved!", ephemeral: true }).catch(() => {});
+  }
+
+  // /add inside ticket
+  if (interaction.isChatInputCommand() && interaction.commandName === "add") {
+    const user = interaction.options.getUser("user");
+    const role = interaction.options.getRole("role");
+    const channel = interaction.channel;
+
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return safeUpdate(interaction, {
+        content: "This command can only be used inside a ticket channel.",
+        ephemeral: true
+      });
     }
 
-    if (action === "setup_toggle_trade") {
-      const cfg = getGuildConfig(guild.id);
-      saveGuildConfig(guild.id, { tradeEnabled: !cfg.tradeEnabled });
-      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    if (!canManageTicket(interaction.member, channel)) {
+      return safeUpdate(interaction, { content: "⛔ You are not allowed to add users to this ticket.", ephemeral: true });
     }
 
-    if (action === "setup_toggle_logs") {
-      const cfg = getGuildConfig(guild.id);
-      saveGuildConfig(guild.id, { logsEnabled: !cfg.logsEnabled });
-      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    if (!user && !role) {
+      return safeUpdate(interaction, { content: "⚠️ Pick a `user` or a `role` to add.", ephemeral: true });
+    }
+    if (role && role.id === channel.guild.id) {
+      return safeUpdate(interaction, { content: "⛔ @everyone can't be added to a ticket.", ephemeral: true });
     }
 
-    // Premium settings panel (edit panel descriptions etc.)
-    if (action === "setup_premium_settings") {
-      // Open the same menu as ?premium (private panel)
-      const payload = buildPremiumPanelPayload(guild, ownerId);
+    let record = await getOrAdoptTicketRecord(channel).catch(() => null);
 
-      // Add a back button to return to setup
-      const back = buildSetupBackRow(ownerId);
-      const comps = Array.isArray(payload.components) ? payload.components : [];
-      return safeUpdate(interaction, { ...payload, components: [back, ...comps] });
+    // A claim lock would be undone by re-granting SendMessages to locked-out staff
+    const lock = record?.claimLock;
+    if (lock && !isAdmin(interaction.member)) {
+      if (interaction.user.id !== lock.claimerId) {
+        return safeUpdate(interaction, { content: `🔒 This ticket is claimed by <@${lock.claimerId}>. Only they or an Admin can add people.`, ephemeral: true });
+      }
+      if (role && getTicketType(channel.guild.id, record.type)?.staffRoles.includes(role.id)) {
+        return safeUpdate(interaction, { content: "🔒 Staff roles stay read-only while the ticket is claimed.", ephemeral: true });
+      }
     }
 
+    const added = [];
 
-    if (action === "setup_panel_editor") {
-      const cfg = getGuildConfig(guild.id);
+    if (user) {
+      await channel.permissionOverwrites.edit(user.id, TICKET_ACCESS_ALLOW).catch(() => {});
+      record = recordTicketParticipant(record, user.id, interaction.user.id);
+      await sendParticipantLog(channel, record, "👤 Added to Ticket", "#2ecc71", interaction.member, `${user.tag} (${user.id})`);
+      added.push(`${user}`);
+    }
+    if (role) {
+      await channel.permissionOverwrites.edit(role.id, TICKET_ACCESS_ALLOW).catch(() => {});
+      record = recordTicketParticipantRole(record, role.id, interaction.user.id);
+      await sendParticipantLog(channel, record, "👥 Role Added to Ticket", "#2ecc71", interaction.member, `${role.name} (${role.id})`);
+      added.push(`${role}`);
+    }
 
-      const embed = new EmbedBuilder()
-        .setTitle("🧩 Panel Editor (Free)")
-        .setColor("#2ecc71")
-        .setDescription(
-          "Edit how your **Support** and **Trade** panels look.\n\n" +
-          "✅ You can change:\n" +
-          "• Panel description text\n" +
-          "• Panel title\n" +
-          "• Thumbnail image URL (upload an image to Discord and copy the image link)\n" +
-          "• Menu placeholder + option label + option description\n\n" +
-          "Note: Discord select menus do **not** support colors. Button colors can only be changed for button panels."
-        );
+    await channel.send({ content: `👤 ${interaction.user} added ${added.join(" and ")} to this ticket.`, allowedMentions: { users: user ? [user.id] : [], roles: [] } }).catch(() => {});
 
-      const row1 = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`setup_edit_support_desc:${ownerId}`).setLabel("Edit Support Text").setStyle(ButtonStyle.Primary),
-        new ButtonBuilder().setCustomId(`setup_edit_trade_desc:${ownerId}`).setLabel("Edit Trade Text").setStyle(ButtonStyle.Primary)
-      );
+    return safeUpdate(interaction, { content: `✅ Added ${added.join(" and ")} to this ticket.`, ephemeral: true });
+  }
 
-      const row2 = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`setup_edit_panelui_support:${ownerId}`).setLabel("Edit Support Layout").setStyle(ButtonStyle.Secondary),
-        new ButtonBuilder().setCustomId(`setup_edit_panelui_trade:${ownerId}`).setLabel("Edit Trade Layout").setStyle(ButtonStyle.Secondary)
-      );
+  // /remove inside ticket (the opener needs an Admin + confirmation)
+  if (interaction.isChatInputCommand() && interaction.commandName === "remove") {
+    const user = interaction.options.getUser("user");
+    const role = interaction.options.getRole("role");
+    const channel = interaction.channel;
 
-      const rowAdv = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`setup_edit_paneladv_support:${ownerId}`).setLabel("Advanced Support").setStyle(ButtonStyle.Secondary),
-        new ButtonBuilder().setCustomId(`setup_edit_paneladv_trade:${ownerId}`).setLabel("Advanced Trade").setStyle(ButtonStyle.Secondary)
-      );
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel.", ephemeral: true });
+    }
+    if (!canManageTicket(interaction.member, channel)) {
+      return safeUpdate(interaction, { content: "⛔ You are not allowed to remove users from this ticket.", ephemeral: true });
+    }
+    if (!user === !role) {
+      return safeUpdate(interaction, { content: "⚠️ Pick either a `user` or a `role` to remove.", ephemeral: true });
+    }
 
-      const rowPost = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`setup_post_support_panel:${ownerId}`).setLabel("Post Support Panel Here").setStyle(ButtonStyle.Success),
-        new ButtonBuilder().setCustomId(`setup_post_trade_panel:${ownerId}`).setLabel("Post Trade Panel Here").setStyle(ButtonStyle.Success)
-      );
+    if (role) {
+      if (role.id === channel.guild.id) {
+        return safeUpdate(interaction, { content: "⛔ The @everyone overwrite keeps the ticket private and can't be removed.", ephemeral: true });
+      }
+      if (!channel.permissionOverwrites.cache.has(role.id)) {
+        return safeUpdate(interaction, { content: `⚠️ ${role} has no access entry on this ticket.`, ephemeral: true });
+      }
+      await removeTicketAccess(channel, interaction.member, role, true);
+      return safeUpdate(interaction, { content: `✅ Removed ${role} from this ticket.`, ephemeral: true });
+    }
 
-      const row3 = new ActionRowBuilder().addComponents(
-        new ButtonBuilder().setCustomId(`setup_reset_panel_support:${ownerId}`).setLabel("Reset Support").setStyle(ButtonStyle.Danger),
-        new ButtonBuilder().setCustomId(`setup_reset_panel_trade:${ownerId}`).setLabel("Reset Trade").setStyle(ButtonStyle.Danger),
-        new ButtonBuilder().setCustomId(`setup_back_main:${ownerId}`).setLabel("Back").setStyle(ButtonStyle.Success)
+    if (user.id === client.user.id) {
+      return safeUpdate(interaction, { content: "⛔ I need access to manage this ticket.", ephemeral: true });
+    }
+    if (!channel.permissionOverwrites.cache.has(user.id)) {
+      return safeUpdate(interaction, { content: `⚠️ ${user} has no access entry on this ticket.`, ephemeral: true });
+    }
+
+    const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+    const openerId = record?.openerId || parseTopic(channel.topic).opened;
+    if (user.id === openerId) {
+      if (!isAdmin(interaction.member)) {
+        return safeUpdate(interaction, { content: "⛔ The ticket opener can only be removed by an Admin.", ephemeral: true });
+      }
+      const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`remove_opener_confirm:${user.id}`).setLabel("Remove Opener").setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId(`remove_opener_cancel:${user.id}`).setLabel("Cancel").setStyle(ButtonStyle.Secondary)
       );
+      return safeUpdate(interaction, {
+        content: `⚠️ ${user} opened this ticket. Removing them means they can no longer see it. Continue?`,
+        components: [row],
+        ephemeral: true
+      });
+    }
 
-      return safeUpdate(interaction, { embeds: [embed], components: [row1, row2, rowAdv, rowPost, row3] });
+    await removeTicketAccess(channel, interaction.member, user, false);
+    return safeUpdate(interaction, { content: `✅ Removed ${user} from this ticket.`, ephemeral: true });
+  }
+
+  if (interaction.isButton() && interaction.customId && (interaction.customId.startsWith("remove_opener_confirm:") || interaction.customId.startsWith("remove_opener_cancel:"))) {
+    const [action, userId] = interaction.customId.split(":");
+    const channel = interaction.channel;
+    if (!channel || channel.type !== ChannelType.GuildText) return;
+
+    if (action === "remove_opener_cancel") {
+      return interaction.update({ content: "✅ Cancelled — the opener keeps access.", components: [] }).catch(() => {});
     }
-    if (action === "setup_reset_panel_text") {
-      const prem = getPremiumState(guild.id);
-      if (!prem?.isPremium) {
-        return safeUpdate(interaction, { content: "🔒 Premium is not unlocked for this server.", ephemeral: true });
-      }
-      const cfg = getGuildConfig(guild.id);
-      saveGuildConfig(guild.id, { panelText: { ...cfg.panelText, supportDescription: null, tradeDescription: null } });
-      return safeUpdate(interaction, { content: "✅ Panel text reset to defaults.", ephemeral: true }).catch(() => {});
+    if (!isAdmin(interaction.member)) {
+      return interaction.update({ content: "⛔ The ticket opener can only be removed by an Admin.", components: [] }).catch(() => {});
+    }
+
+    await interaction.deferUpdate().catch(() => {});
+    // The ticket may have been closed or handed to someone else since the prompt was shown
+    if (!isTicketChannel(channel)) {
+      return interaction.editReply({ content: "⚠️ This is no longer a ticket channel.", components: [] }).catch(() => {});
+    }
+    const record = findTicketRecord(channel);
+    if ((record?.openerId || parseTopic(channel.topic).opened) !== userId) {
+      return interaction.editReply({ content: "⚠️ That user is no longer the opener of this ticket. Use `/remove` again.", components: [] }).catch(() => {});
+    }
+    const user = await client.users.fetch(userId).catch(() => null);
+    if (!user) return interaction.editReply({ content: "⚠️ That user no longer exists.", components: [] }).catch(() => {});
+
+    await removeTicketAccess(channel, interaction.member, user, false);
+    return interaction.editReply({ content: `✅ Removed the opener ${user} from this ticket.`, components: [] }).catch(() => {});
+  }
+
+  // /participants inside ticket
+  if (interaction.isChatInputCommand() && interaction.commandName === "participants") {
+    const channel = interaction.channel;
+
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel.", ephemeral: true });
+    }
+    if (!canManageTicket(interaction.member, channel)) {
+      return safeUpdate(interaction, { content: "⛔ You are not allowed to manage this ticket.", ephemeral: true });
+    }
+
+    await getOrAdoptTicketRecord(channel).catch(() => null);
+    return safeUpdate(interaction, { embeds: [buildParticipantsEmbed(channel)], ephemeral: true });
+  }
+
+  // toptrade command
+  if (interaction.isChatInputCommand() && interaction.commandName === "toptrade") {
+    if (!ENABLE_LEADERBOARD) {
+      return safeUpdate(interaction, { content: "⛔ The leaderboard feature is disabled on this bot.", ephemeral: true });
+    }
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    const entries = Object.entries(getGuildReviews(interaction.guild.id).staff);
+    if (!entries.length) {
+      return safeUpdate(interaction, { content: "No staff reviews in this server yet.", ephemeral: true });
     }
 
-    if (action === "setup_edit_support_desc" || action === "setup_edit_trade_desc") {
-      try {
-const which = action === "setup_edit_support_desc" ? "support" : "trade";
-      const cfg = getGuildConfig(guild.id);
-      const current = which === "support"
-        ? (cfg.panelText?.supportDescription || DEFAULT_SUPPORT_PANEL_DESC)
-        : (cfg.panelText?.tradeDescription || DEFAULT_TRADE_PANEL_DESC);
+    entries.sort((a, b) => {
+      const aa = a[1].avg || 0;
+      const bb = b[1].avg || 0;
+      if (bb === aa) return (b[1].count || 0) - (a[1].count || 0);
+      return bb - aa;
+    });
 
-      const modal = new ModalBuilder()
-        .setCustomId(`setup_modal_paneldesc_${which}:${ownerId}`)
-        .setTitle(which === "support" ? "Edit Support Description" : "Edit Trade Description");
+    const top = entries.slice(0, 10);
+    const lines = await Promise.all(
+      top.map(async ([id, data], idx) => {
+        let tag = id;
+        try {
+          const u = await client.users.fetch(id);
+          tag = `${u.tag}`;
+        } catch (e) {}
+        return `**${idx + 1}.** ${tag} — ⭐ ${data.avg} (${data.count} reviews)`;
+      })
+    );
 
-      const input = new TextInputBuilder()
-        .setCustomId("desc")
-        .setLabel("Panel description")
-        .setStyle(TextInputStyle.Paragraph)
-        .setRequired(true)
-        .setMaxLength(4000)
-        .setValue(String(current).slice(0, 4000));
+    const embed = new EmbedBuilder()
+      .setTitle("🏆 Top Trade Helpers")
+      .setDescription(lines.join("\n"))
+      .setColor("#FFD700");
 
-      modal.addComponents(new ActionRowBuilder().addComponents(input));
-      await tryShowModal(interaction, modal);
-      return;
+    return safeUpdate(interaction, { embeds: [embed], ephemeral: false });
+  }
 
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
-      }
-}
+  
 
+  // /claim inside ticket
+  if (interaction.isChatInputCommand() && interaction.commandName === "claim") {
+    const channel = interaction.channel;
 
-    
-    if (action === "setup_post_support_panel" || action === "setup_post_trade_panel") {
-      const which = action === "setup_post_support_panel" ? "support" : "trade";
-      const cfg = getGuildConfig(guild.id);
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel.", ephemeral: true });
+    }
 
-      // Validate config
-      if (which === "support") {
-        if (!cfg.supportEnabled) return safeUpdate(interaction, { content: "❌ Support tickets are disabled.", ephemeral: true });
-        if (!cfg.supportCategoryId) return safeUpdate(interaction, { content: "❌ Support category is not set.", ephemeral: true });
-      } else {
-        if (!cfg.tradeEnabled) return safeUpdate(interaction, { content: "❌ Trade tickets are disabled.", ephemeral: true });
-        if (!cfg.mmCategoryId) return safeUpdate(interaction, { content: "❌ Trade category is not set.", ephemeral: true });
-      }
+    if (!canManageTicket(interaction.member, channel)) {
+      return safeUpdate(interaction, { content: "⛔ You are not allowed to claim this ticket.", ephemeral: true });
+    }
+
+    const topic = parseTopic(channel.topic);
+    if (topic.claimed && topic.claimed !== "null") {
+      return safeUpdate(interaction, { content: `⚠️ This ticket is already claimed by <@${topic.claimed}>.`, ephemeral: true });
+    }
 
-      const menu = which === "support" ? buildSupportMenu(guild.id) : buildTradeMenu(guild.id);
-      const ui = which === "support" ? (cfg.panelUI?.support || {}) : (cfg.panelUI?.trade || {});
-      const titleDefault = which === "support"
-        ? `🛠️ ${getPremiumState(guild.id).branding.name} — Support Panel`
-        : "🛡️ Nozzarri Tickets — Official Trade Panel 🐉";
+    const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+    const locked = await applyClaimLock(channel, recordTicketClaim(record, "claim", interaction.user.id), interaction.user.id);
 
-      const embed = new EmbedBuilder()
-        .setTitle(((ui.title && String(ui.title).trim()) ? String(ui.title).trim() : titleDefault).slice(0, 256))
-        .setDescription(getPanelDescription(guild.id, which))
-        .setFooter({ text: (ui.footerText && String(ui.footerText).trim()) ? String(ui.footerText).trim() : (which === "support" ? "Nozzarri services | Professional support" : "Nozzarri services | Official Trade Panel") });
-
-      // Color override
-      if (ui.colorHex && /^#?[0-9a-fA-F]{6}$/.test(String(ui.colorHex).trim())) {
-        const hex = String(ui.colorHex).trim().replace(/^#/, "");
-        embed.setColor(`#${hex}`);
-      } else {
-        embed.setColor(which === "support" ? "#2F3136" : "#9b59b6");
+    const opened = topic.opened || "unknown";
+    await channel.setTopic(makeTopic(opened, interaction.user.id, record?.id)).catch(() => {});
+
+    const prem = getPremiumState(channel.guild.id);
+    if (prem.isPremium && prem.features.autoTagClaims) {
+      const base = (channel.name || "ticket").replace(/^claimed-+/i, "");
+      const nextName = (`claimed-${base}`).slice(0, 90);
+      if (nextName && nextName !== channel.name) {
+        await channel.setName(nextName).catch(() => {});
       }
+    }
 
-      if (ui.thumbnailUrl && looksLikeUrl(ui.thumbnailUrl)) embed.setThumbnail(ui.thumbnailUrl);
-      if (ui.bigImageUrl && looksLikeUrl(ui.bigImageUrl)) embed.setImage(ui.bigImageUrl);
+    const embed = new EmbedBuilder()
+      .setTitle("✅ Ticket Claimed")
+      .setDescription(
+        `Claimed by ${interaction.user}\n\nUse \`/unclaim\` to release it.` +
+        (locked?.claimLock ? "\n🔒 Other staff can read but only the claimer and admins can reply." : "")
+      )
+      .setColor("#2ecc71");
 
-      applyBranding(embed, guild.id);
+    applyBranding(embed, channel.guild.id);
 
-      // Post into the channel where the setup panel exists
-      const ch = interaction.channel || interaction.message?.channel;
-      if (!ch || !ch.send) return safeUpdate(interaction, { content: "❌ I can't post in this channel.", ephemeral: true });
+    await safeUpdate(interaction, { embeds: [embed] }).catch(() => {});
+  }
+
+  // /unclaim inside ticket
+  if (interaction.isChatInputCommand() && interaction.commandName === "unclaim") {
+    const channel = interaction.channel;
 
-      await ch.send({ embeds: [embed], components: [menu] }).catch(() => {});
-      return safeUpdate(interaction, { content: `✅ Posted the **${which}** panel in this channel.`, ephemeral: true });
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel.", ephemeral: true });
     }
 
-    if (action === "setup_edit_paneladv_support" || action === "setup_edit_paneladv_trade") {
-      try {
-      const which = action === "setup_edit_paneladv_support" ? "support" : "trade";
-      const cfg = getGuildConfig(guild.id);
-      const ui = (which === "support" ? cfg.panelUI?.support : cfg.panelUI?.trade) || {};
+    if (!canManageTicket(interaction.member, channel)) {
+      return safeUpdate(interaction, { content: "⛔ You are not allowed to unclaim this ticket.", ephemeral: true });
+    }
 
-      const currentColor = (typeof ui.colorHex === "string" && ui.colorHex.trim()) ? ui.colorHex.trim() : "";
-      const currentThumb = (typeof ui.thumbnailUrl === "string" && ui.thumbnailUrl.trim()) ? ui.thumbnailUrl.trim() : (typeof ui.imageUrl === "string" && ui.imageUrl.trim() ? ui.imageUrl.trim() : "");
-      const currentImage = (typeof ui.bigImageUrl === "string" && ui.bigImageUrl.trim()) ? ui.bigImageUrl.trim() : "";
-      const currentFooter = (typeof ui.footerText === "string" && ui.footerText.trim()) ? ui.footerText.trim() : "";
-      const currentEmoji = (typeof ui.optionEmoji === "string" && ui.optionEmoji.trim()) ? ui.optionEmoji.trim() : "";
+    const topic = parseTopic(channel.topic);
+    if (!topic.claimed) {
+      return safeUpdate(interaction, { content: "⚠️ This ticket is not claimed.", ephemeral: true });
+    }
 
-      const modal = new ModalBuilder()
-        .setCustomId(`setup_modal_paneladv_${which}:${ownerId}`)
-        .setTitle(which === "support" ? "Advanced Support Panel" : "Advanced Trade Panel");
+    // If someone else claimed it, only admins can unclaim
+    if (topic.claimed !== interaction.user.id && !isAdmin(interaction.member)) {
+      return safeUpdate(interaction, { content: `⛔ Only <@${topic.claimed}> or an Admin can unclaim this ticket.`, ephemeral: true });
+    }
 
-      const c1 = new TextInputBuilder().setCustomId("color").setLabel("Embed color HEX (example: #9b59b6) (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(7).setValue(currentColor.slice(0,7));
-      const c2 = new TextInputBuilder().setCustomId("thumb").setLabel("Thumbnail URL (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(400).setValue(currentThumb.slice(0,400));
-      const c3 = new TextInputBuilder().setCustomId("image").setLabel("Big Image URL (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(400).setValue(currentImage.slice(0,400));
-      const c4 = new TextInputBuilder().setCustomId("footer").setLabel("Footer text (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(200).setValue(currentFooter.slice(0,200));
-      const c5 = new TextInputBuilder().setCustomId("emoji").setLabel("Option emoji (optional) (example: 😄 or <:name:id>)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(60).setValue(currentEmoji.slice(0,60));
+    const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+    await releaseClaimLock(channel, recordTicketClaim(record, "unclaim", interaction.user.id));
 
-      modal.addComponents(
-        new ActionRowBuilder().addComponents(c1),
-        new ActionRowBuilder().addComponents(c2),
-        new ActionRowBuilder().addComponents(c3),
-        new ActionRowBuilder().addComponents(c4),
-        new ActionRowBuilder().addComponents(c5),
-      );
-      await tryShowModal(interaction, modal);
-      return;
+    const opened = topic.opened || "unknown";
+    await channel.setTopic(makeTopic(opened, null, record?.id)).catch(() => {});
+    if (record?.deal) await refreshDealPanel(channel, getTicketRecord(record.guildId, record.id));
 
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
+    const prem = getPremiumState(channel.guild.id);
+    if (prem.isPremium && prem.features.autoTagClaims) {
+      if ((channel.name || "").toLowerCase().startsWith("claimed-")) {
+        const base = channel.name.replace(/^claimed-+/i, "");
+        const nextName = (base || "ticket").slice(0, 90);
+        await channel.setName(nextName).catch(() => {});
       }
-}
+    }
 
-if (action === "setup_edit_panelui_support" || action === "setup_edit_panelui_trade") {
-      try {
-      const which = action === "setup_edit_panelui_support" ? "support" : "trade";
-      const cfg = getGuildConfig(guild.id);
-      const ui = (which === "support" ? cfg.panelUI?.support : cfg.panelUI?.trade) || {};
-      const currentTitle = (typeof ui.title === "string" && ui.title.trim())
-        ? ui.title.trim()
-        : (which === "support" ? "🛠️ Support Ticket" : "🤝 Trade Help");
-      const currentImg = (typeof ui.imageUrl === "string" && ui.imageUrl.trim()) ? ui.imageUrl.trim() : "";
-      const currentPlaceholder = (typeof ui.menuPlaceholder === "string" && ui.menuPlaceholder.trim())
-        ? ui.menuPlaceholder.trim()
-        : (which === "support" ? "🛠️ Open a support ticket." : "🤝 Request trade help.");
-      const currentOptLabel = (typeof ui.optionLabel === "string" && ui.optionLabel.trim())
-        ? ui.optionLabel.trim()
-        : (which === "support" ? "🛠️ Support" : "🤝 Trade Help");
-      const currentOptDesc = (typeof ui.optionDescription === "string" && ui.optionDescription.trim())
-        ? ui.optionDescription.trim()
-        : (which === "support" ? "Get help from our staff" : "Request trade assistance for safe trading");
+    const embed = new EmbedBuilder()
+      .setTitle("🟡 Ticket Unclaimed")
+      .setDescription(`Unclaimed by ${interaction.user}`)
+      .setColor("#f1c40f");
 
-      const modal = new ModalBuilder()
-        .setCustomId(`setup_modal_panelui_${which}:${ownerId}`)
-        .setTitle(which === "support" ? "Edit Support Layout" : "Edit Trade Layout");
+    applyBranding(embed, channel.guild.id);
 
-      const t1 = new TextInputBuilder().setCustomId("title").setLabel("Panel title (embed title)").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(256).setValue(currentTitle.slice(0,256));
-      const t2 = new TextInputBuilder().setCustomId("image").setLabel("Thumbnail image URL (optional)").setStyle(TextInputStyle.Short).setRequired(false).setMaxLength(400).setValue(currentImg.slice(0,400));
-      const t3 = new TextInputBuilder().setCustomId("placeholder").setLabel("Menu placeholder").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100).setValue(currentPlaceholder.slice(0,100));
-      const t4 = new TextInputBuilder().setCustomId("optlabel").setLabel("Option label").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100).setValue(currentOptLabel.slice(0,100));
-      const t5 = new TextInputBuilder().setCustomId("optdesc").setLabel("Option description").setStyle(TextInputStyle.Short).setRequired(true).setMaxLength(100).setValue(currentOptDesc.slice(0,100));
+    await safeUpdate(interaction, { embeds: [embed] }).catch(() => {});
+  }
 
-      modal.addComponents(
-        new ActionRowBuilder().addComponents(t1),
-        new ActionRowBuilder().addComponents(t2),
-        new ActionRowBuilder().addComponents(t3),
-        new ActionRowBuilder().addComponents(t4),
-        new ActionRowBuilder().addComponents(t5),
-      );
-      await tryShowModal(interaction, modal);
-      return;
+  // /stats (type autocomplete + report)
+  if (interaction.isAutocomplete() && interaction.commandName === "stats") {
+    if (!interaction.guild) return interaction.respond([]).catch(() => {});
+    const q = String(interaction.options.getFocused() || "").toLowerCase();
+    const choices = getTicketTypes(interaction.guild.id)
+      .filter(t => !q || t.key.includes(q) || t.name.toLowerCase().includes(q))
+      .slice(0, 25)
+      .map(t => ({ name: t.name, value: t.key }));
+    return interaction.respond(choices).catch(() => {});
+  }
 
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
-      }
-}
+  if (interaction.isChatInputCommand() && interaction.commandName === "stats") {
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (!isTicketStaff(interaction.member)) {
+      return safeUpdate(interaction, { content: "⛔ Only ticket staff can view statistics.", ephemeral: true });
+    }
 
-    if (action === "setup_reset_panel_support" || action === "setup_reset_panel_trade") {
-      const which = action === "setup_reset_panel_support" ? "support" : "trade";
-      const cfg = getGuildConfig(guild.id);
+    const typeKey = interaction.options.getString("type");
+    if (typeKey && !getTicketType(interaction.guild.id, typeKey)) {
+      return safeUpdate(interaction, { content: `⚠️ Unknown ticket type \`${typeKey}\`.`, ephemeral: true });
+    }
+    const days = interaction.options.getInteger("days") || SLA_STATS_DAYS;
+    const staff = interaction.options.getUser("staff");
 
-      const nextPanelText = { ...cfg.panelText };
-      if (which === "support") nextPanelText.supportDescription = null;
-      if (which === "trade") nextPanelText.tradeDescription = null;
+    const stats = computeStaffStats(interaction.guild.id, { typeKey, since: Date.now() - days * DAY_MS });
+    return safeUpdate(interaction, { embeds: [buildStaffStatsEmbed(interaction.guild, stats, days, staff?.id)], ephemeral: true });
+  }
 
-      const nextUI = { ...cfg.panelUI, support: { ...(cfg.panelUI?.support||{}) }, trade: { ...(cfg.panelUI?.trade||{}) } };
-      if (which === "support") nextUI.support = { title: null, imageUrl: null, thumbnailUrl: null, bigImageUrl: null, colorHex: null, footerText: null, optionEmoji: null, menuPlaceholder: null, optionLabel: null, optionDescription: null };
-      if (which === "trade") nextUI.trade = { title: null, imageUrl: null, thumbnailUrl: null, bigImageUrl: null, colorHex: null, footerText: null, optionEmoji: null, menuPlaceholder: null, optionLabel: null, optionDescription: null };
+  // /ratings
+  if (interaction.isChatInputCommand() && interaction.commandName === "ratings") {
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (!isTicketStaff(interaction.member)) {
+      return safeUpdate(interaction, { content: "⛔ Only ticket staff can view ratings.", ephemeral: true });
+    }
+    return safeUpdate(interaction, { embeds: [buildRatingsEmbed(interaction.guild)], ephemeral: true });
+  }
 
-      saveGuildConfig(guild.id, { panelText: nextPanelText, panelUI: nextUI });
-      return safeUpdate(interaction, { content: `✅ Reset ${which} panel text + layout to defaults.`, ephemeral: true });
+  // /deal — re-post the deal panel at the bottom of a trade ticket
+  if (interaction.isChatInputCommand() && interaction.commandName === "deal") {
+    const channel = interaction.channel;
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel.", ephemeral: true });
+    }
+    let record = await getOrAdoptTicketRecord(channel).catch(() => null);
+    if (!record || record.type !== "trade") {
+      return safeUpdate(interaction, { content: "⚠️ Deals are only tracked in trade tickets.", ephemeral: true });
+    }
+    if (!canManageTicket(interaction.member, channel) && !dealSideOf(record.deal, interaction.user.id)) {
+      return safeUpdate(interaction, { content: "⛔ Only the trading parties and staff can use this.", ephemeral: true });
     }
 
-    if (action === "setup_back_main") {
-      return safeUpdate(interaction, buildSetupMainPayload(guild, ownerId));
+    if (!record.deal) record = updateDeal(record, interaction.user.id, "created", () => {});
+    if (record.deal.messageId) {
+      const old = await channel.messages.fetch(record.deal.messageId).catch(() => null);
+      if (old) await old.edit({ components: [] }).catch(() => {});
     }
+    await safeUpdate(interaction, { content: "🤝 Deal panel posted below.", ephemeral: true });
+    await postDealPanel(channel, record);
+    return;
+  }
 
-    // Show a category selector for support
-    if (action === "setup_set_support") {
-      const row = new ActionRowBuilder().addComponents(
-        new ChannelSelectMenuBuilder()
-          .setCustomId(`setup_pick_support:${ownerId}`)
-          .setPlaceholder("Select Support Category…")
-          .addChannelTypes(ChannelType.GuildCategory)
-          .setMinValues(1)
-          .setMaxValues(1)
-      );
-      return safeUpdate(interaction, { ...buildSetupMainPayload(guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
+  // Second party: opener (or staff) confirms the suggestion or picks someone
+  if ((interaction.isButton() && interaction.customId?.startsWith("party_confirm:")) || (interaction.isUserSelectMenu() && interaction.customId === "party_pick")) {
+    const channel = interaction.channel;
+    const record = channel?.guild ? findTicketRecord(channel) : null;
+    if (!record || record.type !== "trade" || record.status !== "open") {
+      return interaction.reply({ content: "⚠️ This ticket is no longer open.", ephemeral: true }).catch(() => {});
+    }
+    if (interaction.user.id !== record.openerId && !canManageTicket(interaction.member, channel)) {
+      return interaction.reply({ content: "⛔ Only the ticket opener or staff can pick the other party.", ephemeral: true }).catch(() => {});
+    }
+    if (["pending", "accepted"].includes(record.secondParty?.status)) {
+      return interaction.reply({ content: `⚠️ <@${record.secondParty.userId}> was already added. Staff can use \`/remove\` first.`, ephemeral: true }).catch(() => {});
     }
 
-    // Show a category selector for Trade
-    if (action === "setup_set_mm") {
-      const row = new ActionRowBuilder().addComponents(
-        new ChannelSelectMenuBuilder()
-          .setCustomId(`setup_pick_mm:${ownerId}`)
-          .setPlaceholder("Select Trade Category…")
-          .addChannelTypes(ChannelType.GuildCategory)
-          .setMinValues(1)
-          .setMaxValues(1)
-      );
-      return safeUpdate(interaction, { ...buildSetupMainPayload(guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
+    const userId = interaction.isButton() ? interaction.customId.split(":")[1] : interaction.values?.[0];
+    const member = userId ? await channel.guild.members.fetch(userId).catch(() => null) : null;
+    if (!member || member.user.bot || member.id === record.openerId) {
+      return interaction.reply({ content: "⚠️ Pick another member of this server (not yourself or a bot).", ephemeral: true }).catch(() => {});
     }
 
-    // Show a log channel selector (text channel)
-    if (action === "setup_set_log") {
-      const row = new ActionRowBuilder().addComponents(
-        new ChannelSelectMenuBuilder()
-          .setCustomId(`setup_pick_log:${ownerId}`)
-          .setPlaceholder("Select Log Channel…")
-          .addChannelTypes(ChannelType.GuildText)
-          .setMinValues(1)
-          .setMaxValues(1)
-      );
-      return safeUpdate(interaction, { ...buildSetupMainPayload(guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
+    // Invite first: the picker stays up if adding them fails
+    await interaction.deferUpdate().catch(() => {});
+    try {
+      await inviteSecondParty(channel, record, member, interaction.member);
+    } catch (e) {
+      console.error("inviteSecondParty error:", e);
+      return interaction.followUp({ content: "❌ I couldn't add them (missing Manage Channels permission?). Staff can use `/add`.", ephemeral: true }).catch(() => {});
     }
+    await interaction.editReply({ content: `✅ ${member} was invited to this trade.`, components: [] }).catch(() => {});
+    return;
+  }
 
-    // Choose which role list to edit
-    if (action === "setup_set_roles") {
-      const row = new ActionRowBuilder().addComponents(
-        new StringSelectMenuBuilder()
-          .setCustomId(`setup_roles_step:${ownerId}`)
-          .setPlaceholder("Choose which role list to edit…")
-          .addOptions([
-            { label: "Support roles", value: "support" },
-            { label: "Trade roles", value: "trade" },
-            { label: "Admin roles", value: "admin" }
-          ])
-      );
-      return safeUpdate(interaction, { ...buildSetupMainPayload(interaction.guild, ownerId), components: [buildSetupBackRow(ownerId), row] });
+  // Second party answers the invite
+  if (interaction.isButton() && (interaction.customId === "party_accept" || interaction.customId === "party_decline")) {
+    const channel = interaction.channel;
+    const record = channel?.guild ? findTicketRecord(channel) : null;
+    const party = record?.secondParty;
+    if (!party || party.status !== "pending") {
+      return interaction.reply({ content: "⚠️ This invite is no longer active.", ephemeral: true }).catch(() => {});
+    }
+    if (interaction.user.id !== party.userId) {
+      return interaction.reply({ content: "⛔ Only the invited member can answer this.", ephemeral: true }).catch(() => {});
     }
 
-    if (action === "setup_done") {
-      try {
-      const cfg = getGuildConfig(guild.id);
-      const missing = [];
+    if (interaction.customId === "party_accept") {
+      updateTicketRecord(record.guildId, record.id, { secondParty: { ...party, status: "accepted", at: new Date().toISOString() } });
+      return interaction.update({ content: `✅ ${interaction.user} joined the trade.`, components: [] }).catch(() => {});
+    }
 
-      if (cfg.supportEnabled && !cfg.supportCategoryId) missing.push("Support Category");
-      if (cfg.tradeEnabled && !cfg.mmCategoryId) missing.push("Trade Category");
-      if (cfg.logsEnabled && !cfg.logChannelId) missing.push("Log Channel");
+    let next = updateTicketRecord(record.guildId, record.id, { secondParty: { ...party, status: "declined", at: new Date().toISOString() } });
+    next = removeTicketParticipant(next, interaction.user.id);
+    if (next.deal && !isDealLocked(next.deal) && next.deal.sides.b.userId === interaction.user.id) {
+      next = updateDeal(next, interaction.user.id, "party", d => {
+        d.sides.b.userId = null;
+        for (const k of DEAL_SIDES) d.sides[k].confirmedAt = null;
+      }, { detail: "declined" });
+      await refreshDealPanel(channel, next);
+    }
+    await interaction.update({ content: `❌ ${interaction.user} declined to join this trade.`, components: [] }).catch(() => {});
+    await channel.permissionOverwrites.delete(interaction.user.id, "Declined the trade invite").catch(() => {});
+    await sendParticipantLog(channel, next, "🚪 Trade Partner Declined", "#e67e22", interaction.member, `${interaction.user.tag} (${interaction.user.id})`);
+    await channel.send(buildSecondPartyPickPayload(next)).catch(() => {});
+    return;
+  }
 
-      if ((cfg.supportEnabled && !cfg.supportRoles?.length) || (cfg.tradeEnabled && !cfg.mmRoles?.length) || !cfg.adminRoles?.length) {
-        // We don't block setup for missing roles, but we hint it for new owners.
-        // (Admin roles are optional if the server uses "Administrator" permission anyway.)
+  // Deal panel buttons: deal_edit | deal_confirm | deal_received:<a|b> | deal_released:<a|b>
+  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("deal_")) {
+    const channel = interaction.channel;
+    const record = channel?.guild ? findTicketRecord(channel) : null;
+    if (!record?.deal) {
+      return interaction.reply({ content: "⚠️ This deal is no longer tracked.", ephemeral: true }).catch(() => {});
+    }
+    const deal = record.deal;
+    const [action, side] = interaction.customId.split(":");
+    const mySide = dealSideOf(deal, interaction.user.id);
+    const isStaff = canManageTicket(interaction.member, channel);
+
+    if (action === "deal_edit") {
+      if (!mySide && !isStaff) return interaction.reply({ content: "⛔ Only the trading parties and staff can edit the terms.", ephemeral: true }).catch(() => {});
+      if (deal.status === "completed" || isDealLocked(deal)) {
+        return interaction.reply({ content: "🔒 Terms are locked — the middleman already received a delivery.", ephemeral: true }).catch(() => {});
       }
+      await tryShowModal(interaction, buildDealModal(record));
+      return;
+    }
 
-      return safeUpdate(interaction, {
-        embeds: [
-          new EmbedBuilder()
-            .setTitle("✅ Setup saved")
-            .setColor("#2ecc71")
-            .setDescription(
-              missing.length
-                ? `Saved. Missing: **${missing.join(", ")}** (you can run ?setup again anytime)`
-                : "Saved. Your server is fully configured ✅"
-            )
-        ],
-        components: []
-      });
-    
-      } catch (e) {
-        console.error('[modal-build] failed:', e);
-        const msg = '❌ Something broke while opening that editor. Check bot logs and try again.';
-        if (!interaction.deferred && !interaction.replied) {
-          await interaction.reply({ content: msg, ephemeral: true }).catch(() => {});
-        } else if (interaction.editReply) {
-          await interaction.editReply({ content: msg }).catch(() => {});
-        }
-        return;
+    let next = null;
+    if (action === "deal_confirm") {
+      if (!mySide) return interaction.reply({ content: "⛔ Only side A or side B can confirm the terms.", ephemeral: true }).catch(() => {});
+      if (!deal.sides.b.userId || !DEAL_SIDES.every(k => deal.sides[k].gives) || !deal.value) {
+        return interaction.reply({ content: "⚠️ Fill in both sides, what each gives and the value first (**Edit Terms**).", ephemeral: true }).catch(() => {});
       }
-}
-  }
+      if (deal.sides[mySide].confirmedAt) return interaction.reply({ content: "✅ You already confirmed these terms.", ephemeral: true }).catch(() => {});
+      next = updateDeal(record, interaction.user.id, "confirm", d => { d.sides[mySide].confirmedAt = new Date().toISOString(); }, { side: mySide });
+    }
 
-  // Channel selector picks
-  if (interaction.isChannelSelectMenu() && interaction.customId && interaction.customId.startsWith("setup_pick_")) {
+    if (action === "deal_received" || action === "deal_released") {
+      if (!DEAL_SIDES.includes(side)) return;
+      if (!canManageDeal(interaction.member, channel, record)) {
+        return interaction.reply({ content: "⛔ Only the middleman who claimed this ticket (or an admin) can do this.", ephemeral: true }).catch(() => {});
+      }
+      if (deal.status === "draft") return interaction.reply({ content: "⚠️ Both sides must confirm the terms first.", ephemeral: true }).catch(() => {});
+      if (action === "deal_released" && !DEAL_SIDES.every(k => deal.sides[k].receivedAt)) {
+        return interaction.reply({ content: "⚠️ Release only after **both** sides were received.", ephemeral: true }).catch(() => {});
+      }
+      const field = action === "deal_received" ? "received" : "released";
+      if (deal.sides[side][`${field}At`]) return interaction.reply({ content: "Already recorded.", ephemeral: true }).catch(() => {});
+      next = updateDeal(record, interaction.user.id, field, d => {
+        d.sides[side][`${field}At`] = new Date().toISOString();
+        d.sides[side][`${field}By`] = interaction.user.id;
+      }, { side });
+    }
+    if (!next) return;
 
-    // Ack immediately to avoid 'Interaction failed'
-    if (!interaction.deferred && !interaction.replied) {
-      await interaction.deferUpdate().catch(() => {});
+    if (next.deal.status === "completed" && deal.status !== "completed") {
+      next = updateDeal(next, interaction.user.id, "completed", () => {});
+      const logEmbed = new EmbedBuilder()
+        .setTitle("🤝 Deal Completed")
+        .setColor("#2ecc71")
+        .addFields(
+          { name: "Ticket", value: `${formatTicketNumber(next.id)} (<#${channel.id}>)`, inline: true },
+          { name: "Middleman", value: `${interaction.user.tag} (${interaction.user.id})`, inline: true },
+          { name: "Value", value: next.deal.value || "—", inline: true },
+          { name: "Side A", value: `<@${next.deal.sides.a.userId}>: ${next.deal.sides.a.gives}`.slice(0, 1024) },
+          { name: "Side B", value: `<@${next.deal.sides.b.userId}>: ${next.deal.sides.b.gives}`.slice(0, 1024) }
+        )
+        .setTimestamp();
+      await sendLog(channel.guild, logEmbed);
     }
-    const [id, ownerId] = interaction.customId.split(":");
-    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-    if (interaction.user.id !== ownerId) {
-      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+
+    if (interaction.message?.id === next.deal.messageId) {
+      return interaction.update({ embeds: [buildDealEmbed(channel.guild, next)], components: buildDealComponents(next) }).catch(() => {});
     }
+    await interaction.deferUpdate().catch(() => {});
+    await refreshDealPanel(channel, next);
+    return;
+  }
 
-    const picked = interaction.values?.[0];
-    if (!picked) return safeUpdate(interaction, { content: "Nothing selected.", ephemeral: true });
+  if (interaction.isModalSubmit() && interaction.customId === "deal_modal") {
+    const channel = interaction.channel;
+    const record = channel?.guild ? findTicketRecord(channel) : null;
+    if (!record?.deal) return safeUpdate(interaction, { content: "⚠️ This deal is no longer tracked.", ephemeral: true });
+    if (!dealSideOf(record.deal, interaction.user.id) && !canManageTicket(interaction.member, channel)) {
+      return safeUpdate(interaction, { content: "⛔ Only the trading parties and staff can edit the terms.", ephemeral: true });
+    }
+    if (record.deal.status === "completed" || isDealLocked(record.deal)) {
+      return safeUpdate(interaction, { content: "🔒 Terms are locked — the middleman already received a delivery.", ephemeral: true });
+    }
 
-    if (id === "setup_pick_support") saveGuildConfig(interaction.guild.id, { supportCategoryId: picked });
-    if (id === "setup_pick_mm") saveGuildConfig(interaction.guild.id, { mmCategoryId: picked });
-    if (id === "setup_pick_log") saveGuildConfig(interaction.guild.id, { logChannelId: picked });
+    const partnerId = (String(interaction.fields.getTextInputValue("partner") || "").match(/\d{15,25}/) || [])[0];
+    const partner = partnerId ? await channel.guild.members.fetch(partnerId).catch(() => null) : null;
+    if (!partner || partner.user.bot || partner.id === record.deal.sides.a.userId) {
+      return safeUpdate(interaction, { content: "⚠️ Side B must be another member of this server (mention or user ID).", ephemeral: true });
+    }
+    const fee = String(interaction.fields.getTextInputValue("fee") || "").trim().toLowerCase();
+    if (fee && !DEAL_FEE_PAYERS[fee]) {
+      return safeUpdate(interaction, { content: "⚠️ Fee payer must be **a**, **b** or **split**.", ephemeral: true });
+    }
 
-    await safeUpdate(interaction, buildSetupMainPayload(interaction.guild, ownerId)).catch(() => {});
+    const terms = {
+      b: partner.id,
+      givesA: interaction.fields.getTextInputValue("gives_a").trim(),
+      givesB: interaction.fields.getTextInputValue("gives_b").trim(),
+      value: interaction.fields.getTextInputValue("value").trim(),
+      feePayer: fee || null
+    };
+    const d = record.deal;
+    const changed = terms.b !== d.sides.b.userId || terms.givesA !== d.sides.a.gives || terms.givesB !== d.sides.b.gives ||
+      terms.value !== d.value || terms.feePayer !== d.feePayer;
+    if (!changed) return safeUpdate(interaction, { content: "Nothing changed.", ephemeral: true });
+
+    const hadConfirmations = DEAL_SIDES.some(k => d.sides[k].confirmedAt);
+    const next = updateDeal(record, interaction.user.id, "terms", deal => {
+      deal.sides.b.userId = terms.b;
+      deal.sides.a.gives = terms.givesA;
+      deal.sides.b.gives = terms.givesB;
+      deal.value = terms.value;
+      deal.feePayer = terms.feePayer;
+      for (const k of DEAL_SIDES) deal.sides[k].confirmedAt = null;
+    }, { detail: hadConfirmations ? "confirmations reset" : null });
+
+    if (interaction.isFromMessage?.() && interaction.message?.id === next.deal.messageId) {
+      return interaction.update({ embeds: [buildDealEmbed(channel.guild, next)], components: buildDealComponents(next) }).catch(() => {});
+    }
+    await refreshDealPanel(channel, next);
+    return safeUpdate(interaction, { content: "✅ Terms updated.", ephemeral: true });
+  }
+
+  // /fee (trade type autocomplete + calculation)
+  if (interaction.isAutocomplete() && interaction.commandName === "fee") {
+    if (!interaction.guild) return interaction.respond([]).catch(() => {});
+    const q = String(interaction.options.getFocused() || "").toLowerCase();
+    const choices = Object.keys(getGuildConfig(interaction.guild.id).feeSchedule.overrides || {})
+      .filter(t => !q || t.includes(q))
+      .slice(0, 25)
+      .map(t => ({ name: t, value: t }));
+    return interaction.respond(choices).catch(() => {});
+  }
+
+  if (interaction.isChatInputCommand() && interaction.commandName === "fee") {
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (!isTicketStaff(interaction.member)) {
+      return safeUpdate(interaction, { content: "⛔ Only ticket staff can calculate fees.", ephemeral: true });
+    }
 
-    return safeUpdate(interaction, { content: "✅ Saved!", ephemeral: true }).catch(() => {});
+    const schedule = getGuildConfig(interaction.guild.id).feeSchedule;
+    if (!hasFeeSchedule(schedule)) {
+      return safeUpdate(interaction, { content: "⚠️ No fee schedule yet. An admin can set one in `?setup` → **Fee Schedule** or on the dashboard.", ephemeral: true });
+    }
+    const amount = parseFeeAmount(interaction.options.getString("amount"));
+    if (!amount) {
+      return safeUpdate(interaction, { content: "⚠️ Enter a trade value like `250`, `$1,200` or `10k`.", ephemeral: true });
+    }
+    const calc = computeFee(schedule, amount, interaction.options.getString("type"));
+    if (!calc) {
+      return safeUpdate(interaction, { content: `⚠️ There's no fee for \`${interaction.options.getString("type")}\` and no default rule.`, ephemeral: true });
+    }
+    if (calc.fee === null) {
+      return safeUpdate(interaction, { content: `⚠️ ${formatFeeAmount(amount, schedule.currency)} is above the highest fee tier. Agree on the fee in the ticket.`, ephemeral: true });
+    }
+
+    // Outside tickets this is just a quick private calculation
+    const channel = interaction.channel;
+    let record = channel && isTicketChannel(channel) ? await getOrAdoptTicketRecord(channel).catch(() => null) : null;
+    const payer = interaction.options.getString("payer") || record?.deal?.feePayer || schedule.payer || null;
+    const result = { amount, fee: calc.fee, payer, type: calc.type, rule: calc.rule, currency: schedule.currency };
+    const embed = buildFeeEmbed(interaction.guild, result);
+    if (!record) return safeUpdate(interaction, { embeds: [embed], ephemeral: true });
+
+    record = updateTicketRecord(record.guildId, record.id, {
+      fee: { amount, fee: calc.fee, payer, type: calc.type, currency: schedule.currency, by: interaction.user.id, at: new Date().toISOString() }
+    });
+    if (record.deal) {
+      record = updateDeal(record, interaction.user.id, "fee", () => {}, {
+        detail: `${formatFeeAmount(calc.fee, schedule.currency)} on ${formatFeeAmount(amount, schedule.currency)}`
+      });
+      await refreshDealPanel(channel, record);
+    }
+    return safeUpdate(interaction, { embeds: [embed] });
   }
 
-  // Role list chooser
-  if (interaction.isStringSelectMenu() && interaction.customId && interaction.customId.startsWith("setup_roles_step:")) {
-    // Ack immediately to avoid 'Interaction failed'
-    if (!interaction.deferred && !interaction.replied) {
-      await interaction.deferUpdate().catch(() => {});
+  if (interaction.isChatInputCommand() && interaction.commandName === "history") {
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (!isTicketStaff(interaction.member)) {
+      return safeUpdate(interaction, { content: "⛔ Only ticket staff can view ticket history.", ephemeral: true });
     }
+    const user = interaction.options.getUser("user");
+    const records = getUserTicketHistory(interaction.guild.id, user.id);
+    return safeUpdate(interaction, { embeds: [buildHistoryEmbed(interaction.guild, user, records)], ephemeral: true });
+  }
 
-    const [, ownerId] = interaction.customId.split(":");
+  // /note add|list (staff only; replies are always ephemeral)
+  if (interaction.isChatInputCommand() && interaction.commandName === "note") {
     if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-    if (interaction.user.id !== ownerId) {
-      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    const channel = interaction.channel;
+    const sub = interaction.options.getSubcommand();
+    const user = sub === "list" ? interaction.options.getUser("user") : null;
+
+    if (user) {
+      if (!isTicketStaff(interaction.member)) {
+        return safeUpdate(interaction, { content: "⛔ Only ticket staff can read notes.", ephemeral: true });
+      }
+      return safeUpdate(interaction, { embeds: [buildNotesEmbed(interaction.guild, null, user.id)], ephemeral: true });
     }
 
-    const which = interaction.values?.[0];
-    const row = new ActionRowBuilder().addComponents(
-      new RoleSelectMenuBuilder()
-        .setCustomId(`setup_pick_roles:${ownerId}:${which}`)
-        .setPlaceholder(`Select ${which} roles…`)
-        .setMinValues(0)
-        .setMaxValues(25)
-    );
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel (or use `/note list user:`).", ephemeral: true });
+    }
+    if (!canManageTicket(interaction.member, channel)) {
+      return safeUpdate(interaction, { content: "⛔ Only staff of this ticket can use notes.", ephemeral: true });
+    }
 
-    return safeUpdate(interaction, { components: [row] });
-  }
+    const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+    if (!record) return safeUpdate(interaction, { content: "⚠️ This ticket isn't in the registry.", ephemeral: true });
 
-  // Role picker
-  if (interaction.isRoleSelectMenu() && interaction.customId && interaction.customId.startsWith("setup_pick_roles:")) {
-    // Ack immediately to avoid 'Interaction failed'
-    if (!interaction.deferred && !interaction.replied) {
-      await interaction.deferUpdate().catch(() => {});
+    if (sub === "add") {
+      const next = addTicketNote(record, interaction.user.id, interaction.options.getString("text"));
+      return safeUpdate(interaction, { content: `🗒️ Note saved on ${formatTicketNumber(record.id)} (${next.notes.length} total). The opener can't see it.`, ephemeral: true });
     }
+    return safeUpdate(interaction, { embeds: [buildNotesEmbed(interaction.guild, record, record.openerId)], ephemeral: true });
+  }
 
-    const parts = interaction.customId.split(":");
-    const ownerId = parts[1];
-    const which = parts[2];
+  if (interaction.isAutocomplete() && interaction.commandName === "snippet") {
+    if (!interaction.guild) return interaction.respond([]).catch(() => {});
+    const q = normalizeSnippetName(interaction.options.getFocused());
+    const choices = Object.entries(getGuildSnippets(interaction.guild.id))
+      .filter(([name]) => !q || name.includes(q))
+      .sort((a, b) => (b[1].uses || 0) - (a[1].uses || 0))
+      .slice(0, 25)
+      .map(([name, sn]) => ({ name: `${name} — ${sn.content.replace(/\n/g, " ")}`.slice(0, 100), value: name }));
+    return interaction.respond(choices).catch(() => {});
+  }
 
+  // /snippet send|create|edit|delete|list (ticket staff)
+  if (interaction.isChatInputCommand() && interaction.commandName === "snippet") {
     if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
-    if (interaction.user.id !== ownerId) {
-      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    if (!isTicketStaff(interaction.member)) {
+      return safeUpdate(interaction, { content: "⛔ Only ticket staff can use snippets.", ephemeral: true });
     }
 
-    const roleIds = (interaction.values || []).filter(isValidSnowflake);
-
-    if (which === "support") saveGuildConfig(interaction.guild.id, { supportRoles: roleIds });
-    if (which === "trade") saveGuildConfig(interaction.guild.id, { mmRoles: roleIds });
-    if (which === "admin") saveGuildConfig(interaction.guild.id, { adminRoles: roleIds });
+    const sub = interaction.options.getSubcommand();
+    if (sub === "list") {
+      return safeUpdate(interaction, { embeds: [buildSnippetsEmbed(interaction.guild)], ephemeral: true });
+    }
 
-    await safeUpdate(interaction, buildSetupMainPayload(interaction.guild, ownerId)).catch(() => {});
+    const name = normalizeSnippetName(interaction.options.getString("name"));
+    const snippet = getGuildSnippets(interaction.guild.id)[name];
 
-    return safeUpdate(interaction, { content: "✅ Roles saved!", ephemeral: true }).catch(() => {});
-  }
+    if (sub === "create") {
+      if (!name) return safeUpdate(interaction, { content: describeSnippetError("INVALID_NAME"), ephemeral: true });
+      if (snippet) return safeUpdate(interaction, { content: `⚠️ \`${name}\` already exists — use \`/snippet edit\`.`, ephemeral: true });
+      await tryShowModal(interaction, buildSnippetModal(name));
+      return;
+    }
 
-  // /add inside ticket
-  if (interaction.isChatInputCommand() && interaction.commandName === "add") {
-    const user = interaction.options.getUser("user");
-    const channel = interaction.channel;
+    if (!snippet) return safeUpdate(interaction, { content: `⚠️ No snippet called \`${name || "?"}\`.`, ephemeral: true });
 
-    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
-      return safeUpdate(interaction, {
-        content: "This command can only be used inside a ticket channel.",
-        ephemeral: true
-      });
+    if (sub === "edit") {
+      await tryShowModal(interaction, buildSnippetModal(name, snippet.content));
+      return;
     }
 
-    if (!canManageTicket(interaction.member, channel)) {
-      return safeUpdate(interaction, { content: "⛔ You are not allowed to add users to this ticket.", ephemeral: true });
+    if (sub === "delete") {
+      deleteSnippet(interaction.guild.id, name);
+      return safeUpdate(interaction, { content: `🗑️ Deleted snippet \`${name}\`.`, ephemeral: true });
     }
 
-    await channel.permissionOverwrites
-      .edit(user.id, {
-        ViewChannel: true,
-        SendMessages: true,
-        ReadMessageHistory: true
-      })
-      .catch(() => {});
-
-    await channel.send(`👤 ${interaction.user} added ${user} to this ticket.`).catch(() => {});
+    // send
+    const channel = interaction.channel;
+    if (!channel || !channel.isTextBased()) return safeUpdate(interaction, { content: "⚠️ Can't post here.", ephemeral: true });
+    const user = interaction.options.getUser("user");
+    const text = await renderSnippet(channel, snippet.content, user?.id || null);
+    const mentioned = [...text.matchAll(/<@!?(\d+)>/g)].map(m => m[1]);
+    const sent = await channel.send({ content: text, allowedMentions: { users: mentioned, roles: [] } }).catch(() => null);
+    if (!sent) return safeUpdate(interaction, { content: "❌ Could not post the snippet here.", ephemeral: true });
+
+    STORE.set("snippets", interaction.guild.id, {
+      ...getGuildSnippets(interaction.guild.id),
+      [name]: { ...snippet, uses: (snippet.uses || 0) + 1 }
+    });
+    return safeUpdate(interaction, { content: `📎 Sent \`${name}\`.`, ephemeral: true });
+  }
 
-    return safeUpdate(interaction, { content: `✅ Added ${user} to this ticket.`, ephemeral: true });
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("snippet_modal:")) {
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (!isTicketStaff(interaction.member)) {
+      return safeUpdate(interaction, { content: "⛔ Only ticket staff can edit snippets.", ephemeral: true });
+    }
+    const name = interaction.customId.slice("snippet_modal:".length);
+    const res = saveSnippet(interaction.guild.id, name, interaction.fields.getTextInputValue("content"), interaction.user.id);
+    if (!res.ok) return safeUpdate(interaction, { content: describeSnippetError(res.reason), ephemeral: true });
+    return safeUpdate(interaction, {
+      content: `✅ ${res.created ? "Created" : "Updated"} snippet \`${res.name}\`. Post it with \`/snippet send name:${res.name}\`.`,
+      ephemeral: true
+    });
   }
 
-  // toptrade command
-  if (interaction.isChatInputCommand() && interaction.commandName === "toptrade") {
-    if (!ENABLE_LEADERBOARD) {
-      return safeUpdate(interaction, { content: "⛔ The leaderboard feature is disabled on this bot.", ephemeral: true });
+  // /blacklist add|remove|list (admins only)
+  if (interaction.isChatInputCommand() && interaction.commandName === "blacklist") {
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (!canUseSetup(interaction.member) && !interaction.member.permissions?.has(PermissionFlagsBits.ManageGuild)) {
+      return safeUpdate(interaction, { content: "⛔ Only admins can manage the blacklist.", ephemeral: true });
     }
-    const entries = Object.entries(REVIEWS.trade || {});
-    if (!entries.length) {
-      return safeUpdate(interaction, { content: "No trade-help reviews yet.", ephemeral: true });
+
+    const sub = interaction.options.getSubcommand();
+    if (sub === "list") {
+      return safeUpdate(interaction, { embeds: [buildBlacklistEmbed(interaction.guild)], ephemeral: true });
     }
 
-    entries.sort((a, b) => {
-      const aa = a[1].avg || 0;
-      const bb = b[1].avg || 0;
-      if (bb === aa) return (b[1].count || 0) - (a[1].count || 0);
-      return bb - aa;
-    });
+    const user = interaction.options.getUser("user");
+    const role = interaction.options.getRole("role");
+    if (!user === !role) {
+      return safeUpdate(interaction, { content: "⚠️ Pick either a user or a role.", ephemeral: true });
+    }
+    const kind = user ? "users" : "roles";
+    const id = user ? user.id : role.id;
+    const mention = user ? `${user} (${user.id})` : `${role} (${role.id})`;
 
-    const top = entries.slice(0, 10);
-    const lines = await Promise.all(
-      top.map(async ([id, data], idx) => {
-        let tag = id;
-        try {
-          const u = await client.users.fetch(id);
-          tag = `${u.tag}`;
-        } catch (e) {}
-        return `**${idx + 1}.** ${tag} — ⭐ ${data.avg} (${data.count} reviews)`;
-      })
-    );
+    if (sub === "remove") {
+      const entry = removeBlacklistEntry(interaction.guild.id, kind, id);
+      if (!entry) return safeUpdate(interaction, { content: `⚠️ ${mention} is not blacklisted.`, ephemeral: true });
+      await sendBlacklistLog(interaction.guild, false, `${interaction.user.tag} (${interaction.user.id})`, mention, entry);
+      return safeUpdate(interaction, { content: `✅ Removed ${mention} from the blacklist.`, ephemeral: true });
+    }
 
-    const embed = new EmbedBuilder()
-      .setTitle("🏆 Top Trade Helpers")
-      .setDescription(lines.join("\n"))
-      .setColor("#FFD700");
+    const rawDuration = interaction.options.getString("duration");
+    const duration = rawDuration ? parseBlacklistDuration(rawDuration) : null;
+    if (rawDuration && (!duration || role)) {
+      return safeUpdate(interaction, { content: role ? "⚠️ Role entries can't expire." : "⚠️ Use a duration like `30m`, `12h`, `7d` or `2w`.", ephemeral: true });
+    }
+    if (user && (user.id === interaction.user.id || user.bot)) {
+      return safeUpdate(interaction, { content: "⚠️ You can't blacklist yourself or a bot.", ephemeral: true });
+    }
 
-    return safeUpdate(interaction, { embeds: [embed], ephemeral: false });
+    const entry = {
+      reason: interaction.options.getString("reason") || null,
+      by: interaction.user.id,
+      at: new Date().toISOString(),
+      ...(user ? { expiresAt: duration ? new Date(Date.now() + duration).toISOString() : null } : {})
+    };
+    setBlacklistEntry(interaction.guild.id, kind, id, entry);
+    await sendBlacklistLog(interaction.guild, true, `${interaction.user.tag} (${interaction.user.id})`, mention, entry);
+    return safeUpdate(interaction, {
+      content: `🚫 ${mention} can no longer open tickets${entry.expiresAt ? ` until <t:${Math.floor(Date.parse(entry.expiresAt) / 1000)}:f>` : ""}.`,
+      ephemeral: true
+    });
   }
 
-  
-
-  // /claim inside ticket
-  if (interaction.isChatInputCommand() && interaction.commandName === "claim") {
+  // /transfer @staff inside ticket
+  if (interaction.isChatInputCommand() && interaction.commandName === "transfer") {
     const channel = interaction.channel;
 
     if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
       return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel.", ephemeral: true });
     }
-
     if (!canManageTicket(interaction.member, channel)) {
-      return safeUpdate(interaction, { content: "⛔ You are not allowed to claim this ticket.", ephemeral: true });
+      return safeUpdate(interaction, { content: "⛔ You are not allowed to transfer this ticket.", ephemeral: true });
     }
 
-    const topic = parseTopic(channel.topic);
-    if (topic.claimed && topic.claimed !== "null") {
-      return safeUpdate(interaction, { content: `⚠️ This ticket is already claimed by <@${topic.claimed}>.`, ephemeral: true });
+    const user = interaction.options.getUser("staff");
+    const target = await channel.guild.members.fetch(user.id).catch(() => null);
+    if (!target) return safeUpdate(interaction, { content: "⚠️ That user is not in this server.", ephemeral: true });
+
+    const res = await transferTicket(channel, interaction.member, target);
+    if (!res.ok) return safeUpdate(interaction, { content: res.error, ephemeral: true });
+    return safeUpdate(interaction, { content: `✅ Transferred this ticket to ${target}.`, ephemeral: true });
+  }
+
+  // /autoclose pause|resume — per-ticket override of the premium auto-close
+  if (interaction.isChatInputCommand() && interaction.commandName === "autoclose") {
+    const channel = interaction.channel;
+
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel.", ephemeral: true });
+    }
+    if (!canManageTicket(interaction.member, channel)) {
+      return safeUpdate(interaction, { content: "⛔ You are not allowed to manage this ticket.", ephemeral: true });
     }
 
-    const opened = topic.opened || "unknown";
-    const newTopic = `opened:${opened};claimed:${interaction.user.id}`;
-    await channel.setTopic(newTopic).catch(() => {});
-
-    const prem = getPremiumState(channel.guild.id);
-    if (prem.isPremium && prem.features.autoTagClaims) {
-      const base = (channel.name || "ticket").replace(/^claimed-+/i, "");
-      const nextName = (`claimed-${base}`).slice(0, 90);
-      if (nextName && nextName !== channel.name) {
-        await channel.setName(nextName).catch(() => {});
-      }
+    const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+    if (!record || record.status !== "open") {
+      return safeUpdate(interaction, { content: "⚠️ This ticket is not open.", ephemeral: true });
     }
 
-    const embed = new EmbedBuilder()
-      .setTitle("✅ Ticket Claimed")
-      .setDescription(`Claimed by ${interaction.user}\n\nUse \`/unclaim\` to release it.`)
-      .setColor("#2ecc71");
-
-    applyBranding(embed, channel.guild.id);
+    const sub = interaction.options.getSubcommand();
+    if (sub === "pause") {
+      rearmAutoClose(record, { paused: true, pausedBy: interaction.user.id, pausedAt: new Date().toISOString() });
+      return safeUpdate(interaction, { content: `⏸️ Auto-close paused for this ticket by ${interaction.user}.` });
+    }
 
-    await safeUpdate(interaction, { embeds: [embed] }).catch(() => {});
+    // Resuming counts as fresh activity so the ticket isn't closed the second it resumes.
+    // A hard cap that already ran out gets one warning window instead.
+    const next = rearmAutoClose(record, { paused: false, pausedBy: null, pausedAt: null, lastActivityAt: new Date().toISOString(), warnedAt: null, capDueAt: graceCapDueAt(record) });
+    const due = next?.autoClose?.dueAt ? Math.floor(Date.parse(next.autoClose.dueAt) / 1000) : null;
+    return safeUpdate(interaction, {
+      content: due ? `▶️ Auto-close resumed. This ticket closes <t:${due}:R> if nothing changes.` : "▶️ Auto-close resumed (auto-close is currently off for this server)."
+    });
   }
 
-  // /unclaim inside ticket
-  if (interaction.isChatInputCommand() && interaction.commandName === "unclaim") {
+  // /reopen + archived ticket buttons
+  if (
+    (interaction.isChatInputCommand() && interaction.commandName === "reopen") ||
+    (interaction.isButton() && (interaction.customId === "ticket_reopen" || interaction.customId === "ticket_delete"))
+  ) {
+    // Ephemeral ack for both the slash command and the buttons; every answer below edits this reply.
+    await interaction.deferReply({ ephemeral: true }).catch(() => {});
+
     const channel = interaction.channel;
 
     if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
-      return safeUpdate(interaction, { content: "This command can only be used inside a ticket channel.", ephemeral: true });
+      return safeUpdate(interaction, { content: "This can only be used inside a ticket channel.", ephemeral: true });
     }
 
     if (!canManageTicket(interaction.member, channel)) {
-      return safeUpdate(interaction, { content: "⛔ You are not allowed to unclaim this ticket.", ephemeral: true });
+      return safeUpdate(interaction, { content: "⛔ You are not allowed to manage this ticket.", ephemeral: true });
     }
 
-    const topic = parseTopic(channel.topic);
-    if (!topic.claimed) {
-      return safeUpdate(interaction, { content: "⚠️ This ticket is not claimed.", ephemeral: true });
+    const record = findTicketRecord(channel);
+    if (!record || record.status !== "archived") {
+      return safeUpdate(interaction, { content: "⚠️ This ticket is not archived.", ephemeral: true });
     }
 
-    // If someone else claimed it, only admins can unclaim
-    if (topic.claimed !== interaction.user.id && !isAdmin(interaction.member)) {
-      return safeUpdate(interaction, { content: `⛔ Only <@${topic.claimed}> or an Admin can unclaim this ticket.`, ephemeral: true });
+    if (interaction.isButton() && interaction.customId === "ticket_delete") {
+      await safeUpdate(interaction, { content: "🗑️ Deleting ticket...", ephemeral: true }).catch(() => {});
+      await deleteArchivedTicket(channel, interaction.member).catch(console.error);
+      return;
     }
 
-    const opened = topic.opened || "unknown";
-    const newTopic = `opened:${opened};claimed:null`;
-    await channel.setTopic(newTopic).catch(() => {});
+    const res = await reopenTicket(channel, interaction.member).catch((e) => {
+      console.error("[reopen] failed:", e);
+      return { ok: false, reason: "ERROR" };
+    });
 
-    const prem = getPremiumState(channel.guild.id);
-    if (prem.isPremium && prem.features.autoTagClaims) {
-      if ((channel.name || "").toLowerCase().startsWith("claimed-")) {
-        const base = channel.name.replace(/^claimed-+/i, "");
-        const nextName = (base || "ticket").slice(0, 90);
-        await channel.setName(nextName).catch(() => {});
-      }
+    if (!res.ok) {
+      return safeUpdate(interaction, { content: "❌ Could not reopen this ticket. Check my permissions (Manage Channels / Manage Roles).", ephemeral: true }).catch(() => {});
     }
 
-    const embed = new EmbedBuilder()
-      .setTitle("🟡 Ticket Unclaimed")
-      .setDescription(`Unclaimed by ${interaction.user}`)
-      .setColor("#f1c40f");
-
-    applyBranding(embed, channel.guild.id);
+    // Disable the Reopen/Delete buttons on the archive message
+    if (interaction.isButton()) {
+      await interaction.message.edit({ components: [] }).catch(() => {});
+    }
 
-    await safeUpdate(interaction, { embeds: [embed] }).catch(() => {});
+    return safeUpdate(interaction, { content: `✅ Ticket ${formatTicketNumber(res.record.id)} reopened.`, ephemeral: true }).catch(() => {});
   }
 
 // /help — open private help panel
@@ -3898,43 +8518,52 @@ Only **you** can see it.`)
 
     const reason = interaction.options.getString("reason") || null;
 
+    if (isClosePending(channel.id)) {
+      return safeUpdate(interaction, { content: "⏳ A close is already pending in this ticket.", ephemeral: true });
+    }
+
     await safeUpdate(interaction, { content: "✅ Closing ticket...", ephemeral: true }).catch(() => {});
-    await closeTicket(channel, member, reason).catch(console.error);
+    await requestTicketClose(channel, member, reason).catch(console.error);
     return;
   }
 
   // Dropdown selection -> show modal
   // Dropdown selection -> show modal
   if (interaction.isStringSelectMenu() && interaction.customId && interaction.customId.startsWith("ticket_type:")) {
-    const type = interaction.values[0];
-    const modal = new ModalBuilder()
-      .setCustomId(`modal_${type}`)
-      .setTitle(type === "support" ? "🛠️ Support Ticket" : "🤝 Trade Ticket");
+    const key = interaction.values[0];
+    const t = interaction.guildId ? getTicketType(interaction.guildId, key) : null;
+    if (!t) {
+      return interaction.reply({ content: "❌ This ticket type no longer exists. Ask staff to post a new panel.", ephemeral: true }).catch(() => {});
+    }
 
-    const playerInput = new TextInputBuilder()
-      .setCustomId("player")
-      .setLabel("Username of the other party")
-      .setStyle(TextInputStyle.Short)
-      .setRequired(true);
+    const banned = getBlacklistHit(interaction.guildId, interaction.member);
+    if (banned) {
+      return interaction.reply({ content: describeBlacklistHit(banned), ephemeral: true }).catch(() => {});
+    }
+    const eligible = checkTicketRequirements(interaction.member, t);
+    if (!eligible.ok) {
+      return interaction.reply({ content: describeTicketRequirement(eligible, t.name), ephemeral: true }).catch(() => {});
+    }
 
-    const detailInput = new TextInputBuilder()
-      .setCustomId("details")
-      .setLabel(type === "support" ? "Describe your issue" : "Describe the trade")
-      .setStyle(TextInputStyle.Paragraph)
-      .setRequired(true);
+    // Check limits before asking the questions (checked again on submit)
+    const limit = await checkTicketLimits(interaction.guild, interaction.user.id, t.key);
+    if (!limit.ok) {
+      return interaction.reply({ content: describeTicketLimit(limit, t.name), ephemeral: true }).catch(() => {});
+    }
 
-    modal.addComponents(
-      new ActionRowBuilder().addComponents(playerInput),
-      new ActionRowBuilder().addComponents(detailInput)
-    );
+    const modal = new ModalBuilder()
+      .setCustomId(`modal_ticket:${t.key}`)
+      .setTitle(`${t.icon} ${t.name} Ticket`.slice(0, 45));
+
+    modal.addComponents(...t.questions.map(q => new ActionRowBuilder().addComponents(buildTicketQuestionInput(q))));
 
     // Show modal. If user cancels (X), Discord keeps the last selected option visually.
     // So we "reset" the menu back to placeholder after we open the modal, to prevent it bugging out.
     await interaction.showModal(modal);
     setTimeout(async () => {
       try {
-        const row = type === "support" ? buildSupportMenu(interaction.guildId) : buildTradeMenu(interaction.guildId);
-        if (interaction.message && interaction.message.edit) {
+        const row = buildTicketTypeMenu(interaction.guildId, t.key);
+        if (row && interaction.message && interaction.message.edit) {
           await interaction.message.edit({ components: [row] }).catch(() => {});
         }
       } catch {}
@@ -3966,6 +8595,265 @@ Only **you** can see it.`)
     return safeUpdate(interaction, { content: "✅ Saved! Your panel text was updated.", ephemeral: true }).catch(() => {});
   }
 
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_retention:")) {
+    const [, ownerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+
+    const raw = String(interaction.fields.getTextInputValue("days") || "").trim();
+    if (!/^\d{1,3}$/.test(raw)) {
+      return safeUpdate(interaction, { content: "❌ Enter a whole number of days (0 = keep forever).", ephemeral: true }).catch(() => {});
+    }
+    const days = normalizeRetentionDays(raw);
+    saveGuildConfig(interaction.guild.id, { archiveRetentionDays: days });
+
+    return safeUpdate(interaction, { content: days ? `✅ Archived tickets will be deleted after **${days} day(s)**.` : "✅ Archived tickets will be kept forever.", ephemeral: true }).catch(() => {});
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && (interaction.customId.startsWith("setup_modal_type_add:") || interaction.customId.startsWith("setup_modal_type_text:"))) {
+    const [id, ownerId, key] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+    const field = (name) => (interaction.fields.getTextInputValue(name) || "").trim();
+
+    let typeKey = key;
+    if (id === "setup_modal_type_add") {
+      const res = addTicketType(interaction.guild.id, { label: field("label"), emoji: field("emoji"), description: field("description"), enabled: false });
+      if (!res.ok) {
+        const msg = res.reason === "EXISTS" ? "❌ A ticket type with that name already exists."
+          : res.reason === "LIMIT" ? `❌ You can have at most ${MAX_TICKET_TYPES} ticket types.`
+          : "❌ Use a name with letters or numbers.";
+        return safeUpdate(interaction, { content: msg, ephemeral: true }).catch(() => {});
+      }
+      typeKey = res.type.key;
+    } else {
+      const color = field("colorHex");
+      if (color && !/^#?[0-9a-fA-F]{6}$/.test(color)) {
+        return safeUpdate(interaction, { content: "❌ Color must be a hex value like `#5865F2`.", ephemeral: true }).catch(() => {});
+      }
+      const t = getTicketType(interaction.guild.id, key);
+      if (!t) return safeUpdate(interaction, { content: "❌ That ticket type no longer exists.", ephemeral: true }).catch(() => {});
+
+      // Only store what was actually changed, so untouched built-in defaults stay defaults
+      const current = { label: t.optionLabel, panelTitle: t.panelTitle, panelDescription: String(t.panelDescription).slice(0, 4000), nameTemplate: t.nameTemplate || "", colorHex: t.panelColor };
+      const submitted = { label: field("label"), panelTitle: field("panelTitle"), panelDescription: field("panelDescription"), nameTemplate: field("nameTemplate"), colorHex: color };
+      const patch = {};
+      for (const k of Object.keys(submitted)) {
+        if (submitted[k] !== current[k].trim()) patch[k] = submitted[k];
+      }
+      if (Object.keys(patch).length) saveTicketType(interaction.guild.id, key, patch);
+    }
+
+    // Refresh the setup panel the modal was opened from
+    if (interaction.isFromMessage?.()) {
+      return interaction.update(buildSetupTypeEditPayload(interaction.guild, ownerId, typeKey)).catch(() => {});
+    }
+    return safeUpdate(interaction, { content: "✅ Saved!", ephemeral: true }).catch(() => {});
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_q:")) {
+    const [, ownerId, key, index] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+    const t = getTicketType(interaction.guild.id, key);
+    if (!t) return safeUpdate(interaction, { content: "❌ That ticket type no longer exists.", ephemeral: true }).catch(() => {});
+
+    const field = (name) => (interaction.fields.getTextInputValue(name) || "").trim();
+    const style = field("style").toLowerCase();
+    const required = field("required").toLowerCase();
+    const length = field("length").match(/^(\d{1,4})\s*-\s*(\d{1,4})$/);
+
+    if (!["short", "paragraph"].includes(style)) {
+      return safeUpdate(interaction, { content: "❌ Answer style must be `short` or `paragraph`.", ephemeral: true }).catch(() => {});
+    }
+    if (!["yes", "no"].includes(required)) {
+      return safeUpdate(interaction, { content: "❌ Required must be `yes` or `no`.", ephemeral: true }).catch(() => {});
+    }
+    if (!length || Number(length[2]) < 1 || Number(length[2]) > 4000 || Number(length[1]) > Number(length[2])) {
+      return safeUpdate(interaction, { content: "❌ Length must look like `0-1000` (max 4000, min ≤ max).", ephemeral: true }).catch(() => {});
+    }
+
+    const questions = t.questions.slice();
+    const existing = index === "new" ? null : questions[Number(index)];
+    if (index !== "new" && !existing) {
+      return safeUpdate(interaction, { content: "❌ That question no longer exists.", ephemeral: true }).catch(() => {});
+    }
+    if (!existing && questions.length >= MAX_TICKET_QUESTIONS) {
+      return safeUpdate(interaction, { content: `❌ A ticket type can have at most ${MAX_TICKET_QUESTIONS} questions.`, ephemeral: true }).catch(() => {});
+    }
+
+    const next = {
+      id: existing ? existing.id : nextTicketQuestionId(questions),
+      label: field("label"),
+      style,
+      required: required === "yes",
+      minLength: Number(length[1]),
+      maxLength: Number(length[2]),
+      placeholder: field("placeholder")
+    };
+    if (existing) questions[Number(index)] = next;
+    else questions.push(next);
+    saveTicketQuestions(interaction.guild.id, key, questions);
+
+    if (interaction.isFromMessage?.()) {
+      return interaction.update(buildSetupQuestionsPayload(interaction.guild, ownerId, key)).catch(() => {});
+    }
+    return safeUpdate(interaction, { content: "✅ Question saved.", ephemeral: true }).catch(() => {});
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_closedelay:")) {
+    const [, ownerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+
+    const raw = String(interaction.fields.getTextInputValue("seconds") || "").trim();
+    if (!/^\d{1,3}$/.test(raw) || Number(raw) > 300) {
+      return safeUpdate(interaction, { content: "❌ Enter a number of seconds between 0 and 300.", ephemeral: true }).catch(() => {});
+    }
+    const seconds = normalizeCloseDelay(raw);
+    saveGuildConfig(interaction.guild.id, { closeConfirmSeconds: seconds });
+
+    return safeUpdate(interaction, { content: seconds ? `✅ Closing now shows a **${seconds}s** Confirm/Cancel countdown.` : "✅ Tickets close instantly (no countdown).", ephemeral: true }).catch(() => {});
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_reqage:")) {
+    const [, ownerId, key] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+    const t = getTicketType(interaction.guild.id, key);
+    if (!t) return safeUpdate(interaction, { content: "❌ This ticket type no longer exists.", ephemeral: true });
+
+    const account = String(interaction.fields.getTextInputValue("account") || "").trim();
+    const member = String(interaction.fields.getTextInputValue("member") || "").trim();
+    const limit = String(interaction.fields.getTextInputValue("limit") || "").trim();
+    if (!/^\d{1,4}$/.test(account) || !/^\d{1,4}$/.test(member) || Number(account) > 3650 || Number(member) > 3650) {
+      return safeUpdate(interaction, { content: "❌ Enter a number of days between 0 and 3650.", ephemeral: true }).catch(() => {});
+    }
+    if (!/^\d{1,2}$/.test(limit) || Number(limit) > 50) {
+      return safeUpdate(interaction, { content: "❌ The open ticket limit must be between 0 and 50.", ephemeral: true }).catch(() => {});
+    }
+    saveTicketType(interaction.guild.id, key, {
+      requirements: { ...t.requirements, minAccountAgeDays: Number(account), minMemberAgeDays: Number(member) },
+      openLimit: Number(limit)
+    });
+
+    if (interaction.isFromMessage?.()) {
+      return interaction.update(buildSetupRequirementsPayload(interaction.guild, ownerId, key)).catch(() => {});
+    }
+    return safeUpdate(interaction, { content: "✅ Requirements saved.", ephemeral: true }).catch(() => {});
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_ratings:")) {
+    const [, ownerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+
+    const mode = String(interaction.fields.getTextInputValue("mode") || "").trim().toLowerCase();
+    const raw = String(interaction.fields.getTextInputValue("timeout") || "").trim();
+    if (!["off", "dm", "channel"].includes(mode)) {
+      return safeUpdate(interaction, { content: "❌ Mode must be **off**, **dm** or **channel**.", ephemeral: true }).catch(() => {});
+    }
+    if (!/^\d{1,3}$/.test(raw) || Number(raw) < 30 || Number(raw) > 600) {
+      return safeUpdate(interaction, { content: "❌ Enter a number of seconds between 30 and 600.", ephemeral: true }).catch(() => {});
+    }
+    const seconds = normalizeRatingTimeout(raw);
+    saveGuildConfig(interaction.guild.id, { ratingMode: mode, ratingTimeoutSeconds: seconds });
+
+    const msg = mode === "dm"
+      ? "✅ Openers get a summary + rating DM after close."
+      : mode === "channel"
+        ? `✅ Closing now asks the opener to rate inside the ticket (waits up to **${seconds}s**).`
+        : "✅ Ratings are off.";
+    return safeUpdate(interaction, { content: msg, ephemeral: true }).catch(() => {});
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_fees:")) {
+    const [, ownerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+
+    const parsed = parseFeeScheduleInput({
+      currency: interaction.fields.getTextInputValue("currency"),
+      rule: interaction.fields.getTextInputValue("rule"),
+      overrides: interaction.fields.getTextInputValue("overrides"),
+      payer: interaction.fields.getTextInputValue("payer")
+    });
+    if (!parsed.ok) return safeUpdate(interaction, { content: `❌ ${parsed.error}`, ephemeral: true }).catch(() => {});
+    saveGuildConfig(interaction.guild.id, { feeSchedule: parsed.schedule });
+
+    return safeUpdate(interaction, {
+      content: hasFeeSchedule(parsed.schedule)
+        ? `✅ Fee schedule saved.\n${buildFeeScheduleField(parsed.schedule).value}`
+        : "✅ Fee schedule cleared.",
+      ephemeral: true
+    }).catch(() => {});
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_sla:")) {
+    const [, ownerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+
+    const raw = String(interaction.fields.getTextInputValue("minutes") || "").trim();
+    if (!/^\d{1,4}$/.test(raw) || Number(raw) > 1440) {
+      return safeUpdate(interaction, { content: "❌ Enter a number of minutes between 0 and 1440.", ephemeral: true }).catch(() => {});
+    }
+    const minutes = normalizeSlaMinutes(raw);
+    saveGuildConfig(interaction.guild.id, { slaFirstResponseMinutes: minutes });
+
+    if (interaction.isFromMessage?.()) {
+      return interaction.update(buildSetupMainPayload(interaction.guild, ownerId)).catch(() => {});
+    }
+    return safeUpdate(interaction, { content: minutes ? `✅ A warning is logged when staff haven't replied within **${minutes} min**.` : "✅ SLA warnings turned off.", ephemeral: true }).catch(() => {});
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_limits:")) {
+    const [, ownerId] = interaction.customId.split(":");
+    if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
+    if (interaction.user.id !== ownerId) {
+      return safeUpdate(interaction, { content: "⛔ Only the setup owner can use this.", ephemeral: true });
+    }
+
+    const read = id => String(interaction.fields.getTextInputValue(id) || "").trim();
+    const perUser = read("peruser");
+    const perType = read("pertype");
+    const cooldown = read("cooldown");
+    if (!/^\d{1,2}$/.test(perUser) || !/^\d{1,2}$/.test(perType) || Number(perUser) > 50 || Number(perType) > 50) {
+      return safeUpdate(interaction, { content: "❌ Ticket limits must be numbers between 0 and 50.", ephemeral: true }).catch(() => {});
+    }
+    if (!/^\d{1,5}$/.test(cooldown) || Number(cooldown) > 86400) {
+      return safeUpdate(interaction, { content: "❌ Cooldown must be between 0 and 86400 seconds.", ephemeral: true }).catch(() => {});
+    }
+
+    const ticketLimits = {
+      perUser: normalizeLimit(perUser, 50),
+      perType: normalizeLimit(perType, 50),
+      cooldownSeconds: normalizeLimit(cooldown, 86400)
+    };
+    saveGuildConfig(interaction.guild.id, { ticketLimits });
+
+    if (interaction.isFromMessage?.()) {
+      return interaction.update(buildSetupMainPayload(interaction.guild, ownerId)).catch(() => {});
+    }
+    return safeUpdate(interaction, { content: "✅ Ticket limits saved.", ephemeral: true }).catch(() => {});
+  }
+
   if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("setup_modal_panelui_")) {
     const [id, ownerId] = interaction.customId.split(":");
     if (!interaction.guild) return safeUpdate(interaction, { content: "Guild only.", ephemeral: true });
@@ -4046,22 +8934,39 @@ Only **you** can see it.`)
   }
 
   // Modal submit -> create ticket
+  // modal_support / modal_trade are the pre-ticket-types ids (modals already open while the bot updated)
   if (
     interaction.isModalSubmit() &&
-    (interaction.customId === "modal_support" || interaction.customId === "modal_trade")
+    (interaction.customId === "modal_support" || interaction.customId === "modal_trade" || interaction.customId.startsWith("modal_ticket:"))
   ) {
     await interaction.deferReply({ ephemeral: true }).catch(() => {});
 
-    const type = interaction.customId === "modal_support" ? "Support" : "Trade";
-    const player = interaction.fields.getTextInputValue("player");
-    const details = interaction.fields.getTextInputValue("details");
+    const typeKey = interaction.customId.startsWith("modal_ticket:")
+      ? interaction.customId.slice("modal_ticket:".length)
+      : interaction.customId.replace("modal_", "");
+    const ticketType = interaction.guild ? getTicketType(interaction.guild.id, typeKey) : null;
+    if (!ticketType) {
+      return safeUpdate(interaction, { content: "❌ This ticket type no longer exists." }).catch(() => {});
+    }
+    const type = ticketType.name;
+
+    // Questions may have been edited while the modal was open: only keep inputs that were actually submitted
+    const questions = ticketType.questions.filter(q => interaction.fields.fields.has(q.id));
+    const answers = {};
+    for (const q of questions) {
+      const v = (interaction.fields.getTextInputValue(q.id) || "").trim();
+      if (v) answers[q.id] = v;
+    }
+    const answerFields = buildTicketAnswerFields(questions, answers);
 
     const guild = interaction.guild;
+    const priority = (isPriorityEnabled(guild.id) && ticketType.priorityQuestion && parsePriorityAnswer(answers[ticketType.priorityQuestion])) || "normal";
 
 // Validate that this server is configured for this ticket type
 const needs = {
-  support: type === "Support",
-  trade: type === "Trade",
+  support: ticketType.key === "support",
+  trade: ticketType.key === "trade",
+  type: ticketType.builtin ? null : ticketType.key,
   logs: true
 };
 
@@ -4072,6 +8977,10 @@ if (!ensured.ok) {
 
   if (reason === "SUPPORT_DISABLED") msg = "❌ **Support tickets are disabled** in this server. Ask the owner to enable Support in `?setup`.";
   if (reason === "TRADE_DISABLED") msg = "❌ **Trade tickets are disabled** in this server. Ask the owner to enable Trade in `?setup`.";
+  if (reason === "TYPE_DISABLED") msg = `❌ **${type} tickets are disabled** in this server. Ask the owner to enable ${type} in \`?setup\` → Ticket Types.`;
+  if (reason === "MISSING_TYPE_CATEGORY_ID" || reason === "INVALID_TYPE_CATEGORY_ID") {
+    msg = `❌ ${type} category is not set (or invalid). Server owner: run \`?setup\` → Ticket Types → ${type} → set its category.`;
+  }
 
   if (reason === "MISSING_SUPPORT_CATEGORY_ID" || reason === "INVALID_SUPPORT_CATEGORY_ID") {
     msg = "❌ Support category is not set (or invalid). Server owner: run `?setup` → enable Support → set Support Category.";
@@ -4087,13 +8996,31 @@ if (!ensured.ok) {
 }
 
 const cfg = ensured.cfg;
-const categoryId = type === "Support" ? cfg.supportCategoryId : cfg.mmCategoryId;
+const categoryId = ticketType.categoryId;
 
+    const banned = getBlacklistHit(guild.id, interaction.member);
+    if (banned) {
+      return safeUpdate(interaction, { content: describeBlacklistHit(banned) }).catch(() => {});
+    }
+    const eligible = checkTicketRequirements(interaction.member, ticketType);
+    if (!eligible.ok) {
+      return safeUpdate(interaction, { content: describeTicketRequirement(eligible, type) }).catch(() => {});
+    }
+    // Take the lock before the (awaited) limit check so two submits can't both pass it
+    const lockKey = `${guild.id}:${interaction.user.id}`;
+    if (TICKET_CREATE_LOCKS.has(lockKey)) {
+      return safeUpdate(interaction, { content: describeTicketLimit({ ok: false, reason: "IN_PROGRESS" }, type) }).catch(() => {});
+    }
+    TICKET_CREATE_LOCKS.add(lockKey);
 
     try {
+      const limit = await checkTicketLimits(guild, interaction.user.id, ticketType.key, { holdsLock: true });
+      if (!limit.ok) {
+        return safeUpdate(interaction, { content: describeTicketLimit(limit, type) }).catch(() => {});
+      }
+
       const rolesToCheck = [
-        ...(Array.isArray(cfg.supportRoles) ? cfg.supportRoles : []),
-        ...(Array.isArray(cfg.mmRoles) ? cfg.mmRoles : []),
+        ...ticketType.staffRoles,
         ...(Array.isArray(cfg.adminRoles) ? cfg.adminRoles : [])
       ];
       await ensureRolesCached(guild, rolesToCheck);
@@ -4115,62 +9042,78 @@ const categoryId = type === "Support" ? cfg.supportCategoryId : cfg.mmCategoryId
         }
       ];
 
-      if (type === "Support") {
-        overwrites.push(
-          ...buildRoleOverwrites(guild, cfg.supportRoles || [], basePerms),
-          ...buildRoleOverwrites(guild, cfg.adminRoles || [], basePerms)
-        );
-      } else {
-        overwrites.push(
-          ...buildRoleOverwrites(guild, cfg.mmRoles || [], basePerms),
-          ...buildRoleOverwrites(guild, cfg.supportRoles || [], basePerms),
-          ...buildRoleOverwrites(guild, cfg.adminRoles || [], basePerms)
-        );
-      }
+      overwrites.push(
+        ...buildRoleOverwrites(guild, ticketType.staffRoles, basePerms),
+        ...buildRoleOverwrites(guild, cfg.adminRoles || [], basePerms)
+      );
 
+      // Per-type template first, then the premium server-wide one
       const pState = getPremiumState(guild.id);
-      const template = (pState.isPremium && pState.features.ticketNameTemplate) ? pState.features.ticketNameTemplate : "ticket-{user}";
+      const template = ticketType.nameTemplate
+        || ((pState.isPremium && pState.features.ticketNameTemplate) ? pState.features.ticketNameTemplate : "ticket-{user}");
       const desiredName = sanitizeChannelName(
         formatTemplate(template, {
           user: interaction.user.username,
-          type: type.toLowerCase(),
+          type: ticketType.key,
           id: interaction.user.id
         })
       );
 
       const channel = await guild.channels.create({
-        name: desiredName,
+        name: priorityChannelName(desiredName, priority),
         type: ChannelType.GuildText,
         parent: categoryId,
         permissionOverwrites: overwrites
       });
 
-      await channel.setTopic(makeTopic(interaction.user.id)).catch(() => {});
+      const record = createTicketRecord(guild.id, {
+        channelId: channel.id,
+        channelName: channel.name,
+        openerId: interaction.user.id,
+        type: ticketType.key,
+        categoryId,
+        answers,
+        questions: questions.map(q => ({ id: q.id, label: q.label })),
+        priority
+      });
+
+      await channel.setTopic(makeTopic(interaction.user.id, null, record.id)).catch(() => {});
 
+      const returning = buildReturningUserField(guild.id, interaction.user.id, record.id);
+      const party = ticketType.key === "trade"
+        ? await resolveSecondParty(guild, interaction.user.id, answers.player).catch(() => null)
+        : null;
+      const partyWarning = buildSecondPartyWarningField(party);
+      const extraFields = [returning, partyWarning].filter(Boolean);
       const embed = new EmbedBuilder()
-        .setTitle(type === "Support" ? `🛠️ ${getPremiumState(guild.id).branding.name} — Support Ticket` : `🤝 ${getPremiumState(guild.id).branding.name} — Trade Ticket`)
-        .setColor(type === "Support" ? "#3498db" : "#9b59b6")
+        .setTitle(`${ticketType.icon} ${getPremiumState(guild.id).branding.name} — ${type} Ticket`.slice(0, 256))
+        .setColor(ticketType.ticketColor)
         .addFields(
+          { name: "Ticket", value: formatTicketNumber(record.id), inline: true },
           { name: "Opened by", value: interaction.user.tag, inline: true },
-          { name: "Other party", value: player, inline: true },
-          { name: type === "Support" ? "Issue" : "Trade", value: details }
+          ...answerFields.slice(0, 23 - extraFields.length),
+          ...extraFields
         )
         .setFooter({ text: "A staff member will claim this ticket shortly." })
         .setTimestamp();
+      if (priority !== "normal") applyPriorityToEmbed(embed, priority, ticketType.ticketColor);
 
       const row = new ActionRowBuilder().addComponents(
         new ButtonBuilder().setCustomId("claim_ticket").setLabel("🎯 Claim").setStyle(ButtonStyle.Primary),
+        new ButtonBuilder().setCustomId("transfer_ticket").setLabel("🔁 Transfer").setStyle(ButtonStyle.Secondary),
         new ButtonBuilder().setCustomId("close_ticket").setLabel("❌ Close").setStyle(ButtonStyle.Danger),
         new ButtonBuilder()
           .setCustomId("close_with_reason")
           .setLabel("📝 Close with Reason")
-          .setStyle(ButtonStyle.Secondary)
+          .setStyle(ButtonStyle.Secondary),
+        ...(isPriorityEnabled(guild.id) ? [new ButtonBuilder().setCustomId("ticket_priority").setLabel("🚦 Priority").setStyle(ButtonStyle.Secondary)] : [])
       );
 
-      const mention = renderTicketPingMention(guild.id, type === "Support" ? "support" : "trade");
+      const mention = renderTicketPingMention(guild.id, ticketType.key);
       if (mention) await channel.send(mention).catch(() => {});
       applyBranding(embed, guild.id);
-      await channel.send({ embeds: [embed], components: [row] });
+      const opening = await channel.send({ embeds: [embed], components: [row] });
+      updateTicketRecord(guild.id, record.id, { openingMessageId: opening.id });
 
       // Premium: optional custom welcome message in the ticket channel
       try{
@@ -4183,40 +9126,43 @@ const categoryId = type === "Support" ? cfg.supportCategoryId : cfg.mmCategoryId
         }
       }catch{}
 
-      // Premium: optional auto-close after X minutes (simple timer; resets if bot restarts)
-      try{
-        const pNow = getPremiumState(guild.id);
-        const mins = pNow.isPremium ? normalizeMinutes(pNow.features.autoCloseMinutes) : 0;
-        if (mins > 0){
-          setTimeout(async ()=>{
-            try{
-              const ch = await guild.channels.fetch(channel.id).catch(() => null);
-              if (!ch) return;
-              const me = guild.members.me || (await guild.members.fetchMe().catch(() => null));
-              if (!me) return;
-              await closeTicket(ch, me, `Auto-close after ${mins} minutes`).catch(() => {});
-            }catch{}
-          }, mins * 60 * 1000);
+      // Trade tickets get a deal panel (terms, confirmations, middleman steps)
+      if (ticketType.key === "trade") {
+        const withDeal = updateDeal(record, interaction.user.id, "created", () => {});
+        await postDealPanel(channel, withDeal).catch(() => {});
+
+        // Ask the opener to confirm who the other party is
+        if (party) {
+          const withParty = updateTicketRecord(guild.id, record.id, { secondParty: party });
+          await channel.send(buildSecondPartyPickPayload(withParty)).catch(() => {});
         }
-      }catch{}
+      }
+
+      // Premium: auto-close (inactivity / hard cap) — persisted, picked up by the scheduler
+      rearmAutoClose(record, { lastActivityAt: record.createdAt });
 
       const logEmbed = new EmbedBuilder()
-        .setTitle("📥 Ticket Created")
-        .setColor("#2ecc71")
+        .setTitle(priority === "urgent" ? "📥 Ticket Created — 🚨 URGENT" : "📥 Ticket Created")
+        .setColor(priority === "urgent" ? TICKET_PRIORITIES.urgent.color : "#2ecc71")
         .addFields(
+          { name: "Ticket", value: formatTicketNumber(record.id), inline: true },
           { name: "Type", value: type, inline: true },
           { name: "Opened by", value: `${interaction.user.tag} (${interaction.user.id})`, inline: true },
           { name: "Channel", value: `${channel.name} (${channel.id})`, inline: true },
-          { name: "Other party / Details", value: `${player} — ${details}` }
+          ...(priority !== "normal" ? [{ name: "Priority", value: formatPriority(priority), inline: true }] : []),
+          ...answerFields
         )
         .setTimestamp();
       await sendLog(guild, logEmbed);
 
+      // New channels land at the bottom of the category: move it above lower priorities
+      if (isPriorityEnabled(guild.id)) await sortTicketCategory(guild, categoryId);
+
       // keep your menu reset logic
       try {
         const msgs = await interaction.channel.messages.fetch({ limit: 50 }).catch(() => null);
         if (msgs) {
-          const newMenuRow = type === "Support" ? buildSupportMenu(interaction.guildId) : buildTradeMenu(interaction.guildId);
+          const newMenuRow = buildTicketTypeMenu(interaction.guildId, ticketType.key);
           for (const m of msgs.values()) {
             if (m.author && m.author.id === client.user.id && m.components && m.components.length) {
               const hasSelect = m.components.some(c =>
@@ -4244,6 +9190,8 @@ const categoryId = type === "Support" ? cfg.supportCategoryId : cfg.mmCategoryId
           "Most common reason: one of your role IDs/category IDs is wrong or not in this server.\n" +
           "Run `?setup` (server owner) to configure categories/roles for THIS server, and set the categories/roles for THIS server."
       }).catch(() => {});
+    } finally {
+      TICKET_CREATE_LOCKS.delete(lockKey);
     }
   }
 
@@ -4272,41 +9220,153 @@ const categoryId = type === "Support" ? cfg.supportCategoryId : cfg.mmCategoryId
       return;
     }
 
-    await channel.setTopic(makeTopic(t.opened, member.user.id)).catch(() => {});
+    const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+    const locked = await applyClaimLock(channel, recordTicketClaim(record, "claim", member.user.id), member.user.id);
+
+    await channel.setTopic(makeTopic(t.opened, member.user.id, record?.id)).catch(() => {});
+
+    const openingMsg = await findTicketOpeningMessage(channel);
+    if (openingMsg) {
+      const rows = openingMsg.components.map(row => new ActionRowBuilder().addComponents(
+        ...row.components.map(c => {
+          const b = ButtonBuilder.from(c);
+          return c.customId === "claim_ticket" ? b.setLabel("🎯 Claimed").setStyle(ButtonStyle.Secondary).setDisabled(true) : b;
+        })
+      ));
+
+      const newEmbed = openingMsg.embeds[0]
+        ? EmbedBuilder.from(openingMsg.embeds[0]).setFooter({ text: `Claimed by ${member.user.tag}` })
+        : null;
+
+      await openingMsg.edit({ embeds: newEmbed ? [newEmbed] : undefined, components: rows }).catch(() => {});
+    }
+    // The deal panel shows the claimer as middleman
+    if (record?.deal) await refreshDealPanel(channel, getTicketRecord(record.guildId, record.id));
+
+    const logEmbed = new EmbedBuilder()
+      .setTitle("📌 Ticket Claimed")
+      .setColor("#f1c40f")
+      .addFields(
+        ...(record ? [{ name: "Ticket", value: formatTicketNumber(record.id), inline: true }] : []),
+        { name: "Channel", value: `${channel.name} (${channel.id})`, inline: true },
+        { name: "Claimed by", value: `${member.user.tag} (${member.user.id})`, inline: true }
+      )
+      .setTimestamp();
+    await sendLog(channel.guild, logEmbed);
+
+    await channel.send(`🎯 Ticket claimed by **${member.user.tag}**${locked?.claimLock ? " — 🔒 only the claimer and admins can reply" : ""}`).catch(() => {});
+    await interaction.followUp({ content: "✅ You claimed this ticket.", ephemeral: true }).catch(() => {});
+    return;
+  }
+
+  // Transfer button -> private staff picker
+  if (interaction.isButton() && interaction.customId === "transfer_ticket") {
+    const channel = interaction.channel;
+    if (!channel || channel.type !== ChannelType.GuildText) return;
+
+    if (!canManageTicket(interaction.member, channel)) {
+      return interaction.reply({ content: "⛔ You do not have permission to transfer this ticket.", ephemeral: true }).catch(() => {});
+    }
+
+    const row = new ActionRowBuilder().addComponents(
+      new UserSelectMenuBuilder()
+        .setCustomId("transfer_pick")
+        .setPlaceholder("Select the staff member who takes over…")
+        .setMinValues(1)
+        .setMaxValues(1)
+    );
+    return interaction.reply({ content: "🔁 Who should take over this ticket?", components: [row], ephemeral: true }).catch(() => {});
+  }
+
+  if (interaction.isUserSelectMenu() && interaction.customId === "transfer_pick") {
+    const channel = interaction.channel;
+    if (!channel || channel.type !== ChannelType.GuildText) return;
+    await interaction.deferUpdate().catch(() => {});
+
+    if (!canManageTicket(interaction.member, channel)) {
+      return interaction.editReply({ content: "⛔ You do not have permission to transfer this ticket.", components: [] }).catch(() => {});
+    }
+
+    const target = await channel.guild.members.fetch(interaction.values[0]).catch(() => null);
+    if (!target) return interaction.editReply({ content: "⚠️ That user is not in this server.", components: [] }).catch(() => {});
+
+    const res = await transferTicket(channel, interaction.member, target);
+    return interaction.editReply({ content: res.ok ? `✅ Transferred this ticket to ${target}.` : res.error, components: [] }).catch(() => {});
+  }
+
+  // /priority and the Priority button (premium: Priority Support)
+  if (
+    (interaction.isChatInputCommand() && interaction.commandName === "priority") ||
+    (interaction.isButton() && interaction.customId === "ticket_priority") ||
+    (interaction.isStringSelectMenu() && interaction.customId === "priority_pick")
+  ) {
+    const channel = interaction.channel;
+    const fromPicker = interaction.isStringSelectMenu();
+    const reply = payload => (fromPicker
+      ? interaction.update({ ...payload, components: [] })
+      : interaction.reply({ ...payload, ephemeral: true })
+    ).catch(() => {});
+
+    if (!channel || channel.type !== ChannelType.GuildText || !isTicketChannel(channel)) {
+      return reply({ content: "This command can only be used inside a ticket channel." });
+    }
+    if (!canManageTicket(interaction.member, channel)) {
+      return reply({ content: "⛔ Only staff can change the priority of this ticket." });
+    }
+    if (!isPriorityEnabled(channel.guild.id)) {
+      return reply({ content: "🚦 Priority levels are a Premium feature. Turn on **Priority Support** in `?premium` → ✨ Commands." });
+    }
+
+    const record = await getOrAdoptTicketRecord(channel).catch(() => null);
+    if (!record || record.status !== "open") return reply({ content: "⚠️ Only open tickets have a priority." });
+    const current = normalizePriority(record.priority) || "normal";
 
-    const lastMsg = await channel.messages
-      .fetch({ limit: 1 })
-      .then(c => c.first())
-      .catch(() => null);
+    if (interaction.isButton()) {
+      return reply({ content: `🚦 Current priority: **${formatPriority(current)}**`, components: [buildPriorityPickRow(current)] });
+    }
 
-    if (lastMsg && lastMsg.author.id === client.user.id && lastMsg.components.length) {
-      const oldRow = lastMsg.components[0];
-      const buttons = oldRow.components.map(b => ButtonBuilder.from(b));
-      const claimIdx = buttons.findIndex(b => b.data.custom_id === "claim_ticket");
-      if (claimIdx !== -1) {
-        buttons[claimIdx].setLabel("🎯 Claimed").setStyle(ButtonStyle.Secondary).setDisabled(true);
-      }
-      const newRow = new ActionRowBuilder().addComponents(...buttons);
+    const level = normalizePriority(fromPicker ? interaction.values?.[0] : interaction.options.getString("level"));
+    if (!level) return reply({ content: "⚠️ Unknown priority level." });
+    if (level === current) return reply({ content: `ℹ️ This ticket is already **${formatPriority(level)}**.` });
 
-      const newEmbed = lastMsg.embeds[0]
-        ? EmbedBuilder.from(lastMsg.embeds[0]).setFooter({ text: `Claimed by ${member.user.tag}` })
-        : null;
+    if (fromPicker) await interaction.deferUpdate().catch(() => {});
+    else await interaction.deferReply({ ephemeral: true }).catch(() => {});
+    await setTicketPriority(channel, record, level, interaction.member);
+    return interaction.editReply({ content: `✅ Priority set to **${formatPriority(level)}**.`, components: [] }).catch(() => {});
+  }
+
+  // Close countdown: Close Now / Cancel (any staff who can manage the ticket)
+  if (interaction.isButton() && interaction.customId && (interaction.customId.startsWith("close_confirm:") || interaction.customId.startsWith("close_cancel:"))) {
+    const [action, token] = interaction.customId.split(":");
+    const channel = interaction.channel;
+    const member = interaction.member;
+    if (!channel || channel.type !== ChannelType.GuildText) return;
 
-      await lastMsg.edit({ embeds: newEmbed ? [newEmbed] : undefined, components: [newRow] }).catch(() => {});
+    if (!canManageTicket(member, channel)) {
+      return interaction.reply({ content: "⛔ Only staff can confirm or cancel a close.", ephemeral: true }).catch(() => {});
     }
 
-    const logEmbed = new EmbedBuilder()
-      .setTitle("📌 Ticket Claimed")
-      .setColor("#f1c40f")
-      .addFields(
-        { name: "Channel", value: `${channel.name} (${channel.id})`, inline: true },
-        { name: "Claimed by", value: `${member.user.tag} (${member.user.id})`, inline: true }
-      )
-      .setTimestamp();
-    await sendLog(channel.guild, logEmbed);
+    const pending = PENDING_CLOSES.get(channel.id);
+    if (!pending || pending.token !== token) {
+      await interaction.update({ components: [] }).catch(() => {});
+      return interaction.followUp({ content: "⚠️ This close request is no longer active.", ephemeral: true }).catch(() => {});
+    }
 
-    await channel.send(`🎯 Ticket claimed by **${member.user.tag}**`).catch(() => {});
-    await interaction.followUp({ content: "✅ You claimed this ticket.", ephemeral: true }).catch(() => {});
+    clearTimeout(pending.timer);
+    PENDING_CLOSES.delete(channel.id);
+
+    if (action === "close_cancel") {
+      const embed = new EmbedBuilder()
+        .setTitle("✅ Close Cancelled")
+        .setColor("#2ecc71")
+        .setDescription(`${interaction.user} cancelled the close requested by <@${pending.requestedBy}>.`)
+        .setTimestamp();
+      applyBranding(embed, channel.guild.id);
+      return interaction.update({ embeds: [embed], components: [] }).catch(() => {});
+    }
+
+    await interaction.update({ components: [] }).catch(() => {});
+    await closeTicket(channel, member, pending.reason, { confirmation: "confirmed", requestedBy: pending.requestedBy }).catch(console.error);
     return;
   }
 
@@ -4323,10 +9383,14 @@ const categoryId = type === "Support" ? cfg.supportCategoryId : cfg.mmCategoryId
       });
     }
 
+    if (isClosePending(channel.id)) {
+      return interaction.reply({ content: "⏳ A close is already pending in this ticket.", ephemeral: true }).catch(() => {});
+    }
+
     // reply instantly so Discord doesn’t show “interaction failed”
-    await safeUpdate(interaction, { content: "✅ Closing ticket...", ephemeral: true }).catch(() => {});
-    // unified close logic
-    await closeTicket(interaction.channel, member, null).catch(() => {});
+    await interaction.deferUpdate().catch(() => {});
+    // unified close logic (may post a confirmation countdown first)
+    await requestTicketClose(interaction.channel, member, null).catch(() => {});
     return;
 
     // (legacy close logic kept for backwards compatibility)
@@ -4395,8 +9459,12 @@ const categoryId = type === "Support" ? cfg.supportCategoryId : cfg.mmCategoryId
       }).catch(() => {});
     }
 
+    if (isClosePending(channel.id)) {
+      return safeUpdate(interaction, { content: "⏳ A close is already pending in this ticket.", ephemeral: true }).catch(() => {});
+    }
+
     await safeUpdate(interaction, { content: "📝 Closing with reason...", ephemeral: true }).catch(() => {});
-    await closeTicket(channel, member, reason).catch(() => {});
+    await requestTicketClose(channel, member, reason).catch(() => {});
     return;
   }
 
@@ -4425,97 +9493,120 @@ const categoryId = type === "Support" ? cfg.supportCategoryId : cfg.mmCategoryId
     return safeUpdate(interaction, { content: "📝 Closing with reason...", ephemeral: true });
   }
 
-  // Handle rating button clicks from DM
+  // Handle rating button clicks (DM or ticket channel): rate:<service|staff>:<guildId>:<ticketId>[:<staffId>]:<score>
   if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("rate:")) {
     const parts = interaction.customId.split(":");
-    const kind = parts[1]; // trade or service
+    const kind = parts[1];
     try {
-      if (kind === "trade" || kind === ("m" + "m")) {
-        const ticketName = parts[2];
-        const staffId = parts[3];
-        const score = parseInt(parts[4], 10);
-        if (!ticketName || !staffId || !score) {
-          return safeUpdate(interaction, { content: "Invalid rating data.", ephemeral: true });
-        }
-        const key = `${ticketName}_${interaction.user.id}_mm`;
-        if (RATED[key]) {
-          return safeUpdate(interaction, {
-            content: "You already rated this Trade Help for this ticket.",
-            ephemeral: true
-          });
-        }
-        addReviewForStaff(staffId, score);
-        RATED[key] = true;
-        writeJsonSafe(RATED_FILE, RATED);
+      const guildId = parts[2];
+      const ticketId = Number(parts[3]);
+      const staffId = kind === "staff" ? parts[4] : null;
+      const score = parseInt(parts[kind === "staff" ? 5 : 4], 10);
+      if ((kind !== "staff" && kind !== "service") || !isValidSnowflake(guildId) || !ticketId || !(score >= 1 && score <= 5)) {
+        // Buttons from before ratings were tied to a ticket
+        return interaction.reply({ content: "This rating link has expired.", ephemeral: true }).catch(() => {});
+      }
 
-        try {
-          const msg = interaction.message;
-          if (msg && msg.components) {
-            const newComps = msg.components.map(r => {
-              const ar = ActionRowBuilder.from(r);
-              const comps = ar.components.map(c => ButtonBuilder.from(c).setDisabled(true));
-              return new ActionRowBuilder().addComponents(...comps);
-            });
-            await msg.edit({ components: newComps }).catch(() => {});
-          }
-        } catch (e) {
-          console.error("Failed to disable trade buttons:", e);
-        }
+      const record = getTicketRecord(guildId, ticketId);
+      if (!record || record.openerId !== interaction.user.id) {
+        return interaction.reply({ content: "You can't rate this ticket.", ephemeral: true }).catch(() => {});
+      }
 
-        await safeUpdate(interaction, {
-          content: `Thanks — you rated the Trade Help ${score} ⭐`,
-          ephemeral: true
+      const key = `${guildId}:${ticketId}:${kind}:${interaction.user.id}`;
+      if (RATED[key] || record.ratings?.[kind]) {
+        return interaction.reply({ content: kind === "staff" ? "You already rated the staff member for this ticket." : "You already rated the service for this ticket.", ephemeral: true }).catch(() => {});
+      }
+      addTicketRating(record, kind, interaction.user.id, score, staffId);
+      STORE.set("rated", key, true);
+
+      // Disable the row that was used and offer written feedback (one button per rated kind, all in one row)
+      const current = interaction.message?.components || [];
+      const feedbackButtons = current
+        .flatMap(r => r.components)
+        .filter(c => c.customId?.startsWith("rate_fb:") && !c.customId.startsWith(`rate_fb:${kind}:`))
+        .map(c => ButtonBuilder.from(c));
+      feedbackButtons.push(
+        new ButtonBuilder()
+          .setCustomId(`rate_fb:${kind}:${guildId}:${ticketId}`)
+          .setLabel(kind === "staff" ? "✍️ Feedback on staff" : "✍️ Feedback on service")
+          .setStyle(ButtonStyle.Secondary)
+      );
+      const rows = current
+        .filter(r => !r.components.some(c => c.customId?.startsWith("rate_fb:")))
+        .map(r => {
+          const used = r.components.some(c => c.customId?.startsWith(`rate:${kind}:`));
+          return new ActionRowBuilder().addComponents(...r.components.map(c => ButtonBuilder.from(c).setDisabled(used || c.disabled)));
         });
-      } else if (kind === "service") {
-        const ticketName = parts[2];
-        const score = parseInt(parts[3], 10);
-        if (!ticketName || !score) {
-          return safeUpdate(interaction, { content: "Invalid rating data.", ephemeral: true });
-        }
-        const key = `${ticketName}_${interaction.user.id}_service`;
-        if (RATED[key]) {
-          return safeUpdate(interaction, {
-            content: "You already rated the service for this ticket.",
-            ephemeral: true
-          });
-        }
-        addReviewForService(score);
-        RATED[key] = true;
-        writeJsonSafe(RATED_FILE, RATED);
+      rows.push(new ActionRowBuilder().addComponents(...feedbackButtons));
+      await interaction.update({ components: rows.slice(0, 5) }).catch(() => {});
 
-        try {
-          const msg = interaction.message;
-          if (msg && msg.components) {
-            const newComps = msg.components.map(r => {
-              const ar = ActionRowBuilder.from(r);
-              const comps = ar.components.map(c => ButtonBuilder.from(c).setDisabled(true));
-              return new ActionRowBuilder().addComponents(...comps);
-            });
-            await msg.edit({ components: newComps }).catch(() => {});
-          }
-        } catch (e) {
-          console.error("Failed to disable service buttons:", e);
-        }
+      await interaction.followUp({
+        content: `Thanks — you rated ${kind === "staff" ? `<@${staffId}>` : "our service"} ${score} ⭐`,
+        ephemeral: true
+      }).catch(() => {});
 
-        await safeUpdate(interaction, {
-          content: `Thanks — you rated our service ${score} ⭐`,
-          ephemeral: true
-        });
-      } else {
-        return safeUpdate(interaction, { content: "Unknown rating type.", ephemeral: true });
-      }
+      if (interaction.inGuild()) markChannelRating(interaction.channelId, ticketId, kind);
     } catch (e) {
       console.error("Rate handler error:", e);
-      return safeUpdate(interaction, { content: "Failed to record rating.", ephemeral: true });
+      return interaction.reply({ content: "Failed to record rating.", ephemeral: true }).catch(() => {});
+    }
+    return;
+  }
+
+  // Staff can stop waiting for an in-channel rating
+  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("rate_skip:")) {
+    const ticketId = Number(interaction.customId.split(":")[2]);
+    const channel = interaction.channel;
+    if (!channel || !canManageTicket(interaction.member, channel)) {
+      return interaction.reply({ content: "⛔ Only staff can skip the rating.", ephemeral: true }).catch(() => {});
+    }
+
+    const pending = PENDING_RATINGS.get(channel.id);
+    await interaction.update({ components: [] }).catch(() => {});
+    if (pending && pending.ticketId === ticketId) pending.done();
+    return;
+  }
+
+  // Optional written feedback after the stars
+  if (interaction.isButton() && interaction.customId && interaction.customId.startsWith("rate_fb:")) {
+    const [, kind, guildId, ticketId] = interaction.customId.split(":");
+    const record = getTicketRecord(guildId, Number(ticketId));
+    const rated = record?.ratings?.[kind === "staff" ? "staff" : "service"];
+    if (!record || record.openerId !== interaction.user.id || !rated) {
+      return interaction.reply({ content: "Rate with the stars first.", ephemeral: true }).catch(() => {});
+    }
+
+    const modal = new ModalBuilder()
+      .setCustomId(`rate_fb_modal:${kind}:${guildId}:${ticketId}`)
+      .setTitle("Your Feedback");
+    const input = new TextInputBuilder()
+      .setCustomId("feedback")
+      .setLabel(kind === "staff" ? "How did the staff member do?" : "How was our service?")
+      .setStyle(TextInputStyle.Paragraph)
+      .setRequired(true)
+      .setMaxLength(1000);
+    if (rated.feedback) input.setValue(rated.feedback);
+    modal.addComponents(new ActionRowBuilder().addComponents(input));
+    await tryShowModal(interaction, modal);
+    return;
+  }
+
+  if (interaction.isModalSubmit() && interaction.customId && interaction.customId.startsWith("rate_fb_modal:")) {
+    const [, kind, guildId, ticketId] = interaction.customId.split(":");
+    const record = getTicketRecord(guildId, Number(ticketId));
+    if (!record || record.openerId !== interaction.user.id) {
+      return interaction.reply({ content: "You can't leave feedback for this ticket.", ephemeral: true }).catch(() => {});
     }
+    const feedback = String(interaction.fields.getTextInputValue("feedback") || "").trim().slice(0, 1000);
+    addTicketRatingFeedback(record, kind === "staff" ? "staff" : "service", feedback);
+    return interaction.reply({ content: "🙏 Thanks for the feedback!", ephemeral: true }).catch(() => {});
   }
 });
 
 // ----------------------
 // DM summary + rating UI
 // ----------------------
-async function dmSummaryAndRating(openerId, claimedId, closerTag, reason = null) {
-  // Disabled by user request
+async function dmSummaryAndRating(openerId, claimedId, closerTag, reason = null, record = null) {
   if (DISABLE_CLOSE_DMS) return;
   try {
     const opener = await client.users.fetch(openerId).catch(() => null);
@@ -4536,39 +9627,16 @@ async function dmSummaryAndRating(openerId, claimedId, closerTag, reason = null)
 
     await opener.send({ embeds: [embed] }).catch(() => {});
 
-    const ticketNameStub = `ticket-${opener.username}`.toLowerCase();
-
-    let components = [];
-    if (claimedId) {
-      const mmRow = new ActionRowBuilder();
-      for (let s = 1; s <= 5; s++) {
-        mmRow.addComponents(
-          new ButtonBuilder()
-            .setCustomId(`rate:trade:${ticketNameStub}:${claimedId}:${s}`)
-            .setLabel("★".repeat(s))
-            .setStyle(ButtonStyle.Primary)
-        );
-      }
-      components.push(mmRow);
-    }
-
-    const svcRow = new ActionRowBuilder();
-    for (let s = 1; s <= 5; s++) {
-      svcRow.addComponents(
-        new ButtonBuilder()
-          .setCustomId(`rate:service:${ticketNameStub}:${s}`)
-          .setLabel("★".repeat(s))
-          .setStyle(ButtonStyle.Secondary)
-      );
-    }
-    components.push(svcRow);
+    // Ratings are stored on the ticket, so no record = nothing to rate
+    if (!record) return;
+    const components = buildRatingRows(record, claimedId);
 
     const promptEmbed = new EmbedBuilder()
       .setTitle("✳️ Please rate")
       .setDescription(
         `${
           claimedUser
-            ? `Rate the Trade Help **${claimedUser.tag}** (first row) and our service (second row).`
+            ? `Rate **${claimedUser.tag}** who handled your ticket (first row) and our service (second row).`
             : `Rate our service (only row).`
         }\n\nClick the star row corresponding to the number of stars you want to give.`
       )
@@ -4889,15 +9957,6 @@ function startDashboardServer() {
   }
 
 
-function escapeHtml(s){
-    return String(s ?? "")
-      .replaceAll("&","&amp;")
-      .replaceAll("<","&lt;")
-      .replaceAll(">","&gt;")
-      .replaceAll('"',"&quot;")
-      .replaceAll("'","&#039;");
-  }
-
   async function discordApi(token, path, opts = {}) {
     const res = await fetchFn(`https://discord.com/api/v10${path}`, {
       ...opts,
@@ -5126,10 +10185,197 @@ function escapeHtml(s){
 
             <div style="height:12px"></div>
             <button class="btn primary" type="submit">Save Settings</button>
+            <a class="btn" href="/server/${escapeHtml(guildId)}/stats">Statistics</a>
+            <a class="btn" href="/server/${escapeHtml(guildId)}/tickets">Tickets</a>
             <a class="btn" href="/servers">Back</a>
           </form>
         </div>
 
+        <div class="card">
+          <h2>Ticket Types</h2>
+          <p class="muted">Support and Trade are built in (their category/roles are the ones above). Post a panel in Discord with <b>?panel &lt;type&gt;</b>.</p>
+          <div class="list">
+            ${getTicketTypes(guildId).map(t => `
+            <details class="row" style="display:block">
+              <summary><b>${escapeHtml(t.name)}</b> <span class="badge">${escapeHtml(t.key)}</span> <span class="badge">${t.enabled ? "enabled" : "disabled"}</span></summary>
+              <form method="POST" action="/server/${escapeHtml(guildId)}/types/${encodeURIComponent(t.key)}">
+                <div class="two">
+                  <div>
+                    <label>Menu label</label>
+                    <input name="label" value="${escapeHtml(t.optionLabel)}" maxlength="40"/>
+                  </div>
+                  <div>
+                    <label>Emoji</label>
+                    <input name="emoji" value="${escapeHtml(t.emoji)}" placeholder="optional"/>
+                  </div>
+                  ${t.builtin ? "" : `
+                  <div>
+                    <label>Category ID</label>
+                    <input name="categoryId" value="${escapeHtml(t.categoryId || "")}" placeholder="e.g. 123..."/>
+                  </div>
+                  <div>
+                    <label>Staff Roles (comma-separated role IDs)</label>
+                    <input name="staffRoles" value="${escapeHtml(t.staffRoles.join(","))}" placeholder="roleId1,roleId2"/>
+                  </div>`}
+                  <div>
+                    <label>Ping Roles (comma-separated role IDs)</label>
+                    <input name="pingRoles" value="${escapeHtml(t.pingRoles.join(","))}" placeholder="roleId1,roleId2"/>
+                  </div>
+                  <div>
+                    <label>Channel name template</label>
+                    <input name="nameTemplate" value="${escapeHtml(t.nameTemplate || "")}" placeholder="server default"/>
+                  </div>
+                  <div>
+                    <label>Panel title</label>
+                    <input name="panelTitle" value="${escapeHtml(t.panelTitle)}"/>
+                  </div>
+                  <div>
+                    <label>Color</label>
+                    <input name="colorHex" value="${escapeHtml(t.panelColor)}" placeholder="#5865F2"/>
+                  </div>
+                  <div>
+                    <label>Required Roles (any of, comma-separated role IDs)</label>
+                    <input name="requiredRoles" value="${escapeHtml(t.requirements.requiredRoles.join(","))}" placeholder="anyone"/>
+                  </div>
+                  <div>
+                    <label>Denied Roles (comma-separated role IDs)</label>
+                    <input name="deniedRoles" value="${escapeHtml(t.requirements.deniedRoles.join(","))}" placeholder="none"/>
+                  </div>
+                  <div>
+                    <label>Min. account age (days)</label>
+                    <input name="minAccountAgeDays" type="number" min="0" max="3650" value="${t.requirements.minAccountAgeDays}"/>
+                  </div>
+                  <div>
+                    <label>Min. days in server</label>
+                    <input name="minMemberAgeDays" type="number" min="0" max="3650" value="${t.requirements.minMemberAgeDays}"/>
+                  </div>
+                  <div>
+                    <label>Open tickets per user (0 = server default)</label>
+                    <input name="openLimit" type="number" min="0" max="50" value="${t.openLimit}"/>
+                  </div>
+                </div>
+                <label>Panel description</label>
+                <textarea name="panelDescription" rows="5">${escapeHtml(t.panelDescription)}</textarea>
+                <label><input type="checkbox" name="enabled" value="1" style="width:auto" ${t.enabled ? "checked" : ""}/> Enabled</label>
+                <label><input type="checkbox" name="claimLock" value="1" style="width:auto" ${t.claimLock ? "checked" : ""}/> Claim lock (only the claimer + admins can reply)</label>
+                <div style="height:12px"></div>
+                <button class="btn primary" type="submit">Save ${escapeHtml(t.name)}</button>
+              </form>
+              ${t.builtin ? "" : `
+              <form method="POST" action="/server/${escapeHtml(guildId)}/types/${encodeURIComponent(t.key)}/delete" onsubmit="return confirm('Delete this ticket type?')">
+                <button class="btn" type="submit">Delete</button>
+              </form>`}
+            </details>`).join("")}
+          </div>
+
+          <form method="POST" action="/server/${escapeHtml(guildId)}/types">
+            <label>Add a ticket type</label>
+            <div class="two">
+              <input name="label" placeholder="Name, e.g. Appeals" maxlength="40" required/>
+              <input name="emoji" placeholder="Emoji (optional)"/>
+            </div>
+            <div style="height:12px"></div>
+            <button class="btn primary" type="submit">Add Type</button>
+          </form>
+        </div>
+
+        <div class="card">
+          <h2>Snippets</h2>
+          <p class="muted">Canned responses staff post with <b>/snippet send</b>. <b>{user}</b>, <b>{type}</b> and <b>{id}</b> are filled in from the ticket.</p>
+          <div class="list">
+            ${Object.entries(getGuildSnippets(guildId)).sort((a, b) => a[0].localeCompare(b[0])).map(([name, sn]) => `
+            <details class="row" style="display:block">
+              <summary><b>${escapeHtml(name)}</b> <span class="badge">used ${sn.uses || 0}×</span></summary>
+              <form method="POST" action="/server/${escapeHtml(guildId)}/snippets">
+                <input type="hidden" name="name" value="${escapeHtml(name)}"/>
+                <textarea name="content" rows="5" maxlength="${MAX_SNIPPET_LENGTH}">${escapeHtml(sn.content)}</textarea>
+                <div style="height:12px"></div>
+                <button class="btn primary" type="submit">Save ${escapeHtml(name)}</button>
+              </form>
+              <form method="POST" action="/server/${escapeHtml(guildId)}/snippets/${encodeURIComponent(name)}/delete" onsubmit="return confirm('Delete this snippet?')">
+                <button class="btn" type="submit">Delete</button>
+              </form>
+            </details>`).join("") || `<p class="muted">No snippets yet.</p>`}
+          </div>
+
+          <form method="POST" action="/server/${escapeHtml(guildId)}/snippets">
+            <label>Add a snippet</label>
+            <input name="name" placeholder="Name, e.g. payment-info" maxlength="32" required/>
+            <textarea name="content" rows="4" maxlength="${MAX_SNIPPET_LENGTH}" placeholder="Hi {user}, …" required></textarea>
+            <div style="height:12px"></div>
+            <button class="btn primary" type="submit">Save Snippet</button>
+          </form>
+        </div>
+
+        <div class="card">
+          <h2>Middleman Fees</h2>
+          <p class="muted">Used by <b>/fee &lt;amount&gt; [type]</b>. Fees are <b>5% min 2 max 50</b> (percentage) or <b>100:5, 500:15, *:25</b> (flat tiers, <b>*</b> = anything above). Amounts accept <b>10k</b> / <b>2.5m</b>.</p>
+          <form method="POST" action="/server/${escapeHtml(guildId)}/fees">
+            <div class="two">
+              <div>
+                <label>Currency</label>
+                <input name="currency" value="${escapeHtml(cfg.feeSchedule.currency || "")}" maxlength="10" placeholder="$, €, USD, Robux"/>
+              </div>
+              <div>
+                <label>Default payer</label>
+                <select name="payer">
+                  <option value="">Ask each time</option>
+                  ${Object.entries(DEAL_FEE_PAYERS).map(([k, label]) => `<option value="${k}"${cfg.feeSchedule.payer === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+                </select>
+              </div>
+            </div>
+            <label>Default fee (empty = none)</label>
+            <input name="rule" value="${escapeHtml(stringifyFeeRule(cfg.feeSchedule.rule))}" maxlength="200" placeholder="5% min 2 max 50"/>
+            <label>Per trade type (one "type = fee" per line)</label>
+            <textarea name="overrides" rows="4" maxlength="2000" placeholder="crypto = 3% min 5">${escapeHtml(stringifyFeeOverrides(cfg.feeSchedule.overrides))}</textarea>
+            <div style="height:12px"></div>
+            <button class="btn primary" type="submit">Save Fees</button>
+          </form>
+        </div>
+
+        <div class="card">
+          <h2>Blacklist</h2>
+          <p class="muted">Blacklisted users (or members with a blacklisted role) can't open tickets. Same list as <b>/blacklist</b> in Discord.</p>
+          <div class="list">
+            ${(() => {
+              const b = getGuildBlacklist(guildId);
+              const entries = [
+                ...Object.entries(b.users)
+                  .filter(([, e]) => !e.expiresAt || Date.parse(e.expiresAt) > Date.now())
+                  .map(([id, e]) => ({ kind: "users", id, e, label: client.users.cache.get(id)?.tag || id })),
+                ...Object.entries(b.roles).map(([id, e]) => ({ kind: "roles", id, e, label: `@${client.guilds.cache.get(guildId)?.roles.cache.get(id)?.name || id}` }))
+              ];
+              if (!entries.length) return `<p class="muted">Nobody is blacklisted.</p>`;
+              return entries.map(({ kind, id, e, label }) => `
+            <div class="row">
+              <div>
+                <b>${escapeHtml(label)}</b> <span class="badge">${kind === "users" ? "user" : "role"}</span>
+                ${e.expiresAt ? `<span class="badge">until ${escapeHtml(new Date(e.expiresAt).toISOString().slice(0, 16).replace("T", " "))} UTC</span>` : ""}
+                <div class="muted">${escapeHtml(e.reason || "No reason")}</div>
+              </div>
+              <form method="POST" action="/server/${escapeHtml(guildId)}/blacklist/${kind}/${escapeHtml(id)}/delete">
+                <button class="btn" type="submit">Remove</button>
+              </form>
+            </div>`).join("");
+            })()}
+          </div>
+
+          <form method="POST" action="/server/${escapeHtml(guildId)}/blacklist">
+            <label>Add to the blacklist</label>
+            <div class="two">
+              <select name="kind">
+                <option value="users">User ID</option>
+                <option value="roles">Role ID</option>
+              </select>
+              <input name="id" placeholder="e.g. 123..." required/>
+              <input name="reason" placeholder="Reason (optional)" maxlength="200"/>
+              <input name="duration" placeholder="Users only: 12h, 7d, 2w (empty = permanent)"/>
+            </div>
+            <div style="height:12px"></div>
+            <button class="btn primary" type="submit">Add</button>
+          </form>
+        </div>
+
         <div class="card">
           <h2>Premium Branding (optional)</h2>
           <p class="muted">This only affects premium branding fields your bot stores.</p>
@@ -5166,7 +10412,7 @@ function escapeHtml(s){
         mmRoles: parseIdList(req.body.mmRoles),
         adminRoles: parseIdList(req.body.adminRoles),
       };
-      patchGuildConfig(guildId, patch);
+      saveGuildConfig(guildId, patch);
       req.session.flash = "Saved ✅";
     } catch (e) {
       console.error("[DASHBOARD] Save error:", e);
@@ -5190,8 +10436,7 @@ function escapeHtml(s){
       next.branding.iconUrl = String(req.body.iconUrl || "").trim().slice(0, 300) || next.branding.iconUrl;
       next.branding.accent = String(req.body.accent || "").trim().slice(0, 20) || next.branding.accent;
 
-      PREMIUM_GUILDS[guildId] = next;
-      writeJsonSafe(PREMIUM_FILE, PREMIUM_GUILDS);
+      STORE.set("premiumGuilds", guildId, next);
 
       req.session.flash = "Branding saved ✅";
     } catch (e) {
@@ -5201,6 +10446,347 @@ function escapeHtml(s){
     res.redirect(`/server/${encodeURIComponent(guildId)}`);
   });
 
+  // Ticket types (same data as ?setup → Ticket Types)
+  function canEditGuild(req, guildId) {
+    const guilds = Array.isArray(req.session.guilds) ? req.session.guilds : [];
+    const g = guilds.find(x => String(x.id) === guildId);
+    return !!g && hasManageGuild(g) && client.guilds.cache.has(guildId);
+  }
+
+  // Staff statistics (?type=&from=YYYY-MM-DD&to=YYYY-MM-DD)
+  app.get("/server/:guildId/stats", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    const guild = client.guilds.cache.get(guildId);
+    const types = getTicketTypes(guildId);
+    const typeKey = types.some(t => t.key === req.query.type) ? String(req.query.type) : null;
+
+    const parseDay = v => (/^\d{4}-\d{2}-\d{2}$/.test(String(v || "")) ? Date.parse(`${v}T00:00:00Z`) : NaN);
+    let until = parseDay(req.query.to);
+    until = Number.isFinite(until) ? Math.min(Date.now(), until + DAY_MS - 1) : Date.now();
+    let since = parseDay(req.query.from);
+    if (!Number.isFinite(since) || since > until) since = until - SLA_STATS_DAYS * DAY_MS;
+    since = Math.max(since, until - 365 * DAY_MS);
+
+    const stats = computeStaffStats(guildId, { typeKey, since, until });
+    const nameOf = id => {
+      const m = guild?.members.cache.get(id);
+      return m ? (m.displayName || m.user.username) : (client.users.cache.get(id)?.username || id);
+    };
+    const day = ms => new Date(ms).toISOString().slice(0, 10);
+    const cell = "padding:6px 10px; border-bottom:1px solid rgba(255,255,255,.08); text-align:left";
+
+    res.send(htmlPage("Statistics", `
+      <div class="grid">
+        <div class="card">
+          <h1>📊 Statistics — ${escapeHtml(guild?.name || guildId)}</h1>
+          <form method="GET" action="/server/${escapeHtml(guildId)}/stats">
+            <div class="two">
+              <div>
+                <label>Ticket type</label>
+                <select name="type">
+                  <option value="">All types</option>
+                  ${types.map(t => `<option value="${escapeHtml(t.key)}" ${t.key === typeKey ? "selected" : ""}>${escapeHtml(t.name)}</option>`).join("")}
+                </select>
+              </div>
+              <div></div>
+              <div>
+                <label>From</label>
+                <input type="date" name="from" value="${day(since)}"/>
+              </div>
+              <div>
+                <label>To</label>
+                <input type="date" name="to" value="${day(until)}"/>
+              </div>
+            </div>
+            <div style="height:12px"></div>
+            <button class="btn primary" type="submit">Apply</button>
+            <a class="btn" href="/server/${escapeHtml(guildId)}">Back</a>
+          </form>
+          <p class="muted">Opened <b>${stats.opened}</b> • Closed <b>${stats.closed}</b> • Open now <b>${stats.openNow}</b></p>
+        </div>
+
+        <div class="card">
+          <h2>Staff</h2>
+          <table style="width:100%; border-collapse:collapse">
+            <tr><th style="${cell}">Staff</th><th style="${cell}">Claimed</th><th style="${cell}">Closed</th><th style="${cell}">Avg. time to claim</th><th style="${cell}">Avg. resolution</th><th style="${cell}">Rating</th></tr>
+            ${stats.staff.map(s => `
+            <tr>
+              <td style="${cell}">${escapeHtml(nameOf(s.userId))}</td>
+              <td style="${cell}">${s.claimed}</td>
+              <td style="${cell}">${s.closed}</td>
+              <td style="${cell}">${escapeHtml(formatDuration(s.avgClaimMs ?? NaN))}</td>
+              <td style="${cell}">${escapeHtml(formatDuration(s.avgResolutionMs ?? NaN))}</td>
+              <td style="${cell}">${s.rating != null ? `⭐ ${s.rating} (${s.ratingCount})` : "—"}</td>
+            </tr>`).join("") || `<tr><td style="${cell}" colspan="6" class="muted">No staff activity in this range.</td></tr>`}
+          </table>
+        </div>
+
+        <div class="card">
+          <h2>Ratings</h2>
+          ${(() => {
+            const r = getGuildReviews(guildId);
+            const comments = r.recent.filter(x => x.feedback).slice(0, 10);
+            return `
+          <p class="muted">Service: ${r.service.count ? `<b>⭐ ${r.service.avg}</b> from ${r.service.count} rating(s)` : "no ratings yet"} (all time)</p>
+          ${comments.map(x => `
+          <div class="row" style="display:block">
+            <b>${"★".repeat(x.score)}</b> <span class="badge">${x.kind === "staff" ? escapeHtml(nameOf(x.staffId)) : "service"}</span>
+            <span class="badge">${escapeHtml(formatTicketNumber(x.ticketId))}</span> <span class="muted">${escapeHtml(String(x.at).slice(0, 10))}</span>
+            <div>${escapeHtml(x.feedback)}</div>
+          </div>`).join("") || `<p class="muted">No written feedback yet.</p>`}`;
+          })()}
+        </div>
+
+        <div class="card">
+          <h2>Per day</h2>
+          <table style="width:100%; border-collapse:collapse">
+            <tr><th style="${cell}">Day</th><th style="${cell}">Opened</th><th style="${cell}">Closed</th></tr>
+            ${stats.daily.slice().reverse().map(d => `
+            <tr><td style="${cell}">${d.day}</td><td style="${cell}">${d.opened}</td><td style="${cell}">${d.closed}</td></tr>`).join("")}
+          </table>
+        </div>
+      </div>
+    `));
+  });
+
+  // Ticket history (newest first) with the staff notes of each ticket
+  app.get("/server/:guildId/tickets", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    const guild = client.guilds.cache.get(guildId);
+    const userId = cleanId(req.query.user);
+    const status = ["open", "closed", "archived"].includes(req.query.status) ? String(req.query.status) : null;
+
+    const tickets = Object.values(TICKETS)
+      .filter(r => r.guildId === guildId && (!userId || r.openerId === userId) && (!status || r.status === status))
+      .sort((a, b) => b.id - a.id)
+      .slice(0, 100);
+    const nameOf = id => {
+      if (!id) return "—";
+      const m = guild?.members.cache.get(id);
+      return m ? (m.displayName || m.user.username) : (client.users.cache.get(id)?.username || id);
+    };
+    const typeName = key => getTicketType(guildId, key)?.name || key;
+    const day = iso => (iso ? String(iso).replace("T", " ").slice(0, 16) : "—");
+
+    res.send(htmlPage("Tickets", `
+      <div class="grid">
+        <div class="card">
+          <h1>🎫 Tickets — ${escapeHtml(guild?.name || guildId)}</h1>
+          <form method="GET" action="/server/${escapeHtml(guildId)}/tickets">
+            <div class="two">
+              <div>
+                <label>Opened by (user ID)</label>
+                <input name="user" value="${escapeHtml(userId || "")}" placeholder="anyone"/>
+              </div>
+              <div>
+                <label>Status</label>
+                <select name="status">
+                  <option value="">Any</option>
+                  ${["open", "closed", "archived"].map(x => `<option value="${x}" ${x === status ? "selected" : ""}>${x}</option>`).join("")}
+                </select>
+              </div>
+            </div>
+            <div style="height:12px"></div>
+            <button class="btn primary" type="submit">Filter</button>
+            <a class="btn" href="/server/${escapeHtml(guildId)}">Back</a>
+          </form>
+          <p class="muted">Showing the newest ${tickets.length} ticket(s). Staff notes are never shown to the opener.</p>
+        </div>
+
+        <div class="card">
+          <div class="list">
+            ${tickets.map(r => `
+            <details class="row" style="display:block">
+              <summary>
+                <b>${escapeHtml(formatTicketNumber(r.id))}</b> <span class="badge">${escapeHtml(typeName(r.type))}</span>
+                <span class="badge">${escapeHtml(r.status)}</span> ${escapeHtml(nameOf(r.openerId))}
+                <span class="muted">${escapeHtml(day(r.createdAt))}</span>
+                ${(r.notes || []).length ? `<span class="badge">🗒️ ${r.notes.length}</span>` : ""}
+              </summary>
+              <p class="muted">
+                Claimed by ${escapeHtml(nameOf(r.claimedBy))} • Closed ${escapeHtml(day(r.closedAt))} by ${escapeHtml(nameOf(r.closedBy))}
+                ${r.closeReason ? ` • Reason: ${escapeHtml(r.closeReason)}` : ""}
+                ${r.transcriptUrl ? ` • <a href="${escapeHtml(r.transcriptUrl)}">Transcript</a>` : ""}
+              </p>
+              ${(r.notes || []).map(n => `
+              <div class="row" style="display:block">
+                <b>${escapeHtml(nameOf(n.authorId))}</b> <span class="muted">${escapeHtml(day(n.at))}</span>
+                <div>${escapeHtml(n.text)}</div>
+              </div>`).join("") || `<p class="muted">No staff notes.</p>`}
+            </details>`).join("") || `<p class="muted">No tickets found.</p>`}
+          </div>
+        </div>
+      </div>
+    `));
+  });
+
+  app.post("/server/:guildId/types", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    const result = addTicketType(guildId, {
+      label: String(req.body.label || ""),
+      emoji: String(req.body.emoji || ""),
+      enabled: false
+    });
+    req.session.flash = result.ok
+      ? `Added ${result.type.name} ✅ (set its category, then enable it)`
+      : (result.reason === "EXISTS" ? "That ticket type already exists." : result.reason === "LIMIT" ? "Too many ticket types." : "Invalid name.");
+    res.redirect(`/server/${encodeURIComponent(guildId)}`);
+  });
+
+  app.post("/server/:guildId/types/:key", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    const key = String(req.params.key);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    try {
+      const t = getTicketType(guildId, key);
+      if (!t) throw new Error("Unknown ticket type");
+
+      const patch = {
+        label: String(req.body.label || "").trim(),
+        emoji: String(req.body.emoji || "").trim(),
+        pingRoles: parseIdList(req.body.pingRoles),
+        nameTemplate: String(req.body.nameTemplate || "").trim(),
+        enabled: req.body.enabled === "1",
+        claimLock: req.body.claimLock === "1",
+        openLimit: req.body.openLimit,
+        requirements: {
+          requiredRoles: parseIdList(req.body.requiredRoles),
+          deniedRoles: parseIdList(req.body.deniedRoles),
+          minAccountAgeDays: req.body.minAccountAgeDays,
+          minMemberAgeDays: req.body.minMemberAgeDays
+        }
+      };
+      if (!t.builtin) {
+        patch.categoryId = cleanId(req.body.categoryId);
+        patch.staffRoles = parseIdList(req.body.staffRoles);
+      }
+      // Keep built-in defaults as defaults unless they were edited
+      const title = String(req.body.panelTitle || "").trim();
+      const desc = String(req.body.panelDescription || "").replace(/\r\n/g, "\n").trim();
+      const color = String(req.body.colorHex || "").trim();
+      if (title !== t.panelTitle) patch.panelTitle = title;
+      if (desc !== String(t.panelDescription).trim()) patch.panelDescription = desc;
+      if (color.toLowerCase() !== t.panelColor.toLowerCase()) patch.colorHex = color;
+      if (patch.label === t.optionLabel) delete patch.label;
+      if (patch.emoji === t.emoji) delete patch.emoji;
+
+      saveTicketType(guildId, key, patch);
+      req.session.flash = "Saved ✅";
+    } catch (e) {
+      console.error("[DASHBOARD] Ticket type save error:", e);
+      req.session.flash = "Save failed.";
+    }
+    res.redirect(`/server/${encodeURIComponent(guildId)}`);
+  });
+
+  app.post("/server/:guildId/types/:key/delete", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    req.session.flash = removeTicketType(guildId, String(req.params.key)) ? "Deleted ✅" : "Built-in types can only be disabled.";
+    res.redirect(`/server/${encodeURIComponent(guildId)}`);
+  });
+
+  app.post("/server/:guildId/snippets", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    const result = saveSnippet(guildId, req.body.name, req.body.content, String(req.session.user.id));
+    req.session.flash = result.ok
+      ? `Saved snippet ${result.name} ✅`
+      : (result.reason === "INVALID_NAME" ? "Invalid snippet name." : result.reason === "EMPTY" ? "A snippet needs some text." : "Too many snippets.");
+    res.redirect(`/server/${encodeURIComponent(guildId)}`);
+  });
+
+  app.post("/server/:guildId/snippets/:name/delete", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    req.session.flash = deleteSnippet(guildId, String(req.params.name)) ? "Deleted ✅" : "That snippet no longer exists.";
+    res.redirect(`/server/${encodeURIComponent(guildId)}`);
+  });
+
+  app.post("/server/:guildId/fees", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    const parsed = parseFeeScheduleInput(req.body);
+    if (parsed.ok) saveGuildConfig(guildId, { feeSchedule: parsed.schedule });
+    req.session.flash = parsed.ok ? "Fee schedule saved ✅" : parsed.error.replace(/\*\*|`/g, "");
+    res.redirect(`/server/${encodeURIComponent(guildId)}`);
+  });
+
+  app.post("/server/:guildId/blacklist", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    const kind = req.body.kind === "roles" ? "roles" : "users";
+    const id = cleanId(req.body.id);
+    const rawDuration = String(req.body.duration || "").trim();
+    const duration = rawDuration ? parseBlacklistDuration(rawDuration) : null;
+    if (!id) {
+      req.session.flash = "Invalid ID.";
+    } else if (rawDuration && (!duration || kind === "roles")) {
+      req.session.flash = kind === "roles" ? "Role entries can't expire." : "Use a duration like 30m, 12h, 7d or 2w.";
+    } else {
+      const entry = {
+        reason: String(req.body.reason || "").trim().slice(0, 200) || null,
+        by: String(req.session.user.id),
+        at: new Date().toISOString(),
+        ...(kind === "users" ? { expiresAt: duration ? new Date(Date.now() + duration).toISOString() : null } : {})
+      };
+      setBlacklistEntry(guildId, kind, id, entry);
+      const guild = client.guilds.cache.get(guildId);
+      if (guild) {
+        sendBlacklistLog(guild, true, `${req.session.user.username} (${req.session.user.id}) via dashboard`, kind === "users" ? `<@${id}> (${id})` : `<@&${id}> (${id})`, entry).catch(() => {});
+      }
+      req.session.flash = "Blacklisted ✅";
+    }
+    res.redirect(`/server/${encodeURIComponent(guildId)}`);
+  });
+
+  app.post("/server/:guildId/blacklist/:kind/:id/delete", requireLogin, (req, res) => {
+    const guildId = String(req.params.guildId);
+    if (!canEditGuild(req, guildId)) {
+      req.session.flash = "You don't have permission for that server.";
+      return res.redirect("/servers");
+    }
+    const kind = req.params.kind === "roles" ? "roles" : "users";
+    const id = String(req.params.id);
+    const entry = removeBlacklistEntry(guildId, kind, id);
+    const guild = client.guilds.cache.get(guildId);
+    if (entry && guild) {
+      sendBlacklistLog(guild, false, `${req.session.user.username} (${req.session.user.id}) via dashboard`, kind === "users" ? `<@${id}> (${id})` : `<@&${id}> (${id})`, entry).catch(() => {});
+    }
+    req.session.flash = entry ? "Removed ✅" : "That entry no longer exists.";
+    res.redirect(`/server/${encodeURIComponent(guildId)}`);
+  });
+
   function cleanId(v) {
     const s = String(v || "").trim();
     if (!s) return null;